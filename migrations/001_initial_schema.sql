@@ -0,0 +1,256 @@
+-- 初始資料庫結構
+-- 可在空的 PostgreSQL 上建出完整結構，也可以套用在既有的資料庫上
+-- （全部使用 IF NOT EXISTS，舊資料庫缺少的欄位會自動補上）
+
+-- migrate:up
+
+-- ==================== 使用者 ====================
+
+CREATE TABLE IF NOT EXISTS users (
+  id TEXT PRIMARY KEY,
+  email TEXT,
+  display_name TEXT,
+  role TEXT DEFAULT 'REVIEWER',
+  avatar TEXT,
+  status TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  is_active BOOLEAN DEFAULT true,
+  is_online BOOLEAN DEFAULT false,
+  last_seen TIMESTAMPTZ
+);
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS avatar TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS status TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS is_active BOOLEAN DEFAULT true;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS is_online BOOLEAN DEFAULT false;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS last_seen TIMESTAMPTZ;
+
+-- ==================== 案件 ====================
+
+CREATE TABLE IF NOT EXISTS leads (
+  id TEXT PRIMARY KEY,
+  case_code TEXT,
+  platform TEXT,
+  platform_id TEXT,
+  need TEXT,
+  budget_text TEXT,
+  posted_at TIMESTAMPTZ,
+  phone TEXT,
+  email TEXT,
+  location TEXT,
+  estimated_duration TEXT,
+  contact_method TEXT,
+  note TEXT,
+  internal_remarks TEXT,
+  remarks_author TEXT,
+  status TEXT DEFAULT '待篩選',
+  decision TEXT DEFAULT 'pending',
+  decision_by TEXT,
+  reject_reason TEXT,
+  review_note TEXT,
+  assigned_to TEXT,
+  assigned_to_name TEXT,
+  priority INTEGER DEFAULT 3,
+  created_by TEXT,
+  created_by_name TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  last_action_by TEXT,
+  progress_updates JSONB,
+  change_history JSONB,
+  cost_records JSONB,
+  profit_records JSONB,
+  contracts JSONB,
+  links JSONB,
+  contact_status TEXT DEFAULT '未回覆'
+);
+
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS case_code TEXT;
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS internal_remarks TEXT;
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS remarks_author TEXT;
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS cost_records JSONB;
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS profit_records JSONB;
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS contracts JSONB;
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS links JSONB;
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS contact_status TEXT DEFAULT '未回覆';
+
+CREATE INDEX IF NOT EXISTS idx_leads_created_at ON leads(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_leads_status ON leads(status);
+
+-- updated_at 由觸發器自動更新
+CREATE OR REPLACE FUNCTION update_updated_at_column() RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_leads_updated_at ON leads;
+CREATE TRIGGER update_leads_updated_at BEFORE UPDATE ON leads
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- ==================== 審計日誌 ====================
+
+CREATE TABLE IF NOT EXISTS audit_logs (
+  id TEXT PRIMARY KEY,
+  lead_id TEXT,
+  actor_uid TEXT,
+  actor_name TEXT,
+  action TEXT,
+  before JSONB,
+  after JSONB,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_logs_lead_id ON audit_logs(lead_id);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_created_at ON audit_logs(created_at DESC);
+
+-- ==================== 身分驗證 ====================
+
+-- 前端使用者登入 session（JWT 的 jti 對應到這裡，刪除或撤銷即可讓 token 失效）
+CREATE TABLE IF NOT EXISTS auth_sessions (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  last_used_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ,
+  user_agent TEXT,
+  ip TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_user_id ON auth_sessions(user_id);
+
+-- AI 助理等外部程式使用的 API 金鑰（只存 SHA-256 雜湊）
+CREATE TABLE IF NOT EXISTS api_keys (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  key_prefix TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  role TEXT NOT NULL DEFAULT 'AI_ASSISTANT',
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ,
+  last_used_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ
+);
+
+-- 使用者密碼（scrypt 雜湊，與 users 分開存放避免被一般查詢帶出）
+CREATE TABLE IF NOT EXISTS user_credentials (
+  user_id TEXT PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  password_hash TEXT NOT NULL,
+  password_updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash TEXT NOT NULL UNIQUE,
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ
+);
+
+CREATE TABLE IF NOT EXISTS login_attempts (
+  id BIGSERIAL PRIMARY KEY,
+  identifier TEXT NOT NULL,
+  user_id TEXT,
+  ip TEXT,
+  user_agent TEXT,
+  success BOOLEAN NOT NULL,
+  reason TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_attempts_identifier ON login_attempts(identifier, created_at);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts(ip, created_at);
+
+-- ==================== 全文搜尋 ====================
+
+-- 中文沒有空白斷詞，連續的中日韓字元切成單字和雙字詞（bigram），英數字以單字為單位
+-- for_query = true 時只用雙字詞（單一字元的詞例外），避免搜尋「導入」時「導」「入」分開命中
+CREATE OR REPLACE FUNCTION search_tokens(input TEXT, for_query BOOLEAN DEFAULT false) RETURNS TEXT[] AS $$
+  WITH normalized AS (
+    SELECT lower(COALESCE(input, '')) AS text
+  ), runs AS (
+    SELECT m[1] AS run FROM normalized, regexp_matches(normalized.text, '([\u3400-\u9fff\uf900-\ufaff]+)', 'g') AS m
+  )
+  SELECT COALESCE(array_agg(DISTINCT token), '{}') FROM (
+    SELECT substr(run, i, 2) AS token FROM runs, generate_series(1, char_length(run) - 1) AS i
+    UNION ALL
+    SELECT substr(run, i, 1) FROM runs, generate_series(1, char_length(run)) AS i
+    WHERE NOT for_query OR char_length(run) = 1
+    UNION ALL
+    SELECT m[1] FROM normalized, regexp_matches(normalized.text, '([a-z0-9]+)', 'g') AS m
+  ) tokens
+$$ LANGUAGE SQL IMMUTABLE;
+
+-- 搜尋字串 -> tsquery，英數字支援前綴比對
+-- 篩選用 match_all（所有詞都要命中）；排序用任一詞版本，讓命中越多詞、權重越高的排越前面
+CREATE OR REPLACE FUNCTION search_query(input TEXT, match_all BOOLEAN DEFAULT true) RETURNS tsquery AS $$
+  SELECT NULLIF(array_to_string(ARRAY(
+    SELECT quote_literal(token) || CASE WHEN token ~ '^[a-z0-9]+$' THEN ':*' ELSE '' END
+    FROM unnest(search_tokens(input, true)) AS token
+  ), CASE WHEN match_all THEN ' & ' ELSE ' | ' END), '')::tsquery
+$$ LANGUAGE SQL IMMUTABLE;
+
+-- 詞位一律給 1：權重是掛在詞位上的，沒有詞位 setweight 不會生效
+CREATE OR REPLACE FUNCTION search_tsvector(input TEXT) RETURNS tsvector AS $$
+  SELECT array_to_string(ARRAY(
+    SELECT quote_literal(token) || ':1' FROM unnest(search_tokens(input)) AS token
+  ), ' ')::tsvector
+$$ LANGUAGE SQL IMMUTABLE;
+
+-- 權重：A 需求與客戶、B 備註、C 進度、D 地點
+CREATE OR REPLACE FUNCTION lead_search_vector(l leads) RETURNS tsvector AS $$
+  SELECT
+    setweight(search_tsvector(concat_ws(' ', l.case_code, l.platform_id, l.need)), 'A') ||
+    setweight(search_tsvector(concat_ws(' ', l.note, l.internal_remarks)), 'B') ||
+    setweight(search_tsvector((
+      SELECT string_agg(p->>'content', ' ')
+      FROM jsonb_array_elements(CASE WHEN jsonb_typeof(l.progress_updates) = 'array' THEN l.progress_updates ELSE '[]'::jsonb END) AS p
+    )), 'C') ||
+    setweight(search_tsvector(l.location), 'D')
+$$ LANGUAGE SQL STABLE;
+
+CREATE TABLE IF NOT EXISTS lead_search_index (
+  lead_id TEXT PRIMARY KEY REFERENCES leads(id) ON DELETE CASCADE,
+  search_vector TSVECTOR NOT NULL,
+  indexed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_search_index_vector ON lead_search_index USING GIN (search_vector);
+
+-- 任何寫入 leads 的路徑都會自動更新索引
+CREATE OR REPLACE FUNCTION refresh_lead_search_index() RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO lead_search_index (lead_id, search_vector, indexed_at)
+  VALUES (NEW.id, lead_search_vector(NEW), NOW())
+  ON CONFLICT (lead_id) DO UPDATE SET
+    search_vector = EXCLUDED.search_vector,
+    indexed_at = EXCLUDED.indexed_at;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS leads_search_index ON leads;
+CREATE TRIGGER leads_search_index AFTER INSERT OR UPDATE ON leads
+  FOR EACH ROW EXECUTE FUNCTION refresh_lead_search_index();
+
+-- 補建既有案件的索引
+INSERT INTO lead_search_index (lead_id, search_vector)
+SELECT id, lead_search_vector(leads) FROM leads
+ON CONFLICT (lead_id) DO NOTHING;
+
+-- ==================== 案件編號 ====================
+
+-- 案件編號計數器（每種前綴一列）
+-- case_code 的唯一索引在啟動時另外建立（既有資料可能有重複，需先補號）
+CREATE TABLE IF NOT EXISTS case_code_counters (
+  counter_key TEXT PRIMARY KEY,
+  last_value BIGINT NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- 初始結構不提供 migrate:down（回滾等於清空整個資料庫）
@@ -0,0 +1,27 @@
+-- 審計紀錄不只記錄案件：加上操作對象（entity_type / entity_id）、操作者類型與來源 IP
+
+-- migrate:up
+
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS entity_type TEXT;
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS entity_id TEXT;
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS actor_type TEXT;
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS ip TEXT;
+
+-- 既有紀錄都是前端寫入的案件紀錄
+UPDATE audit_logs SET entity_type = 'lead', entity_id = lead_id
+WHERE entity_type IS NULL AND lead_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_audit_logs_actor ON audit_logs(actor_uid, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_action ON audit_logs(action, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_entity ON audit_logs(entity_type, entity_id, created_at DESC);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_audit_logs_entity;
+DROP INDEX IF EXISTS idx_audit_logs_action;
+DROP INDEX IF EXISTS idx_audit_logs_actor;
+
+ALTER TABLE audit_logs DROP COLUMN IF EXISTS ip;
+ALTER TABLE audit_logs DROP COLUMN IF EXISTS actor_type;
+ALTER TABLE audit_logs DROP COLUMN IF EXISTS entity_id;
+ALTER TABLE audit_logs DROP COLUMN IF EXISTS entity_type;
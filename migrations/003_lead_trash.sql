@@ -0,0 +1,21 @@
+-- 案件改為軟刪除：刪除時只標記 deleted_at，移到垃圾桶，可還原或永久刪除
+-- case_code 唯一索引涵蓋垃圾桶內的案件，編號在永久刪除前不會被重複使用
+
+-- migrate:up
+
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS deleted_by TEXT;
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS deleted_by_name TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_leads_deleted_at ON leads(deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- migrate:down
+
+-- 回滾前先永久刪除垃圾桶內的案件，否則它們會重新出現在列表中
+DELETE FROM leads WHERE deleted_at IS NOT NULL;
+
+DROP INDEX IF EXISTS idx_leads_deleted_at;
+
+ALTER TABLE leads DROP COLUMN IF EXISTS deleted_by_name;
+ALTER TABLE leads DROP COLUMN IF EXISTS deleted_by;
+ALTER TABLE leads DROP COLUMN IF EXISTS deleted_at;
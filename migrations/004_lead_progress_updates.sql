@@ -0,0 +1,124 @@
+-- 進度更新從 leads.progress_updates（JSONB 陣列）搬到獨立的資料表
+-- 每則進度一列，新增不再需要讀取整個陣列再寫回，可以單獨修改或刪除
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS lead_progress_updates (
+  id TEXT PRIMARY KEY,
+  lead_id TEXT NOT NULL REFERENCES leads(id) ON DELETE CASCADE,
+  content TEXT NOT NULL,
+  attachments JSONB NOT NULL DEFAULT '[]',
+  author_uid TEXT,
+  author_name TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ,
+  updated_by TEXT,
+  updated_by_name TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_progress_updates_lead ON lead_progress_updates(lead_id, created_at);
+
+-- 舊資料來自前端 localStorage，格式不一定正確，轉換失敗時回傳 NULL
+CREATE FUNCTION pg_temp.try_jsonb(input TEXT) RETURNS JSONB AS $$
+BEGIN
+  RETURN input::jsonb;
+EXCEPTION WHEN others THEN
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE FUNCTION pg_temp.try_timestamptz(input TEXT) RETURNS TIMESTAMPTZ AS $$
+BEGIN
+  RETURN NULLIF(input, '')::timestamptz;
+EXCEPTION WHEN others THEN
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- 有些舊資料把整個陣列存成 JSON 字串
+INSERT INTO lead_progress_updates (id, lead_id, content, attachments, author_uid, author_name, created_at)
+SELECT
+  COALESCE(NULLIF(p.item->>'id', ''), 'progress_' || l.id || '_' || p.position),
+  l.id,
+  COALESCE(p.item->>'content', ''),
+  CASE WHEN jsonb_typeof(p.item->'attachments') = 'array' THEN p.item->'attachments' ELSE '[]'::jsonb END,
+  p.item->>'author_uid',
+  p.item->>'author_name',
+  COALESCE(pg_temp.try_timestamptz(p.item->>'created_at'), l.created_at, NOW())
+FROM leads l
+CROSS JOIN LATERAL (
+  SELECT CASE jsonb_typeof(l.progress_updates)
+    WHEN 'array' THEN l.progress_updates
+    WHEN 'string' THEN pg_temp.try_jsonb(l.progress_updates #>> '{}')
+  END AS items
+) parsed
+CROSS JOIN LATERAL jsonb_array_elements(
+  CASE WHEN jsonb_typeof(parsed.items) = 'array' THEN parsed.items ELSE '[]'::jsonb END
+) WITH ORDINALITY AS p(item, position)
+WHERE jsonb_typeof(p.item) = 'object'
+ON CONFLICT (id) DO NOTHING;
+
+DROP FUNCTION pg_temp.try_jsonb(TEXT);
+DROP FUNCTION pg_temp.try_timestamptz(TEXT);
+
+-- 全文搜尋改從新資料表讀取進度內容
+CREATE OR REPLACE FUNCTION lead_search_vector(l leads) RETURNS tsvector AS $$
+  SELECT
+    setweight(search_tsvector(concat_ws(' ', l.case_code, l.platform_id, l.need)), 'A') ||
+    setweight(search_tsvector(concat_ws(' ', l.note, l.internal_remarks)), 'B') ||
+    setweight(search_tsvector((
+      SELECT string_agg(p.content, ' ') FROM lead_progress_updates p WHERE p.lead_id = l.id
+    )), 'C') ||
+    setweight(search_tsvector(l.location), 'D')
+$$ LANGUAGE SQL STABLE;
+
+-- 新增、修改、刪除進度時更新所屬案件的搜尋索引
+CREATE OR REPLACE FUNCTION refresh_lead_search_index_for_progress() RETURNS TRIGGER AS $$
+DECLARE
+  target_lead_id TEXT := CASE WHEN TG_OP = 'DELETE' THEN OLD.lead_id ELSE NEW.lead_id END;
+BEGIN
+  INSERT INTO lead_search_index (lead_id, search_vector, indexed_at)
+  SELECT l.id, lead_search_vector(l), NOW() FROM leads l WHERE l.id = target_lead_id
+  ON CONFLICT (lead_id) DO UPDATE SET
+    search_vector = EXCLUDED.search_vector,
+    indexed_at = EXCLUDED.indexed_at;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS lead_progress_updates_search_index ON lead_progress_updates;
+CREATE TRIGGER lead_progress_updates_search_index AFTER INSERT OR UPDATE OR DELETE ON lead_progress_updates
+  FOR EACH ROW EXECUTE FUNCTION refresh_lead_search_index_for_progress();
+
+ALTER TABLE leads DROP COLUMN progress_updates;
+
+-- migrate:down
+
+ALTER TABLE leads ADD COLUMN progress_updates JSONB;
+
+UPDATE leads l SET progress_updates = (
+  SELECT jsonb_agg(jsonb_build_object(
+    'id', p.id,
+    'lead_id', p.lead_id,
+    'content', p.content,
+    'author_uid', p.author_uid,
+    'author_name', p.author_name,
+    'created_at', to_char(p.created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"'),
+    'attachments', p.attachments
+  ) ORDER BY p.created_at, p.id)
+  FROM lead_progress_updates p WHERE p.lead_id = l.id
+);
+
+CREATE OR REPLACE FUNCTION lead_search_vector(l leads) RETURNS tsvector AS $$
+  SELECT
+    setweight(search_tsvector(concat_ws(' ', l.case_code, l.platform_id, l.need)), 'A') ||
+    setweight(search_tsvector(concat_ws(' ', l.note, l.internal_remarks)), 'B') ||
+    setweight(search_tsvector((
+      SELECT string_agg(p->>'content', ' ')
+      FROM jsonb_array_elements(CASE WHEN jsonb_typeof(l.progress_updates) = 'array' THEN l.progress_updates ELSE '[]'::jsonb END) AS p
+    )), 'C') ||
+    setweight(search_tsvector(l.location), 'D')
+$$ LANGUAGE SQL STABLE;
+
+DROP TABLE IF EXISTS lead_progress_updates;
+DROP FUNCTION IF EXISTS refresh_lead_search_index_for_progress();
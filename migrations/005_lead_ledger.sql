@@ -0,0 +1,133 @@
+-- 成本與收入從 leads.cost_records / profit_records（JSONB 陣列）搬到帳務明細表
+-- 每筆一列，不刪除：作廢時標記原分錄並新增一筆金額相反的沖銷分錄
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS lead_ledger_entries (
+  id TEXT PRIMARY KEY,
+  lead_id TEXT NOT NULL REFERENCES leads(id) ON DELETE CASCADE,
+  entry_type TEXT NOT NULL CHECK (entry_type IN ('cost', 'income')),
+  item_name TEXT NOT NULL,
+  category TEXT,
+  amount NUMERIC(14, 2) NOT NULL,
+  incurred_on DATE NOT NULL,
+  note TEXT,
+  author_uid TEXT,
+  author_name TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  reversal_of TEXT REFERENCES lead_ledger_entries(id),
+  voided_at TIMESTAMPTZ,
+  voided_by TEXT,
+  voided_by_name TEXT,
+  void_reason TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_ledger_entries_lead ON lead_ledger_entries(lead_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_lead_ledger_entries_incurred ON lead_ledger_entries(incurred_on);
+-- 一筆分錄只能被沖銷一次
+CREATE UNIQUE INDEX IF NOT EXISTS idx_lead_ledger_entries_reversal ON lead_ledger_entries(reversal_of) WHERE reversal_of IS NOT NULL;
+
+-- 舊資料來自前端 localStorage，格式不一定正確，轉換失敗時回傳 NULL
+CREATE FUNCTION pg_temp.try_jsonb(input TEXT) RETURNS JSONB AS $$
+BEGIN
+  RETURN input::jsonb;
+EXCEPTION WHEN others THEN
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE FUNCTION pg_temp.try_timestamptz(input TEXT) RETURNS TIMESTAMPTZ AS $$
+BEGIN
+  RETURN NULLIF(input, '')::timestamptz;
+EXCEPTION WHEN others THEN
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE FUNCTION pg_temp.try_numeric(input TEXT) RETURNS NUMERIC AS $$
+BEGIN
+  RETURN round(replace(input, ',', '')::numeric, 2);
+EXCEPTION WHEN others THEN
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+INSERT INTO lead_ledger_entries (id, lead_id, entry_type, item_name, amount, incurred_on, note, author_uid, author_name, created_at)
+SELECT
+  COALESCE(NULLIF(r.item->>'id', ''), r.entry_type || '_' || r.lead_id || '_' || r.position),
+  r.lead_id,
+  r.entry_type,
+  COALESCE(NULLIF(r.item->>'item_name', ''), '（未命名）'),
+  COALESCE(pg_temp.try_numeric(r.item->>'amount'), 0),
+  (r.created_at AT TIME ZONE 'Asia/Taipei')::date,
+  r.item->>'note',
+  r.item->>'author_uid',
+  r.item->>'author_name',
+  r.created_at
+FROM (
+  SELECT
+    l.id AS lead_id,
+    src.entry_type,
+    p.item,
+    p.position,
+    COALESCE(pg_temp.try_timestamptz(p.item->>'created_at'), l.created_at, NOW()) AS created_at
+  FROM leads l
+  CROSS JOIN LATERAL (VALUES ('cost', l.cost_records), ('income', l.profit_records)) AS src(entry_type, records)
+  -- 有些舊資料把整個陣列存成 JSON 字串
+  CROSS JOIN LATERAL (
+    SELECT CASE jsonb_typeof(src.records)
+      WHEN 'array' THEN src.records
+      WHEN 'string' THEN pg_temp.try_jsonb(src.records #>> '{}')
+    END AS items
+  ) parsed
+  CROSS JOIN LATERAL jsonb_array_elements(
+    CASE WHEN jsonb_typeof(parsed.items) = 'array' THEN parsed.items ELSE '[]'::jsonb END
+  ) WITH ORDINALITY AS p(item, position)
+  WHERE jsonb_typeof(p.item) = 'object'
+) r
+ON CONFLICT (id) DO NOTHING;
+
+DROP FUNCTION pg_temp.try_jsonb(TEXT);
+DROP FUNCTION pg_temp.try_timestamptz(TEXT);
+DROP FUNCTION pg_temp.try_numeric(TEXT);
+
+ALTER TABLE leads DROP COLUMN cost_records;
+ALTER TABLE leads DROP COLUMN profit_records;
+
+-- migrate:down
+
+ALTER TABLE leads ADD COLUMN cost_records JSONB;
+ALTER TABLE leads ADD COLUMN profit_records JSONB;
+
+-- 只還原有效的分錄（作廢的分錄與沖銷分錄不放回陣列）
+UPDATE leads l SET
+  cost_records = (
+    SELECT jsonb_agg(jsonb_build_object(
+      'id', e.id,
+      'lead_id', e.lead_id,
+      'item_name', e.item_name,
+      'amount', e.amount,
+      'author_uid', e.author_uid,
+      'author_name', e.author_name,
+      'created_at', to_char(e.created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"'),
+      'note', e.note
+    ) ORDER BY e.created_at, e.id)
+    FROM lead_ledger_entries e
+    WHERE e.lead_id = l.id AND e.entry_type = 'cost' AND e.voided_at IS NULL AND e.reversal_of IS NULL
+  ),
+  profit_records = (
+    SELECT jsonb_agg(jsonb_build_object(
+      'id', e.id,
+      'lead_id', e.lead_id,
+      'item_name', e.item_name,
+      'amount', e.amount,
+      'author_uid', e.author_uid,
+      'author_name', e.author_name,
+      'created_at', to_char(e.created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"'),
+      'note', e.note
+    ) ORDER BY e.created_at, e.id)
+    FROM lead_ledger_entries e
+    WHERE e.lead_id = l.id AND e.entry_type = 'income' AND e.voided_at IS NULL AND e.reversal_of IS NULL
+  );
+
+DROP TABLE IF EXISTS lead_ledger_entries;
@@ -0,0 +1,163 @@
+-- 附件從 leads.contracts（JSONB 陣列，內含 base64 圖片）搬到檔案儲存
+-- stored_files：實際檔案，以 SHA-256 去重；lead_attachments：案件附件的中繼資料
+-- SQL 無法寫入磁碟或 S3，舊附件先解碼到 stored_files.pending_content，
+-- 伺服器在遷移完成後會把它們寫入目前的儲存空間並清空 pending_content
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS stored_files (
+  sha256 TEXT PRIMARY KEY,
+  size BIGINT NOT NULL,
+  mime_type TEXT NOT NULL DEFAULT 'application/octet-stream',
+  storage_driver TEXT,
+  storage_key TEXT,
+  pending_content BYTEA,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stored_files_pending ON stored_files(created_at) WHERE pending_content IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS lead_attachments (
+  id TEXT PRIMARY KEY,
+  lead_id TEXT NOT NULL REFERENCES leads(id) ON DELETE CASCADE,
+  file_sha256 TEXT REFERENCES stored_files(sha256),
+  url TEXT,
+  filename TEXT NOT NULL,
+  uploaded_by TEXT,
+  uploaded_by_name TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (file_sha256 IS NOT NULL OR url IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_attachments_lead ON lead_attachments(lead_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_lead_attachments_file ON lead_attachments(file_sha256);
+
+-- 舊資料來自前端 localStorage，格式不一定正確，轉換失敗時回傳 NULL
+CREATE FUNCTION pg_temp.try_jsonb(input TEXT) RETURNS JSONB AS $$
+BEGIN
+  RETURN input::jsonb;
+EXCEPTION WHEN others THEN
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE FUNCTION pg_temp.try_timestamptz(input TEXT) RETURNS TIMESTAMPTZ AS $$
+BEGIN
+  RETURN NULLIF(input, '')::timestamptz;
+EXCEPTION WHEN others THEN
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE FUNCTION pg_temp.try_base64(input TEXT) RETURNS BYTEA AS $$
+BEGIN
+  RETURN decode(input, 'base64');
+EXCEPTION WHEN others THEN
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TEMP TABLE legacy_attachments ON COMMIT DROP AS
+SELECT
+  COALESCE(NULLIF(p.item->>'id', ''), 'att_' || l.id || '_' || p.position) AS id,
+  l.id AS lead_id,
+  COALESCE(NULLIF(p.item->>'filename', ''), 'attachment_' || p.position) AS filename,
+  p.item->>'uploaded_by' AS uploaded_by_name,
+  COALESCE(pg_temp.try_timestamptz(p.item->>'uploaded_at'), l.created_at, NOW()) AS created_at,
+  p.item->>'data' AS data,
+  -- 之前回滾時留下的檔案位置（見 down），檔案仍在儲存空間內
+  CASE WHEN p.item->>'sha256' ~ '^[0-9a-f]{64}$' AND COALESCE(p.item->>'storage_key', '') <> '' THEN p.item->>'sha256' END AS stored_sha256,
+  p.item->>'storage_driver' AS storage_driver,
+  p.item->>'storage_key' AS storage_key,
+  p.item->>'mime_type' AS stored_mime_type,
+  p.item->>'size' AS stored_size
+FROM leads l
+-- 有些舊資料把整個陣列存成 JSON 字串
+CROSS JOIN LATERAL (
+  SELECT CASE jsonb_typeof(l.contracts)
+    WHEN 'array' THEN l.contracts
+    WHEN 'string' THEN pg_temp.try_jsonb(l.contracts #>> '{}')
+  END AS items
+) parsed
+CROSS JOIN LATERAL jsonb_array_elements(
+  CASE WHEN jsonb_typeof(parsed.items) = 'array' THEN parsed.items ELSE '[]'::jsonb END
+) WITH ORDINALITY AS p(item, position)
+WHERE jsonb_typeof(p.item) = 'object' AND COALESCE(p.item->>'data', '') <> '';
+
+-- data 可能是網址、data URL（data:image/jpeg;base64,...）或單純的 base64
+-- 無法解碼的內容原樣存成檔案，不會遺失
+ALTER TABLE legacy_attachments ADD COLUMN url TEXT, ADD COLUMN mime_type TEXT, ADD COLUMN content BYTEA;
+
+INSERT INTO stored_files (sha256, size, mime_type, storage_driver, storage_key)
+SELECT DISTINCT ON (stored_sha256) stored_sha256, COALESCE(NULLIF(stored_size, '')::bigint, 0), COALESCE(stored_mime_type, 'application/octet-stream'), storage_driver, storage_key
+FROM legacy_attachments
+WHERE stored_sha256 IS NOT NULL AND COALESCE(stored_size, '') ~ '^\d*$'
+ORDER BY stored_sha256
+ON CONFLICT (sha256) DO NOTHING;
+
+UPDATE legacy_attachments SET stored_sha256 = NULL
+WHERE stored_sha256 IS NOT NULL AND NOT EXISTS (SELECT 1 FROM stored_files f WHERE f.sha256 = stored_sha256);
+
+UPDATE legacy_attachments SET url = data WHERE stored_sha256 IS NULL AND data ~* '^https?://';
+
+UPDATE legacy_attachments SET
+  mime_type = NULLIF(substring(data FROM '^data:([^;,]+)'), ''),
+  content = pg_temp.try_base64(substring(data FROM ',(.*)$'))
+WHERE stored_sha256 IS NULL AND url IS NULL AND data LIKE 'data:%;base64,%';
+
+UPDATE legacy_attachments SET content = pg_temp.try_base64(data)
+WHERE stored_sha256 IS NULL AND url IS NULL AND content IS NULL AND data NOT LIKE 'data:%' AND data ~ '^[A-Za-z0-9+/=\s]+$';
+
+UPDATE legacy_attachments SET content = convert_to(data, 'UTF8'), mime_type = 'text/plain'
+WHERE stored_sha256 IS NULL AND url IS NULL AND content IS NULL;
+
+INSERT INTO stored_files (sha256, size, mime_type, pending_content)
+SELECT DISTINCT ON (sha256) sha256, length(content), COALESCE(mime_type, 'application/octet-stream'), content
+FROM (
+  SELECT encode(sha256(content), 'hex') AS sha256, content, mime_type FROM legacy_attachments WHERE content IS NOT NULL
+) files
+ORDER BY sha256
+ON CONFLICT (sha256) DO NOTHING;
+
+INSERT INTO lead_attachments (id, lead_id, file_sha256, url, filename, uploaded_by_name, created_at)
+SELECT id, lead_id, COALESCE(stored_sha256, CASE WHEN content IS NOT NULL THEN encode(sha256(content), 'hex') END), url, filename, uploaded_by_name, created_at
+FROM legacy_attachments
+ON CONFLICT (id) DO NOTHING;
+
+DROP FUNCTION pg_temp.try_jsonb(TEXT);
+DROP FUNCTION pg_temp.try_timestamptz(TEXT);
+DROP FUNCTION pg_temp.try_base64(TEXT);
+
+ALTER TABLE leads DROP COLUMN contracts;
+
+-- migrate:down
+
+-- 已寫入儲存空間的檔案無法在 SQL 內讀回，data 改為下載路徑並保留檔案位置，再次套用時會重新連結；
+-- 尚未搬移的檔案還原成 data URL
+ALTER TABLE leads ADD COLUMN contracts JSONB;
+
+UPDATE leads l SET contracts = (
+  SELECT jsonb_agg(jsonb_build_object(
+    'id', a.id,
+    'filename', a.filename,
+    'data', CASE
+      WHEN a.url IS NOT NULL THEN a.url
+      WHEN f.pending_content IS NOT NULL THEN 'data:' || f.mime_type || ';base64,' || translate(encode(f.pending_content, 'base64'), E'\n', '')
+      ELSE '/api/leads/' || a.lead_id || '/attachments/' || a.id
+    END,
+    'uploaded_by', a.uploaded_by_name,
+    'uploaded_at', to_char(a.created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"')
+  ) || CASE WHEN f.storage_key IS NOT NULL AND f.pending_content IS NULL THEN jsonb_build_object(
+    'sha256', f.sha256,
+    'size', f.size::text,
+    'mime_type', f.mime_type,
+    'storage_driver', f.storage_driver,
+    'storage_key', f.storage_key
+  ) ELSE '{}'::jsonb END ORDER BY a.created_at, a.id)
+  FROM lead_attachments a
+  LEFT JOIN stored_files f ON f.sha256 = a.file_sha256
+  WHERE a.lead_id = l.id
+);
+
+DROP TABLE IF EXISTS lead_attachments;
+DROP TABLE IF EXISTS stored_files;
@@ -0,0 +1,23 @@
+-- 案件版本號（樂觀鎖）：每次修改案件都加一，包含新增進度、帳務和附件（它們會更新 leads.updated_at）
+-- 更新時帶 If-Match 或 expected_version，版本不符代表資料已被別人修改
+
+-- migrate:up
+
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+CREATE OR REPLACE FUNCTION increment_lead_version() RETURNS TRIGGER AS $$
+BEGIN
+  NEW.version = OLD.version + 1;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS increment_leads_version ON leads;
+CREATE TRIGGER increment_leads_version BEFORE UPDATE ON leads
+  FOR EACH ROW EXECUTE FUNCTION increment_lead_version();
+
+-- migrate:down
+
+DROP TRIGGER IF EXISTS increment_leads_version ON leads;
+DROP FUNCTION IF EXISTS increment_lead_version();
+ALTER TABLE leads DROP COLUMN IF EXISTS version;
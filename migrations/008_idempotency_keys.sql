@@ -0,0 +1,23 @@
+-- AI 助理寫入請求的冪等鍵（Idempotency-Key 標頭）
+-- 保存第一次的回應，逾時重試時直接回傳，不會重複匯入案件或重複記帳
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  scope TEXT NOT NULL,
+  idempotency_key TEXT NOT NULL,
+  request_hash TEXT NOT NULL,
+  method TEXT NOT NULL,
+  path TEXT NOT NULL,
+  status_code INTEGER,
+  response_body JSON, -- 保留原始順序，重送的回應和第一次完全相同
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  PRIMARY KEY (scope, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created ON idempotency_keys(created_at);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS idempotency_keys;
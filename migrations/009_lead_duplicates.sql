@@ -0,0 +1,43 @@
+-- 重複案件偵測：電話、Email、平台客戶 ID 的比對索引，需求文字的相似度
+-- 合併後被併入的案件移到垃圾桶，merged_into 指向保留的案件
+
+-- migrate:up
+
+-- 電話只比對數字，台灣國碼 886 換成 0（+886 912-345-678 與 0912345678 視為相同），太短的號碼不比對
+CREATE OR REPLACE FUNCTION normalize_phone(input TEXT) RETURNS TEXT AS $$
+  SELECT CASE
+    WHEN digits ~ '^886\d{8,10}$' THEN '0' || substr(digits, 4)
+    WHEN char_length(digits) >= 6 THEN digits
+  END
+  FROM (SELECT regexp_replace(COALESCE(input, ''), '\D', '', 'g') AS digits) d
+$$ LANGUAGE SQL IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION normalize_email(input TEXT) RETURNS TEXT AS $$
+  SELECT NULLIF(lower(btrim(input)), '')
+$$ LANGUAGE SQL IMMUTABLE;
+
+-- 文字相似度（0～1）：斷詞方式同全文搜尋，取詞集合的 Dice 係數
+CREATE OR REPLACE FUNCTION text_similarity(a TEXT, b TEXT) RETURNS REAL AS $$
+  SELECT CASE WHEN cardinality(ta) + cardinality(tb) = 0 THEN 0
+    ELSE 2.0 * cardinality(ARRAY(SELECT unnest(ta) INTERSECT SELECT unnest(tb))) / (cardinality(ta) + cardinality(tb))
+  END
+  FROM (SELECT search_tokens(a, true) AS ta, search_tokens(b, true) AS tb) t
+$$ LANGUAGE SQL IMMUTABLE;
+
+CREATE INDEX IF NOT EXISTS idx_leads_phone_normalized ON leads(normalize_phone(phone)) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_leads_email_normalized ON leads(normalize_email(email)) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_leads_platform_id ON leads(platform, lower(btrim(platform_id))) WHERE deleted_at IS NULL;
+
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS merged_into TEXT REFERENCES leads(id) ON DELETE SET NULL;
+
+-- migrate:down
+
+ALTER TABLE leads DROP COLUMN IF EXISTS merged_into;
+
+DROP INDEX IF EXISTS idx_leads_platform_id;
+DROP INDEX IF EXISTS idx_leads_email_normalized;
+DROP INDEX IF EXISTS idx_leads_phone_normalized;
+
+DROP FUNCTION IF EXISTS text_similarity(TEXT, TEXT);
+DROP FUNCTION IF EXISTS normalize_email(TEXT);
+DROP FUNCTION IF EXISTS normalize_phone(TEXT);
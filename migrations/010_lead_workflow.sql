@@ -0,0 +1,75 @@
+-- 案件狀態流程：status / decision 可用的值、允許的轉換、轉換時必填的欄位與自動寫入的欄位
+-- 預設流程對應原本前端的狀態清單，管理員可以用 PUT /api/lead-workflow/:field 修改
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS lead_workflow_states (
+  field TEXT NOT NULL CHECK (field IN ('status', 'decision')),
+  value TEXT NOT NULL,
+  label TEXT,
+  -- 新增案件時只能使用起始狀態
+  is_initial BOOLEAN NOT NULL DEFAULT false,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (field, value)
+);
+
+-- effects：轉換時一併寫入的欄位，值可以是固定值或 $actor.uid、$actor.name、$now
+CREATE TABLE IF NOT EXISTS lead_workflow_transitions (
+  field TEXT NOT NULL,
+  from_value TEXT NOT NULL,
+  to_value TEXT NOT NULL,
+  label TEXT,
+  required_fields TEXT[] NOT NULL DEFAULT '{}',
+  effects JSONB NOT NULL DEFAULT '{}',
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (field, from_value, to_value),
+  FOREIGN KEY (field, from_value) REFERENCES lead_workflow_states(field, value) ON DELETE CASCADE,
+  FOREIGN KEY (field, to_value) REFERENCES lead_workflow_states(field, value) ON DELETE CASCADE,
+  CHECK (from_value <> to_value)
+);
+
+INSERT INTO lead_workflow_states (field, value, label, is_initial, sort_order) VALUES
+  ('status', '待匯入', '待匯入', true, 1),
+  ('status', '待篩選', '待篩選', true, 2),
+  ('status', '已接洽', '已接洽', false, 3),
+  ('status', '報價中', '報價中', false, 4),
+  ('status', '製作中', '製作中', false, 5),
+  ('status', '已成交', '已成交', false, 6),
+  ('status', '已結案', '已結案', false, 7),
+  ('status', '已拒絕', '已拒絕', false, 8),
+  ('status', '取消', '取消', false, 9),
+  ('decision', 'pending', '待決定', true, 1),
+  ('decision', 'accept', '接案', false, 2),
+  ('decision', 'reject', '不接', false, 3)
+ON CONFLICT (field, value) DO NOTHING;
+
+INSERT INTO lead_workflow_transitions (field, from_value, to_value, label, required_fields, effects, sort_order) VALUES
+  ('status', '待匯入', '待篩選', '匯入完成', '{}', '{}', 1),
+  ('status', '待匯入', '取消', '取消', '{}', '{}', 2),
+  ('status', '待篩選', '已接洽', '開始接洽', '{}', '{}', 3),
+  ('status', '待篩選', '已拒絕', '拒絕', '{reject_reason}', '{}', 4),
+  ('status', '待篩選', '取消', '取消', '{}', '{}', 5),
+  ('status', '已接洽', '報價中', '報價', '{}', '{}', 6),
+  ('status', '已接洽', '已拒絕', '拒絕', '{reject_reason}', '{}', 7),
+  ('status', '已接洽', '取消', '取消', '{}', '{}', 8),
+  ('status', '報價中', '已接洽', '退回洽談', '{}', '{}', 9),
+  ('status', '報價中', '製作中', '開始製作', '{}', '{}', 10),
+  ('status', '報價中', '已拒絕', '拒絕', '{reject_reason}', '{}', 11),
+  ('status', '報價中', '取消', '取消', '{}', '{}', 12),
+  ('status', '製作中', '已成交', '成交', '{}', '{}', 13),
+  ('status', '製作中', '取消', '取消', '{}', '{}', 14),
+  ('status', '已成交', '已結案', '結案', '{}', '{}', 15),
+  ('status', '已拒絕', '待篩選', '重新評估', '{}', '{}', 16),
+  ('status', '取消', '待篩選', '重新開啟', '{}', '{}', 17),
+  ('decision', 'pending', 'accept', '接案', '{}', '{"decision_by": "$actor.name"}', 1),
+  ('decision', 'pending', 'reject', '不接', '{reject_reason}', '{"decision_by": "$actor.name"}', 2),
+  ('decision', 'accept', 'reject', '改為不接', '{reject_reason}', '{"decision_by": "$actor.name"}', 3),
+  ('decision', 'reject', 'accept', '改為接案', '{}', '{"decision_by": "$actor.name"}', 4),
+  ('decision', 'accept', 'pending', '重新審核', '{}', '{"decision_by": null}', 5),
+  ('decision', 'reject', 'pending', '重新審核', '{}', '{"decision_by": null}', 6)
+ON CONFLICT (field, from_value, to_value) DO NOTHING;
+
+-- migrate:down
+
+DROP TABLE IF EXISTS lead_workflow_transitions;
+DROP TABLE IF EXISTS lead_workflow_states;
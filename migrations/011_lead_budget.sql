@@ -0,0 +1,59 @@
+-- budget_text 解析後的預算區間，用來篩選與排序
+-- 解析在伺服器端進行（國字數字、萬／千／k、區間、以上／以下），遷移完成後伺服器會補齊既有案件
+-- budget_confidence 為 NULL 代表還沒解析
+
+-- migrate:up
+
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS budget_min NUMERIC(14, 2);
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS budget_max NUMERIC(14, 2);
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS budget_currency TEXT;
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS budget_confidence TEXT CHECK (budget_confidence IN ('high', 'medium', 'low', 'none'));
+
+CREATE INDEX IF NOT EXISTS idx_leads_budget_min ON leads(budget_min) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_leads_budget_max ON leads(budget_max) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_leads_budget_unparsed ON leads(id) WHERE budget_confidence IS NULL;
+
+-- 補齊衍生欄位不算修改案件：交易內 SET LOCAL caseflow.skip_touch = 'on' 時不更新 updated_at 與 version
+CREATE OR REPLACE FUNCTION update_updated_at_column() RETURNS TRIGGER AS $$
+BEGIN
+  IF current_setting('caseflow.skip_touch', true) = 'on' THEN
+    RETURN NEW;
+  END IF;
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION increment_lead_version() RETURNS TRIGGER AS $$
+BEGIN
+  IF current_setting('caseflow.skip_touch', true) = 'on' THEN
+    RETURN NEW;
+  END IF;
+  NEW.version = OLD.version + 1;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- migrate:down
+
+CREATE OR REPLACE FUNCTION update_updated_at_column() RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION increment_lead_version() RETURNS TRIGGER AS $$
+BEGIN
+  NEW.version = OLD.version + 1;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP INDEX IF EXISTS idx_leads_budget_min;
+DROP INDEX IF EXISTS idx_leads_budget_max;
+DROP INDEX IF EXISTS idx_leads_budget_unparsed;
+ALTER TABLE leads DROP COLUMN IF EXISTS budget_min;
+ALTER TABLE leads DROP COLUMN IF EXISTS budget_max;
+ALTER TABLE leads DROP COLUMN IF EXISTS budget_currency;
+ALTER TABLE leads DROP COLUMN IF EXISTS budget_confidence;
@@ -0,0 +1,37 @@
+-- 案件標籤：標籤目錄（名稱、顏色、分類）與案件的多對多關聯
+-- 名稱不分大小寫不可重複，刪除標籤時一併移除案件上的標籤
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS tags (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  color TEXT NOT NULL DEFAULT '#9E9E9E' CHECK (color ~ '^#[0-9A-Fa-f]{6}$'),
+  category TEXT,
+  description TEXT,
+  created_by TEXT,
+  created_by_name TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tags_name ON tags(lower(name));
+
+DROP TRIGGER IF EXISTS update_tags_updated_at ON tags;
+CREATE TRIGGER update_tags_updated_at BEFORE UPDATE ON tags
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS lead_tags (
+  lead_id TEXT NOT NULL REFERENCES leads(id) ON DELETE CASCADE,
+  tag_id TEXT NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (lead_id, tag_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_tags_tag ON lead_tags(tag_id, lead_id);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS lead_tags;
+DROP TABLE IF EXISTS tags;
@@ -0,0 +1,60 @@
+-- 案件待辦（回電、寄報價等提醒）：期限、負責人、狀態與重複規則
+-- 重複的待辦完成後由伺服器建立下一次；「直到客戶回覆」的待辦在 contact_status 改為已回覆／已聯繫時自動取消
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS lead_tasks (
+  id TEXT PRIMARY KEY,
+  lead_id TEXT NOT NULL REFERENCES leads(id) ON DELETE CASCADE,
+  title TEXT NOT NULL,
+  note TEXT,
+  due_at TIMESTAMPTZ NOT NULL,
+  assigned_to TEXT,
+  assigned_to_name TEXT,
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'done', 'cancelled')),
+  -- 每隔幾天重複一次；until_replied 為客戶回覆後停止，end_at 之後不再建立
+  recurrence_days INTEGER CHECK (recurrence_days BETWEEN 1 AND 365),
+  recurrence_until_replied BOOLEAN NOT NULL DEFAULT false,
+  recurrence_end_at TIMESTAMPTZ,
+  previous_task_id TEXT REFERENCES lead_tasks(id) ON DELETE SET NULL,
+  closed_at TIMESTAMPTZ,
+  closed_by TEXT,
+  closed_by_name TEXT,
+  -- completed、cancelled 或 replied（客戶已回覆，自動取消）
+  close_reason TEXT,
+  close_note TEXT,
+  progress_update_id TEXT REFERENCES lead_progress_updates(id) ON DELETE SET NULL,
+  created_by TEXT,
+  created_by_name TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_tasks_lead ON lead_tasks(lead_id, due_at);
+CREATE INDEX IF NOT EXISTS idx_lead_tasks_open_due ON lead_tasks(assigned_to, due_at) WHERE status = 'open';
+
+DROP TRIGGER IF EXISTS update_lead_tasks_updated_at ON lead_tasks;
+CREATE TRIGGER update_lead_tasks_updated_at BEFORE UPDATE ON lead_tasks
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- 與 server.js 的 TASK_REPLIED_CONTACT_STATUSES 相同
+CREATE OR REPLACE FUNCTION close_replied_lead_tasks() RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.contact_status IN ('已回覆', '已聯繫') AND NEW.contact_status IS DISTINCT FROM OLD.contact_status THEN
+    UPDATE lead_tasks
+    SET status = 'cancelled', closed_at = NOW(), close_reason = 'replied'
+    WHERE lead_id = NEW.id AND status = 'open' AND recurrence_until_replied;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS close_replied_lead_tasks ON leads;
+CREATE TRIGGER close_replied_lead_tasks AFTER UPDATE OF contact_status ON leads
+  FOR EACH ROW EXECUTE FUNCTION close_replied_lead_tasks();
+
+-- migrate:down
+
+DROP TRIGGER IF EXISTS close_replied_lead_tasks ON leads;
+DROP FUNCTION IF EXISTS close_replied_lead_tasks();
+DROP TABLE IF EXISTS lead_tasks;
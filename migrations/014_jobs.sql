@@ -0,0 +1,57 @@
+-- 背景工作：排程（cron）、執行紀錄、失敗重試
+-- jobs 由伺服器啟動時依程式內的定義補上，管理員可以修改排程與啟用狀態
+-- 多個實例共用同一份佇列：排程到期時以 (job_name, scheduled_for) 唯一索引去重，
+-- 領取工作用 FOR UPDATE SKIP LOCKED，同一個工作同時只會有一筆執行中
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS jobs (
+  name TEXT PRIMARY KEY,
+  -- cron 五欄位（分 時 日 月 星期），NULL 代表只能手動執行
+  schedule TEXT,
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  max_attempts INTEGER NOT NULL DEFAULT 3 CHECK (max_attempts BETWEEN 1 AND 20),
+  -- 第 n 次失敗後等 backoff_seconds * 2^(n-1) 秒再重試
+  backoff_seconds INTEGER NOT NULL DEFAULT 60 CHECK (backoff_seconds BETWEEN 1 AND 86400),
+  -- 執行中的實例每隔一段時間延長租約，超過租約沒有延長視為中斷（實例當機），交給其他實例重試
+  lease_seconds INTEGER NOT NULL DEFAULT 300 CHECK (lease_seconds BETWEEN 30 AND 86400),
+  next_run_at TIMESTAMPTZ,
+  updated_by TEXT,
+  updated_by_name TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS job_runs (
+  id TEXT PRIMARY KEY,
+  job_name TEXT NOT NULL REFERENCES jobs(name) ON DELETE CASCADE,
+  payload JSONB NOT NULL DEFAULT '{}',
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'succeeded', 'failed', 'cancelled')),
+  attempt INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 3,
+  -- 最早可以執行的時間，重試時往後延
+  run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  -- 排程產生的執行為排程時間，手動執行為 NULL
+  scheduled_for TIMESTAMPTZ,
+  started_at TIMESTAMPTZ,
+  finished_at TIMESTAMPTZ,
+  locked_by TEXT,
+  locked_until TIMESTAMPTZ,
+  result JSONB,
+  error TEXT,
+  retry_of TEXT REFERENCES job_runs(id) ON DELETE SET NULL,
+  triggered_by TEXT,
+  triggered_by_name TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_job_runs_schedule ON job_runs(job_name, scheduled_for);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_job_runs_one_running ON job_runs(job_name) WHERE status = 'running';
+CREATE INDEX IF NOT EXISTS idx_job_runs_queued ON job_runs(run_at) WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS idx_job_runs_lease ON job_runs(locked_until) WHERE status = 'running';
+CREATE INDEX IF NOT EXISTS idx_job_runs_job ON job_runs(job_name, created_at DESC);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS job_runs;
+DROP TABLE IF EXISTS jobs;
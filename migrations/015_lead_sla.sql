@@ -0,0 +1,144 @@
+-- 案件狀態時間與 SLA：status / decision / contact_status 每次變更都記錄在 lead_status_history，
+-- leads 上保留目前狀態的開始時間、第一次聯繫與第一次決定的時間，SLA 門檻設定在 lead_workflow_states.sla_hours
+-- 由觸發器記錄，不論從 PUT /api/leads/:id、/api/ai/update、批次操作或其他路徑修改都會留下紀錄
+-- 既有案件從審計紀錄補上歷程，沒有紀錄的以建立時間當作進入目前狀態的時間
+-- 第一次聯繫、第一次決定只記錄實際看到的轉換；建立時就已聯繫或已決定的案件（/api/migrate、AI 匯入）時間不明，保留 NULL
+
+-- migrate:up
+
+ALTER TABLE lead_workflow_states ADD COLUMN IF NOT EXISTS sla_hours NUMERIC(8, 2) CHECK (sla_hours > 0);
+
+-- 預設門檻：待篩選一天內要處理，接洽與報價不要拖太久；其餘狀態沒有 SLA
+UPDATE lead_workflow_states SET sla_hours = v.hours
+FROM (VALUES ('待匯入', 2), ('待篩選', 24), ('已接洽', 72), ('報價中', 168)) AS v(value, hours)
+WHERE field = 'status' AND lead_workflow_states.value = v.value AND sla_hours IS NULL;
+
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMPTZ;
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS decision_changed_at TIMESTAMPTZ;
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS first_contacted_at TIMESTAMPTZ;
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS decided_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS lead_status_history (
+  id BIGSERIAL PRIMARY KEY,
+  lead_id TEXT NOT NULL REFERENCES leads(id) ON DELETE CASCADE,
+  field TEXT NOT NULL CHECK (field IN ('status', 'decision', 'contact_status')),
+  from_value TEXT,
+  to_value TEXT,
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_status_history_lead ON lead_status_history(lead_id, field, changed_at);
+
+-- 既有案件的歷程：審計紀錄中有變更 status / decision / contact_status 的紀錄
+INSERT INTO lead_status_history (lead_id, field, from_value, to_value, changed_at)
+SELECT a.lead_id, f.field, a.before ->> f.field, a.after ->> f.field, a.created_at
+FROM audit_logs a
+JOIN leads l ON l.id = a.lead_id
+CROSS JOIN (VALUES ('status'), ('decision'), ('contact_status')) AS f(field)
+WHERE a.entity_type = 'lead' AND a.created_at IS NOT NULL
+  AND jsonb_typeof(a.after) = 'object' AND a.after ? f.field
+  AND (CASE WHEN jsonb_typeof(a.before) = 'object' THEN a.before ->> f.field END) IS DISTINCT FROM (a.after ->> f.field)
+ORDER BY a.created_at;
+
+-- 審計紀錄沒有的欄位：以建立時間當作進入目前狀態的時間
+INSERT INTO lead_status_history (lead_id, field, from_value, to_value, changed_at)
+SELECT l.id, f.field, NULL, f.value, COALESCE(l.created_at, NOW())
+FROM leads l
+CROSS JOIN LATERAL (VALUES ('status', l.status), ('decision', l.decision), ('contact_status', l.contact_status)) AS f(field, value)
+WHERE f.value IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM lead_status_history h WHERE h.lead_id = l.id AND h.field = f.field);
+
+-- 補值不算修改案件（不更新 updated_at、version）
+SET LOCAL caseflow.skip_touch = 'on';
+
+UPDATE leads l SET
+  status_changed_at = COALESCE(
+    (SELECT MAX(h.changed_at) FROM lead_status_history h WHERE h.lead_id = l.id AND h.field = 'status'),
+    l.created_at, NOW()
+  ),
+  decision_changed_at = COALESCE(
+    (SELECT MAX(h.changed_at) FROM lead_status_history h WHERE h.lead_id = l.id AND h.field = 'decision'),
+    l.created_at, NOW()
+  ),
+  -- 只算從「未回覆」／pending 離開的轉換；每個案件該欄位的第一筆歷程若沒有 from_value，
+  -- 是建立案件（或上面以建立時間補上）的紀錄，不算轉換
+  first_contacted_at = (
+    SELECT MIN(h.changed_at) FROM lead_status_history h
+    WHERE h.lead_id = l.id AND h.field = 'contact_status'
+      AND COALESCE(h.to_value, '未回覆') <> '未回覆' AND COALESCE(h.from_value, '未回覆') = '未回覆'
+      AND (h.from_value IS NOT NULL OR EXISTS (
+        SELECT 1 FROM lead_status_history p
+        WHERE p.lead_id = h.lead_id AND p.field = h.field AND (p.changed_at, p.id) < (h.changed_at, h.id)
+      ))
+  ),
+  decided_at = (
+    SELECT MIN(h.changed_at) FROM lead_status_history h
+    WHERE h.lead_id = l.id AND h.field = 'decision'
+      AND COALESCE(h.to_value, 'pending') <> 'pending' AND COALESCE(h.from_value, 'pending') = 'pending'
+      AND (h.from_value IS NOT NULL OR EXISTS (
+        SELECT 1 FROM lead_status_history p
+        WHERE p.lead_id = h.lead_id AND p.field = h.field AND (p.changed_at, p.id) < (h.changed_at, h.id)
+      ))
+  );
+
+-- 第一次聯繫：contact_status 離開「未回覆」；第一次決定：decision 離開 pending
+-- 狀態開始時間在新增時以建立時間為準（/api/migrate 匯入的舊案件保留原本的建立時間）；
+-- 第一次聯繫、決定在新增時不補，建立前什麼時候聯繫、決定的並不知道
+CREATE OR REPLACE FUNCTION track_lead_status_times() RETURNS TRIGGER AS $$
+DECLARE
+  change_time TIMESTAMPTZ := CASE WHEN TG_OP = 'INSERT' THEN COALESCE(NEW.created_at, NOW()) ELSE NOW() END;
+BEGIN
+  IF TG_OP = 'INSERT' OR NEW.status IS DISTINCT FROM OLD.status THEN
+    NEW.status_changed_at := change_time;
+  END IF;
+  IF TG_OP = 'INSERT' OR NEW.decision IS DISTINCT FROM OLD.decision THEN
+    NEW.decision_changed_at := change_time;
+  END IF;
+  IF TG_OP = 'UPDATE' AND NEW.first_contacted_at IS NULL
+     AND COALESCE(NEW.contact_status, '未回覆') <> '未回覆' AND COALESCE(OLD.contact_status, '未回覆') = '未回覆' THEN
+    NEW.first_contacted_at := change_time;
+  END IF;
+  IF TG_OP = 'UPDATE' AND NEW.decided_at IS NULL
+     AND COALESCE(NEW.decision, 'pending') <> 'pending' AND COALESCE(OLD.decision, 'pending') = 'pending' THEN
+    NEW.decided_at := change_time;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS track_lead_status_times ON leads;
+CREATE TRIGGER track_lead_status_times BEFORE INSERT OR UPDATE OF status, decision, contact_status ON leads
+  FOR EACH ROW EXECUTE FUNCTION track_lead_status_times();
+
+-- 歷程在 AFTER 觸發器寫入（BEFORE INSERT 時案件還不存在，外鍵會失敗）
+CREATE OR REPLACE FUNCTION record_lead_status_history() RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO lead_status_history (lead_id, field, from_value, to_value, changed_at)
+  SELECT NEW.id, f.field, f.from_value, f.to_value,
+         CASE WHEN TG_OP = 'INSERT' THEN COALESCE(NEW.created_at, NOW()) ELSE NOW() END
+  FROM (VALUES
+    ('status', CASE WHEN TG_OP = 'UPDATE' THEN OLD.status END, NEW.status),
+    ('decision', CASE WHEN TG_OP = 'UPDATE' THEN OLD.decision END, NEW.decision),
+    ('contact_status', CASE WHEN TG_OP = 'UPDATE' THEN OLD.contact_status END, NEW.contact_status)
+  ) AS f(field, from_value, to_value)
+  WHERE f.to_value IS DISTINCT FROM f.from_value;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS record_lead_status_history ON leads;
+CREATE TRIGGER record_lead_status_history AFTER INSERT OR UPDATE OF status, decision, contact_status ON leads
+  FOR EACH ROW EXECUTE FUNCTION record_lead_status_history();
+
+-- migrate:down
+
+DROP TRIGGER IF EXISTS record_lead_status_history ON leads;
+DROP FUNCTION IF EXISTS record_lead_status_history();
+DROP TRIGGER IF EXISTS track_lead_status_times ON leads;
+DROP FUNCTION IF EXISTS track_lead_status_times();
+DROP TABLE IF EXISTS lead_status_history;
+ALTER TABLE leads DROP COLUMN IF EXISTS status_changed_at;
+ALTER TABLE leads DROP COLUMN IF EXISTS decision_changed_at;
+ALTER TABLE leads DROP COLUMN IF EXISTS first_contacted_at;
+ALTER TABLE leads DROP COLUMN IF EXISTS decided_at;
+ALTER TABLE lead_workflow_states DROP COLUMN IF EXISTS sla_hours;
@@ -0,0 +1,9 @@
+-- 冪等鍵一併保存回應標頭（目前是 ETag），重送時和第一次的回應相同
+
+-- migrate:up
+
+ALTER TABLE idempotency_keys ADD COLUMN IF NOT EXISTS response_headers JSONB;
+
+-- migrate:down
+
+ALTER TABLE idempotency_keys DROP COLUMN IF EXISTS response_headers;
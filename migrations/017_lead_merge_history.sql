@@ -0,0 +1,10 @@
+-- 合併案件時狀態歷程跟著移到保留的案件，merged_from 記錄原本屬於哪個案件，
+-- 計算停留時間時各自分開（不會把被併入案件的最後一筆算到保留案件的下一筆）
+
+-- migrate:up
+
+ALTER TABLE lead_status_history ADD COLUMN IF NOT EXISTS merged_from TEXT;
+
+-- migrate:down
+
+ALTER TABLE lead_status_history DROP COLUMN IF EXISTS merged_from;
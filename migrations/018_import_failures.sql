@@ -0,0 +1,28 @@
+-- AI 批次匯入（POST /api/ai/import）失敗的項目：保存原始資料，由背景工作 imports.retry 重跑
+-- 疑似重複（strict=true）不算失敗，不會保存
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS import_failures (
+  id TEXT PRIMARY KEY,
+  -- 送進來的原始項目，重跑時原樣再匯入一次
+  payload JSONB NOT NULL,
+  error TEXT NOT NULL,
+  code TEXT,
+  fields JSONB,
+  -- pending：等待重跑；succeeded：重跑成功（lead_id 為建立的案件）；failed：達到重試上限或重跑時疑似重複
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 1,
+  lead_id TEXT REFERENCES leads(id) ON DELETE SET NULL,
+  created_by TEXT,
+  created_by_name TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  resolved_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_import_failures_status ON import_failures(status, created_at);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS import_failures;
@@ -7,16 +7,36 @@
 
 const express = require('express');
 const cors = require('cors');
-const { Pool } = require('pg');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const { AsyncLocalStorage } = require('async_hooks');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const Busboy = require('busboy');
+const { Pool, types } = require('pg');
+
+// DATE 欄位維持 'YYYY-MM-DD' 字串，不轉成伺服器時區的 Date
+types.setTypeParser(types.builtins.DATE, value => value);
 
 const app = express();
 const port = process.env.PORT || 3001;
 
+// `node server.js migrate ...` 只執行資料庫遷移，不啟動 HTTP 服務
+const IS_MIGRATION_CLI = process.argv[2] === 'migrate';
+
+// Zeabur 在反向代理後面，req.ip 要從 X-Forwarded-For 取得（登入節流依賴它）
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS || '1'));
+
 // 中間件 - CORS 配置（支援 Safari 和所有瀏覽器）
 app.use(cors({
   origin: process.env.CORS_ORIGIN || '*', // 允許所有來源，或指定特定來源
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'If-Match', 'Idempotency-Key'],
+  exposedHeaders: ['ETag', 'Idempotent-Replayed'], // 前端讀取案件版本
   credentials: false, // Safari 需要明確設置
   optionsSuccessStatus: 200 // 支援舊版瀏覽器
 }));
@@ -24,9 +44,13 @@ app.use(cors({
 // 處理 OPTIONS 預檢請求（Safari 需要）
 app.options('*', cors());
 
-// 增加請求體大小限制到 50MB（用於遷移大量資料，包含 base64 圖片）
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+// 請求體大小限制：附件改用 multipart 上傳，一般 JSON 請求不需要大的上限
+// 案件與 AI 路徑仍接受 base64 附件（單檔預設 10MB，base64 後約 13.4MB），/api/migrate 一次匯入整批舊資料
+// 先套用的 parser 讀完請求體後，後面的 parser 會直接略過
+app.use('/api/migrate', express.json({ limit: '50mb' }));
+app.use(['/api/leads', '/api/ai'], express.json({ limit: '15mb' }));
+app.use(express.json({ limit: '1mb' }));
+app.use(express.urlencoded({ extended: true, limit: '1mb' }));
 
 // PostgreSQL 連接池配置函數
 const getDbConfig = () => {
@@ -112,6 +136,7 @@ pool.on('error', (err) => {
 
 // 啟動時測試連接
 setTimeout(() => {
+  if (IS_MIGRATION_CLI) return;
   pool.query('SELECT NOW()')
     .then(() => {
       console.log('✅ PostgreSQL 連接測試成功');
@@ -123,6 +148,7 @@ setTimeout(() => {
         hasPassword: !!dbConfig.password,
         ssl: dbConfig.ssl ? '啟用' : '停用'
       });
+      return ensureSchema().then(startJobWorker);
     })
     .catch((err) => {
       console.error('❌ PostgreSQL 連接測試失敗:', err.message);
@@ -139,765 +165,7810 @@ setTimeout(() => {
     });
 }, 2000); // 延遲 2 秒，確保環境變數已載入
 
-// ==================== 使用者 API ====================
-
-// 獲取所有使用者
-app.get('/api/users', async (req, res) => {
-  try {
-    const result = await pool.query('SELECT * FROM users ORDER BY created_at DESC');
-    const users = {};
-    result.rows.forEach(row => {
-      // 安全地獲取 is_online 和 last_seen（如果字段不存在則為 undefined）
-      const isOnline = row.hasOwnProperty('is_online') ? (row.is_online || false) : false;
-      const lastSeen = row.hasOwnProperty('last_seen') && row.last_seen 
-        ? new Date(row.last_seen).toISOString() 
-        : null;
-      
-      users[row.id] = {
-        uid: row.id,
-        email: row.email,
-        displayName: row.display_name,
-        role: row.role,
-        avatar: row.avatar,
-        status: row.status,
-        createdAt: row.created_at,
-        isActive: row.is_active !== false, // 預設為啟用
-        isOnline: isOnline, // 在線狀態
-        lastSeen: lastSeen // 最後上線時間
-      };
-    });
-    
-    const onlineCount = Object.values(users).filter(u => u.isOnline).length;
-    console.log(`📊 獲取用戶列表: 總共 ${result.rows.length} 個用戶，${onlineCount} 個在線`);
-    
-    // 調試：檢查每個用戶的資料（包括資料庫原始值）
-    result.rows.forEach(row => {
-      const user = users[row.id];
-      console.log(`  - ${user.displayName}: 在線=${user.isOnline} (資料庫: ${row.is_online}), 頭貼=${user.avatar ? `有(${Math.round(user.avatar.length / 1024)}KB)` : '無'}, 狀態=${user.status || '無'}, last_seen=${row.last_seen || 'null'}`);
+// ==================== 資料庫遷移 ====================
+
+// 遷移檔放在 migrations/，檔名格式 <版本>_<名稱>.sql，依版本號由小到大執行
+// 檔案內用 `-- migrate:up` / `-- migrate:down` 分段；沒有分段標記時整個檔案都是 up
+// 已套用的遷移檔不可再修改（會比對 checksum），要調整結構請新增下一個版本
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.sql$/;
+const MIGRATION_SECTION_PATTERN = /^--\s*migrate:(up|down)\s*$/gm;
+// 多個實例同時啟動時，用 advisory lock 確保只有一個在執行遷移
+const MIGRATION_LOCK_KEY = 7230901;
+
+const migrationError = (message, code) => Object.assign(new Error(message), { code });
+
+// 去掉註解和空白後沒有內容，視為空的段落
+const isEmptySql = (sql) => !sql || sql.replace(/--.*$/gm, '').trim() === '';
+
+const parseMigrationFile = (fileName, content) => {
+  const [, version, name] = fileName.match(MIGRATION_FILE_PATTERN);
+  const normalized = content.replace(/\r\n/g, '\n');
+  const sections = { up: null, down: null };
+  const markers = [...normalized.matchAll(MIGRATION_SECTION_PATTERN)];
+
+  if (markers.length === 0) {
+    sections.up = normalized;
+  } else {
+    markers.forEach((marker, i) => {
+      const start = marker.index + marker[0].length;
+      const end = i + 1 < markers.length ? markers[i + 1].index : normalized.length;
+      sections[marker[1]] = normalized.slice(start, end);
     });
-    
-    res.json(users);
-  } catch (error) {
-    console.error('獲取使用者失敗:', error);
-    console.error('錯誤詳情:', error.message, error.stack);
-    
-    // 如果錯誤是因為字段不存在，提供明確的提示
-    if (error.message && error.message.includes('is_online')) {
-      res.status(500).json({ 
-        error: '資料庫字段缺失',
-        details: '請執行資料庫遷移腳本添加 is_online 和 last_seen 字段',
-        hint: '執行 scripts/add-online-status-columns.sql'
-      });
-    } else {
-      res.status(500).json({ 
-        error: '獲取使用者失敗',
-        details: error.message,
-        hint: '請檢查資料庫連接和表結構'
-      });
-    }
   }
-});
 
-// 創建使用者
-app.post('/api/users', async (req, res) => {
-  try {
-    const { uid, email, displayName, role, avatar, status, password } = req.body;
-    
-    if (!uid || !email || !displayName) {
-      return res.status(400).json({ error: '缺少必要欄位：uid, email, displayName' });
+  return {
+    version: parseInt(version, 10),
+    name,
+    fileName,
+    checksum: crypto.createHash('sha256').update(normalized).digest('hex'),
+    up: isEmptySql(sections.up) ? null : sections.up,
+    down: isEmptySql(sections.down) ? null : sections.down
+  };
+};
+
+const loadMigrations = () => {
+  if (!fs.existsSync(MIGRATIONS_DIR)) return [];
+
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(fileName => MIGRATION_FILE_PATTERN.test(fileName))
+    .map(fileName => parseMigrationFile(fileName, fs.readFileSync(path.join(MIGRATIONS_DIR, fileName), 'utf8')))
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw migrationError(`遷移版本號重複：${migrations[i - 1].fileName}、${migrations[i].fileName}`, 'MIGRATION_DUPLICATE_VERSION');
     }
+  }
+  return migrations;
+};
 
-    const now = new Date().toISOString();
-    const result = await pool.query(
-      `INSERT INTO users (id, email, display_name, role, avatar, status, created_at, is_active, is_online)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-       ON CONFLICT (id) DO UPDATE SET
-         email = EXCLUDED.email,
-         display_name = EXCLUDED.display_name,
-         role = EXCLUDED.role,
-         avatar = EXCLUDED.avatar,
-         status = EXCLUDED.status
-       RETURNING *`,
-      [
-        uid,
-        email,
-        displayName,
-        role || 'REVIEWER',
-        avatar || null,
-        status || null,
-        now,
-        true, // is_active
-        false // is_online
-      ]
-    );
+const ensureMigrationsTable = (client) => client.query(
+  `CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    checksum TEXT NOT NULL,
+    applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    execution_ms INTEGER
+  )`
+);
+
+// 比對遷移檔與 schema_migrations：applied / pending / modified（檔案被改過）/ missing（資料庫有紀錄但檔案不存在）
+const getMigrationStatus = async (client) => {
+  await ensureMigrationsTable(client);
+  const files = loadMigrations();
+  const result = await client.query('SELECT version, name, checksum, applied_at, execution_ms FROM schema_migrations ORDER BY version');
+  const applied = new Map(result.rows.map(row => [row.version, row]));
+
+  const migrations = files.map(file => {
+    const row = applied.get(file.version);
+    let state = 'pending';
+    if (row) state = row.checksum === file.checksum ? 'applied' : 'modified';
+    return {
+      version: file.version,
+      name: file.name,
+      state,
+      checksum: file.checksum,
+      reversible: !!file.down,
+      applied_at: row ? row.applied_at : null,
+      execution_ms: row ? row.execution_ms : null,
+      file
+    };
+  });
 
-    const row = result.rows[0];
-    res.json({
-      uid: row.id,
-      email: row.email,
-      displayName: row.display_name,
-      role: row.role,
-      avatar: row.avatar,
-      status: row.status,
-      createdAt: row.created_at,
-      isActive: row.is_active !== false,
-      isOnline: row.is_online || false,
-      lastSeen: row.last_seen ? new Date(row.last_seen).toISOString() : null
-    });
-  } catch (error) {
-    console.error('創建使用者失敗:', error);
-    res.status(500).json({ error: '創建使用者失敗', details: error.message });
+  const fileVersions = new Set(files.map(file => file.version));
+  result.rows
+    .filter(row => !fileVersions.has(row.version))
+    .forEach(row => migrations.push({
+      version: row.version,
+      name: row.name,
+      state: 'missing',
+      checksum: row.checksum,
+      reversible: false,
+      applied_at: row.applied_at,
+      execution_ms: row.execution_ms,
+      file: null
+    }));
+
+  return migrations.sort((a, b) => a.version - b.version);
+};
+
+const assertMigrationsUnmodified = (migrations) => {
+  const modified = migrations.filter(m => m.state === 'modified');
+  if (modified.length > 0) {
+    throw migrationError(
+      `已套用的遷移檔被修改過：${modified.map(m => m.file.fileName).join('、')}（請改用新的遷移檔調整結構）`,
+      'MIGRATION_CHECKSUM_MISMATCH'
+    );
   }
-});
+};
 
-// 獲取單個使用者
-app.get('/api/users/:uid', async (req, res) => {
+const withMigrationLock = async (fn) => {
+  const client = await pool.connect();
   try {
-    const result = await pool.query('SELECT * FROM users WHERE id = $1', [req.params.uid]);
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: '使用者不存在' });
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    try {
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
     }
-    const row = result.rows[0];
-    res.json({
-      uid: row.id,
-      email: row.email,
-      displayName: row.display_name,
-      role: row.role,
-      avatar: row.avatar,
-      status: row.status,
-      createdAt: row.created_at,
-      isActive: row.is_active !== false,
-      isOnline: row.is_online || false,
-      lastSeen: row.last_seen ? new Date(row.last_seen).toISOString() : null
-    });
-  } catch (error) {
-    console.error('獲取使用者失敗:', error);
-    res.status(500).json({ error: '獲取使用者失敗' });
+  } finally {
+    client.release();
   }
-});
+};
 
-// 更新使用者資料
-app.put('/api/users/:uid', async (req, res) => {
+// 每個遷移各自一個交易，失敗時整個版本回滾，不會留下一半的結構
+const runMigrationStep = async (client, migration, direction) => {
+  const startedAt = Date.now();
+  await client.query('BEGIN');
   try {
-    const { uid } = req.params;
-    const updates = req.body;
-    
-    console.log(`🔄 更新用戶資料: ${uid}`, {
-      displayName: updates.displayName !== undefined,
-      avatar: updates.avatar !== undefined ? (updates.avatar ? '有值' : '空') : '未提供',
-      status: updates.status !== undefined ? (updates.status || '空') : '未提供',
-      isOnline: updates.isOnline !== undefined ? (updates.isOnline ? '在線' : '離線') : '未提供',
-      lastSeen: updates.lastSeen !== undefined ? (updates.lastSeen || 'null') : '未提供'
-    });
-    
-    // 構建更新語句
-    const updateFields = [];
-    const values = [];
-    let paramIndex = 1;
-    
-    if (updates.displayName !== undefined) {
-      updateFields.push(`display_name = $${paramIndex++}`);
-      values.push(updates.displayName);
-    }
-    if (updates.email !== undefined) {
-      updateFields.push(`email = $${paramIndex++}`);
-      values.push(updates.email);
-    }
-    if (updates.role !== undefined) {
-      updateFields.push(`role = $${paramIndex++}`);
-      values.push(updates.role);
-    }
-    // avatar 和 status 需要明確處理，包括空字符串和 null
-    if (updates.avatar !== undefined) {
-      updateFields.push(`avatar = $${paramIndex++}`);
-      // 空字符串或 null 都設置為 null
-      values.push(updates.avatar && updates.avatar.trim() ? updates.avatar : null);
-    }
-    if (updates.status !== undefined) {
-      updateFields.push(`status = $${paramIndex++}`);
-      // 空字符串或 null 都設置為 null
-      values.push(updates.status && updates.status.trim() ? updates.status : null);
-    }
-    if (updates.isActive !== undefined) {
-      updateFields.push(`is_active = $${paramIndex++}`);
-      values.push(updates.isActive);
+    await client.query(migration[direction]);
+    if (direction === 'up') {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name, checksum, execution_ms) VALUES ($1, $2, $3, $4)',
+        [migration.version, migration.name, migration.checksum, Date.now() - startedAt]
+      );
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
     }
-    if (updates.isOnline !== undefined) {
-      updateFields.push(`is_online = $${paramIndex++}`);
-      values.push(updates.isOnline);
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw migrationError(`遷移 ${migration.fileName} (${direction}) 失敗：${err.message}`, 'MIGRATION_FAILED');
+  }
+  return Date.now() - startedAt;
+};
+
+// 套用所有尚未執行的遷移，回傳這次套用的版本
+const migrateUp = () => withMigrationLock(async (client) => {
+  const migrations = await getMigrationStatus(client);
+  assertMigrationsUnmodified(migrations);
+
+  migrations
+    .filter(m => m.state === 'missing')
+    .forEach(m => console.warn(`⚠️ 資料庫已套用遷移 ${m.version}_${m.name}，但找不到對應的遷移檔`));
+
+  const applied = [];
+  for (const { file } of migrations.filter(m => m.state === 'pending')) {
+    if (!file.up) continue;
+    const ms = await runMigrationStep(client, file, 'up');
+    console.log(`✅ 已套用遷移 ${file.fileName}（${ms}ms）`);
+    applied.push({ version: file.version, name: file.name, execution_ms: ms });
+  }
+  return applied;
+});
+
+// 依版本由新到舊回滾最近 steps 個已套用的遷移
+const migrateDown = (steps = 1) => withMigrationLock(async (client) => {
+  const migrations = await getMigrationStatus(client);
+  assertMigrationsUnmodified(migrations);
+
+  const targets = migrations
+    .filter(m => m.state !== 'pending')
+    .reverse()
+    .slice(0, steps);
+
+  const reverted = [];
+  for (const target of targets) {
+    if (!target.file) {
+      throw migrationError(`找不到遷移檔 ${target.version}_${target.name}，無法回滾`, 'MIGRATION_NOT_FOUND');
     }
-    if (updates.lastSeen !== undefined) {
-      updateFields.push(`last_seen = $${paramIndex++}`);
-      // 如果 lastSeen 為 null 或 undefined，設置為 null（清除時間戳）
-      values.push(updates.lastSeen ? new Date(updates.lastSeen) : null);
+    if (!target.file.down) {
+      throw migrationError(`遷移 ${target.file.fileName} 沒有 migrate:down 段落，無法回滾`, 'MIGRATION_IRREVERSIBLE');
     }
-    
-    // 如果設置為在線，清除 last_seen（設為 null）
-    if (updates.isOnline === true && updates.lastSeen === undefined) {
-      // 檢查是否已經有 last_seen 字段的更新
-      const hasLastSeenUpdate = updateFields.some(f => f.includes('last_seen'));
-      if (!hasLastSeenUpdate) {
-        updateFields.push(`last_seen = $${paramIndex++}`);
-        values.push(null);
-      }
+    const ms = await runMigrationStep(client, target.file, 'down');
+    console.log(`↩️ 已回滾遷移 ${target.file.fileName}（${ms}ms）`);
+    reverted.push({ version: target.version, name: target.name, execution_ms: ms });
+  }
+  return reverted;
+});
+
+const summarizeMigrations = (migrations) => migrations.map(({ file, ...migration }) => migration);
+
+// 啟動時自動套用遷移（設 MIGRATE_ON_STARTUP=false 可關閉，改用 npm run migrate 手動執行）
+const ensureSchema = async () => {
+  try {
+    if (process.env.MIGRATE_ON_STARTUP === 'false') {
+      console.log('⏭️ 已關閉啟動時自動遷移（MIGRATE_ON_STARTUP=false）');
+    } else {
+      const applied = await migrateUp();
+      console.log(applied.length > 0 ? `✅ 資料庫遷移完成，套用 ${applied.length} 個版本` : '✅ 資料庫結構已是最新版本');
     }
-    
-    if (updateFields.length === 0) {
-      return res.status(400).json({ error: '沒有提供更新字段' });
+    await ensureCaseCodeIndex();
+    await flushPendingFiles();
+    await backfillLeadBudgets();
+  } catch (err) {
+    console.error('❌ 資料庫遷移失敗:', err.message);
+  }
+};
+
+// 命令列：node server.js migrate [status|up|down [步數]]
+const runMigrationCli = async ([command = 'status', arg] = []) => {
+  if (command === 'up') {
+    const applied = await migrateUp();
+    if (applied.length === 0) console.log('✅ 沒有待套用的遷移');
+    await ensureCaseCodeIndex();
+    await flushPendingFiles();
+    await backfillLeadBudgets();
+  } else if (command === 'down') {
+    const steps = arg === undefined ? 1 : parseInt(arg, 10);
+    if (!Number.isInteger(steps) || steps < 1) {
+      throw migrationError(`回滾步數必須是正整數：${arg}`, 'MIGRATION_INVALID_ARGUMENT');
     }
-    
-    values.push(uid);
-    const query = `UPDATE users SET ${updateFields.join(', ')} WHERE id = $${paramIndex} RETURNING *`;
-    
-    console.log(`📝 執行 SQL: UPDATE users SET ... WHERE id = ${uid}`);
-    console.log(`📊 更新欄位:`, updateFields);
-    
-    const result = await pool.query(query, values);
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: '使用者不存在' });
+    const reverted = await migrateDown(steps);
+    if (reverted.length === 0) console.log('✅ 沒有可回滾的遷移');
+  } else if (command === 'status') {
+    const client = await pool.connect();
+    try {
+      const migrations = await getMigrationStatus(client);
+      if (migrations.length === 0) console.log('（沒有任何遷移檔）');
+      migrations.forEach(m => {
+        const appliedAt = m.applied_at ? new Date(m.applied_at).toISOString() : '';
+        console.log(`${m.state.padEnd(8)} ${String(m.version).padStart(3, '0')}_${m.name} ${appliedAt}`);
+      });
+    } finally {
+      client.release();
     }
-    
-    const row = result.rows[0];
-    console.log(`✅ 使用者 ${uid} 更新成功:`, {
-      displayName: row.display_name,
-      isOnline: row.is_online,
-      lastSeen: row.last_seen,
-      avatar: row.avatar ? '有頭貼' : '無頭貼',
-      status: row.status || '無狀態'
-    });
-    
-    res.json({
-      uid: row.id,
-      email: row.email,
-      displayName: row.display_name,
-      role: row.role,
-      avatar: row.avatar,
-      status: row.status,
-      createdAt: row.created_at,
-      isActive: row.is_active !== false,
-      isOnline: row.is_online || false,
-      lastSeen: row.last_seen ? new Date(row.last_seen).toISOString() : null
-    });
-  } catch (error) {
-    console.error('更新使用者失敗:', error);
-    res.status(500).json({ error: '更新使用者失敗', details: error.message });
+  } else {
+    throw migrationError(`未知的遷移指令：${command}（可用 status、up、down）`, 'MIGRATION_INVALID_ARGUMENT');
   }
-});
+};
 
-// ==================== 案件 API ====================
+// ==================== 審計紀錄 ====================
+
+// 請求範圍的狀態：committed 記錄這個請求是否已經有交易 commit（冪等鍵判斷 5xx 能不能重新執行）
+const requestContext = new AsyncLocalStorage();
 
-// 獲取所有案件
-app.get('/api/leads', async (req, res) => {
+// 在交易內執行 fn(client)，fn 丟錯時整筆回滾
+const withTransaction = async (fn) => {
+  const client = await pool.connect();
   try {
-    const result = await pool.query('SELECT * FROM leads ORDER BY created_at DESC');
-    console.log(`📊 /api/leads: 資料庫查詢結果，共 ${result.rows.length} 筆案件`);
-    const leads = result.rows.map(row => {
-      // 處理 JSONB 欄位
-      let progress_updates = [];
-      let change_history = [];
-      
-      try {
-        if (row.progress_updates) {
-          progress_updates = typeof row.progress_updates === 'string' 
-            ? JSON.parse(row.progress_updates) 
-            : row.progress_updates;
-          // 確保 progress_updates 是陣列
-          if (!Array.isArray(progress_updates)) {
-            console.warn('progress_updates 不是陣列，轉換為陣列');
-            progress_updates = [];
-          }
-          console.log(`📊 案件 ${row.id} 的進度更新: ${progress_updates.length} 筆`);
-        } else {
-          progress_updates = [];
-        }
-      } catch (e) {
-        console.warn('解析 progress_updates 失敗:', e);
-        progress_updates = [];
-      }
-      
-      try {
-        if (row.change_history) {
-          change_history = typeof row.change_history === 'string'
-            ? JSON.parse(row.change_history)
-            : row.change_history;
-        }
-      } catch (e) {
-        console.warn('解析 change_history 失敗:', e);
-      }
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    const context = requestContext.getStore();
+    if (context) context.committed = true;
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+};
 
-      // 處理成本記錄
-      let cost_records = [];
-      try {
-        if (row.cost_records) {
-          cost_records = typeof row.cost_records === 'string'
-            ? JSON.parse(row.cost_records)
-            : row.cost_records;
-          if (!Array.isArray(cost_records)) cost_records = [];
-        }
-      } catch (e) {
-        console.warn('解析 cost_records 失敗:', e);
-      }
+const AUDIT_OMITTED = '（內容省略）';
 
-      // 處理利潤記錄
-      let profit_records = [];
-      try {
-        if (row.profit_records) {
-          profit_records = typeof row.profit_records === 'string'
-            ? JSON.parse(row.profit_records)
-            : row.profit_records;
-          if (!Array.isArray(profit_records)) profit_records = [];
+// 不列入變更比對的欄位：updated_at、version 和狀態時間由觸發器維護，在線狀態是心跳更新
+const AUDIT_IGNORED_FIELDS = new Set([
+  'updated_at', 'version', 'status_changed_at', 'decision_changed_at', 'first_contacted_at', 'decided_at', 'is_online', 'last_seen'
+]);
+
+// 只記錄「有變更」，不保存內容（頭貼、雜湊值）
+const AUDIT_REDACTED_FIELDS = new Set(['avatar', 'key_hash', 'password_hash', 'token_hash']);
+
+const normalizeAuditValue = (field, value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (AUDIT_REDACTED_FIELDS.has(field)) return AUDIT_OMITTED;
+  // 附件的 base64 內容不寫進審計紀錄
+  if (field === 'contracts' && Array.isArray(value)) {
+    return value.map(item => item && item.data ? { ...item, data: AUDIT_OMITTED } : item);
+  }
+  // 進度附件只保留網址
+  if (field === 'attachments' && Array.isArray(value)) {
+    return value.map(item => typeof item === 'string' && /^https?:\/\//.test(item) ? item : AUDIT_OMITTED);
+  }
+  return value;
+};
+
+/**
+ * 比對前後資料，只保留有變更的欄位
+ * before 為 null 代表新增、after 為 null 代表刪除（只保留非空欄位）
+ * 回傳 { before, after }，沒有任何變更時回傳 null
+ */
+const diffAuditSnapshots = (before, after) => {
+  const changes = { before: before ? {} : null, after: after ? {} : null };
+  let changed = 0;
+
+  for (const field of new Set([...Object.keys(before || {}), ...Object.keys(after || {})])) {
+    if (AUDIT_IGNORED_FIELDS.has(field)) continue;
+    const oldValue = normalizeAuditValue(field, before && before[field]);
+    const newValue = normalizeAuditValue(field, after && after[field]);
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) continue;
+    if (changes.before) changes.before[field] = oldValue;
+    if (changes.after) changes.after[field] = newValue;
+    changed++;
+  }
+  return changed > 0 ? changes : null;
+};
+
+/**
+ * 寫入一筆審計紀錄，client 必須是寫入資料的同一個交易
+ * - actor 預設為 req.auth（未登入的操作，例如用 token 重設密碼，需自行提供）
+ * - before / after 為完整資料，會自動縮減成有變更的欄位；兩者都有但沒有變更時不記錄
+ */
+const recordAudit = async (client, req, { action, entityType, entityId, leadId = null, before = null, after = null, actor }) => {
+  const changes = diffAuditSnapshots(before, after);
+  if (before && after && !changes) return null;
+
+  const who = actor || (req && req.auth) || {};
+  const id = `audit_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  await client.query(
+    `INSERT INTO audit_logs (id, lead_id, entity_type, entity_id, actor_uid, actor_name, actor_type, action, before, after, ip)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+    [
+      id,
+      leadId,
+      entityType,
+      entityId,
+      who.uid || null,
+      who.name || null,
+      who.type || null,
+      action,
+      changes && changes.before ? JSON.stringify(changes.before) : null,
+      changes && changes.after ? JSON.stringify(changes.after) : null,
+      (req && req.ip) || null
+    ]
+  );
+  return id;
+};
+
+// 案件的審計紀錄（lead_id 同時寫入，前端用它查單一案件的紀錄）
+const recordLeadAudit = (client, req, action, leadId, before, after) =>
+  recordAudit(client, req, { action, entityType: 'lead', entityId: leadId, leadId, before, after });
+
+// ==================== 身分驗證 ====================
+
+// JWT 簽章密鑰：正式環境務必設置，否則每次重啟都會讓所有登入失效
+const JWT_SECRET = process.env.JWT_SECRET || process.env.AUTH_SECRET || (() => {
+  console.warn('⚠️ 未設置 JWT_SECRET，使用臨時隨機密鑰（重啟後所有 session 失效）');
+  return crypto.randomBytes(32).toString('hex');
+})();
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS || '168');
+const API_KEY_PREFIX = 'cfk_';
+
+// 啟動用管理員憑證：只能建立使用者與 API 金鑰（BOOTSTRAP_API_PATHS），
+// 有任何設了密碼的啟用中管理員，或未撤銷的 ADMIN 金鑰之後就失效
+const AUTH_BOOTSTRAP_TOKEN = process.env.AUTH_BOOTSTRAP_TOKEN || null;
+const BOOTSTRAP_API_PATHS = /^\/(users|admin\/api-keys)(\/|$)/;
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// 長度不同時 timingSafeEqual 會丟錯，先雜湊成固定長度再比較
+const safeEqual = (a, b) => crypto.timingSafeEqual(
+  crypto.createHash('sha256').update(String(a)).digest(),
+  crypto.createHash('sha256').update(String(b)).digest()
+);
+
+const signJwt = (payload) => {
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64url(JSON.stringify(payload));
+  const signature = crypto.createHmac('sha256', JWT_SECRET).update(`${header}.${body}`).digest('base64url');
+  return `${header}.${body}.${signature}`;
+};
+
+// 驗證簽章與到期時間，失敗回傳 null
+const verifyJwt = (token) => {
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+  const [header, body, signature] = parts;
+  const expected = crypto.createHmac('sha256', JWT_SECRET).update(`${header}.${body}`).digest('base64url');
+  if (!safeEqual(signature, expected)) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (!payload.exp || payload.exp * 1000 < Date.now()) return null;
+    return payload;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * 為使用者建立 session 並簽發 JWT
+ * 回傳 { token, expires_at }
+ */
+const issueSession = async (userId, req, client = pool) => {
+  const sessionId = `sess_${crypto.randomBytes(16).toString('hex')}`;
+  const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 3600 * 1000);
+  await client.query(
+    `INSERT INTO auth_sessions (id, user_id, expires_at, user_agent, ip)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [sessionId, userId, expiresAt, req?.headers['user-agent'] || null, req?.ip || null]
+  );
+  const token = signJwt({
+    sub: userId,
+    jti: sessionId,
+    iat: Math.floor(Date.now() / 1000),
+    exp: Math.floor(expiresAt.getTime() / 1000)
+  });
+  return { token, expires_at: expiresAt.toISOString() };
+};
+
+// 產生新的 API 金鑰，明文只在建立時回傳一次
+const generateApiKey = () => `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+
+const authenticateApiKey = async (token) => {
+  const result = await pool.query(
+    `SELECT * FROM api_keys
+     WHERE key_hash = $1 AND revoked_at IS NULL
+       AND (expires_at IS NULL OR expires_at > NOW())`,
+    [sha256(token)]
+  );
+  if (result.rows.length === 0) return null;
+  const key = result.rows[0];
+
+  // 更新最後使用時間（不阻塞請求）
+  pool.query('UPDATE api_keys SET last_used_at = NOW() WHERE id = $1', [key.id])
+    .catch(err => console.warn('更新 API 金鑰使用時間失敗:', err.message));
+
+  return {
+    type: 'api_key',
+    uid: 'ai-assistant',
+    name: key.name,
+    role: key.role,
+    apiKeyId: key.id
+  };
+};
+
+const authenticateSession = async (token) => {
+  const payload = verifyJwt(token);
+  if (!payload || !payload.jti) return null;
+
+  const result = await pool.query(
+    `SELECT s.id, s.user_id, u.display_name, u.role, u.is_active
+     FROM auth_sessions s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.id = $1 AND s.revoked_at IS NULL AND s.expires_at > NOW()`,
+    [payload.jti]
+  );
+  if (result.rows.length === 0) return null;
+  const session = result.rows[0];
+  if (session.is_active === false) return null;
+
+  pool.query('UPDATE auth_sessions SET last_used_at = NOW() WHERE id = $1', [session.id])
+    .catch(err => console.warn('更新 session 使用時間失敗:', err.message));
+
+  return {
+    type: 'session',
+    uid: session.user_id,
+    name: session.display_name,
+    role: session.role,
+    sessionId: session.id
+  };
+};
+
+// 已經有可以登入的管理員（或管理員金鑰）時，啟動憑證不再有效
+const hasAdminCredentials = async () => {
+  const result = await pool.query(
+    `SELECT EXISTS (
+       SELECT 1 FROM users u JOIN user_credentials c ON c.user_id = u.id
+       WHERE u.role = 'ADMIN' AND u.is_active IS NOT FALSE
+     ) OR EXISTS (
+       SELECT 1 FROM api_keys
+       WHERE role = 'ADMIN' AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+     ) AS exists`
+  );
+  return result.rows[0].exists;
+};
+
+// 不需要登入的 API 路徑（相對於 /api）
+const PUBLIC_API_PATHS = new Set(['/auth/login', '/auth/password-reset']);
+
+/**
+ * 身分驗證中間件
+ * Authorization: Bearer <JWT>       前端使用者
+ * Authorization: Bearer cfk_xxx     AI 助理 API 金鑰（僅限 /api/ai/*）
+ * Authorization: Bearer <啟動憑證>   AUTH_BOOTSTRAP_TOKEN，還沒有管理員時建立第一個管理員或金鑰
+ */
+const authenticate = async (req, res, next) => {
+  if (req.method === 'OPTIONS' || PUBLIC_API_PATHS.has(req.path)) {
+    return next();
+  }
+
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  if (!/^Bearer$/i.test(scheme || '') || !token) {
+    return res.status(401).json({
+      error: '未登入或缺少授權憑證',
+      hint: '請在 Authorization 標頭提供 Bearer token'
+    });
+  }
+
+  try {
+    let auth = null;
+    if (AUTH_BOOTSTRAP_TOKEN && safeEqual(token, AUTH_BOOTSTRAP_TOKEN)) {
+      if (await hasAdminCredentials()) {
+        return res.status(401).json({ error: '啟動憑證已停用，請使用管理員帳號或金鑰', code: 'BOOTSTRAP_DISABLED' });
+      }
+      auth = { type: 'bootstrap', uid: 'bootstrap', name: '系統管理員（啟動憑證）', role: 'ADMIN' };
+      if (!BOOTSTRAP_API_PATHS.test(req.path)) {
+        return sendForbidden(res, auth, { reason: '啟動憑證只能建立使用者與 API 金鑰' });
+      }
+    } else if (token.startsWith(API_KEY_PREFIX)) {
+      auth = await authenticateApiKey(token);
+    } else {
+      auth = await authenticateSession(token);
+    }
+
+    if (!auth) {
+      return res.status(401).json({ error: '授權憑證無效或已過期' });
+    }
+
+    // API 金鑰只能呼叫 AI 助理專用 API
+    if (auth.type === 'api_key' && !req.path.startsWith('/ai/')) {
+      return sendForbidden(res, auth, { reason: 'API 金鑰僅能存取 /api/ai/* 端點' });
+    }
+
+    req.auth = auth;
+    next();
+  } catch (error) {
+    console.error('❌ 身分驗證失敗:', error);
+    res.status(500).json({ error: '身分驗證失敗', details: error.message });
+  }
+};
+
+// ==================== 權限控管 ====================
+
+const ROLES = ['ADMIN', 'SALES', 'REVIEWER', 'AI_ASSISTANT'];
+
+/**
+ * 權限矩陣：權限 -> 允許的角色
+ * AI_ASSISTANT 代表管理員操作案件，因此可以新增、記帳和刪除；status / decision 只能改指派給 ai-assistant 的案件
+ */
+const PERMISSIONS = {
+  'users:read': ['ADMIN', 'SALES', 'REVIEWER'],
+  'users:manage': ['ADMIN'], // 建立使用者、修改他人資料、角色與啟用狀態
+  'leads:read': ['ADMIN', 'SALES', 'REVIEWER', 'AI_ASSISTANT'],
+  'leads:create': ['ADMIN', 'SALES', 'AI_ASSISTANT'],
+  'leads:update': ['ADMIN', 'SALES', 'REVIEWER', 'AI_ASSISTANT'],
+  'leads:delete': ['ADMIN', 'AI_ASSISTANT'], // 移到垃圾桶、查看與還原垃圾桶
+  'leads:purge': ['ADMIN'], // 永久刪除垃圾桶內的案件
+  'leads:merge': ['ADMIN', 'AI_ASSISTANT'], // 合併重複案件（被併入的案件移到垃圾桶）
+  'leads:decide_any': ['ADMIN'], // 不是負責人也能改 status / decision
+  'workflow:manage': ['ADMIN'], // 修改案件狀態流程（可用的狀態與轉換）
+  'tags:manage': ['ADMIN', 'SALES'], // 新增、修改、刪除標籤目錄（替案件加標籤只需要 leads:update）
+  'leads:progress_any': ['ADMIN'], // 修改、刪除別人寫的進度更新
+  'finance:append': ['ADMIN', 'AI_ASSISTANT'], // 新增成本或收入分錄
+  'finance:edit': ['ADMIN'], // 作廢（沖銷）帳務分錄
+  'audit:read': ['ADMIN', 'SALES', 'REVIEWER'],
+  'system:migrate': ['ADMIN'],
+  'system:diagnose': ['ADMIN'],
+  'jobs:manage': ['ADMIN'], // 查看、修改、手動執行背景工作
+  'admin:api_keys': ['ADMIN']
+};
+
+const hasPermission = (auth, permission) =>
+  !!auth && (PERMISSIONS[permission] || []).includes(auth.role);
+
+const getRolePermissions = (role) =>
+  Object.keys(PERMISSIONS).filter(permission => PERMISSIONS[permission].includes(role));
+
+// 所有 403 回應統一格式
+const sendForbidden = (res, auth, details = {}) => res.status(403).json({
+  error: '權限不足',
+  code: 'FORBIDDEN',
+  role: auth ? auth.role : null,
+  ...details
+});
+
+const requirePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.auth, permission)) {
+    return sendForbidden(res, req.auth, { permission });
+  }
+  next();
+};
+
+// 操作自己的資料（:uid）不需要額外權限
+const requireSelfOrPermission = (permission) => (req, res, next) => {
+  if (req.auth.uid !== req.params.uid && !hasPermission(req.auth, permission)) {
+    return sendForbidden(res, req.auth, { permission });
+  }
+  next();
+};
+
+/**
+ * 案件欄位層級的權限規則
+ * - cost_records / profit_records：會新增帳務分錄，需要記帳權限
+ * - status / decision：只有負責人或管理員可以修改
+ * 只檢查真的有改變的欄位（前端會把整筆資料送回來），回傳被拒絕的欄位清單
+ */
+const LEAD_FIELD_RULES = {
+  cost_records: (auth) => hasPermission(auth, 'finance:append'),
+  profit_records: (auth) => hasPermission(auth, 'finance:append'),
+  status: (auth, lead) => hasPermission(auth, 'leads:decide_any') || (!!lead && lead.assigned_to === auth.uid),
+  decision: (auth, lead) => hasPermission(auth, 'leads:decide_any') || (!!lead && lead.assigned_to === auth.uid)
+};
+
+// 帳務陣列只有不帶 id 的項目會新增分錄，其他欄位和案件目前的值比較
+const isLeadFieldChanged = (lead, field, value) => {
+  if (LEAD_SCHEMA[field].itemsById) return (value || []).some(item => !isExistingItem(item));
+  return !lead || (lead[field] === undefined ? null : lead[field]) !== value;
+};
+
+const getDeniedLeadFields = (auth, lead, values) =>
+  Object.keys(values).filter(field =>
+    LEAD_FIELD_RULES[field] && isLeadFieldChanged(lead, field, values[field]) && !LEAD_FIELD_RULES[field](auth, lead)
+  );
+
+app.use('/api', authenticate);
+
+// 目前登入者資訊
+app.get('/api/auth/me', (req, res) => {
+  res.json({
+    type: req.auth.type,
+    uid: req.auth.uid,
+    name: req.auth.name,
+    role: req.auth.role,
+    permissions: getRolePermissions(req.auth.role)
+  });
+});
+
+// 權限矩陣（前端用來決定要顯示哪些按鈕）
+app.get('/api/auth/permissions', (req, res) => {
+  res.json({ roles: ROLES, permissions: PERMISSIONS });
+});
+
+// ==================== 密碼登入與憑證管理 ====================
+
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS || '5');
+const LOGIN_WINDOW_MINUTES = parseInt(process.env.LOGIN_WINDOW_MINUTES || '15');
+const LOGIN_MAX_ATTEMPTS_PER_IP = parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP || '30');
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60');
+const PASSWORD_MIN_LENGTH = 8;
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1, keylen: 64 };
+
+const scryptAsync = (password, salt, { N, r, p, keylen }) => new Promise((resolve, reject) => {
+  crypto.scrypt(password, salt, keylen, { N, r, p }, (err, derivedKey) => {
+    if (err) reject(err);
+    else resolve(derivedKey);
+  });
+});
+
+// 雜湊格式：scrypt$N$r$p$salt$hash（參數一起存，之後調整強度不影響舊密碼）
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const hash = await scryptAsync(password, salt, SCRYPT_PARAMS);
+  const { N, r, p } = SCRYPT_PARAMS;
+  return `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${hash.toString('base64')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+  const parts = (stored || '').split('$');
+  if (parts.length !== 6 || parts[0] !== 'scrypt') return false;
+  const [, N, r, p, salt, hash] = parts;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scryptAsync(password, Buffer.from(salt, 'base64'), {
+    N: parseInt(N), r: parseInt(r), p: parseInt(p), keylen: expected.length
+  });
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+// 帳號不存在時也做一次雜湊，避免從回應時間判斷帳號是否存在
+const DUMMY_PASSWORD_HASH = `scrypt$${SCRYPT_PARAMS.N}$${SCRYPT_PARAMS.r}$${SCRYPT_PARAMS.p}$${Buffer.alloc(16).toString('base64')}$${Buffer.alloc(64).toString('base64')}`;
+
+const validatePassword = (password) => {
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+    return `密碼至少需要 ${PASSWORD_MIN_LENGTH} 個字元`;
+  }
+  return null;
+};
+
+const setUserPassword = async (userId, password, client = pool) => {
+  const passwordHash = await hashPassword(password);
+  await client.query(
+    `INSERT INTO user_credentials (user_id, password_hash, password_updated_at)
+     VALUES ($1, $2, NOW())
+     ON CONFLICT (user_id) DO UPDATE SET
+       password_hash = EXCLUDED.password_hash,
+       password_updated_at = EXCLUDED.password_updated_at`,
+    [userId, passwordHash]
+  );
+};
+
+const recordLoginAttempt = (identifier, userId, req, success, reason) =>
+  pool.query(
+    `INSERT INTO login_attempts (identifier, user_id, ip, user_agent, success, reason)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [identifier, userId, req.ip || null, req.headers['user-agent'] || null, success, reason || null]
+  ).catch(err => console.warn('記錄登入嘗試失敗:', err.message));
+
+/**
+ * 檢查同一帳號或同一 IP 在時間窗內的失敗次數
+ * 被擋下的嘗試（throttled）不算失敗，否則持續重試的用戶端會一直被鎖住；
+ * 帳號成功登入後，之前的失敗不再計算
+ */
+const isLoginThrottled = async (identifier, ip) => {
+  const result = await pool.query(
+    `SELECT
+       COUNT(*) FILTER (
+         WHERE identifier = $1
+           AND created_at > COALESCE(
+             (SELECT MAX(created_at) FROM login_attempts WHERE identifier = $1 AND success = true),
+             '-infinity'::timestamptz
+           )
+       ) AS by_identifier,
+       COUNT(*) FILTER (WHERE ip = $2) AS by_ip
+     FROM login_attempts
+     WHERE success = false
+       AND reason IS DISTINCT FROM 'throttled'
+       AND created_at > NOW() - ($3 || ' minutes')::interval`,
+    [identifier, ip || null, String(LOGIN_WINDOW_MINUTES)]
+  );
+  const { by_identifier, by_ip } = result.rows[0];
+  return parseInt(by_identifier) >= LOGIN_MAX_ATTEMPTS || parseInt(by_ip) >= LOGIN_MAX_ATTEMPTS_PER_IP;
+};
+
+/**
+ * 登入
+ * POST /api/auth/login
+ * { "email": "user@example.com" 或 "uid": "xxx", "password": "..." }
+ */
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { email, uid, password } = req.body || {};
+    const typeErrors = {};
+    for (const [key, value] of Object.entries({ email, uid, password })) {
+      if (value !== undefined && value !== null && typeof value !== 'string') typeErrors[key] = '必須是字串';
+    }
+    if (hasErrors(typeErrors)) {
+      return sendValidationError(res, typeErrors);
+    }
+    const identifier = (uid || email || '').trim().toLowerCase();
+
+    if (!identifier || !password) {
+      return res.status(400).json({ error: '請提供 email（或 uid）與 password' });
+    }
+
+    if (await isLoginThrottled(identifier, req.ip)) {
+      recordLoginAttempt(identifier, null, req, false, 'throttled');
+      return res.status(429).json({
+        error: '登入嘗試次數過多，請稍後再試',
+        retry_after_minutes: LOGIN_WINDOW_MINUTES
+      });
+    }
+
+    const userResult = await pool.query(
+      `SELECT u.id, u.display_name, u.email, u.role, u.is_active, c.password_hash
+       FROM users u
+       LEFT JOIN user_credentials c ON c.user_id = u.id
+       WHERE ${uid ? 'LOWER(u.id) = $1' : 'LOWER(u.email) = $1'}
+       ORDER BY c.password_hash IS NULL
+       LIMIT 1`,
+      [identifier]
+    );
+    const user = userResult.rows[0];
+
+    const passwordOk = await verifyPassword(password, (user && user.password_hash) || DUMMY_PASSWORD_HASH);
+    if (!user || !user.password_hash || !passwordOk) {
+      recordLoginAttempt(identifier, user ? user.id : null, req, false, 'invalid_credentials');
+      return res.status(401).json({ error: '帳號或密碼錯誤' });
+    }
+
+    if (user.is_active === false) {
+      recordLoginAttempt(identifier, user.id, req, false, 'inactive');
+      return res.status(403).json({ error: '帳號已停用', code: 'ACCOUNT_DISABLED' });
+    }
+
+    const session = await issueSession(user.id, req);
+    recordLoginAttempt(identifier, user.id, req, true);
+
+    console.log(`🔓 使用者登入: ${user.display_name} (${user.id})`);
+
+    res.json({
+      token: session.token,
+      expires_at: session.expires_at,
+      user: {
+        uid: user.id,
+        email: user.email,
+        displayName: user.display_name,
+        role: user.role,
+        permissions: getRolePermissions(user.role)
+      }
+    });
+  } catch (error) {
+    console.error('❌ 登入失敗:', error);
+    res.status(500).json({ error: '登入失敗', details: error.message });
+  }
+});
+
+// 登出：撤銷目前的 session
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    if (req.auth.type === 'session') {
+      await withTransaction(async (client) => {
+        await client.query('UPDATE auth_sessions SET revoked_at = NOW() WHERE id = $1', [req.auth.sessionId]);
+        await recordAudit(client, req, { action: 'LOGOUT', entityType: 'user', entityId: req.auth.uid });
+      });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('登出失敗:', error);
+    res.status(500).json({ error: '登出失敗', details: error.message });
+  }
+});
+
+/**
+ * 修改自己的密碼
+ * PUT /api/auth/password
+ * { "current_password": "...", "new_password": "..." }
+ *
+ * 成功後撤銷其他裝置的 session
+ */
+app.put('/api/auth/password', async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body || {};
+
+    if (req.auth.type !== 'session') {
+      return sendForbidden(res, req.auth, { reason: '只有登入的使用者可以修改密碼' });
+    }
+    if (current_password !== undefined && current_password !== null && typeof current_password !== 'string') {
+      return sendValidationError(res, { current_password: '必須是字串' });
+    }
+
+    const passwordError = validatePassword(new_password);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    const credResult = await pool.query(
+      'SELECT password_hash FROM user_credentials WHERE user_id = $1',
+      [req.auth.uid]
+    );
+    const currentHash = credResult.rows[0] && credResult.rows[0].password_hash;
+    if (!currentHash || !current_password || !(await verifyPassword(current_password, currentHash))) {
+      return res.status(401).json({ error: '目前密碼錯誤' });
+    }
+
+    await withTransaction(async (client) => {
+      await setUserPassword(req.auth.uid, new_password, client);
+      await client.query(
+        'UPDATE auth_sessions SET revoked_at = NOW() WHERE user_id = $1 AND id <> $2 AND revoked_at IS NULL',
+        [req.auth.uid, req.auth.sessionId]
+      );
+      await recordAudit(client, req, { action: 'PASSWORD_CHANGE', entityType: 'user', entityId: req.auth.uid });
+    });
+
+    console.log(`🔑 使用者修改密碼: ${req.auth.uid}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('修改密碼失敗:', error);
+    res.status(500).json({ error: '修改密碼失敗', details: error.message });
+  }
+});
+
+/**
+ * 管理員為使用者產生密碼重設 token
+ * POST /api/admin/users/:uid/password-reset
+ *
+ * token 只回傳一次，由管理員轉交使用者
+ */
+app.post('/api/admin/users/:uid/password-reset', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { uid } = req.params;
+    const userResult = await pool.query('SELECT id, display_name FROM users WHERE id = $1', [uid]);
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: '使用者不存在' });
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+
+    await withTransaction(async (client) => {
+      // 同一使用者只保留最新一組有效的重設 token
+      await client.query(
+        'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL',
+        [uid]
+      );
+      await client.query(
+        `INSERT INTO password_reset_tokens (id, user_id, token_hash, created_by, expires_at)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [`reset_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`, uid, sha256(token), req.auth.uid, expiresAt]
+      );
+      await recordAudit(client, req, {
+        action: 'PASSWORD_RESET_REQUEST',
+        entityType: 'user',
+        entityId: uid,
+        after: { expires_at: expiresAt }
+      });
+    });
+
+    console.log(`🔑 產生密碼重設 token: ${userResult.rows[0].display_name} (${uid})`);
+
+    res.json({
+      uid,
+      reset_token: token,
+      expires_at: expiresAt.toISOString(),
+      warning: '請立即轉交此 token，之後無法再次查看'
+    });
+  } catch (error) {
+    console.error('產生密碼重設 token 失敗:', error);
+    res.status(500).json({ error: '產生密碼重設 token 失敗', details: error.message });
+  }
+});
+
+/**
+ * 使用重設 token 設定新密碼（不需登入）
+ * POST /api/auth/password-reset
+ * { "token": "...", "new_password": "..." }
+ */
+app.post('/api/auth/password-reset', async (req, res) => {
+  try {
+    const { token, new_password } = req.body || {};
+
+    if (token !== undefined && token !== null && typeof token !== 'string') {
+      return sendValidationError(res, { token: '必須是字串' });
+    }
+    if (!token) {
+      return res.status(400).json({ error: '請提供重設 token' });
+    }
+    const passwordError = validatePassword(new_password);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    const userId = await withTransaction(async (client) => {
+      const tokenResult = await client.query(
+        `UPDATE password_reset_tokens SET used_at = NOW()
+         WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+         RETURNING user_id`,
+        [sha256(token)]
+      );
+      if (tokenResult.rows.length === 0) return null;
+
+      const resetUserId = tokenResult.rows[0].user_id;
+      await setUserPassword(resetUserId, new_password, client);
+      await client.query(
+        'UPDATE auth_sessions SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+        [resetUserId]
+      );
+      await recordAudit(client, req, {
+        action: 'PASSWORD_RESET',
+        entityType: 'user',
+        entityId: resetUserId,
+        actor: { type: 'reset_token', uid: resetUserId }
+      });
+      return resetUserId;
+    });
+
+    if (!userId) {
+      return res.status(400).json({ error: '重設 token 無效或已過期' });
+    }
+    console.log(`🔑 使用者重設密碼: ${userId}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('重設密碼失敗:', error);
+    res.status(500).json({ error: '重設密碼失敗', details: error.message });
+  }
+});
+
+// 登入紀錄（管理員）
+app.get('/api/admin/login-attempts', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { uid, limit = 100 } = req.query;
+    const params = [];
+    let query = 'SELECT * FROM login_attempts';
+    if (uid) {
+      query += ' WHERE user_id = $1';
+      params.push(uid);
+    }
+    params.push(Math.min(parseInt(limit) || 100, 500));
+    query += ` ORDER BY created_at DESC LIMIT $${params.length}`;
+
+    const result = await pool.query(query, params);
+    res.json(result.rows.map(row => ({
+      id: row.id,
+      identifier: row.identifier,
+      user_id: row.user_id,
+      ip: row.ip,
+      user_agent: row.user_agent,
+      success: row.success,
+      reason: row.reason,
+      created_at: row.created_at ? new Date(row.created_at).toISOString() : null
+    })));
+  } catch (error) {
+    console.error('獲取登入紀錄失敗:', error);
+    res.status(500).json({ error: '獲取登入紀錄失敗', details: error.message });
+  }
+});
+
+// ==================== API 金鑰管理 ====================
+
+const formatApiKey = (row) => ({
+  id: row.id,
+  name: row.name,
+  key_prefix: row.key_prefix,
+  role: row.role,
+  created_by: row.created_by,
+  created_at: row.created_at ? new Date(row.created_at).toISOString() : null,
+  expires_at: row.expires_at ? new Date(row.expires_at).toISOString() : null,
+  last_used_at: row.last_used_at ? new Date(row.last_used_at).toISOString() : null,
+  revoked_at: row.revoked_at ? new Date(row.revoked_at).toISOString() : null
+});
+
+// 列出所有 API 金鑰（不含金鑰本身）
+app.get('/api/admin/api-keys', requirePermission('admin:api_keys'), async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM api_keys ORDER BY created_at DESC');
+    res.json(result.rows.map(formatApiKey));
+  } catch (error) {
+    console.error('獲取 API 金鑰失敗:', error);
+    res.status(500).json({ error: '獲取 API 金鑰失敗', details: error.message });
+  }
+});
+
+// 建立 API 金鑰，明文金鑰只會在這次回應中出現
+app.post('/api/admin/api-keys', requirePermission('admin:api_keys'), async (req, res) => {
+  try {
+    const { name, role = 'AI_ASSISTANT', expires_at } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: '缺少必要欄位：name', example: { name: 'YuQi' } });
+    }
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: '無效的角色', allowed: ROLES });
+    }
+
+    const key = generateApiKey();
+    const result = await withTransaction(async (client) => {
+      const inserted = await client.query(
+        `INSERT INTO api_keys (id, name, key_prefix, key_hash, role, created_by, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [
+          `key_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+          name.trim(),
+          key.substring(0, API_KEY_PREFIX.length + 6),
+          sha256(key),
+          role,
+          req.auth.uid,
+          expires_at ? new Date(expires_at) : null
+        ]
+      );
+      await recordAudit(client, req, {
+        action: 'API_KEY_CREATE',
+        entityType: 'api_key',
+        entityId: inserted.rows[0].id,
+        after: inserted.rows[0]
+      });
+      return inserted;
+    });
+
+    console.log(`🔑 建立 API 金鑰: ${name.trim()}`);
+
+    res.json({
+      ...formatApiKey(result.rows[0]),
+      key,
+      warning: '請立即保存此金鑰，之後無法再次查看'
+    });
+  } catch (error) {
+    console.error('建立 API 金鑰失敗:', error);
+    res.status(500).json({ error: '建立 API 金鑰失敗', details: error.message });
+  }
+});
+
+// 撤銷 API 金鑰
+app.delete('/api/admin/api-keys/:id', requirePermission('admin:api_keys'), async (req, res) => {
+  try {
+    const result = await withTransaction(async (client) => {
+      const revoked = await client.query(
+        'UPDATE api_keys SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL RETURNING *',
+        [req.params.id]
+      );
+      if (revoked.rows.length > 0) {
+        await recordAudit(client, req, {
+          action: 'API_KEY_REVOKE',
+          entityType: 'api_key',
+          entityId: req.params.id,
+          before: { revoked_at: null },
+          after: { revoked_at: revoked.rows[0].revoked_at }
+        });
+      }
+      return revoked;
+    });
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'API 金鑰不存在或已撤銷' });
+    }
+    console.log(`🔒 撤銷 API 金鑰: ${result.rows[0].name}`);
+    res.json({ success: true, api_key: formatApiKey(result.rows[0]) });
+  } catch (error) {
+    console.error('撤銷 API 金鑰失敗:', error);
+    res.status(500).json({ error: '撤銷 API 金鑰失敗', details: error.message });
+  }
+});
+
+// ==================== 使用者 API ====================
+
+// 獲取所有使用者
+app.get('/api/users', requirePermission('users:read'), async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM users ORDER BY created_at DESC');
+    const users = {};
+    result.rows.forEach(row => {
+      // 安全地獲取 is_online 和 last_seen（如果字段不存在則為 undefined）
+      const isOnline = row.hasOwnProperty('is_online') ? (row.is_online || false) : false;
+      const lastSeen = row.hasOwnProperty('last_seen') && row.last_seen 
+        ? new Date(row.last_seen).toISOString() 
+        : null;
+      
+      users[row.id] = {
+        uid: row.id,
+        email: row.email,
+        displayName: row.display_name,
+        role: row.role,
+        avatar: row.avatar,
+        status: row.status,
+        createdAt: row.created_at,
+        isActive: row.is_active !== false, // 預設為啟用
+        isOnline: isOnline, // 在線狀態
+        lastSeen: lastSeen // 最後上線時間
+      };
+    });
+    
+    const onlineCount = Object.values(users).filter(u => u.isOnline).length;
+    console.log(`📊 獲取用戶列表: 總共 ${result.rows.length} 個用戶，${onlineCount} 個在線`);
+    
+    // 調試：檢查每個用戶的資料（包括資料庫原始值）
+    result.rows.forEach(row => {
+      const user = users[row.id];
+      console.log(`  - ${user.displayName}: 在線=${user.isOnline} (資料庫: ${row.is_online}), 頭貼=${user.avatar ? `有(${Math.round(user.avatar.length / 1024)}KB)` : '無'}, 狀態=${user.status || '無'}, last_seen=${row.last_seen || 'null'}`);
+    });
+    
+    res.json(users);
+  } catch (error) {
+    console.error('獲取使用者失敗:', error);
+    console.error('錯誤詳情:', error.message, error.stack);
+    
+    // 如果錯誤是因為字段不存在，提供明確的提示
+    if (error.message && error.message.includes('is_online')) {
+      res.status(500).json({ 
+        error: '資料庫字段缺失',
+        details: '資料庫結構未更新，缺少 is_online 和 last_seen 字段',
+        hint: '執行 npm run migrate up，或查看 GET /api/admin/migrations'
+      });
+    } else {
+      res.status(500).json({ 
+        error: '獲取使用者失敗',
+        details: error.message,
+        hint: '請檢查資料庫連接和表結構'
+      });
+    }
+  }
+});
+
+// 創建使用者
+app.post('/api/users', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { uid, email, displayName, role, avatar, status, password } = req.body;
+    
+    if (!uid || !email || !displayName) {
+      return res.status(400).json({ error: '缺少必要欄位：uid, email, displayName' });
+    }
+    if (role && !ROLES.includes(role)) {
+      return res.status(400).json({ error: '無效的角色', allowed: ROLES });
+    }
+    if (password !== undefined) {
+      const passwordError = validatePassword(password);
+      if (passwordError) {
+        return res.status(400).json({ error: passwordError });
+      }
+    }
+
+    const now = new Date().toISOString();
+    const row = await withTransaction(async (client) => {
+      const existing = await client.query('SELECT * FROM users WHERE id = $1 FOR UPDATE', [uid]);
+      const result = await client.query(
+        `INSERT INTO users (id, email, display_name, role, avatar, status, created_at, is_active, is_online)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         ON CONFLICT (id) DO UPDATE SET
+           email = EXCLUDED.email,
+           display_name = EXCLUDED.display_name,
+           role = EXCLUDED.role,
+           avatar = EXCLUDED.avatar,
+           status = EXCLUDED.status
+         RETURNING *`,
+        [
+          uid,
+          email,
+          displayName,
+          role || 'REVIEWER',
+          avatar || null,
+          status || null,
+          now,
+          true, // is_active
+          false // is_online
+        ]
+      );
+      const saved = result.rows[0];
+
+      // 密碼只存雜湊，放在 user_credentials
+      if (password !== undefined) {
+        await setUserPassword(saved.id, password, client);
+      }
+
+      const before = existing.rows[0] || null;
+      await recordAudit(client, req, {
+        action: before ? 'USER_UPDATE' : 'USER_CREATE',
+        entityType: 'user',
+        entityId: saved.id,
+        before,
+        after: password !== undefined ? { ...saved, password_hash: true } : saved
+      });
+      return saved;
+    });
+
+    res.json({
+      uid: row.id,
+      email: row.email,
+      displayName: row.display_name,
+      role: row.role,
+      avatar: row.avatar,
+      status: row.status,
+      createdAt: row.created_at,
+      isActive: row.is_active !== false,
+      isOnline: row.is_online || false,
+      lastSeen: row.last_seen ? new Date(row.last_seen).toISOString() : null
+    });
+  } catch (error) {
+    console.error('創建使用者失敗:', error);
+    res.status(500).json({ error: '創建使用者失敗', details: error.message });
+  }
+});
+
+// 獲取單個使用者
+app.get('/api/users/:uid', requirePermission('users:read'), async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM users WHERE id = $1', [req.params.uid]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: '使用者不存在' });
+    }
+    const row = result.rows[0];
+    res.json({
+      uid: row.id,
+      email: row.email,
+      displayName: row.display_name,
+      role: row.role,
+      avatar: row.avatar,
+      status: row.status,
+      createdAt: row.created_at,
+      isActive: row.is_active !== false,
+      isOnline: row.is_online || false,
+      lastSeen: row.last_seen ? new Date(row.last_seen).toISOString() : null
+    });
+  } catch (error) {
+    console.error('獲取使用者失敗:', error);
+    res.status(500).json({ error: '獲取使用者失敗' });
+  }
+});
+
+// 更新使用者資料
+app.put('/api/users/:uid', requireSelfOrPermission('users:manage'), async (req, res) => {
+  try {
+    const { uid } = req.params;
+    const updates = req.body;
+    
+    // 自己只能改個人資料與在線狀態，email、角色和啟用狀態需要管理權限
+    const privilegedFields = ['email', 'role', 'isActive'].filter(f => updates[f] !== undefined);
+    if (privilegedFields.length > 0 && !hasPermission(req.auth, 'users:manage')) {
+      return sendForbidden(res, req.auth, { permission: 'users:manage', fields: privilegedFields });
+    }
+    if (updates.role !== undefined && !ROLES.includes(updates.role)) {
+      return res.status(400).json({ error: '無效的角色', allowed: ROLES });
+    }
+    
+    console.log(`🔄 更新用戶資料: ${uid}`, {
+      displayName: updates.displayName !== undefined,
+      avatar: updates.avatar !== undefined ? (updates.avatar ? '有值' : '空') : '未提供',
+      status: updates.status !== undefined ? (updates.status || '空') : '未提供',
+      isOnline: updates.isOnline !== undefined ? (updates.isOnline ? '在線' : '離線') : '未提供',
+      lastSeen: updates.lastSeen !== undefined ? (updates.lastSeen || 'null') : '未提供'
+    });
+    
+    // 構建更新語句
+    const updateFields = [];
+    const values = [];
+    let paramIndex = 1;
+    
+    if (updates.displayName !== undefined) {
+      updateFields.push(`display_name = $${paramIndex++}`);
+      values.push(updates.displayName);
+    }
+    if (updates.email !== undefined) {
+      updateFields.push(`email = $${paramIndex++}`);
+      values.push(updates.email);
+    }
+    if (updates.role !== undefined) {
+      updateFields.push(`role = $${paramIndex++}`);
+      values.push(updates.role);
+    }
+    // avatar 和 status 需要明確處理，包括空字符串和 null
+    if (updates.avatar !== undefined) {
+      updateFields.push(`avatar = $${paramIndex++}`);
+      // 空字符串或 null 都設置為 null
+      values.push(updates.avatar && updates.avatar.trim() ? updates.avatar : null);
+    }
+    if (updates.status !== undefined) {
+      updateFields.push(`status = $${paramIndex++}`);
+      // 空字符串或 null 都設置為 null
+      values.push(updates.status && updates.status.trim() ? updates.status : null);
+    }
+    if (updates.isActive !== undefined) {
+      updateFields.push(`is_active = $${paramIndex++}`);
+      values.push(updates.isActive);
+    }
+    if (updates.isOnline !== undefined) {
+      updateFields.push(`is_online = $${paramIndex++}`);
+      values.push(updates.isOnline);
+    }
+    if (updates.lastSeen !== undefined) {
+      updateFields.push(`last_seen = $${paramIndex++}`);
+      // 如果 lastSeen 為 null 或 undefined，設置為 null（清除時間戳）
+      values.push(updates.lastSeen ? new Date(updates.lastSeen) : null);
+    }
+    
+    // 如果設置為在線，清除 last_seen（設為 null）
+    if (updates.isOnline === true && updates.lastSeen === undefined) {
+      // 檢查是否已經有 last_seen 字段的更新
+      const hasLastSeenUpdate = updateFields.some(f => f.includes('last_seen'));
+      if (!hasLastSeenUpdate) {
+        updateFields.push(`last_seen = $${paramIndex++}`);
+        values.push(null);
+      }
+    }
+    
+    if (updateFields.length === 0) {
+      return res.status(400).json({ error: '沒有提供更新字段' });
+    }
+    
+    values.push(uid);
+    const query = `UPDATE users SET ${updateFields.join(', ')} WHERE id = $${paramIndex} RETURNING *`;
+    
+    console.log(`📝 執行 SQL: UPDATE users SET ... WHERE id = ${uid}`);
+    console.log(`📊 更新欄位:`, updateFields);
+    
+    const row = await withTransaction(async (client) => {
+      const existing = await client.query('SELECT * FROM users WHERE id = $1 FOR UPDATE', [uid]);
+      if (existing.rows.length === 0) return null;
+
+      const result = await client.query(query, values);
+      const saved = result.rows[0];
+
+      // 停用帳號時一併登出所有裝置
+      if (updates.isActive === false) {
+        await client.query('UPDATE auth_sessions SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL', [uid]);
+      }
+
+      // 只有在線狀態的心跳更新不會產生紀錄
+      await recordAudit(client, req, { action: 'USER_UPDATE', entityType: 'user', entityId: uid, before: existing.rows[0], after: saved });
+      return saved;
+    });
+    
+    if (!row) {
+      return res.status(404).json({ error: '使用者不存在' });
+    }
+
+    console.log(`✅ 使用者 ${uid} 更新成功:`, {
+      displayName: row.display_name,
+      isOnline: row.is_online,
+      lastSeen: row.last_seen,
+      avatar: row.avatar ? '有頭貼' : '無頭貼',
+      status: row.status || '無狀態'
+    });
+    
+    res.json({
+      uid: row.id,
+      email: row.email,
+      displayName: row.display_name,
+      role: row.role,
+      avatar: row.avatar,
+      status: row.status,
+      createdAt: row.created_at,
+      isActive: row.is_active !== false,
+      isOnline: row.is_online || false,
+      lastSeen: row.last_seen ? new Date(row.last_seen).toISOString() : null
+    });
+  } catch (error) {
+    console.error('更新使用者失敗:', error);
+    res.status(500).json({ error: '更新使用者失敗', details: error.message });
+  }
+});
+
+// ==================== 案件資料驗證 ====================
+
+const LEAD_PLATFORMS = ['FB', 'Threads', 'PRO360', '其他'];
+const LEAD_CONTACT_STATUSES = ['未回覆', '已回覆', '已聯繫', '無法聯繫'];
+const BUDGET_CURRENCIES = ['TWD', 'USD', 'CNY'];
+const BUDGET_CONFIDENCE_LEVELS = ['high', 'medium', 'low', 'none'];
+
+/**
+ * 案件欄位定義（POST /api/leads、PUT /api/leads/:id、/api/ai/import、/api/ai/update、/api/migrate 共用）
+ * 只有這裡列出的欄位會被寫進 SQL，欄位名稱不會直接取自請求
+ *
+ * type: string | text | integer | number | date | array
+ * readOnly: 更新時忽略（前端會把整筆資料送回來）
+ * column: false 代表不是 leads 的欄位（進度存在 lead_progress_updates、成本與收入存在 lead_ledger_entries、附件存在 lead_attachments、標籤存在 lead_tags）
+ * validateItem: 陣列每一筆的檢查，回傳 errors 物件
+ * itemsById: 陣列項目以 id 對應既有資料，更新時帶 id 的項目不檢查也不寫入（只新增不帶 id 的項目）
+ * computed: 由伺服器計算，寫入時一律忽略
+ */
+const LEAD_SCHEMA = {
+  id: { type: 'string', maxLength: 100, readOnly: true },
+  case_code: { type: 'string', maxLength: 50 },
+  platform: { type: 'string', enum: LEAD_PLATFORMS },
+  platform_id: { type: 'string', maxLength: 200 },
+  need: { type: 'text', maxLength: 5000 },
+  budget_text: { type: 'string', maxLength: 200 },
+  // 由 budget_text 解析（見「預算解析」）
+  budget_min: { type: 'number', readOnly: true },
+  budget_max: { type: 'number', readOnly: true },
+  budget_currency: { type: 'string', enum: BUDGET_CURRENCIES, readOnly: true },
+  budget_confidence: { type: 'string', enum: BUDGET_CONFIDENCE_LEVELS, readOnly: true },
+  posted_at: { type: 'date' },
+  phone: { type: 'string', maxLength: 50 },
+  email: { type: 'string', maxLength: 254, format: 'email' },
+  location: { type: 'string', maxLength: 200 },
+  estimated_duration: { type: 'string', maxLength: 100 },
+  contact_method: { type: 'string', maxLength: 100 },
+  note: { type: 'text', maxLength: 10000 },
+  internal_remarks: { type: 'text', maxLength: 10000 },
+  remarks_author: { type: 'string', maxLength: 100 },
+  // 可用的值與轉換由資料庫的狀態流程決定（見「案件狀態流程」）
+  status: { type: 'string', maxLength: 50 },
+  decision: { type: 'string', maxLength: 50 },
+  decision_by: { type: 'string', maxLength: 100 },
+  reject_reason: { type: 'text', maxLength: 2000 },
+  review_note: { type: 'text', maxLength: 5000 },
+  assigned_to: { type: 'string', maxLength: 100 },
+  assigned_to_name: { type: 'string', maxLength: 100 },
+  priority: { type: 'integer', min: 1, max: 5 },
+  created_by: { type: 'string', maxLength: 100, readOnly: true },
+  created_by_name: { type: 'string', maxLength: 100, readOnly: true },
+  created_at: { type: 'date', readOnly: true },
+  updated_at: { type: 'date', readOnly: true },
+  version: { type: 'integer', readOnly: true },
+  last_action_by: { type: 'string', maxLength: 100 },
+  contact_status: { type: 'string', enum: LEAD_CONTACT_STATUSES },
+  progress_updates: { type: 'array', column: false, itemsById: true, validateItem: (item) => validateProgressUpdate(item).errors },
+  change_history: { type: 'array' },
+  cost_records: { type: 'array', column: false, itemsById: true, validateItem: (item) => validateLedgerEntry(item, { entryType: 'cost' }).errors },
+  profit_records: { type: 'array', column: false, itemsById: true, validateItem: (item) => validateLedgerEntry(item, { entryType: 'income' }).errors },
+  contracts: { type: 'array', column: false, validateItem: (item) => validateAttachmentItem(item) },
+  links: { type: 'array' },
+  // 標籤名稱陣列，完整取代案件原本的標籤（見「標籤」）
+  tags: { type: 'array', column: false, validateItem: (item) => validateTagItem(item) },
+  // 目前狀態的停留時間、第一次聯繫與決定花的時間、SLA 門檻（見「案件 SLA」）
+  sla: { type: 'object', column: false, readOnly: true, computed: true }
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// 帶 id 的陣列項目（前端送回的既有進度、分錄、附件）
+const isExistingItem = (item) =>
+  !!item && typeof item === 'object' && !Array.isArray(item) && item.id !== undefined && item.id !== null && item.id !== '';
+
+// 轉換並檢查單一欄位，回傳 { value } 或 { error }
+// options.partial: 更新模式，itemsById 陣列中帶 id 的項目不檢查
+const coerceLeadField = (rule, raw, { partial = false } = {}) => {
+  if (raw === null || raw === undefined) {
+    return { value: null };
+  }
+
+  switch (rule.type) {
+    case 'string':
+    case 'text': {
+      if (typeof raw !== 'string' && typeof raw !== 'number') {
+        return { error: '必須是字串' };
+      }
+      const value = String(raw).trim();
+      if (value === '') return { value: null };
+      if (rule.maxLength && [...value].length > rule.maxLength) {
+        return { error: `長度不可超過 ${rule.maxLength} 個字` };
+      }
+      if (rule.enum && !rule.enum.includes(value)) {
+        return { error: `必須是以下其中之一：${rule.enum.join('、')}` };
+      }
+      if (rule.format === 'email' && !EMAIL_PATTERN.test(value)) {
+        return { error: 'Email 格式不正確' };
+      }
+      return { value };
+    }
+    case 'integer': {
+      const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+      if (typeof value !== 'number' || !Number.isInteger(value)) {
+        return { error: '必須是整數' };
+      }
+      if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+        return { error: `必須介於 ${rule.min} 到 ${rule.max}` };
+      }
+      return { value };
+    }
+    case 'number': {
+      const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw.replace(/,/g, '')) : raw;
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return { error: '必須是數字' };
+      }
+      if (rule.positive && value <= 0) {
+        return { error: '必須大於 0' };
+      }
+      if (rule.max !== undefined && value > rule.max) {
+        return { error: `不可超過 ${rule.max}` };
+      }
+      if (rule.decimals !== undefined) {
+        const scaled = value * 10 ** rule.decimals;
+        if (Math.abs(scaled - Math.round(scaled)) > 1e-6) {
+          return { error: `最多 ${rule.decimals} 位小數` };
+        }
+      }
+      return { value };
+    }
+    case 'date': {
+      if (raw === '') return { value: null };
+      const value = new Date(raw);
+      if (isNaN(value.getTime())) {
+        return { error: '日期格式不正確' };
+      }
+      return { value };
+    }
+    case 'array': {
+      let value = raw;
+      if (typeof raw === 'string') {
+        try {
+          value = JSON.parse(raw);
+        } catch (e) {
+          return { error: 'JSON 格式不正確' };
+        }
+      }
+      if (!Array.isArray(value)) {
+        return { error: '必須是陣列' };
+      }
+      if (rule.validateItem) {
+        for (let i = 0; i < value.length; i++) {
+          // 既有資料不會被寫入，舊資料（例如內容空白的進度）不符合現在的規則也不影響儲存
+          if (partial && rule.itemsById && isExistingItem(value[i])) continue;
+          const itemErrors = rule.validateItem(value[i]);
+          if (hasErrors(itemErrors)) {
+            return { error: `第 ${i + 1} 筆：${Object.entries(itemErrors).map(([k, v]) => `${k} ${v}`).join('、')}` };
+          }
+        }
+      }
+      return { value };
+    }
+    default:
+      return { error: '未知的欄位類型' };
+  }
+};
+
+/**
+ * 依 LEAD_SCHEMA 驗證案件資料
+ * options.partial: 更新模式，忽略唯讀欄位
+ * options.required: 必填欄位
+ * 回傳 { values, errors }，errors 為 { 欄位: 錯誤訊息 }
+ */
+const validateLead = (input, { partial = false, required = [] } = {}) => {
+  const values = {};
+  const errors = {};
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { values, errors: { _: '案件資料必須是物件' } };
+  }
+
+  for (const [key, raw] of Object.entries(input)) {
+    const rule = LEAD_SCHEMA[key];
+    if (!rule) {
+      errors[key] = '不允許的欄位';
+      continue;
+    }
+    if (rule.computed || (partial && rule.readOnly) || raw === undefined) continue;
+
+    const { value, error } = coerceLeadField(rule, raw, { partial });
+    if (error) {
+      errors[key] = error;
+    } else {
+      values[key] = value;
+    }
+  }
+
+  for (const key of required) {
+    if (!errors[key] && (values[key] === null || values[key] === undefined)) {
+      errors[key] = '必填欄位';
+    }
+  }
+
+  return { values, errors };
+};
+
+const hasErrors = (errors) => Object.keys(errors).length > 0;
+
+// 進度更新欄位（/api/leads/:id/progress 與案件的 progress_updates 陣列共用）
+const PROGRESS_SCHEMA = {
+  content: { type: 'text', maxLength: 10000 },
+  attachments: { type: 'array' }
+};
+
+/**
+ * 驗證一則進度更新
+ * options.partial: 修改模式，content 可省略但不可清空
+ * 其他欄位（id、author_uid 等）不檢查，由呼叫端決定是否採用
+ */
+const validateProgressUpdate = (input, { partial = false } = {}) => {
+  const values = {};
+  const errors = {};
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { values, errors: { _: '進度資料必須是物件' } };
+  }
+
+  for (const [key, rule] of Object.entries(PROGRESS_SCHEMA)) {
+    if (input[key] === undefined) continue;
+    const { value, error } = coerceLeadField(rule, input[key]);
+    if (error) {
+      errors[key] = error;
+    } else {
+      values[key] = key === 'attachments' ? value || [] : value;
+    }
+  }
+
+  if (!errors.content && (partial ? values.content === null : !values.content)) {
+    errors.content = '必填欄位';
+  }
+
+  return { values, errors };
+};
+
+// contracts 陣列的每一筆：{ id, filename, data }，data 為網址、data URL 或 base64
+const validateAttachmentItem = (item) => {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) return { _: '附件資料必須是物件' };
+  if (typeof item.data !== 'string' || item.data.trim() === '') return { data: '必填欄位' };
+  return {};
+};
+
+// 帳務分錄欄位（/api/leads/:id/ledger、/api/ai/cost、/api/ai/profit 與案件的 cost_records / profit_records 共用）
+const LEDGER_ENTRY_TYPES = ['cost', 'income'];
+const LEDGER_SCHEMA = {
+  entry_type: { type: 'string', enum: LEDGER_ENTRY_TYPES },
+  item_name: { type: 'string', maxLength: 200 },
+  category: { type: 'string', maxLength: 50 },
+  amount: { type: 'number', positive: true, max: 999999999999, decimals: 2 },
+  incurred_on: { type: 'date' },
+  note: { type: 'text', maxLength: 2000 }
+};
+
+/**
+ * 驗證一筆帳務分錄
+ * options.entryType: 由呼叫端決定類型（cost_records、/api/ai/cost 等），忽略資料內的 entry_type
+ * 其他欄位（id、author_uid 等）不檢查，由呼叫端決定是否採用
+ */
+const validateLedgerEntry = (input, { entryType } = {}) => {
+  const values = {};
+  const errors = {};
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { values, errors: { _: '帳務資料必須是物件' } };
+  }
+
+  for (const [key, rule] of Object.entries(LEDGER_SCHEMA)) {
+    if (input[key] === undefined || (key === 'entry_type' && entryType)) continue;
+    const { value, error } = coerceLeadField(rule, input[key]);
+    if (error) {
+      errors[key] = error;
+    } else {
+      values[key] = value;
+    }
+  }
+  if (entryType) values.entry_type = entryType;
+
+  for (const key of ['entry_type', 'item_name', 'amount']) {
+    if (!errors[key] && (values[key] === null || values[key] === undefined)) {
+      errors[key] = '必填欄位';
+    }
+  }
+
+  return { values, errors };
+};
+
+const sendValidationError = (res, errors) => res.status(400).json({
+  error: '資料驗證失敗',
+  code: 'VALIDATION_ERROR',
+  fields: errors
+});
+
+// 交易內才發現的驗證錯誤（例如驗證後標籤被刪除），端點的 catch 用 sendValidationError 回應
+const validationError = (errors) => Object.assign(new Error('資料驗證失敗'), { code: 'VALIDATION_ERROR', fields: errors });
+const isValidationError = (err) => !!(err && err.code === 'VALIDATION_ERROR' && err.fields);
+
+// 驗證過的欄位轉成 UPDATE SET 子句，欄位名稱只來自 LEAD_SCHEMA
+// 修改 budget_text 時一併更新解析出來的預算區間
+const buildLeadSetClause = (values, startIndex = 1) => {
+  const fields = [];
+  const params = [];
+  let paramIndex = startIndex;
+  const columns = values.budget_text === undefined ? values : { ...values, ...parseBudgetText(values.budget_text) };
+  for (const [key, value] of Object.entries(columns)) {
+    if (LEAD_SCHEMA[key].column === false) continue;
+    fields.push(`${key} = $${paramIndex++}`);
+    params.push(LEAD_SCHEMA[key].type === 'array' && value !== null ? JSON.stringify(value) : value);
+  }
+  return { fields, params, nextIndex: paramIndex };
+};
+
+// ==================== 預算解析 ====================
+
+/**
+ * budget_text 轉成數字區間（新增、修改、匯入案件時自動解析）
+ * 例如「5萬-10萬」「預算 5000-10000」「確認 5 萬」「三千五」「10k 以上」「待確認」
+ *
+ * budget_confidence：
+ * - high：明確的金額或區間
+ * - medium：只有下限或上限（以上、以下），或是「約」「左右」等估計
+ * - low：抓到金額但不確定是不是總預算（有多個金額、按月計價、沒有單位的小數字）
+ * - none：沒有金額（待確認、面議）
+ */
+const BUDGET_COLUMNS = ['budget_min', 'budget_max', 'budget_currency', 'budget_confidence'];
+
+const CHINESE_DIGITS = { 零: 0, 〇: 0, 一: 1, 二: 2, 兩: 2, 三: 3, 四: 4, 五: 5, 六: 6, 七: 7, 八: 8, 九: 9 };
+const CHINESE_MULTIPLIERS = { 十: 10, 百: 100, 千: 1000 };
+const BUDGET_UNITS = { 億: 100000000, 千萬: 10000000, 百萬: 1000000, 萬: 10000, w: 10000, 千: 1000, k: 1000, 百: 100 };
+
+// 數字 + 單位；國字數字不含萬（萬當作單位），w、k 後面不能接英文字母
+const BUDGET_NUMBER_PATTERN = /(\d+(?:\.\d+)?|[一二兩三四五六七八九十][零〇一二兩三四五六七八九十百千]*)\s*(億|千萬|百萬|萬|千|百|[wk](?![a-z]))?/g;
+// 數字後面接這些字代表數量或期間，不是金額（3個月、2頁、5人）
+const BUDGET_COUNT_SUFFIX = /^\s*(?:個月|個|月|週|周|天|日|年|小時|hr|人|頁|次|支|套|份|%)/;
+const BUDGET_RANGE_SEPARATOR = /^\s*(?:-|~|～|〜|–|—|至|到)\s*$/;
+const BUDGET_MIN_AFTER = /^\s*(?:元|塊)?\s*(?:以上|起跳|起|\+|up)/;
+const BUDGET_MAX_AFTER = /^\s*(?:元|塊)?\s*(?:以下|以內|內)/;
+const BUDGET_MIN_BEFORE = /(?:至少|最少|最低|不低於|超過|大於)\s*$/;
+const BUDGET_MAX_BEFORE = /(?:最多|最高|頂多|不超過|上限|低於|少於|小於)\s*$/;
+const BUDGET_APPROXIMATE = /約|大約|大概|左右|上下|預估|估計|差不多|彈性|可議|可談|待確認|待定|未定/;
+const BUDGET_PERIODIC = /每月|每個月|\/月|月費|月薪|時薪|每小時|\/hr/;
+const BUDGET_CURRENCY_PATTERNS = [
+  ['USD', /usd|us\$|美金|美元/],
+  ['CNY', /rmb|cny|人民幣/]
+];
+
+// 國字數字：十五 -> 15、三千五百 -> 3500、三千五 -> 3500（口語省略單位）、一百零五 -> 105
+const parseChineseNumber = (text) => {
+  let total = 0;
+  let digit = null;
+  let lastMultiplier = 0;
+  let afterZero = false;
+  for (const char of text) {
+    if (CHINESE_MULTIPLIERS[char]) {
+      total += (digit === null ? 1 : digit) * CHINESE_MULTIPLIERS[char];
+      lastMultiplier = CHINESE_MULTIPLIERS[char];
+      digit = null;
+      afterZero = false;
+    } else {
+      digit = CHINESE_DIGITS[char];
+      if (digit === 0) afterZero = true;
+    }
+  }
+  if (digit) total += lastMultiplier >= 100 && !afterZero ? digit * lastMultiplier / 10 : digit;
+  return total;
+};
+
+// 找出文字中的金額，回傳 [{ amount, value, scale, hasUnit, start, end }]（scale 為單位的倍數）
+const scanBudgetAmounts = (text) => {
+  const tokens = [];
+  for (const match of text.matchAll(BUDGET_NUMBER_PATTERN)) {
+    const [raw, number, unit] = match;
+    const chinese = !/^\d/.test(number);
+    const end = match.index + raw.length;
+    if (!unit && BUDGET_COUNT_SUFFIX.test(text.slice(end))) continue;
+    tokens.push({
+      value: chinese ? parseChineseNumber(number) : parseFloat(number),
+      unit: unit || null,
+      // 單一個國字又沒有單位（「一個網站」的一）不算金額，但可以是「一萬五」的五
+      single: chinese && !unit && [...number].length === 1,
+      start: match.index,
+      end
+    });
+  }
+
+  // 口語的「1萬5」「一萬五」「1萬2000」「1萬5千」
+  const merged = [];
+  for (const token of tokens) {
+    const previous = merged[merged.length - 1];
+    if (previous && (previous.unit === '萬' || previous.unit === 'w') && !previous.tail && token.start === previous.end) {
+      const extra = token.unit === '千' || token.unit === 'k' || (!token.unit && token.value < 10)
+        ? token.value * 1000
+        : !token.unit && token.value < 10000 ? token.value : null;
+      if (extra !== null) {
+        previous.extra = extra;
+        previous.end = token.end;
+        previous.tail = true;
+        continue;
+      }
+    }
+    if (!token.single) merged.push({ ...token });
+  }
+
+  return merged.map(token => ({
+    amount: token.value * (token.unit ? BUDGET_UNITS[token.unit] : 1) + (token.extra || 0),
+    value: token.value,
+    scale: token.unit ? BUDGET_UNITS[token.unit] : 1,
+    hasUnit: !!token.unit,
+    start: token.start,
+    end: token.end
+  }));
+};
+
+const roundBudget = (value) => Math.round(value * 100) / 100;
+
+// budget_min / budget_max 是 NUMERIC(14, 2)，超過就存不進去
+const BUDGET_MAX_AMOUNT = 999999999999.99;
+
+/**
+ * 解析 budget_text，回傳 { budget_min, budget_max, budget_currency, budget_confidence }
+ * 只有下限時 budget_max 為 null，只有上限時 budget_min 為 null
+ *
+ * 區間前面的數字沒有單位時，只有換算後不超過後面的金額才沿用後面的單位：
+ * 「5-10萬」-> 50000~100000；「15000-2萬」-> 15000~20000、「8000-1.2萬」-> 8000~12000、
+ * 「3000~1萬」-> 3000~10000、「9000-1萬2」-> 9000~12000
+ * 金額超出欄位範圍時不存數字，budget_confidence 為 low
+ */
+const parseBudgetText = (budgetText) => {
+  const none = { budget_min: null, budget_max: null, budget_currency: null, budget_confidence: 'none' };
+  if (budgetText === null || budgetText === undefined) return none;
+
+  const text = String(budgetText)
+    .replace(/[０-９．]/g, char => String.fromCharCode(char.charCodeAt(0) - 0xFEE0))
+    .replace(/(\d),(?=\d{3})/g, '$1')
+    // 「兩三萬」「三四千」是區間
+    .replace(/([一二兩三四五六七八九])([二三四五六七八九])(?=萬|千)/g, (match, low, high) => `${CHINESE_DIGITS[low]}-${CHINESE_DIGITS[high]}`)
+    .toLowerCase();
+  const amounts = scanBudgetAmounts(text);
+  if (amounts.length === 0) return none;
+
+  let [first, second] = amounts;
+  let used = 1;
+  let min = first.amount;
+  let max = first.amount;
+
+  if (second && BUDGET_RANGE_SEPARATOR.test(text.slice(first.end, second.start))) {
+    used = 2;
+    // 「5-10萬」：前面的數字沿用後面的單位；「15000-2萬」的 15000 已經是完整金額，不套用
+    if (!first.hasUnit && second.hasUnit && first.value * second.scale <= second.amount) {
+      first = { ...first, amount: first.value * second.scale, hasUnit: true };
+    }
+    min = Math.min(first.amount, second.amount);
+    max = Math.max(first.amount, second.amount);
+  }
+
+  const last = amounts[used - 1];
+  const after = text.slice(last.end);
+  const before = text.slice(0, first.start);
+  let openEnded = false;
+  if (used === 1 && (BUDGET_MIN_AFTER.test(after) || BUDGET_MIN_BEFORE.test(before))) {
+    max = null;
+    openEnded = true;
+  } else if (used === 1 && (BUDGET_MAX_AFTER.test(after) || BUDGET_MAX_BEFORE.test(before))) {
+    min = null;
+    openEnded = true;
+  }
+
+  let confidence = 'high';
+  if (openEnded || BUDGET_APPROXIMATE.test(text)) confidence = 'medium';
+  const unitless = !amounts.slice(0, used).some(amount => amount.hasUnit);
+  if (amounts.length > used || BUDGET_PERIODIC.test(text) || (unitless && (max ?? min) < 1000)) {
+    confidence = 'low';
+  }
+
+  const currency = BUDGET_CURRENCY_PATTERNS.find(([, pattern]) => pattern.test(text));
+  if ((min ?? 0) > BUDGET_MAX_AMOUNT || (max ?? 0) > BUDGET_MAX_AMOUNT) {
+    return { ...none, budget_currency: currency ? currency[0] : 'TWD', budget_confidence: 'low' };
+  }
+  return {
+    budget_min: min === null ? null : roundBudget(min),
+    budget_max: max === null ? null : roundBudget(max),
+    budget_currency: currency ? currency[0] : 'TWD',
+    budget_confidence: confidence
+  };
+};
+
+// 依 budget_text 產生 INSERT 用的參數（順序同 BUDGET_COLUMNS）
+const budgetColumnParams = (budgetText) => {
+  const budget = parseBudgetText(budgetText);
+  return BUDGET_COLUMNS.map(column => budget[column]);
+};
+
+/**
+ * 補齊既有案件的預算解析結果（啟動與 npm run migrate 後執行，每批 200 筆）
+ * options.all: 重新解析所有案件（解析規則更新後使用），只更新結果有變的案件
+ * 只是衍生欄位，不算修改案件：不更新 updated_at、version，也不寫審計紀錄
+ */
+const backfillLeadBudgets = async ({ all = false } = {}) => {
+  let updated = 0;
+  let lastId = '';
+  for (;;) {
+    const rows = await withTransaction(async (client) => {
+      await client.query(`SET LOCAL caseflow.skip_touch = 'on'`);
+      const result = await client.query(
+        `SELECT id, budget_text FROM leads
+         WHERE id > $1 ${all ? '' : 'AND budget_confidence IS NULL'}
+         ORDER BY id LIMIT 200
+         FOR UPDATE SKIP LOCKED`,
+        [lastId]
+      );
+      for (const row of result.rows) {
+        const changed = await client.query(
+          `UPDATE leads SET budget_min = $2, budget_max = $3, budget_currency = $4, budget_confidence = $5
+           WHERE id = $1 AND (budget_min, budget_max, budget_currency, budget_confidence) IS DISTINCT FROM ($2::numeric, $3::numeric, $4, $5)`,
+          [row.id, ...budgetColumnParams(row.budget_text)]
+        );
+        updated += changed.rowCount;
+      }
+      return result.rows;
+    });
+    if (rows.length < 200) break;
+    lastId = rows[rows.length - 1].id;
+  }
+  if (updated > 0) {
+    console.log(`💰 已解析 ${updated} 筆案件的預算`);
+  }
+  return updated;
+};
+
+/**
+ * 重新解析預算
+ * POST /api/admin/budgets/backfill
+ * { "all": true }（可選，重新解析所有案件；預設只處理還沒解析的案件）
+ */
+app.post('/api/admin/budgets/backfill', requirePermission('system:migrate'), async (req, res) => {
+  try {
+    const updated = await backfillLeadBudgets({ all: req.body.all === true });
+    res.json({ updated });
+  } catch (error) {
+    console.error('❌ 預算解析失敗:', error);
+    res.status(500).json({ error: '預算解析失敗', details: error.message });
+  }
+});
+
+// ==================== 案件編號 ====================
+
+/**
+ * 案件編號格式
+ * - CASE_CODE_FORMAT：預設格式（預設 aijob-{seq:3}）
+ * - CASE_CODE_FORMATS：依平台覆寫，JSON，例如 {"PRO360":"pro360-{year}-{seq:4}"}
+ *
+ * 可用變數：{seq:N} 流水號（補零到 N 位）、{year} 年份（台灣時間）、{platform} 平台（小寫英數）
+ * 每組「去掉流水號後的格式」各有一個計數器，所以含 {year} 的格式每年會從 1 開始
+ */
+const DEFAULT_CASE_CODE_FORMAT = process.env.CASE_CODE_FORMAT || 'aijob-{seq:3}';
+const CASE_CODE_FORMATS = (() => {
+  try {
+    return JSON.parse(process.env.CASE_CODE_FORMATS || '{}');
+  } catch (e) {
+    console.warn('⚠️ CASE_CODE_FORMATS 不是合法 JSON，使用預設格式:', e.message);
+    return {};
+  }
+})();
+const CASE_CODE_TIMEZONE = process.env.CASE_CODE_TIMEZONE || 'Asia/Taipei';
+const CASE_CODE_SEQ_PATTERN = /\{seq(?::(\d+))?\}/;
+
+const getCaseCodeFormat = (platform) => CASE_CODE_FORMATS[platform] || DEFAULT_CASE_CODE_FORMAT;
+
+// 展開格式中流水號以外的變數，回傳 { prefix, suffix, width }
+const renderCaseCodeFormat = (format, { platform, date }) => {
+  const year = new Intl.DateTimeFormat('en', { timeZone: CASE_CODE_TIMEZONE, year: 'numeric' }).format(date);
+  const platformSlug = String(platform || '').toLowerCase().replace(/[^a-z0-9]+/g, '') || 'other';
+  const rendered = format.replace(/\{year\}/g, year).replace(/\{platform\}/g, platformSlug);
+
+  const match = rendered.match(CASE_CODE_SEQ_PATTERN);
+  if (!match) {
+    throw new Error(`案件編號格式缺少 {seq}：${format}`);
+  }
+  return {
+    prefix: rendered.slice(0, match.index),
+    suffix: rendered.slice(match.index + match[0].length),
+    width: parseInt(match[1] || '1')
+  };
+};
+
+/**
+ * 配發新的案件編號
+ *
+ * 計數器存在 case_code_counters，INSERT ... ON CONFLICT DO UPDATE 會鎖住該列，
+ * 同時匯入也不會拿到同一個號碼；刪除案件後號碼不會回收。
+ * 計數器與現有最大編號取較大值，手動輸入的編號也不會被重複配發。
+ */
+const allocateCaseCode = async (client, { platform, date = new Date() }) => {
+  const { prefix, suffix, width } = renderCaseCodeFormat(getCaseCodeFormat(platform), { platform, date });
+  const counterKey = `${prefix}{seq}${suffix}`;
+  const pattern = `^${escapeRegExp(prefix)}(\\d+)${escapeRegExp(suffix)}$`;
+
+  const result = await client.query(
+    `WITH existing AS (
+       SELECT COALESCE(MAX(substring(case_code FROM $2)::bigint), 0) AS max_value
+       FROM leads WHERE case_code ~ $2
+     )
+     INSERT INTO case_code_counters (counter_key, last_value, updated_at)
+     SELECT $1, max_value + 1, NOW() FROM existing
+     ON CONFLICT (counter_key) DO UPDATE SET
+       last_value = GREATEST(case_code_counters.last_value, (SELECT max_value FROM existing)) + 1,
+       updated_at = NOW()
+     RETURNING last_value`,
+    [counterKey, pattern]
+  );
+
+  return `${prefix}${String(result.rows[0].last_value).padStart(width, '0')}${suffix}`;
+};
+
+const isCaseCodeConflict = (error) =>
+  error && error.code === '23505' && error.constraint === 'idx_leads_case_code_unique';
+
+const sendCaseCodeConflict = (res, caseCode) => res.status(409).json({
+  error: '案件編號已存在',
+  code: 'CASE_CODE_CONFLICT',
+  case_code: caseCode
+});
+
+// 建立 case_code 唯一索引；既有資料有重複時無法建立，需先執行補號
+const ensureCaseCodeIndex = async (client = pool) => {
+  try {
+    await client.query(
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_leads_case_code_unique
+       ON leads(case_code) WHERE case_code IS NOT NULL AND case_code <> ''`
+    );
+    return true;
+  } catch (err) {
+    if (err.code !== '23505') throw err;
+    console.warn('⚠️ 既有案件有重複的 case_code，無法建立唯一索引，請執行 POST /api/admin/case-codes/backfill');
+    return false;
+  }
+};
+
+// 計數器與格式設定
+app.get('/api/admin/case-codes', requirePermission('system:migrate'), async (req, res) => {
+  try {
+    const counters = await pool.query('SELECT * FROM case_code_counters ORDER BY counter_key');
+    const missing = await pool.query(
+      `SELECT COUNT(*) FROM leads WHERE case_code IS NULL OR case_code = ''`
+    );
+    const duplicates = await pool.query(
+      `SELECT case_code, COUNT(*) AS count FROM leads
+       WHERE case_code IS NOT NULL AND case_code <> ''
+       GROUP BY case_code HAVING COUNT(*) > 1`
+    );
+    res.json({
+      default_format: DEFAULT_CASE_CODE_FORMAT,
+      platform_formats: CASE_CODE_FORMATS,
+      counters: counters.rows.map(row => ({
+        counter_key: row.counter_key,
+        last_value: parseInt(row.last_value),
+        updated_at: row.updated_at ? new Date(row.updated_at).toISOString() : null
+      })),
+      missing_count: parseInt(missing.rows[0].count),
+      duplicates: duplicates.rows.map(row => ({ case_code: row.case_code, count: parseInt(row.count) }))
+    });
+  } catch (error) {
+    console.error('獲取案件編號設定失敗:', error);
+    res.status(500).json({ error: '獲取案件編號設定失敗', details: error.message });
+  }
+});
+
+/**
+ * 補發案件編號
+ * POST /api/admin/case-codes/backfill
+ * { "dry_run": true }（可選，只回傳會變更的內容）
+ *
+ * - 沒有 case_code 的案件依建立時間補號（年份依案件建立時間）
+ * - 重複的 case_code 保留最早建立的那筆，其餘重新配號
+ * 完成後建立唯一索引
+ */
+app.post('/api/admin/case-codes/backfill', requirePermission('system:migrate'), async (req, res) => {
+  const dryRun = req.body.dry_run === true;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const targets = await client.query(
+      `SELECT id, platform, created_at, case_code FROM (
+         SELECT id, platform, created_at, case_code,
+                ROW_NUMBER() OVER (PARTITION BY NULLIF(case_code, '') ORDER BY created_at, id) AS rn
+         FROM leads
+       ) t
+       WHERE case_code IS NULL OR case_code = '' OR rn > 1
+       ORDER BY created_at, id`
+    );
+
+    const assigned = [];
+    for (const lead of targets.rows) {
+      const caseCode = await allocateCaseCode(client, {
+        platform: lead.platform,
+        date: lead.created_at ? new Date(lead.created_at) : new Date()
+      });
+      await client.query('UPDATE leads SET case_code = $1 WHERE id = $2', [caseCode, lead.id]);
+      await recordLeadAudit(client, req, 'CASE_CODE_BACKFILL', lead.id, { case_code: lead.case_code }, { case_code: caseCode });
+      assigned.push({
+        id: lead.id,
+        previous_case_code: lead.case_code || null,
+        case_code: caseCode,
+        reason: lead.case_code ? 'duplicate' : 'missing'
+      });
+    }
+
+    if (dryRun) {
+      await client.query('ROLLBACK');
+    } else {
+      await client.query('COMMIT');
+    }
+
+    const indexCreated = dryRun ? false : await ensureCaseCodeIndex();
+
+    console.log(`🔢 案件編號補號${dryRun ? '（試跑）' : ''}: ${assigned.length} 筆`);
+
+    res.json({
+      dry_run: dryRun,
+      assigned_count: assigned.length,
+      assigned,
+      unique_index: dryRun ? null : indexCreated
+    });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('❌ 案件編號補號失敗:', error);
+    res.status(500).json({ error: '案件編號補號失敗', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+// ==================== 案件 API ====================
+
+// 解析 JSONB 陣列欄位（舊資料可能是字串），失敗時回傳空陣列
+const parseJsonArray = (value, fieldName) => {
+  if (!value) return [];
+  try {
+    const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+    if (!Array.isArray(parsed)) {
+      console.warn(`${fieldName} 不是陣列，轉換為陣列`);
+      return [];
+    }
+    return parsed;
+  } catch (e) {
+    console.warn(`解析 ${fieldName} 失敗:`, e);
+    return [];
+  }
+};
+
+// json_build_object 內的時間格式，與 toISOString() 相同
+const JSON_TIMESTAMP_FORMAT = `'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"'`;
+
+// 進度更新存在 lead_progress_updates，查詢案件時組回原本 progress_updates 陣列的格式
+const LEAD_PROGRESS_SQL = `(
+  SELECT COALESCE(json_agg(json_build_object(
+    'id', p.id,
+    'lead_id', p.lead_id,
+    'content', p.content,
+    'author_uid', p.author_uid,
+    'author_name', p.author_name,
+    'created_at', to_char(p.created_at AT TIME ZONE 'UTC', ${JSON_TIMESTAMP_FORMAT}),
+    'attachments', p.attachments,
+    'updated_at', to_char(p.updated_at AT TIME ZONE 'UTC', ${JSON_TIMESTAMP_FORMAT}),
+    'updated_by', p.updated_by,
+    'updated_by_name', p.updated_by_name
+  ) ORDER BY p.created_at, p.id), '[]')
+  FROM lead_progress_updates p WHERE p.lead_id = leads.id
+)`;
+
+// 成本與收入存在 lead_ledger_entries，組回 cost_records / profit_records 陣列（不含作廢與沖銷分錄）
+const leadLedgerRecordsSql = (entryType) => `(
+  SELECT COALESCE(json_agg(json_build_object(
+    'id', e.id,
+    'lead_id', e.lead_id,
+    'item_name', e.item_name,
+    'category', e.category,
+    'amount', e.amount,
+    'incurred_on', e.incurred_on,
+    'note', e.note,
+    'author_uid', e.author_uid,
+    'author_name', e.author_name,
+    'created_at', to_char(e.created_at AT TIME ZONE 'UTC', ${JSON_TIMESTAMP_FORMAT})
+  ) ORDER BY e.created_at, e.id), '[]')
+  FROM lead_ledger_entries e
+  WHERE e.lead_id = leads.id AND e.entry_type = '${entryType}' AND e.voided_at IS NULL AND e.reversal_of IS NULL
+)`;
+
+// 附件存在 lead_attachments，組回 contracts 陣列（data 在 formatLead 換成下載連結）
+const LEAD_ATTACHMENTS_SQL = `(
+  SELECT COALESCE(json_agg(json_build_object(
+    'id', a.id,
+    'filename', a.filename,
+    'url', a.url,
+    'mime_type', f.mime_type,
+    'size', f.size,
+    'uploaded_by', a.uploaded_by_name,
+    'uploaded_by_uid', a.uploaded_by,
+    'uploaded_at', to_char(a.created_at AT TIME ZONE 'UTC', ${JSON_TIMESTAMP_FORMAT})
+  ) ORDER BY a.created_at, a.id), '[]')
+  FROM lead_attachments a
+  LEFT JOIN stored_files f ON f.sha256 = a.file_sha256
+  WHERE a.lead_id = leads.id
+)`;
+
+// 標籤存在 lead_tags，依名稱排序
+const LEAD_TAGS_SQL = `(
+  SELECT COALESCE(json_agg(json_build_object(
+    'id', t.id,
+    'name', t.name,
+    'color', t.color,
+    'category', t.category
+  ) ORDER BY lower(t.name)), '[]')
+  FROM lead_tags lt
+  JOIN tags t ON t.id = lt.tag_id
+  WHERE lt.lead_id = leads.id
+)`;
+
+// SLA 門檻上限：一年
+const LEAD_SLA_MAX_HOURS = 8760;
+
+// 已經過門檻的這個比例視為即將逾時（at_risk）
+const LEAD_SLA_AT_RISK_RATIO = (() => {
+  const ratio = parseFloat(process.env.LEAD_SLA_AT_RISK_RATIO || '0.75');
+  return ratio > 0 && ratio < 1 ? ratio : 0.75;
+})();
+
+/**
+ * 案件目前適用的 SLA 門檻（lead_workflow_states.sla_hours）：status 和 decision 都有門檻時取最早到期的一個
+ * select 可以使用 s（狀態定義）、x.since（進入目前狀態的時間）、d.due_at（到期時間）
+ */
+const leadSlaRuleSql = (select) => `(
+  SELECT ${select}
+  FROM lead_workflow_states s
+  CROSS JOIN LATERAL (SELECT CASE s.field WHEN 'status' THEN leads.status_changed_at ELSE leads.decision_changed_at END AS since) x
+  CROSS JOIN LATERAL (SELECT x.since + s.sla_hours * INTERVAL '1 hour' AS due_at) d
+  WHERE s.sla_hours IS NOT NULL
+    AND ((s.field = 'status' AND s.value = leads.status) OR (s.field = 'decision' AND s.value = leads.decision))
+  ORDER BY d.due_at
+  LIMIT 1
+)`;
+
+const LEAD_SLA_DUE_SQL = leadSlaRuleSql('d.due_at');
+
+// ok、at_risk、breached，沒有門檻時為 none
+const LEAD_SLA_STATE_SQL = `COALESCE(${leadSlaRuleSql(`CASE
+    WHEN d.due_at <= NOW() THEN 'breached'
+    WHEN x.since + s.sla_hours * ${LEAD_SLA_AT_RISK_RATIO} * INTERVAL '1 hour' <= NOW() THEN 'at_risk'
+    ELSE 'ok'
+  END`)}, 'none')`;
+
+// 停留時間在回傳時才計算（formatLeadSla），這裡只取時間點
+const LEAD_SLA_SQL = `json_build_object(
+  'created_at', leads.created_at,
+  'status_since', leads.status_changed_at,
+  'decision_since', leads.decision_changed_at,
+  'first_contacted_at', leads.first_contacted_at,
+  'decided_at', leads.decided_at,
+  'rule', ${leadSlaRuleSql(`json_build_object('field', s.field, 'value', s.value, 'sla_hours', s.sla_hours, 'due_at', d.due_at)`)}
+)`;
+
+// 不是 leads 欄位的案件資料（LEAD_SCHEMA 中 column: false）
+const LEAD_DERIVED_COLUMNS = {
+  progress_updates: LEAD_PROGRESS_SQL,
+  cost_records: leadLedgerRecordsSql('cost'),
+  profit_records: leadLedgerRecordsSql('income'),
+  contracts: LEAD_ATTACHMENTS_SQL,
+  tags: LEAD_TAGS_SQL,
+  sla: LEAD_SLA_SQL
+};
+
+// 案件欄位 -> SELECT 運算式
+const leadColumnSql = (column) =>
+  LEAD_DERIVED_COLUMNS[column] ? `${LEAD_DERIVED_COLUMNS[column]} AS ${column}` : column;
+
+// SELECT * 時補上所有衍生欄位
+const LEAD_ALL_COLUMNS_SQL = ['*', ...Object.keys(LEAD_DERIVED_COLUMNS).map(leadColumnSql)].join(', ');
+
+const toIsoString = (value) => value ? new Date(value).toISOString() : null;
+
+// 資料庫資料列 -> API 回傳格式（含所有巢狀資料）
+const formatLead = (row) => ({
+  id: row.id,
+  case_code: row.case_code || null,
+  platform: row.platform,
+  platform_id: row.platform_id || '',
+  need: row.need || '',
+  budget_text: row.budget_text || null,
+  budget_min: row.budget_min === null || row.budget_min === undefined ? null : Number(row.budget_min),
+  budget_max: row.budget_max === null || row.budget_max === undefined ? null : Number(row.budget_max),
+  budget_currency: row.budget_currency || null,
+  budget_confidence: row.budget_confidence || null,
+  posted_at: row.posted_at ? new Date(row.posted_at).toISOString() : null,
+  phone: row.phone || null,
+  email: row.email || null,
+  location: row.location || null,
+  estimated_duration: row.estimated_duration || null,
+  contact_method: row.contact_method || null,
+  note: row.note || null,
+  internal_remarks: row.internal_remarks || null,
+  remarks_author: row.remarks_author || null,
+  status: row.status || '待篩選',
+  decision: row.decision || 'pending',
+  decision_by: row.decision_by || null,
+  reject_reason: row.reject_reason || null,
+  review_note: row.review_note || null,
+  assigned_to: row.assigned_to || null,
+  assigned_to_name: row.assigned_to_name || null,
+  priority: row.priority || 3,
+  created_by: row.created_by || null,
+  created_by_name: row.created_by_name || '',
+  created_at: row.created_at ? new Date(row.created_at).toISOString() : new Date().toISOString(),
+  updated_at: row.updated_at ? new Date(row.updated_at).toISOString() : new Date().toISOString(),
+  version: row.version,
+  last_action_by: row.last_action_by || null,
+  progress_updates: parseJsonArray(row.progress_updates, 'progress_updates'),
+  change_history: parseJsonArray(row.change_history, 'change_history'),
+  cost_records: parseJsonArray(row.cost_records, 'cost_records'),
+  profit_records: parseJsonArray(row.profit_records, 'profit_records'),
+  // 舊版前端直接把 data 當圖片網址使用
+  contracts: parseJsonArray(row.contracts, 'contracts').map(item => ({ ...item, data: item.url || signFileUrl(item.id) })),
+  links: parseJsonArray(row.links, 'links'),
+  tags: parseJsonArray(row.tags, 'tags'),
+  contact_status: row.contact_status || '未回覆',
+  sla: formatLeadSla(row.sla)
+});
+
+// 列表預設欄位：不含個資和巢狀陣列（進度、帳務、附件），標籤和 SLA 例外
+const LEAD_SUMMARY_FIELDS = [
+  'id', 'case_code', 'platform', 'platform_id', 'need', 'budget_text', 'budget_min', 'budget_max', 'budget_currency', 'posted_at', 'location',
+  'status', 'decision', 'priority', 'assigned_to', 'assigned_to_name', 'contact_status', 'tags', 'sla',
+  'created_by_name', 'created_at', 'updated_at', 'version'
+];
+
+/**
+ * 解析 fields 查詢參數
+ * - 未提供：摘要欄位
+ * - fields=all：全部欄位
+ * - fields=id,need,status：指定欄位（只接受 LEAD_SCHEMA 中的欄位）
+ * 回傳 { fields } 或 { invalid }
+ */
+const parseLeadFields = (param) => {
+  if (!param) return { fields: LEAD_SUMMARY_FIELDS };
+  if (param === 'all') return { fields: Object.keys(LEAD_SCHEMA) };
+
+  const requested = String(param).split(',').map(f => f.trim()).filter(Boolean);
+  const invalid = requested.filter(f => !LEAD_SCHEMA[f]);
+  if (invalid.length > 0) return { invalid };
+
+  // id 一定要回傳，前端靠它識別資料
+  return { fields: Array.from(new Set(['id', ...requested])) };
+};
+
+const pickFields = (obj, fields) => {
+  const picked = {};
+  for (const field of fields) picked[field] = obj[field];
+  return picked;
+};
+
+// 依 lead_id 或 case_code 鎖定案件（交易內使用，寫入前先取得修改前的資料）
+// 垃圾桶內的案件視為不存在，回傳 null
+const findLeadForUpdate = async (client, { lead_id, case_code }) => {
+  const result = lead_id
+    ? await client.query('SELECT * FROM leads WHERE id = $1 AND deleted_at IS NULL FOR UPDATE', [lead_id])
+    : await client.query('SELECT * FROM leads WHERE case_code = $1 AND deleted_at IS NULL FOR UPDATE', [case_code]);
+  return result.rows[0] || null;
+};
+
+// ==================== 案件版本（樂觀鎖） ====================
+
+// 每次修改案件（含新增進度、帳務、附件）version 都會由觸發器加一
+const leadETag = (version) => `"${version}"`;
+
+/**
+ * 讀取更新請求預期的案件版本：If-Match 標頭（"3"、W/"3"）或 body 的 expected_version
+ * 兩者都沒有（或 If-Match: *）時不檢查版本，回傳 { version: null }
+ * 格式錯誤時回傳 { errors }
+ */
+const parseExpectedVersion = (req, bodyValue) => {
+  const header = req.get('If-Match');
+  if (header !== undefined && header.trim() !== '*') {
+    const match = header.trim().match(/^(?:W\/)?"?(\d+)"?$/);
+    if (!match) return { errors: { 'If-Match': '必須是案件的 ETag（例如 "3"）' } };
+    const version = Number(match[1]);
+    if (bodyValue !== undefined && bodyValue !== null && Number(bodyValue) !== version) {
+      return { errors: { expected_version: '和 If-Match 不一致' } };
+    }
+    return { version };
+  }
+  if (bodyValue === undefined || bodyValue === null) return { version: null };
+  const version = typeof bodyValue === 'string' && bodyValue.trim() !== '' ? Number(bodyValue) : bodyValue;
+  if (!Number.isInteger(version) || version < 1) {
+    return { errors: { expected_version: '必須是正整數' } };
+  }
+  return { version };
+};
+
+// 版本不符：回傳伺服器上的最新資料，讓前端合併後再送出
+const sendVersionConflict = (res, expectedVersion, row) => {
+  res.set('ETag', leadETag(row.version));
+  res.status(409).json({
+    error: '案件已被其他人修改，請重新載入後再儲存',
+    code: 'VERSION_CONFLICT',
+    expected_version: expectedVersion,
+    current_version: row.version,
+    lead: formatLead(row)
+  });
+};
+
+// ==================== 案件狀態流程 ====================
+
+// 由狀態流程控管的欄位（lead_workflow_states.field）
+const WORKFLOW_FIELDS = ['status', 'decision'];
+
+// 轉換 effects 可用的代入值
+const WORKFLOW_EFFECT_TOKENS = {
+  '$actor.uid': (auth) => auth.uid,
+  '$actor.name': (auth) => auth.name,
+  '$now': () => new Date()
+};
+
+// 讀取狀態流程定義（交易內使用時傳入 client）
+const loadLeadWorkflow = async (db) => {
+  const states = await db.query('SELECT * FROM lead_workflow_states ORDER BY field, sort_order, value');
+  const transitions = await db.query('SELECT * FROM lead_workflow_transitions ORDER BY field, sort_order, from_value, to_value');
+
+  const workflow = {};
+  for (const field of WORKFLOW_FIELDS) workflow[field] = { states: [], transitions: [] };
+  for (const row of states.rows) {
+    workflow[row.field].states.push({
+      value: row.value,
+      label: row.label || row.value,
+      initial: row.is_initial,
+      sla_hours: row.sla_hours === null ? null : Number(row.sla_hours)
+    });
+  }
+  for (const row of transitions.rows) {
+    workflow[row.field].transitions.push({
+      from: row.from_value,
+      to: row.to_value,
+      label: row.label,
+      required_fields: row.required_fields,
+      effects: row.effects
+    });
+  }
+  return workflow;
+};
+
+/**
+ * 新增案件時檢查 status / decision 是流程中的狀態
+ * options.initialOnly: 只接受起始狀態（/api/migrate 匯入舊資料時關閉）
+ * 兩個欄位都沒提供時不讀取流程定義，回傳 errors 物件
+ */
+const validateLeadStates = async (db, values, { initialOnly = true } = {}) => {
+  const errors = {};
+  if (!WORKFLOW_FIELDS.some(field => values[field] !== null && values[field] !== undefined)) return errors;
+
+  const workflow = await loadLeadWorkflow(db);
+  for (const field of WORKFLOW_FIELDS) {
+    if (values[field] === null || values[field] === undefined) continue;
+    const allowed = workflow[field].states.filter(state => !initialOnly || state.initial).map(state => state.value);
+    if (!allowed.includes(values[field])) {
+      errors[field] = `${initialOnly ? '新案件' : ''}必須是以下其中之一：${allowed.join('、')}`;
+    }
+  }
+  return errors;
+};
+
+/**
+ * 修改案件時檢查 status / decision 的轉換（值沒有改變時不檢查）
+ * - 目前的值不在流程中（舊資料）時可以改成任何狀態，讓舊資料能被修正
+ * - 轉換的 required_fields 必須在同一次修改中提供
+ * 回傳 { errors }、{ rejected: { field, from, to, allowed } }，或 { effects }：轉換時一併寫入的欄位
+ */
+const checkLeadTransitions = (workflow, before, values, auth) => {
+  const errors = {};
+  const effects = {};
+
+  for (const field of WORKFLOW_FIELDS) {
+    const to = values[field];
+    const from = before[field] ?? null;
+    if (to === undefined || to === from) continue;
+
+    const { states, transitions } = workflow[field];
+    if (to === null) {
+      errors[field] = '不可清空';
+      continue;
+    }
+    if (!states.some(state => state.value === to)) {
+      errors[field] = `必須是以下其中之一：${states.map(state => state.value).join('、')}`;
+      continue;
+    }
+
+    const transition = transitions.find(t => t.from === from && t.to === to);
+    if (!transition) {
+      if (!states.some(state => state.value === from)) continue;
+      return { rejected: { field, from, to, allowed: transitions.filter(t => t.from === from).map(t => t.to) } };
+    }
+
+    for (const required of transition.required_fields) {
+      if (values[required] === null || values[required] === undefined) {
+        errors[required] = `${field} 從「${from}」改為「${to}」時必填`;
+      }
+    }
+    for (const [key, value] of Object.entries(transition.effects)) {
+      effects[key] = typeof value === 'string' && WORKFLOW_EFFECT_TOKENS[value] ? WORKFLOW_EFFECT_TOKENS[value](auth) : value;
+    }
+  }
+
+  return hasErrors(errors) ? { errors } : { effects };
+};
+
+/**
+ * 修改案件（交易內使用）：檢查狀態轉換，通過時把 effects 合併進 values（覆蓋請求內的同名欄位）
+ * 沒有改到 status / decision 時不讀取流程定義，回傳 {}
+ */
+const applyLeadTransitions = async (client, req, before, values) => {
+  if (!WORKFLOW_FIELDS.some(field => values[field] !== undefined && values[field] !== (before[field] ?? null))) return {};
+  const result = checkLeadTransitions(await loadLeadWorkflow(client), before, values, req.auth);
+  if (result.effects) Object.assign(values, result.effects);
+  return result;
+};
+
+const sendTransitionRejected = (res, { field, from, to, allowed }) => res.status(409).json({
+  error: `不允許把 ${field} 從「${from}」改為「${to}」`,
+  code: 'INVALID_TRANSITION',
+  field,
+  from,
+  to,
+  allowed
+});
+
+// required_fields 與 effects 只能使用可寫入的 leads 欄位，effects 不能再改 status / decision
+const isWorkflowWritableField = (field) =>
+  !!LEAD_SCHEMA[field] && LEAD_SCHEMA[field].column !== false && !LEAD_SCHEMA[field].readOnly && !WORKFLOW_FIELDS.includes(field);
+
+/**
+ * 驗證 PUT /api/lead-workflow/:field 的流程定義
+ * { states: [{ value, label, initial, sla_hours }], transitions: [{ from, to, label, required_fields, effects }] }
+ * sla_hours 省略時為 undefined（沿用原本的設定），null 代表沒有 SLA
+ * 回傳 { states, transitions, errors }
+ */
+const validateWorkflowDefinition = (input) => {
+  const errors = {};
+  const states = [];
+  const transitions = [];
+  const body = input && typeof input === 'object' ? input : {};
+
+  if (!Array.isArray(body.states) || body.states.length === 0) {
+    errors.states = '必須是非空陣列';
+  } else {
+    body.states.forEach((state, i) => {
+      const value = state && typeof state.value === 'string' ? state.value.trim() : '';
+      if (!value || [...value].length > 50) {
+        errors[`states[${i}].value`] = '必填，長度不可超過 50 個字';
+      } else if (states.some(s => s.value === value)) {
+        errors[`states[${i}].value`] = '重複的狀態';
+      } else {
+        const slaHours = state.sla_hours;
+        if (slaHours !== undefined && slaHours !== null
+            && (typeof slaHours !== 'number' || !Number.isFinite(slaHours) || slaHours <= 0 || slaHours > LEAD_SLA_MAX_HOURS)) {
+          errors[`states[${i}].sla_hours`] = `必須是大於 0、不超過 ${LEAD_SLA_MAX_HOURS} 的小時數，或 null`;
+        }
+        states.push({
+          value,
+          label: typeof state.label === 'string' && state.label.trim() ? state.label.trim() : null,
+          initial: state.initial === true,
+          sla_hours: slaHours
+        });
+      }
+    });
+    if (states.length > 0 && !states.some(state => state.initial)) {
+      errors.states = '至少要有一個起始狀態（initial: true）';
+    }
+  }
+
+  if (body.transitions !== undefined && !Array.isArray(body.transitions)) {
+    errors.transitions = '必須是陣列';
+  }
+  (Array.isArray(body.transitions) ? body.transitions : []).forEach((transition, i) => {
+    const key = `transitions[${i}]`;
+    if (!transition || typeof transition !== 'object') {
+      errors[key] = '必須是物件';
+      return;
+    }
+    const { from, to } = transition;
+    if (!states.some(state => state.value === from)) errors[`${key}.from`] = '不是流程中的狀態';
+    if (!states.some(state => state.value === to)) errors[`${key}.to`] = '不是流程中的狀態';
+    if (from === to) errors[`${key}.to`] = '不能和 from 相同';
+    if (transitions.some(t => t.from === from && t.to === to)) errors[key] = '重複的轉換';
+
+    const requiredFields = transition.required_fields === undefined ? [] : transition.required_fields;
+    if (!Array.isArray(requiredFields) || !requiredFields.every(isWorkflowWritableField)) {
+      errors[`${key}.required_fields`] = '必須是案件欄位名稱的陣列';
+    }
+
+    const effects = transition.effects === undefined ? {} : transition.effects;
+    if (!effects || typeof effects !== 'object' || Array.isArray(effects)) {
+      errors[`${key}.effects`] = '必須是物件';
+    } else {
+      for (const [field, value] of Object.entries(effects)) {
+        if (!isWorkflowWritableField(field)) {
+          errors[`${key}.effects.${field}`] = '不允許的欄位';
+        } else if (!(typeof value === 'string' && WORKFLOW_EFFECT_TOKENS[value]) && coerceLeadField(LEAD_SCHEMA[field], value).error) {
+          errors[`${key}.effects.${field}`] = coerceLeadField(LEAD_SCHEMA[field], value).error;
+        }
+      }
+    }
+
+    transitions.push({
+      from,
+      to,
+      label: typeof transition.label === 'string' && transition.label.trim() ? transition.label.trim() : null,
+      required_fields: Array.isArray(requiredFields) ? requiredFields : [],
+      effects
+    });
+  });
+
+  return { states, transitions, errors };
+};
+
+// 狀態流程定義（前端用來產生狀態選單和按鈕）
+const sendLeadWorkflow = async (req, res) => {
+  try {
+    res.json({ ...await loadLeadWorkflow(pool), effect_tokens: Object.keys(WORKFLOW_EFFECT_TOKENS) });
+  } catch (error) {
+    console.error('獲取狀態流程失敗:', error);
+    res.status(500).json({ error: '獲取狀態流程失敗', details: error.message });
+  }
+};
+
+app.get('/api/lead-workflow', requirePermission('leads:read'), sendLeadWorkflow);
+app.get('/api/ai/lead-workflow', requirePermission('leads:read'), sendLeadWorkflow);
+
+// 取代一個欄位（status 或 decision）的整個流程定義
+app.put('/api/lead-workflow/:field', requirePermission('workflow:manage'), async (req, res) => {
+  try {
+    const { field } = req.params;
+    if (!WORKFLOW_FIELDS.includes(field)) {
+      return res.status(404).json({ error: '沒有這個狀態流程', allowed: WORKFLOW_FIELDS });
+    }
+    const { states, transitions, errors } = validateWorkflowDefinition(req.body);
+    if (hasErrors(errors)) {
+      return sendValidationError(res, errors);
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      await client.query('SELECT 1 FROM lead_workflow_states WHERE field = $1 FOR UPDATE', [field]);
+      const before = (await loadLeadWorkflow(client))[field];
+
+      // 還有案件（含垃圾桶）使用的狀態不能移除
+      const removed = before.states.map(state => state.value).filter(value => !states.some(state => state.value === value));
+      if (removed.length > 0) {
+        const inUse = await client.query(
+          `SELECT ${field} AS value, COUNT(*)::int AS count FROM leads WHERE ${field} = ANY($1) GROUP BY ${field} ORDER BY ${field}`,
+          [removed]
+        );
+        if (inUse.rows.length > 0) return { inUse: inUse.rows };
+      }
+
+      await client.query('DELETE FROM lead_workflow_transitions WHERE field = $1', [field]);
+      await client.query('DELETE FROM lead_workflow_states WHERE field = $1', [field]);
+      for (const [i, state] of states.entries()) {
+        const previous = before.states.find(s => s.value === state.value);
+        const slaHours = state.sla_hours === undefined ? (previous ? previous.sla_hours : null) : state.sla_hours;
+        await client.query(
+          'INSERT INTO lead_workflow_states (field, value, label, is_initial, sort_order, sla_hours) VALUES ($1, $2, $3, $4, $5, $6)',
+          [field, state.value, state.label, state.initial, i + 1, slaHours]
+        );
+      }
+      for (const [i, transition] of transitions.entries()) {
+        await client.query(
+          `INSERT INTO lead_workflow_transitions (field, from_value, to_value, label, required_fields, effects, sort_order)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+          [field, transition.from, transition.to, transition.label, transition.required_fields, JSON.stringify(transition.effects), i + 1]
+        );
+      }
+
+      const after = (await loadLeadWorkflow(client))[field];
+      await recordAudit(client, req, { action: 'WORKFLOW_UPDATE', entityType: 'lead_workflow', entityId: field, before, after });
+      return { workflow: after };
+    });
+
+    if (outcome.inUse) {
+      return res.status(409).json({
+        error: '還有案件使用這些狀態，請先修改案件後再移除',
+        code: 'WORKFLOW_STATE_IN_USE',
+        in_use: outcome.inUse
+      });
+    }
+    console.log(`✅ 已更新 ${field} 狀態流程：${states.length} 個狀態、${transitions.length} 個轉換`);
+    res.json({ field, ...outcome.workflow });
+  } catch (error) {
+    console.error('更新狀態流程失敗:', error);
+    res.status(500).json({ error: '更新狀態流程失敗', details: error.message });
+  }
+});
+
+// ==================== 案件查詢（分頁、篩選、排序） ====================
+
+const LEAD_FILTER_FIELDS = ['status', 'decision', 'contact_status', 'platform', 'assigned_to', 'priority', 'created_by', 'budget_currency', 'budget_confidence'];
+
+// 日期區間篩選：查詢參數 -> [欄位, 運算子]
+const LEAD_DATE_FILTERS = {
+  created_from: ['created_at', '>='],
+  created_to: ['created_at', '<='],
+  updated_from: ['updated_at', '>='],
+  updated_to: ['updated_at', '<=']
+};
+
+// 可排序欄位；COALESCE 讓 NULL 也能用在游標比較
+const LEAD_SORT_FIELDS = {
+  created_at: { expr: "COALESCE(created_at, 'epoch'::timestamptz)", type: 'timestamptz' },
+  updated_at: { expr: "COALESCE(updated_at, 'epoch'::timestamptz)", type: 'timestamptz' },
+  posted_at: { expr: "COALESCE(posted_at, 'epoch'::timestamptz)", type: 'timestamptz' },
+  deleted_at: { expr: "COALESCE(deleted_at, 'epoch'::timestamptz)", type: 'timestamptz' },
+  priority: { expr: 'COALESCE(priority, 3)', type: 'integer' },
+  case_code: { expr: "COALESCE(case_code, '')", type: 'text' },
+  // 沒有預算的案件當作 -1（desc 排在最後）
+  budget_min: { expr: 'COALESCE(budget_min, -1)', type: 'numeric' },
+  budget_max: { expr: 'COALESCE(budget_max, -1)', type: 'numeric' },
+  status_changed_at: { expr: "COALESCE(status_changed_at, 'epoch'::timestamptz)", type: 'timestamptz' },
+  // 沒有 SLA 的案件排在最後（asc）
+  sla_due_at: { expr: `COALESCE(${LEAD_SLA_DUE_SQL}, 'infinity'::timestamptz)`, type: 'timestamptz' }
+};
+
+const LEAD_PAGE_MAX = 200;
+
+const encodeCursor = (data) => Buffer.from(JSON.stringify(data)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * 把查詢參數轉成 WHERE 條件
+ * - 多個值用逗號分隔：?status=待篩選,已接洽
+ * - assigned_to=me / created_by=me 代表目前登入者
+ * - tags=診所,電商 符合任一標籤；tags_all=診所,急件 必須有全部標籤
+ * - sla=at_risk,breached：SLA 狀態（ok、at_risk、breached、none）
+ * - 預設排除垃圾桶內的案件，trashed = true 時只查垃圾桶
+ * 回傳 { conditions, params, errors }
+ */
+const buildLeadFilters = (query, auth, { trashed = false } = {}) => {
+  const conditions = [trashed ? 'deleted_at IS NOT NULL' : 'deleted_at IS NULL'];
+  const params = [];
+  const errors = {};
+
+  for (const field of LEAD_FILTER_FIELDS) {
+    if (query[field] === undefined || query[field] === '') continue;
+
+    const values = [];
+    for (const raw of String(query[field]).split(',').map(v => v.trim()).filter(Boolean)) {
+      const { value, error } = coerceLeadField(LEAD_SCHEMA[field], raw === 'me' && auth ? auth.uid : raw);
+      if (error) {
+        errors[field] = error;
+        break;
+      }
+      values.push(value);
+    }
+    if (errors[field] || values.length === 0) continue;
+
+    params.push(values);
+    conditions.push(`${field} = ANY($${params.length})`);
+  }
+
+  for (const [param, [column, operator]] of Object.entries(LEAD_DATE_FILTERS)) {
+    if (!query[param]) continue;
+    const date = new Date(query[param]);
+    if (isNaN(date.getTime())) {
+      errors[param] = '日期格式不正確';
+      continue;
+    }
+    params.push(date);
+    conditions.push(`${column} ${operator} $${params.length}`);
+  }
+
+  // 預算區間：和案件的 [budget_min, budget_max] 有交集就符合，只有下限或上限的案件另一端視為不限
+  for (const param of ['budget_from', 'budget_to']) {
+    if (query[param] === undefined || query[param] === '') continue;
+    const { value, error } = coerceLeadField({ type: 'number' }, query[param]);
+    if (error) {
+      errors[param] = error;
+      continue;
+    }
+    params.push(value);
+    conditions.push(param === 'budget_from'
+      ? `(budget_max >= $${params.length} OR (budget_max IS NULL AND budget_min IS NOT NULL))`
+      : `(budget_min <= $${params.length} OR (budget_min IS NULL AND budget_max IS NOT NULL))`);
+  }
+
+  // 標籤（名稱不分大小寫，或標籤 ID）：tags 符合任一個，tags_all 必須全部都有
+  for (const param of ['tags', 'tags_all']) {
+    if (query[param] === undefined || query[param] === '') continue;
+    const names = uniqueTagNames(String(query[param]).split(','));
+    if (names.length === 0) continue;
+    params.push(names.map(name => name.toLowerCase()), names);
+    const matchTag = `lt.lead_id = leads.id AND (lower(t.name) = n.name OR t.id = n.raw)`;
+    const namesSql = `unnest($${params.length - 1}::text[], $${params.length}::text[]) AS n(name, raw)`;
+    conditions.push(param === 'tags'
+      ? `EXISTS (SELECT 1 FROM lead_tags lt JOIN tags t ON t.id = lt.tag_id, ${namesSql} WHERE ${matchTag})`
+      : `NOT EXISTS (SELECT 1 FROM ${namesSql} WHERE NOT EXISTS (SELECT 1 FROM lead_tags lt JOIN tags t ON t.id = lt.tag_id WHERE ${matchTag}))`);
+  }
+
+  if (query.sla !== undefined && query.sla !== '') {
+    const states = String(query.sla).split(',').map(v => v.trim()).filter(Boolean);
+    if (states.some(state => !LEAD_SLA_STATES.includes(state))) {
+      errors.sla = `必須是以下其中之一：${LEAD_SLA_STATES.join('、')}`;
+    } else {
+      params.push(states);
+      conditions.push(`${LEAD_SLA_STATE_SQL} = ANY($${params.length})`);
+    }
+  }
+
+  return { conditions, params, errors };
+};
+
+/**
+ * 分頁查詢案件（GET /api/leads 與 GET /api/ai/leads 共用）
+ *
+ * 查詢參數：篩選欄位、sort（預設 created_at）、order（asc/desc，預設 desc）、limit、cursor
+ * 游標分頁以 (排序欄位, id) 為鍵，翻頁時資料新增或刪除也不會重複或漏掉
+ *
+ * 回傳 { errors } 或 { rows, total, next_cursor, limit }
+ */
+const queryLeads = async (query, { columns, defaultLimit = 50, auth, trashed = false } = {}) => {
+  const { conditions, params, errors } = buildLeadFilters(query, auth, { trashed });
+
+  const sort = query.sort || 'created_at';
+  const order = (query.order || 'desc').toLowerCase();
+  const sortField = LEAD_SORT_FIELDS[sort];
+  if (!sortField) {
+    errors.sort = `必須是以下其中之一：${Object.keys(LEAD_SORT_FIELDS).join('、')}`;
+  }
+  if (order !== 'asc' && order !== 'desc') {
+    errors.order = '必須是 asc 或 desc';
+  }
+
+  // defaultLimit: null 代表沒帶 limit 時不分頁（舊版用戶端一次取回全部）
+  const limit = query.limit === undefined ? defaultLimit : parseInt(query.limit);
+  if (limit !== null && (!Number.isInteger(limit) || limit < 1 || limit > LEAD_PAGE_MAX)) {
+    errors.limit = `必須是 1 到 ${LEAD_PAGE_MAX} 的整數`;
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor || cursor.sort !== sort || cursor.order !== order) {
+      errors.cursor = '游標無效或與排序條件不符';
+    }
+  }
+
+  if (hasErrors(errors)) return { errors };
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const countResult = await pool.query(`SELECT COUNT(*) FROM leads ${where}`, params);
+
+  const pageConditions = [...conditions];
+  const pageParams = [...params];
+  if (cursor) {
+    pageParams.push(cursor.value, cursor.id);
+    const comparator = order === 'desc' ? '<' : '>';
+    pageConditions.push(
+      `(${sortField.expr}, id) ${comparator} ($${pageParams.length - 1}::${sortField.type}, $${pageParams.length})`
+    );
+  }
+  const pageWhere = pageConditions.length > 0 ? `WHERE ${pageConditions.join(' AND ')}` : '';
+  const direction = order.toUpperCase();
+
+  // 多取一筆判斷是否還有下一頁
+  let limitSql = '';
+  if (limit !== null) {
+    pageParams.push(limit + 1);
+    limitSql = `LIMIT $${pageParams.length}`;
+  }
+  const result = await pool.query(
+    `SELECT ${columns.map(leadColumnSql).join(', ')}, (${sortField.expr})::text AS _cursor_value
+     FROM leads ${pageWhere}
+     ORDER BY ${sortField.expr} ${direction}, id ${direction}
+     ${limitSql}`,
+    pageParams
+  );
+
+  const rows = limit === null ? result.rows : result.rows.slice(0, limit);
+  const last = rows[rows.length - 1];
+  const nextCursor = limit !== null && result.rows.length > limit && last
+    ? encodeCursor({ sort, order, value: last._cursor_value, id: last.id })
+    : null;
+
+  return {
+    rows,
+    total: parseInt(countResult.rows[0].count),
+    next_cursor: nextCursor,
+    limit
+  };
+};
+
+/**
+ * 獲取案件列表
+ * GET /api/leads
+ *
+ * 查詢參數：
+ * - fields: 回傳欄位（預設摘要欄位，fields=all 為完整資料）
+ * - status, decision, contact_status, platform, assigned_to, priority, created_by, budget_currency, budget_confidence: 篩選（可用逗號分隔多個值）
+ * - created_from, created_to, updated_from, updated_to: 日期區間
+ * - budget_from, budget_to: 預算區間（和案件的預算區間有交集就符合）
+ * - sla: SLA 狀態（ok | at_risk | breached | none）
+ * - sort: created_at | updated_at | posted_at | priority | case_code | budget_min | budget_max | status_changed_at | sla_due_at，order: asc | desc
+ * - limit: 每頁筆數（預設 50，最多 200），cursor: 上一頁回傳的 next_cursor
+ *
+ * 帶 limit 或 cursor 時回傳 { total, count, limit, next_cursor, leads }；
+ * 都沒帶時和舊版一樣回傳全部案件的陣列（預設完整欄位），既有前端不受影響
+ */
+app.get('/api/leads', requirePermission('leads:read'), async (req, res) => {
+  try {
+    const paginated = req.query.limit !== undefined || req.query.cursor !== undefined;
+    const { fields, invalid } = parseLeadFields(req.query.fields || (paginated ? undefined : 'all'));
+    if (invalid) {
+      return sendValidationError(res, { fields: `未知的欄位：${invalid.join(', ')}` });
+    }
+
+    // 欄位名稱已經過 LEAD_SCHEMA 白名單檢查
+    const page = await queryLeads(req.query, { columns: fields, auth: req.auth, defaultLimit: paginated ? undefined : null });
+    if (page.errors) {
+      return sendValidationError(res, page.errors);
+    }
+
+    console.log(`📊 /api/leads: 共 ${page.total} 筆案件，本頁 ${page.rows.length} 筆（${fields.length} 個欄位）`);
+    if (!paginated) {
+      return res.json(page.rows.map(row => pickFields(formatLead(row), fields)));
+    }
+    res.json({
+      total: page.total,
+      count: page.rows.length,
+      limit: page.limit,
+      next_cursor: page.next_cursor,
+      leads: page.rows.map(row => pickFields(formatLead(row), fields))
+    });
+  } catch (error) {
+    console.error('獲取案件失敗:', error);
+    console.error('錯誤詳情:', error.message, error.stack);
+    res.status(500).json({ 
+      error: '獲取案件失敗',
+      details: error.message,
+      hint: '請檢查資料庫連接和表結構'
+    });
+  }
+});
+
+// ==================== 案件 SLA 與停留時間 ====================
+
+const LEAD_SLA_STATES = ['ok', 'at_risk', 'breached', 'none'];
+
+const hoursBetween = (from, to) => from && to
+  ? Math.round((new Date(to) - new Date(from)) / 36e3) / 100
+  : null;
+
+const roundHours = (value) => value === null || value === undefined ? null : Math.round(Number(value) * 100) / 100;
+
+/**
+ * LEAD_SLA_SQL -> API 回傳格式，停留時間以小時計（到現在為止）
+ * state: ok | at_risk | breached | none（目前狀態沒有 SLA 門檻）
+ */
+const formatLeadSla = (value) => {
+  if (!value) return null;
+  const sla = typeof value === 'string' ? JSON.parse(value) : value;
+  const now = new Date();
+  const rule = sla.rule;
+
+  let state = 'none';
+  if (rule) {
+    const due = new Date(rule.due_at);
+    const slaHours = Number(rule.sla_hours);
+    if (due <= now) state = 'breached';
+    else if (now - new Date(sla[`${rule.field}_since`]) >= slaHours * LEAD_SLA_AT_RISK_RATIO * 3600e3) state = 'at_risk';
+    else state = 'ok';
+  }
+
+  return {
+    state,
+    status_since: toIsoString(sla.status_since),
+    time_in_status_hours: hoursBetween(sla.status_since, now),
+    decision_since: toIsoString(sla.decision_since),
+    time_in_decision_hours: hoursBetween(sla.decision_since, now),
+    first_contacted_at: toIsoString(sla.first_contacted_at),
+    // 還沒聯繫時為 null（等待中的時間看 time_in_status_hours）
+    time_to_first_contact_hours: hoursBetween(sla.created_at, sla.first_contacted_at),
+    decided_at: toIsoString(sla.decided_at),
+    time_to_decision_hours: hoursBetween(sla.created_at, sla.decided_at),
+    rule: rule ? {
+      field: rule.field,
+      value: rule.value,
+      sla_hours: Number(rule.sla_hours),
+      due_at: toIsoString(rule.due_at),
+      hours_left: hoursBetween(now, rule.due_at)
+    } : null
+  };
+};
+
+// 狀態歷程中「第一次離開 initial」的時間，規則同 migrations/015：
+// 每個案件該欄位的第一筆歷程若沒有 from_value，是建立案件時的紀錄，不算轉換；合併進來的歷程（merged_from）不算
+const firstTransitionSql = (field, initial) => `(
+  SELECT MIN(h.changed_at) FROM lead_status_history h
+  WHERE h.lead_id = l.id AND h.field = '${field}' AND h.merged_from IS NULL
+    AND COALESCE(h.to_value, '${initial}') <> '${initial}' AND COALESCE(h.from_value, '${initial}') = '${initial}'
+    AND (h.from_value IS NOT NULL OR EXISTS (
+      SELECT 1 FROM lead_status_history p
+      WHERE p.lead_id = h.lead_id AND p.field = h.field AND p.merged_from IS NULL AND (p.changed_at, p.id) < (h.changed_at, h.id)
+    ))
+)`;
+
+const lastChangeSql = (field) => `(
+  SELECT MAX(h.changed_at) FROM lead_status_history h
+  WHERE h.lead_id = l.id AND h.field = '${field}' AND h.merged_from IS NULL
+)`;
+
+/**
+ * 依 lead_status_history 重新計算案件的狀態開始時間、第一次聯繫與第一次決定的時間（背景工作 stats.recompute）
+ * 平常由觸發器維護，這裡修正直接改資料庫、還原備份等造成的不一致；只更新結果有變的案件
+ * 只是衍生欄位，不算修改案件：不更新 updated_at、version，也不寫審計紀錄
+ */
+const recomputeLeadStatusTimes = () => withTransaction(async (client) => {
+  await client.query(`SET LOCAL caseflow.skip_touch = 'on'`);
+  const result = await client.query(
+    `WITH computed AS (
+       SELECT l.id,
+              COALESCE(${lastChangeSql('status')}, l.created_at, l.status_changed_at) AS status_changed_at,
+              COALESCE(${lastChangeSql('decision')}, l.created_at, l.decision_changed_at) AS decision_changed_at,
+              ${firstTransitionSql('contact_status', '未回覆')} AS first_contacted_at,
+              ${firstTransitionSql('decision', 'pending')} AS decided_at
+       FROM leads l
+     )
+     UPDATE leads l SET
+       status_changed_at = c.status_changed_at,
+       decision_changed_at = c.decision_changed_at,
+       first_contacted_at = c.first_contacted_at,
+       decided_at = c.decided_at
+     FROM computed c
+     WHERE l.id = c.id
+       AND (l.status_changed_at, l.decision_changed_at, l.first_contacted_at, l.decided_at)
+           IS DISTINCT FROM (c.status_changed_at, c.decision_changed_at, c.first_contacted_at, c.decided_at)
+`
+  );
+  if (result.rowCount > 0) {
+    console.log(`⏱️ 已重新計算 ${result.rowCount} 筆案件的狀態時間`);
+  }
+  return { updated: result.rowCount };
+});
+
+/**
+ * 即將逾時和已逾時的案件，最急的在前（依 SLA 到期時間排序）
+ * GET /api/leads/at-risk
+ *
+ * 查詢參數同 GET /api/leads（sort、order 固定），sla 預設為 at_risk,breached
+ * 門檻在 PUT /api/lead-workflow/:field 的 states[].sla_hours 設定，
+ * 經過門檻的 LEAD_SLA_AT_RISK_RATIO（預設 75%）視為即將逾時
+ */
+app.get('/api/leads/at-risk', requirePermission('leads:read'), async (req, res) => {
+  try {
+    const { fields, invalid } = parseLeadFields(req.query.fields);
+    if (invalid) {
+      return sendValidationError(res, { fields: `未知的欄位：${invalid.join(', ')}` });
+    }
+
+    const query = { sla: 'at_risk,breached', ...req.query, sort: 'sla_due_at', order: 'asc' };
+    const page = await queryLeads(query, { columns: fields, auth: req.auth });
+    if (page.errors) {
+      return sendValidationError(res, page.errors);
+    }
+
+    res.json({
+      total: page.total,
+      count: page.rows.length,
+      limit: page.limit,
+      next_cursor: page.next_cursor,
+      at_risk_ratio: LEAD_SLA_AT_RISK_RATIO,
+      leads: page.rows.map(row => pickFields(formatLead(row), fields))
+    });
+  } catch (error) {
+    console.error('獲取逾時案件失敗:', error);
+    res.status(500).json({ error: '獲取逾時案件失敗', details: error.message });
+  }
+});
+
+/**
+ * 停留時間與回應速度統計
+ * GET /api/leads/sla-report
+ *
+ * 篩選參數同 GET /api/leads（例如 platform=Pro360、created_from=2025-01-01）
+ * - statuses: 每個狀態目前的案件數、已停留時間、逾時數，以及已離開該狀態的案件平均／中位停留時間
+ * - first_contact: 建立到第一次聯繫的時間（整體和各平台）
+ * - decision: 建立到第一次決定（decision 離開 pending）的時間
+ * 時間不明（first_contacted_at / decided_at 為 NULL，例如建立時就已聯繫）的案件不納入平均與中位數
+ */
+app.get('/api/leads/sla-report', requirePermission('leads:read'), async (req, res) => {
+  try {
+    const { conditions, params, errors } = buildLeadFilters(req.query, req.auth);
+    if (hasErrors(errors)) {
+      return sendValidationError(res, errors);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const current = await pool.query(
+      `SELECT status, COUNT(*)::int AS count,
+              AVG(EXTRACT(EPOCH FROM NOW() - status_changed_at)) / 3600 AS avg_hours,
+              MAX(EXTRACT(EPOCH FROM NOW() - status_changed_at)) / 3600 AS max_hours,
+              COUNT(*) FILTER (WHERE sla_state = 'at_risk')::int AS at_risk,
+              COUNT(*) FILTER (WHERE sla_state = 'breached')::int AS breached
+       FROM (SELECT status, status_changed_at, ${LEAD_SLA_STATE_SQL} AS sla_state FROM leads ${where}) l
+       GROUP BY status`,
+      params
+    );
+
+    // 已經結束的停留：每筆 status 歷程到同一案件下一筆歷程的時間
+    const completed = await pool.query(
+      `SELECT status, COUNT(*)::int AS count, AVG(hours) AS avg_hours,
+              percentile_cont(0.5) WITHIN GROUP (ORDER BY hours) AS median_hours
+       FROM (
+         SELECT h.to_value AS status,
+                EXTRACT(EPOCH FROM LEAD(h.changed_at) OVER (PARTITION BY h.lead_id, h.merged_from ORDER BY h.changed_at, h.id) - h.changed_at) / 3600 AS hours
+         FROM lead_status_history h
+         WHERE h.field = 'status' AND h.lead_id IN (SELECT id FROM leads ${where})
+       ) stints
+       WHERE hours IS NOT NULL
+       GROUP BY status`,
+      params
+    );
+
+    const timing = await pool.query(
+      `SELECT platform, GROUPING(platform) = 1 AS overall, COUNT(*)::int AS total,
+              COUNT(first_contacted_at)::int AS contacted,
+              AVG(contact_hours) AS contact_avg_hours,
+              percentile_cont(0.5) WITHIN GROUP (ORDER BY contact_hours) AS contact_median_hours,
+              COUNT(decided_at)::int AS decided,
+              AVG(decision_hours) AS decision_avg_hours,
+              percentile_cont(0.5) WITHIN GROUP (ORDER BY decision_hours) AS decision_median_hours
+       FROM (
+         SELECT platform, first_contacted_at, decided_at,
+                EXTRACT(EPOCH FROM first_contacted_at - created_at) / 3600 AS contact_hours,
+                EXTRACT(EPOCH FROM decided_at - created_at) / 3600 AS decision_hours
+         FROM leads ${where}
+       ) l
+       GROUP BY GROUPING SETS ((platform), ())
+       ORDER BY GROUPING(platform) DESC, platform`,
+      params
+    );
+
+    // 依流程定義的順序排列，流程中已移除但還有資料的狀態放在最後
+    const workflow = await loadLeadWorkflow(pool);
+    const values = workflow.status.states.map(state => state.value);
+    for (const row of [...current.rows, ...completed.rows]) {
+      if (!values.includes(row.status)) values.push(row.status);
+    }
+
+    const statuses = values.map(value => {
+      const state = workflow.status.states.find(s => s.value === value);
+      const now = current.rows.find(row => row.status === value);
+      const done = completed.rows.find(row => row.status === value);
+      return {
+        status: value,
+        sla_hours: state ? state.sla_hours : null,
+        current: {
+          count: now ? now.count : 0,
+          avg_hours: now ? roundHours(now.avg_hours) : null,
+          max_hours: now ? roundHours(now.max_hours) : null,
+          at_risk: now ? now.at_risk : 0,
+          breached: now ? now.breached : 0
+        },
+        completed: {
+          count: done ? done.count : 0,
+          avg_hours: done ? roundHours(done.avg_hours) : null,
+          median_hours: done ? roundHours(done.median_hours) : null
+        }
+      };
+    });
+
+    const formatTiming = (row, prefix, countField) => ({
+      total: row.total,
+      [countField]: row[countField],
+      avg_hours: roundHours(row[`${prefix}_avg_hours`]),
+      median_hours: roundHours(row[`${prefix}_median_hours`])
+    });
+    const summarize = (prefix, countField) => {
+      const overall = timing.rows.find(row => row.overall);
+      return {
+        ...formatTiming(overall, prefix, countField),
+        by_platform: timing.rows.filter(row => !row.overall).map(row => ({ platform: row.platform, ...formatTiming(row, prefix, countField) }))
+      };
+    };
+
+    res.json({
+      at_risk_ratio: LEAD_SLA_AT_RISK_RATIO,
+      statuses,
+      first_contact: summarize('contact', 'contacted'),
+      decision: summarize('decision', 'decided')
+    });
+  } catch (error) {
+    console.error('獲取 SLA 統計失敗:', error);
+    res.status(500).json({ error: '獲取 SLA 統計失敗', details: error.message });
+  }
+});
+
+/**
+ * 案件的狀態歷程：status、decision、contact_status 每次變更的時間和停留時間
+ * GET /api/leads/:id/status-history?field=status
+ * :id 可以是案件 ID 或 case_code；最後一筆（目前狀態）的停留時間算到現在
+ * 合併進來的歷程帶 merged_from（原本的案件 ID），和保留案件的歷程分開計算
+ */
+app.get('/api/leads/:id/status-history', requirePermission('leads:read'), async (req, res) => {
+  try {
+    const { field } = req.query;
+    if (field !== undefined && !['status', 'decision', 'contact_status'].includes(field)) {
+      return sendValidationError(res, { field: '必須是 status、decision 或 contact_status' });
+    }
+
+    const lead = await pool.query(
+      `SELECT id, case_code, ${LEAD_SLA_SQL} AS sla FROM leads
+       WHERE (id = $1 OR case_code = $1) AND deleted_at IS NULL
+       ORDER BY (id = $1) DESC LIMIT 1`,
+      [req.params.id]
+    );
+    if (lead.rows.length === 0) {
+      return res.status(404).json({ error: '案件不存在' });
+    }
+    const { id, case_code: caseCode, sla } = lead.rows[0];
+
+    const params = [id];
+    if (field) params.push(field);
+    const result = await pool.query(
+      `SELECT id, field, from_value, to_value, changed_at, merged_from,
+              LEAD(changed_at) OVER (PARTITION BY field, merged_from ORDER BY changed_at, id) AS ended_at
+       FROM lead_status_history
+       WHERE lead_id = $1 ${field ? 'AND field = $2' : ''}
+       ORDER BY changed_at, id`,
+      params
+    );
+
+    const now = new Date();
+    res.json({
+      lead_id: id,
+      case_code: caseCode,
+      sla: formatLeadSla(sla),
+      history: result.rows.map(row => ({
+        field: row.field,
+        from: row.from_value,
+        to: row.to_value,
+        changed_at: toIsoString(row.changed_at),
+        ended_at: toIsoString(row.ended_at),
+        // 併入前最後一筆的結束時間不明，不計算停留時間
+        duration_hours: hoursBetween(row.changed_at, row.ended_at || (row.merged_from ? null : now)),
+        current: row.ended_at === null && row.merged_from === null,
+        merged_from: row.merged_from
+      }))
+    });
+  } catch (error) {
+    console.error('獲取狀態歷程失敗:', error);
+    res.status(500).json({ error: '獲取狀態歷程失敗', details: error.message });
+  }
+});
+
+// ==================== 案件全文搜尋 ====================
+
+const SEARCH_SNIPPET_RADIUS = 30;
+const SEARCH_FIELDS = ['need', 'note', 'internal_remarks', 'platform_id', 'location'];
+const CJK_RUN_PATTERN = /[\u3400-\u9fff\uf900-\ufaff]+/g;
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// 要標示的詞：中文連續字元和它的雙字詞、英數字單字（長的優先）
+const getHighlightTerms = (q) => {
+  const terms = new Set();
+  const text = String(q).toLowerCase();
+  for (const run of text.match(CJK_RUN_PATTERN) || []) {
+    terms.add(run);
+    for (let i = 0; i < run.length - 1; i++) terms.add(run.substr(i, 2));
+  }
+  for (const word of text.match(/[a-z0-9]+/g) || []) terms.add(word);
+  return Array.from(terms).sort((a, b) => b.length - a.length);
+};
+
+// 擷取第一個命中位置前後的文字，命中的詞用 <mark> 包起來（其餘內容已 HTML escape）
+const buildSnippet = (text, pattern) => {
+  if (!text) return null;
+  const match = pattern.exec(text);
+  pattern.lastIndex = 0;
+  if (!match) return null;
+
+  const start = Math.max(0, match.index - SEARCH_SNIPPET_RADIUS);
+  const end = Math.min(text.length, match.index + match[0].length + SEARCH_SNIPPET_RADIUS);
+  const excerpt = text.substring(start, end);
+
+  let highlighted = '';
+  let last = 0;
+  for (const m of excerpt.matchAll(pattern)) {
+    highlighted += escapeHtml(excerpt.substring(last, m.index)) + `<mark>${escapeHtml(m[0])}</mark>`;
+    last = m.index + m[0].length;
+  }
+  highlighted += escapeHtml(excerpt.substring(last));
+
+  return `${start > 0 ? '…' : ''}${highlighted}${end < text.length ? '…' : ''}`;
+};
+
+const buildHighlights = (row, terms) => {
+  if (terms.length === 0) return {};
+  const pattern = new RegExp(terms.map(escapeRegExp).join('|'), 'gi');
+  const highlights = {};
+
+  for (const field of SEARCH_FIELDS) {
+    const snippet = buildSnippet(row[field], pattern);
+    if (snippet) highlights[field] = snippet;
+  }
+
+  const progressSnippets = parseJsonArray(row.progress_updates, 'progress_updates')
+    .map(p => ({ id: p.id, snippet: buildSnippet(p.content, pattern) }))
+    .filter(p => p.snippet);
+  if (progressSnippets.length > 0) highlights.progress_updates = progressSnippets;
+
+  return highlights;
+};
+
+/**
+ * 搜尋案件（GET /api/leads/search 與 GET /api/ai/search 共用）
+ * 可同時使用 GET /api/leads 的篩選參數，結果依相關度排序
+ * 回傳 { errors } 或 { results, total, limit, offset }
+ */
+const searchLeads = async (query, { auth, defaultLimit = 20 } = {}) => {
+  // ?q=a&q=b 會變成陣列
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  const { conditions, params, errors } = buildLeadFilters(query, auth);
+
+  if (query.q !== undefined && typeof query.q !== 'string') errors.q = '必須是字串（只能提供一個 q）';
+  else if (!q) errors.q = '請提供搜尋關鍵字';
+  const limit = query.limit === undefined ? defaultLimit : parseInt(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > LEAD_PAGE_MAX) {
+    errors.limit = `必須是 1 到 ${LEAD_PAGE_MAX} 的整數`;
+  }
+  const offset = query.offset === undefined ? 0 : parseInt(query.offset);
+  if (!Number.isInteger(offset) || offset < 0) {
+    errors.offset = '必須是 0 以上的整數';
+  }
+  if (hasErrors(errors)) return { errors };
+
+  params.push(q);
+  const queryParam = `$${params.length}`;
+  const where = [`s.search_vector @@ search_query(${queryParam})`, ...conditions].join(' AND ');
+
+  const countResult = await pool.query(
+    `SELECT COUNT(*) FROM leads JOIN lead_search_index s ON s.lead_id = leads.id WHERE ${where}`,
+    params
+  );
+
+  params.push(limit, offset);
+  const result = await pool.query(
+    `SELECT ${LEAD_SUMMARY_FIELDS.map(f => LEAD_DERIVED_COLUMNS[f] ? leadColumnSql(f) : `leads.${f}`).join(', ')},
+            leads.note, leads.internal_remarks, ${LEAD_PROGRESS_SQL} AS progress_updates,
+            ts_rank(s.search_vector, search_query(${queryParam}, false)) AS rank
+     FROM leads
+     JOIN lead_search_index s ON s.lead_id = leads.id
+     WHERE ${where}
+     ORDER BY rank DESC, leads.updated_at DESC, leads.id
+     LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+
+  const terms = getHighlightTerms(q);
+  return {
+    total: parseInt(countResult.rows[0].count),
+    limit,
+    offset,
+    results: result.rows.map(row => ({
+      ...pickFields(formatLead(row), LEAD_SUMMARY_FIELDS),
+      rank: Number(row.rank),
+      highlights: buildHighlights(row, terms)
+    }))
+  };
+};
+
+/**
+ * 搜尋案件
+ * GET /api/leads/search?q=AI 導入 診所
+ *
+ * 搜尋範圍：need、note、internal_remarks、platform_id、location、進度更新內容
+ * 查詢參數：q（必填）、limit（預設 20）、offset，以及 GET /api/leads 的篩選參數
+ */
+app.get('/api/leads/search', requirePermission('leads:read'), async (req, res) => {
+  try {
+    const search = await searchLeads(req.query, { auth: req.auth });
+    if (search.errors) {
+      return sendValidationError(res, search.errors);
+    }
+    console.log(`🔍 搜尋案件: "${req.query.q}" -> ${search.total} 筆`);
+    res.json({ query: req.query.q, ...search, count: search.results.length });
+  } catch (error) {
+    console.error('❌ 搜尋案件失敗:', error);
+    res.status(500).json({ error: '搜尋案件失敗', details: error.message });
+  }
+});
+
+// ==================== 案件垃圾桶 ====================
+
+// 垃圾桶保留天數，超過後自動永久刪除；設為 0 則不自動清除
+const LEAD_TRASH_RETENTION_DAYS = parseInt(process.env.LEAD_TRASH_RETENTION_DAYS || '30');
+const LEAD_TRASH_FIELDS = [...LEAD_SUMMARY_FIELDS, 'deleted_at', 'deleted_by', 'deleted_by_name'];
+
+// 自動清除的操作者（寫入審計紀錄用）
+const TRASH_PURGE_ACTOR = { type: 'system', uid: 'system', name: '垃圾桶自動清除' };
+
+const formatTrashedLead = (row) => {
+  const deletedAt = row.deleted_at ? new Date(row.deleted_at) : null;
+  return {
+    ...pickFields(formatLead(row), LEAD_SUMMARY_FIELDS),
+    deleted_at: deletedAt ? deletedAt.toISOString() : null,
+    deleted_by: row.deleted_by || null,
+    deleted_by_name: row.deleted_by_name || null,
+    purge_at: deletedAt && LEAD_TRASH_RETENTION_DAYS > 0
+      ? new Date(deletedAt.getTime() + LEAD_TRASH_RETENTION_DAYS * 86400 * 1000).toISOString()
+      : null
+  };
+};
+
+// 把案件移到垃圾桶（交易內使用，lead 為 findLeadForUpdate 取得的資料）；合併時帶 mergedInto，審計動作記為 MERGE
+const trashLead = async (client, req, lead, { mergedInto = null } = {}) => {
+  const result = await client.query(
+    `UPDATE leads SET deleted_at = NOW(), deleted_by = $1, deleted_by_name = $2, merged_into = $3
+     WHERE id = $4 RETURNING *`,
+    [req.auth.uid, req.auth.name || null, mergedInto, lead.id]
+  );
+  await recordLeadAudit(client, req, mergedInto ? 'MERGE' : 'DELETE', lead.id, lead, result.rows[0]);
+  return result.rows[0];
+};
+
+// 鎖定垃圾桶內的案件，:id 可以是案件 ID 或 case_code
+const findTrashedLeadForUpdate = async (client, id) => {
+  const result = await client.query(
+    `SELECT * FROM leads
+     WHERE (id = $1 OR case_code = $1) AND deleted_at IS NOT NULL
+     ORDER BY (id = $1) DESC LIMIT 1
+     FOR UPDATE`,
+    [id]
+  );
+  return result.rows[0] || null;
+};
+
+// 永久刪除超過保留天數的案件，每筆各寫一筆審計紀錄（背景工作 trash.purge 每小時執行）
+const purgeExpiredTrash = async () => {
+  if (LEAD_TRASH_RETENTION_DAYS <= 0) return 0;
+  const purged = await withTransaction(async (client) => {
+    const result = await client.query(
+      `DELETE FROM leads
+       WHERE deleted_at IS NOT NULL AND deleted_at < NOW() - ($1 || ' days')::interval
+       RETURNING *`,
+      [String(LEAD_TRASH_RETENTION_DAYS)]
+    );
+    for (const row of result.rows) {
+      await recordAudit(client, null, {
+        action: 'PURGE',
+        entityType: 'lead',
+        entityId: row.id,
+        leadId: row.id,
+        before: row,
+        actor: TRASH_PURGE_ACTOR
+      });
+    }
+    return result.rows;
+  });
+  if (purged.length > 0) {
+    console.log(`🗑️ 垃圾桶自動清除 ${purged.length} 筆案件（保留 ${LEAD_TRASH_RETENTION_DAYS} 天）`);
+  }
+  return purged.length;
+};
+
+/**
+ * 垃圾桶內的案件
+ * GET /api/leads/trash
+ *
+ * 查詢參數同 GET /api/leads（篩選、sort、order、limit、cursor），預設依刪除時間由新到舊
+ */
+app.get('/api/leads/trash', requirePermission('leads:delete'), async (req, res) => {
+  try {
+    const page = await queryLeads(
+      { ...req.query, sort: req.query.sort || 'deleted_at' },
+      { columns: LEAD_TRASH_FIELDS, auth: req.auth, trashed: true }
+    );
+    if (page.errors) {
+      return sendValidationError(res, page.errors);
+    }
+    res.json({
+      total: page.total,
+      count: page.rows.length,
+      limit: page.limit,
+      next_cursor: page.next_cursor,
+      retention_days: LEAD_TRASH_RETENTION_DAYS,
+      leads: page.rows.map(formatTrashedLead)
+    });
+  } catch (error) {
+    console.error('獲取垃圾桶失敗:', error);
+    res.status(500).json({ error: '獲取垃圾桶失敗', details: error.message });
+  }
+});
+
+// 從垃圾桶還原案件
+app.post('/api/leads/trash/:id/restore', requirePermission('leads:delete'), async (req, res) => {
+  try {
+    const restored = await withTransaction(async (client) => {
+      const lead = await findTrashedLeadForUpdate(client, req.params.id);
+      if (!lead) return null;
+      // 被併入的案件資料已經移到保留的案件，還原只會得到空殼
+      if (lead.merged_into) return { mergedInto: lead.merged_into };
+      const result = await client.query(
+        `UPDATE leads SET deleted_at = NULL, deleted_by = NULL, deleted_by_name = NULL
+         WHERE id = $1 RETURNING *, ${leadColumnSql('tags')}`,
+        [lead.id]
+      );
+      await recordLeadAudit(client, req, 'RESTORE', lead.id, lead, result.rows[0]);
+      return result.rows[0];
+    });
+
+    if (!restored) {
+      return res.status(404).json({ error: '垃圾桶內沒有這個案件' });
+    }
+    if (restored.mergedInto) {
+      return res.status(409).json({
+        error: '案件已併入其他案件，不能還原',
+        code: 'LEAD_MERGED',
+        merged_into: restored.mergedInto
+      });
+    }
+    console.log(`♻️ 還原案件: ${restored.case_code || restored.id}`);
+    res.json({ success: true, lead: pickFields(formatLead(restored), LEAD_SUMMARY_FIELDS) });
+  } catch (error) {
+    console.error('還原案件失敗:', error);
+    res.status(500).json({ error: '還原案件失敗', details: error.message });
+  }
+});
+
+// 永久刪除垃圾桶內的案件（無法復原，case_code 之後可被重新配發）
+app.delete('/api/leads/trash/:id', requirePermission('leads:purge'), async (req, res) => {
+  try {
+    const purged = await withTransaction(async (client) => {
+      const lead = await findTrashedLeadForUpdate(client, req.params.id);
+      if (!lead) return null;
+      await client.query('DELETE FROM leads WHERE id = $1', [lead.id]);
+      await recordLeadAudit(client, req, 'PURGE', lead.id, lead, null);
+      return lead;
+    });
+
+    if (!purged) {
+      return res.status(404).json({ error: '垃圾桶內沒有這個案件' });
+    }
+    console.log(`🗑️ 永久刪除案件: ${purged.case_code || purged.id}`);
+    res.json({ success: true, id: purged.id, case_code: purged.case_code || null });
+  } catch (error) {
+    console.error('永久刪除案件失敗:', error);
+    res.status(500).json({ error: '永久刪除案件失敗', details: error.message });
+  }
+});
+
+// ==================== 案件進度更新 ====================
+
+const formatProgressUpdate = (row) => ({
+  id: row.id,
+  lead_id: row.lead_id,
+  content: row.content,
+  attachments: parseJsonArray(row.attachments, 'attachments'),
+  author_uid: row.author_uid || null,
+  author_name: row.author_name || null,
+  created_at: row.created_at ? new Date(row.created_at).toISOString() : null,
+  updated_at: row.updated_at ? new Date(row.updated_at).toISOString() : null,
+  updated_by: row.updated_by || null,
+  updated_by_name: row.updated_by_name || null
+});
+
+const recordProgressAudit = (client, req, action, before, after) => {
+  const row = after || before;
+  return recordAudit(client, req, {
+    action,
+    entityType: 'progress_update',
+    entityId: row.id,
+    leadId: row.lead_id,
+    before: before && formatProgressUpdate(before),
+    after: after && formatProgressUpdate(after)
+  });
+};
+
+// 新增進度會更新案件的 updated_at（列表依更新時間排序）
+const touchLead = (client, leadId) =>
+  client.query('UPDATE leads SET updated_at = NOW() WHERE id = $1', [leadId]);
+
+/**
+ * 新增一則進度更新（交易內使用，values 為 validateProgressUpdate 的結果）
+ * id 已存在時不做任何事並回傳 null
+ */
+const insertProgressUpdate = async (client, req, leadId, values, { id, createdAt, author } = {}) => {
+  const who = author || req.auth;
+  const result = await client.query(
+    `INSERT INTO lead_progress_updates (id, lead_id, content, attachments, author_uid, author_name, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7::timestamptz, NOW()))
+     ON CONFLICT (id) DO NOTHING
+     RETURNING *`,
+    [
+      id || `progress_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      leadId,
+      values.content,
+      JSON.stringify(values.attachments || []),
+      who.uid || null,
+      who.name || null,
+      createdAt || null
+    ]
+  );
+  if (result.rows.length === 0) return null;
+  await recordProgressAudit(client, req, 'PROGRESS_ADD', null, result.rows[0]);
+  return result.rows[0];
+};
+
+/**
+ * 案件資料中的 progress_updates 陣列寫入 lead_progress_updates
+ * 只新增 id 尚未存在的項目；已存在的進度不會被修改或刪除，
+ * 避免前端送回舊的陣列時蓋掉別人剛新增或修改的進度（修改、刪除請用 /api/leads/:id/progress）
+ * keepAuthor: 保留項目內的 author_uid / author_name（匯入舊資料用），否則作者為目前登入者
+ * partial: 修改案件時只新增不帶 id 的項目，帶 id 的是前端送回的既有進度（可能已經被刪除，不能再寫回去）
+ */
+const syncProgressUpdates = async (client, req, leadId, items, { keepAuthor = false, partial = false } = {}) => {
+  const inserted = [];
+  for (const item of items || []) {
+    if (partial && isExistingItem(item)) continue;
+    const { values } = validateProgressUpdate(item);
+    const createdAt = item.created_at && !isNaN(new Date(item.created_at).getTime()) ? item.created_at : null;
+    const row = await insertProgressUpdate(client, req, leadId, values, {
+      id: item.id ? String(item.id) : null,
+      createdAt,
+      author: keepAuthor ? { uid: item.author_uid, name: item.author_name } : null
+    });
+    if (row) inserted.push(row);
+  }
+  return inserted;
+};
+
+// 鎖定案件底下的一則進度，:id 可以是案件 ID 或 case_code（垃圾桶內的案件視為不存在）
+const findProgressForUpdate = async (client, leadKey, progressId) => {
+  const result = await client.query(
+    `SELECT p.* FROM lead_progress_updates p
+     JOIN leads l ON l.id = p.lead_id
+     WHERE p.id = $2 AND (l.id = $1 OR l.case_code = $1) AND l.deleted_at IS NULL
+     FOR UPDATE OF p`,
+    [leadKey, progressId]
+  );
+  return result.rows[0] || null;
+};
+
+// 只有作者本人或有 leads:progress_any 權限可以修改、刪除
+const canEditProgress = (auth, progress) =>
+  progress.author_uid === auth.uid || hasPermission(auth, 'leads:progress_any');
+
+// 依案件 ID 或 case_code 取得未刪除的案件
+const findActiveLead = async (db, leadKey) => {
+  const result = await db.query(
+    `SELECT id, case_code FROM leads
+     WHERE (id = $1 OR case_code = $1) AND deleted_at IS NULL
+     ORDER BY (id = $1) DESC LIMIT 1`,
+    [leadKey]
+  );
+  return result.rows[0] || null;
+};
+
+// 案件的進度更新（依建立時間由舊到新）
+app.get('/api/leads/:id/progress', requirePermission('leads:read'), async (req, res) => {
+  try {
+    const lead = await findActiveLead(pool, req.params.id);
+    if (!lead) {
+      return res.status(404).json({ error: '案件不存在' });
+    }
+    const result = await pool.query(
+      'SELECT * FROM lead_progress_updates WHERE lead_id = $1 ORDER BY created_at, id',
+      [lead.id]
+    );
+    res.json({
+      lead_id: lead.id,
+      case_code: lead.case_code || null,
+      count: result.rows.length,
+      progress_updates: result.rows.map(formatProgressUpdate)
+    });
+  } catch (error) {
+    console.error('獲取進度更新失敗:', error);
+    res.status(500).json({ error: '獲取進度更新失敗', details: error.message });
+  }
+});
+
+// 新增進度更新，作者為目前登入者
+app.post('/api/leads/:id/progress', requirePermission('leads:update'), async (req, res) => {
+  try {
+    const { values, errors } = validateProgressUpdate(req.body);
+    if (hasErrors(errors)) {
+      return sendValidationError(res, errors);
+    }
+
+    const progress = await withTransaction(async (client) => {
+      const lead = await findActiveLead(client, req.params.id);
+      if (!lead) return null;
+      const row = await insertProgressUpdate(client, req, lead.id, values);
+      await touchLead(client, lead.id);
+      return row;
+    });
+
+    if (!progress) {
+      return res.status(404).json({ error: '案件不存在' });
+    }
+    res.status(201).json({ success: true, progress: formatProgressUpdate(progress) });
+  } catch (error) {
+    console.error('新增進度更新失敗:', error);
+    res.status(500).json({ error: '新增進度更新失敗', details: error.message });
+  }
+});
+
+// 修改進度更新（content、attachments），記錄修改者與修改時間
+app.put('/api/leads/:id/progress/:progressId', requirePermission('leads:update'), async (req, res) => {
+  try {
+    const { values, errors } = validateProgressUpdate(req.body, { partial: true });
+    if (hasErrors(errors)) {
+      return sendValidationError(res, errors);
+    }
+    if (Object.keys(values).length === 0) {
+      return res.status(400).json({ error: '沒有要更新的欄位' });
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      const before = await findProgressForUpdate(client, req.params.id, req.params.progressId);
+      if (!before) return { notFound: true };
+      if (!canEditProgress(req.auth, before)) return { forbidden: true };
+
+      const result = await client.query(
+        `UPDATE lead_progress_updates SET
+           content = COALESCE($1, content),
+           attachments = COALESCE($2::jsonb, attachments),
+           updated_at = NOW(), updated_by = $3, updated_by_name = $4
+         WHERE id = $5 RETURNING *`,
+        [
+          values.content || null,
+          values.attachments ? JSON.stringify(values.attachments) : null,
+          req.auth.uid,
+          req.auth.name || null,
+          before.id
+        ]
+      );
+      await recordProgressAudit(client, req, 'PROGRESS_UPDATE', before, result.rows[0]);
+      await touchLead(client, before.lead_id);
+      return { row: result.rows[0] };
+    });
+
+    if (outcome.notFound) {
+      return res.status(404).json({ error: '進度更新不存在' });
+    }
+    if (outcome.forbidden) {
+      return sendForbidden(res, req.auth, { permission: 'leads:progress_any' });
+    }
+    res.json({ success: true, progress: formatProgressUpdate(outcome.row) });
+  } catch (error) {
+    console.error('修改進度更新失敗:', error);
+    res.status(500).json({ error: '修改進度更新失敗', details: error.message });
+  }
+});
+
+// 刪除進度更新
+app.delete('/api/leads/:id/progress/:progressId', requirePermission('leads:update'), async (req, res) => {
+  try {
+    const outcome = await withTransaction(async (client) => {
+      const progress = await findProgressForUpdate(client, req.params.id, req.params.progressId);
+      if (!progress) return { notFound: true };
+      if (!canEditProgress(req.auth, progress)) return { forbidden: true };
+
+      await client.query('DELETE FROM lead_progress_updates WHERE id = $1', [progress.id]);
+      await recordProgressAudit(client, req, 'PROGRESS_DELETE', progress, null);
+      await touchLead(client, progress.lead_id);
+      return { row: progress };
+    });
+
+    if (outcome.notFound) {
+      return res.status(404).json({ error: '進度更新不存在' });
+    }
+    if (outcome.forbidden) {
+      return sendForbidden(res, req.auth, { permission: 'leads:progress_any' });
+    }
+    res.json({ success: true, id: outcome.row.id });
+  } catch (error) {
+    console.error('刪除進度更新失敗:', error);
+    res.status(500).json({ error: '刪除進度更新失敗', details: error.message });
+  }
+});
+
+// ==================== 案件帳務 ====================
+
+// 未指定發生日期時以台灣時間的今天為準
+const LEDGER_TIMEZONE = 'Asia/Taipei';
+const LEDGER_SUMMARY_GROUPS = ['lead', 'category', 'month', 'none'];
+
+const formatLedgerEntry = (row) => ({
+  id: row.id,
+  lead_id: row.lead_id,
+  entry_type: row.entry_type,
+  item_name: row.item_name,
+  category: row.category || null,
+  amount: Number(row.amount),
+  incurred_on: row.incurred_on,
+  note: row.note || null,
+  author_uid: row.author_uid || null,
+  author_name: row.author_name || null,
+  created_at: row.created_at ? new Date(row.created_at).toISOString() : null,
+  reversal_of: row.reversal_of || null,
+  voided_at: row.voided_at ? new Date(row.voided_at).toISOString() : null,
+  voided_by: row.voided_by || null,
+  voided_by_name: row.voided_by_name || null,
+  void_reason: row.void_reason || null
+});
+
+const recordLedgerAudit = (client, req, action, before, after) => {
+  const row = after || before;
+  return recordAudit(client, req, {
+    action,
+    entityType: 'ledger_entry',
+    entityId: row.id,
+    leadId: row.lead_id,
+    before: before && formatLedgerEntry(before),
+    after: after && formatLedgerEntry(after)
+  });
+};
+
+// 金額以「分」加總，避免浮點誤差
+const sumAmounts = (rows) => Math.round(rows.reduce((sum, row) => sum + Math.round(Number(row.amount) * 100), 0)) / 100;
+
+/**
+ * 新增一筆帳務分錄（交易內使用，values 為 validateLedgerEntry 的結果）
+ * 沒有 incurred_on 時取 createdAt（或現在）在台灣時間的日期；id 已存在時不做任何事並回傳 null
+ */
+const insertLedgerEntry = async (client, req, leadId, values, { id, createdAt, author } = {}) => {
+  const who = author || req.auth;
+  const result = await client.query(
+    `INSERT INTO lead_ledger_entries (
+       id, lead_id, entry_type, item_name, category, amount, incurred_on, note, author_uid, author_name, created_at
+     ) VALUES (
+       $1, $2, $3, $4, $5, $6,
+       (COALESCE($7::timestamptz, $11::timestamptz, NOW()) AT TIME ZONE '${LEDGER_TIMEZONE}')::date,
+       $8, $9, $10, COALESCE($11::timestamptz, NOW())
+     )
+     ON CONFLICT (id) DO NOTHING
+     RETURNING *`,
+    [
+      id || `${values.entry_type}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      leadId,
+      values.entry_type,
+      values.item_name,
+      values.category || null,
+      values.amount,
+      values.incurred_on ? values.incurred_on.toISOString() : null,
+      values.note || null,
+      who.uid || null,
+      who.name || null,
+      createdAt || null
+    ]
+  );
+  if (result.rows.length === 0) return null;
+  await recordLedgerAudit(client, req, values.entry_type === 'cost' ? 'COST_ADD' : 'PROFIT_ADD', null, result.rows[0]);
+  return result.rows[0];
+};
+
+/**
+ * 案件資料中的 cost_records / profit_records 陣列寫入帳務明細
+ * 和 progress_updates 一樣只新增 id 尚未存在的項目，不會修改或作廢既有分錄
+ * partial: 修改案件時帶 id 的項目視為既有分錄，不檢查也不寫入（遷移前沒有金額的舊分錄金額為 0）
+ */
+const syncLedgerEntries = async (client, req, leadId, entryType, items, { keepAuthor = false, partial = false } = {}) => {
+  const inserted = [];
+  for (const item of items || []) {
+    if (partial && isExistingItem(item)) continue;
+    const { values } = validateLedgerEntry(item, { entryType });
+    const createdAt = item.created_at && !isNaN(new Date(item.created_at).getTime()) ? item.created_at : null;
+    const row = await insertLedgerEntry(client, req, leadId, values, {
+      id: item.id ? String(item.id) : null,
+      createdAt,
+      author: keepAuthor ? { uid: item.author_uid, name: item.author_name } : null
+    });
+    if (row) inserted.push(row);
+  }
+  return inserted;
+};
+
+// 寫入案件資料中不是 leads 欄位的部分（進度、成本、收入、附件只新增，標籤完整取代）
+const syncLeadChildren = async (client, req, leadId, values, options = {}) => {
+  await syncProgressUpdates(client, req, leadId, values.progress_updates, options);
+  await syncLedgerEntries(client, req, leadId, 'cost', values.cost_records, options);
+  await syncLedgerEntries(client, req, leadId, 'income', values.profit_records, options);
+  await syncAttachments(client, req, leadId, values.contracts, options);
+  await syncLeadTags(client, req, leadId, values.tags);
+};
+
+// 鎖定案件底下的一筆分錄，:id 可以是案件 ID 或 case_code（垃圾桶內的案件視為不存在）
+const findLedgerEntryForUpdate = async (client, leadKey, entryId) => {
+  const result = await client.query(
+    `SELECT e.* FROM lead_ledger_entries e
+     JOIN leads l ON l.id = e.lead_id
+     WHERE e.id = $2 AND (l.id = $1 OR l.case_code = $1) AND l.deleted_at IS NULL
+     FOR UPDATE OF e`,
+    [leadKey, entryId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * 案件的帳務明細（含作廢與沖銷分錄，依建立時間由舊到新）
+ * totals 為所有分錄加總，作廢的分錄會被沖銷分錄抵銷
+ */
+app.get('/api/leads/:id/ledger', requirePermission('leads:read'), async (req, res) => {
+  try {
+    const lead = await findActiveLead(pool, req.params.id);
+    if (!lead) {
+      return res.status(404).json({ error: '案件不存在' });
+    }
+    const result = await pool.query(
+      'SELECT * FROM lead_ledger_entries WHERE lead_id = $1 ORDER BY created_at, id',
+      [lead.id]
+    );
+    const cost = sumAmounts(result.rows.filter(row => row.entry_type === 'cost'));
+    const income = sumAmounts(result.rows.filter(row => row.entry_type === 'income'));
+    res.json({
+      lead_id: lead.id,
+      case_code: lead.case_code || null,
+      totals: { cost, income, net: Math.round((income - cost) * 100) / 100 },
+      count: result.rows.length,
+      entries: result.rows.map(formatLedgerEntry)
+    });
+  } catch (error) {
+    console.error('獲取帳務明細失敗:', error);
+    res.status(500).json({ error: '獲取帳務明細失敗', details: error.message });
+  }
+});
+
+// 新增帳務分錄，作者為目前登入者
+app.post('/api/leads/:id/ledger', requirePermission('finance:append'), async (req, res) => {
+  try {
+    const { values, errors } = validateLedgerEntry(req.body);
+    if (hasErrors(errors)) {
+      return sendValidationError(res, errors);
+    }
+
+    const entry = await withTransaction(async (client) => {
+      const lead = await findActiveLead(client, req.params.id);
+      if (!lead) return null;
+      const row = await insertLedgerEntry(client, req, lead.id, values);
+      await touchLead(client, lead.id);
+      return row;
+    });
+
+    if (!entry) {
+      return res.status(404).json({ error: '案件不存在' });
+    }
+    res.status(201).json({ success: true, entry: formatLedgerEntry(entry) });
+  } catch (error) {
+    console.error('新增帳務分錄失敗:', error);
+    res.status(500).json({ error: '新增帳務分錄失敗', details: error.message });
+  }
+});
+
+/**
+ * 作廢帳務分錄
+ * POST /api/leads/:id/ledger/:entryId/void  { "reason": "金額輸入錯誤" }
+ *
+ * 分錄不會被刪除或修改金額：原分錄標記作廢，另外新增一筆金額相反的沖銷分錄
+ * 要更正金額時先作廢，再新增正確的分錄
+ */
+app.post('/api/leads/:id/ledger/:entryId/void', requirePermission('finance:edit'), async (req, res) => {
+  try {
+    const { value: reason, error } = coerceLeadField({ type: 'text', maxLength: 500 }, (req.body || {}).reason);
+    if (error) {
+      return sendValidationError(res, { reason: error });
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      const before = await findLedgerEntryForUpdate(client, req.params.id, req.params.entryId);
+      if (!before) return { notFound: true };
+      if (before.reversal_of) return { isReversal: true };
+      if (before.voided_at) return { alreadyVoided: true };
+
+      const voided = await client.query(
+        `UPDATE lead_ledger_entries SET voided_at = NOW(), voided_by = $1, voided_by_name = $2, void_reason = $3
+         WHERE id = $4 RETURNING *`,
+        [req.auth.uid, req.auth.name || null, reason, before.id]
+      );
+      const reversal = await client.query(
+        `INSERT INTO lead_ledger_entries (
+           id, lead_id, entry_type, item_name, category, amount, incurred_on, note, author_uid, author_name, reversal_of
+         )
+         SELECT $1, lead_id, entry_type, item_name, category, -amount,
+                (NOW() AT TIME ZONE '${LEDGER_TIMEZONE}')::date, $2, $3, $4, id
+         FROM lead_ledger_entries WHERE id = $5
+         RETURNING *`,
+        [
+          `reversal_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+          reason ? `作廢：${reason}` : '作廢',
+          req.auth.uid,
+          req.auth.name || null,
+          before.id
+        ]
+      );
+      await recordLedgerAudit(client, req, 'LEDGER_VOID', before, voided.rows[0]);
+      await recordLedgerAudit(client, req, 'LEDGER_REVERSAL', null, reversal.rows[0]);
+      await touchLead(client, before.lead_id);
+      return { entry: voided.rows[0], reversal: reversal.rows[0] };
+    });
+
+    if (outcome.notFound) {
+      return res.status(404).json({ error: '帳務分錄不存在' });
+    }
+    if (outcome.isReversal) {
+      return res.status(400).json({ error: '沖銷分錄不能作廢' });
+    }
+    if (outcome.alreadyVoided) {
+      return res.status(409).json({ error: '帳務分錄已作廢', code: 'ALREADY_VOIDED' });
+    }
+    res.json({
+      success: true,
+      entry: formatLedgerEntry(outcome.entry),
+      reversal: formatLedgerEntry(outcome.reversal)
+    });
+  } catch (error) {
+    console.error('作廢帳務分錄失敗:', error);
+    res.status(500).json({ error: '作廢帳務分錄失敗', details: error.message });
+  }
+});
+
+/**
+ * 跨案件帳務統計（只計算有效分錄，不含作廢與沖銷分錄，也不含垃圾桶內的案件）
+ * GET /api/ledger/summary?group_by=lead|category|month|none&from=2026-01-01&to=2026-03-31
+ *
+ * 篩選：entry_type、category、lead_id（逗號分隔多個值）、from / to（發生日期）
+ */
+app.get('/api/ledger/summary', requirePermission('leads:read'), async (req, res) => {
+  try {
+    const errors = {};
+    const groupBy = req.query.group_by || 'lead';
+    if (!LEDGER_SUMMARY_GROUPS.includes(groupBy)) {
+      errors.group_by = `必須是以下其中之一：${LEDGER_SUMMARY_GROUPS.join('、')}`;
+    }
+
+    const conditions = ['e.voided_at IS NULL', 'e.reversal_of IS NULL', 'l.deleted_at IS NULL'];
+    const params = [];
+    const listParam = (value) => String(value).split(',').map(v => v.trim()).filter(Boolean);
+
+    if (req.query.entry_type) {
+      const entryTypes = listParam(req.query.entry_type);
+      const invalid = entryTypes.filter(type => !LEDGER_ENTRY_TYPES.includes(type));
+      if (invalid.length > 0) {
+        errors.entry_type = `必須是以下其中之一：${LEDGER_ENTRY_TYPES.join('、')}`;
+      }
+      params.push(entryTypes);
+      conditions.push(`e.entry_type = ANY($${params.length})`);
+    }
+    if (req.query.category) {
+      params.push(listParam(req.query.category));
+      conditions.push(`e.category = ANY($${params.length})`);
+    }
+    if (req.query.lead_id) {
+      params.push(listParam(req.query.lead_id));
+      conditions.push(`e.lead_id = ANY($${params.length})`);
+    }
+    for (const [key, operator] of [['from', '>='], ['to', '<=']]) {
+      if (!req.query[key]) continue;
+      const { value, error } = coerceLeadField({ type: 'date' }, req.query[key]);
+      if (error) {
+        errors[key] = error;
+        continue;
+      }
+      params.push(value.toISOString());
+      conditions.push(`e.incurred_on ${operator} ($${params.length}::timestamptz AT TIME ZONE '${LEDGER_TIMEZONE}')::date`);
+    }
+
+    if (hasErrors(errors)) {
+      return sendValidationError(res, errors);
+    }
+
+    const groupColumns = {
+      lead: { select: 'e.lead_id AS key, MAX(l.case_code) AS case_code', group: 'e.lead_id', order: 'e.lead_id' },
+      category: { select: `COALESCE(e.category, '') AS key`, group: 'key', order: 'key' },
+      month: { select: `to_char(e.incurred_on, 'YYYY-MM') AS key`, group: 'key', order: 'key' },
+      none: null
+    }[groupBy];
+
+    const result = await pool.query(
+      `SELECT ${groupColumns ? `${groupColumns.select},` : ''}
+              COALESCE(SUM(e.amount) FILTER (WHERE e.entry_type = 'cost'), 0) AS cost,
+              COALESCE(SUM(e.amount) FILTER (WHERE e.entry_type = 'income'), 0) AS income,
+              COUNT(*) AS count
+       FROM lead_ledger_entries e
+       JOIN leads l ON l.id = e.lead_id
+       WHERE ${conditions.join(' AND ')}
+       ${groupColumns ? `GROUP BY ${groupColumns.group} ORDER BY ${groupColumns.order}` : ''}`,
+      params
+    );
+
+    const formatTotals = (row) => ({
+      cost: Number(row.cost),
+      income: Number(row.income),
+      net: Math.round((Number(row.income) - Number(row.cost)) * 100) / 100,
+      count: parseInt(row.count)
+    });
+    const groups = groupColumns
+      ? result.rows.map(row => ({
+          key: row.key,
+          ...(groupBy === 'lead' ? { case_code: row.case_code || null } : {}),
+          ...formatTotals(row)
+        }))
+      : [];
+    const totals = formatTotals(groupColumns
+      ? {
+          cost: sumAmounts(result.rows.map(row => ({ amount: row.cost }))),
+          income: sumAmounts(result.rows.map(row => ({ amount: row.income }))),
+          count: result.rows.reduce((sum, row) => sum + parseInt(row.count), 0)
+        }
+      : result.rows[0]);
+
+    res.json({ group_by: groupBy, totals, groups });
+  } catch (error) {
+    console.error('獲取帳務統計失敗:', error);
+    res.status(500).json({ error: '獲取帳務統計失敗', details: error.message });
+  }
+});
+
+// ==================== 檔案儲存 ====================
+
+/**
+ * 附件檔案的儲存空間
+ * STORAGE_DRIVER=local（預設）：存在 STORAGE_LOCAL_DIR（預設 ./uploads）
+ * STORAGE_DRIVER=s3：S3 相容的物件儲存（AWS S3、Cloudflare R2、MinIO 等）
+ * 檔案以 SHA-256 命名，內容相同的檔案只存一份
+ */
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'local';
+const STORAGE_LOCAL_DIR = path.resolve(__dirname, process.env.STORAGE_LOCAL_DIR || 'uploads');
+const ATTACHMENT_MAX_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES || String(10 * 1024 * 1024));
+const ATTACHMENT_MAX_FILES = 10; // 單次上傳最多幾個檔案
+// 附件下載連結（<img src> 用，不需要 Authorization 標頭）的有效秒數
+const ATTACHMENT_URL_TTL_SECONDS = parseInt(process.env.ATTACHMENT_URL_TTL_SECONDS || '86400');
+// 前端和 API 不同網域時，設成 API 的網址，讓下載連結是絕對路徑
+const FILE_PUBLIC_BASE_URL = (process.env.FILE_PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+
+const storageError = (message, code, status = 400) => Object.assign(new Error(message), { code, status });
+
+const formatBytes = (bytes) => bytes >= 1024 * 1024
+  ? `${Math.round(bytes / 1024 / 1024 * 10) / 10} MB`
+  : `${Math.round(bytes / 1024)} KB`;
+
+/**
+ * 依檔案開頭的位元組判斷類型，不採信用戶端宣告的 Content-Type
+ * 只接受列在這裡的類型
+ */
+const FILE_SNIFF_BYTES = 16;
+const FILE_SIGNATURES = [
+  { mime: 'image/jpeg', test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { mime: 'image/png', test: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mime: 'image/gif', test: (b) => ['GIF87a', 'GIF89a'].includes(b.toString('latin1', 0, 6)) },
+  { mime: 'image/webp', test: (b) => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP' },
+  { mime: 'application/pdf', test: (b) => b.toString('latin1', 0, 5) === '%PDF-' },
+  { mime: 'application/zip', test: (b) => b[0] === 0x50 && b[1] === 0x4b && b[2] === 0x03 && b[3] === 0x04 }
+];
+// Office 文件本身是 zip，依副檔名區分
+const ZIP_BASED_TYPES = {
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+// 瀏覽器可以直接顯示的類型（其他類型下載時一律當附件）
+const INLINE_MIME_TYPES = new Set(['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf']);
+
+const sniffMimeType = (head, filename = '') => {
+  const signature = FILE_SIGNATURES.find(s => s.test(head));
+  if (!signature) return null;
+  if (signature.mime === 'application/zip') {
+    const ext = path.extname(filename).slice(1).toLowerCase();
+    return ZIP_BASED_TYPES[ext] || signature.mime;
+  }
+  return signature.mime;
+};
+
+// 內容相同的檔案使用相同的 key：ab/cd/abcd...
+const fileStorageKey = (hash) => `${hash.slice(0, 2)}/${hash.slice(2, 4)}/${hash}`;
+
+// 本機磁碟：body 可以是暫存檔路徑或 Buffer
+const createLocalStorage = (rootDir) => {
+  const resolve = (key) => path.join(rootDir, key);
+  return {
+    name: 'local',
+    async put(key, body) {
+      const target = resolve(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      // 先寫到暫存名稱再改名，避免中斷時留下不完整的檔案
+      const partial = `${target}.${crypto.randomBytes(4).toString('hex')}.partial`;
+      if (Buffer.isBuffer(body)) {
+        await fs.promises.writeFile(partial, body);
+      } else {
+        await fs.promises.copyFile(body, partial);
+      }
+      await fs.promises.rename(partial, target);
+    },
+    async get(key) {
+      const handle = await fs.promises.open(resolve(key), 'r').catch((err) => {
+        throw err.code === 'ENOENT' ? storageError('檔案不存在於儲存空間', 'FILE_MISSING', 404) : err;
+      });
+      return handle.createReadStream();
+    },
+    async delete(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    }
+  };
+};
+
+/**
+ * S3 相容的物件儲存，請求用 AWS Signature Version 4 簽章
+ * 必填：S3_BUCKET、S3_ACCESS_KEY_ID、S3_SECRET_ACCESS_KEY
+ * 選填：S3_REGION（預設 us-east-1）、S3_ENDPOINT（非 AWS 時設定）、S3_FORCE_PATH_STYLE=true（MinIO 等）
+ */
+const EMPTY_PAYLOAD_SHA256 = sha256('');
+
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+const signS3Request = ({ method, url, headers, payloadHash, region, accessKeyId, secretAccessKey, now = new Date() }) => {
+  const amzDate = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const signed = { ...headers, host: url.host, 'x-amz-date': amzDate, 'x-amz-content-sha256': payloadHash };
+  const names = Object.keys(signed).map(name => name.toLowerCase()).sort();
+  const lowered = Object.fromEntries(Object.entries(signed).map(([name, value]) => [name.toLowerCase(), String(value).trim()]));
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    url.search.slice(1),
+    names.map(name => `${name}:${lowered[name]}\n`).join(''),
+    names.join(';'),
+    payloadHash
+  ].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region));
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+  return {
+    ...signed,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`
+  };
+};
+
+const createS3Storage = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }) => {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw storageError('S3 儲存需要設定 S3_BUCKET、S3_ACCESS_KEY_ID、S3_SECRET_ACCESS_KEY', 'STORAGE_MISCONFIGURED', 500);
+  }
+  const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+  const objectUrl = (key) => forcePathStyle
+    ? new URL(`${base.protocol}//${base.host}/${bucket}/${key}`)
+    : new URL(`${base.protocol}//${bucket}.${base.host}/${key}`);
+
+  // 回傳 http.IncomingMessage；非 2xx 時讀完回應內容後丟錯
+  const request = (method, key, { headers = {}, body = null, payloadHash = EMPTY_PAYLOAD_SHA256 } = {}) => new Promise((resolve, reject) => {
+    const url = objectUrl(key);
+    const transport = url.protocol === 'http:' ? http : https;
+    const req = transport.request(url, {
+      method,
+      headers: signS3Request({ method, url, headers, payloadHash, region, accessKeyId, secretAccessKey })
+    }, (res) => {
+      if (res.statusCode >= 200 && res.statusCode < 300) return resolve(res);
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const detail = Buffer.concat(chunks).toString('utf8').match(/<Code>([^<]+)<\/Code>/);
+        reject(res.statusCode === 404
+          ? storageError('檔案不存在於儲存空間', 'FILE_MISSING', 404)
+          : storageError(`S3 ${method} 失敗：${res.statusCode}${detail ? ` ${detail[1]}` : ''}`, 'STORAGE_ERROR', 502));
+      });
+    });
+    req.on('error', reject);
+    if (body && typeof body.pipe === 'function') {
+      body.on('error', err => req.destroy(err));
+      body.pipe(req);
+    } else {
+      req.end(body || undefined);
+    }
+  });
+
+  return {
+    name: 's3',
+    async put(key, body, { size, mimeType, sha256: hash }) {
+      const res = await request('PUT', key, {
+        headers: { 'content-type': mimeType, 'content-length': size },
+        body: Buffer.isBuffer(body) ? body : fs.createReadStream(body),
+        payloadHash: hash
+      });
+      res.resume();
+    },
+    async get(key) {
+      return request('GET', key);
+    },
+    async delete(key) {
+      const res = await request('DELETE', key).catch((err) => {
+        if (err.code === 'FILE_MISSING') return null;
+        throw err;
+      });
+      if (res) res.resume();
+    }
+  };
+};
+
+const createFileStorage = (driver) => {
+  if (driver === 'local') return createLocalStorage(STORAGE_LOCAL_DIR);
+  if (driver === 's3') {
+    return createS3Storage({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+    });
+  }
+  throw storageError(`未知的 STORAGE_DRIVER：${driver}（可用 local、s3）`, 'STORAGE_MISCONFIGURED', 500);
+};
+
+// 設定錯誤時不讓整個服務無法啟動，只有用到附件時才回報錯誤
+let fileStorage = null;
+const getFileStorage = () => {
+  if (!fileStorage) fileStorage = createFileStorage(STORAGE_DRIVER);
+  return fileStorage;
+};
+
+/**
+ * 把上傳內容寫到暫存檔，同時計算大小、SHA-256 並保留開頭位元組供判斷類型
+ * 超過上限時繼續讀完（讓 multipart 解析可以進行到下一個檔案），最後丟出 413
+ */
+const stageUpload = async (source, maxBytes = ATTACHMENT_MAX_BYTES) => {
+  const tmpPath = path.join(os.tmpdir(), `caseflow_upload_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`);
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  let head = Buffer.alloc(0);
+  const meter = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size > maxBytes) return callback();
+      if (head.length < FILE_SNIFF_BYTES) {
+        head = Buffer.concat([head, chunk.subarray(0, FILE_SNIFF_BYTES - head.length)]);
+      }
+      hash.update(chunk);
+      callback(null, chunk);
+    }
+  });
+
+  try {
+    await pipeline(source, meter, fs.createWriteStream(tmpPath));
+  } catch (err) {
+    await fs.promises.rm(tmpPath, { force: true });
+    throw err;
+  }
+  if (size > maxBytes) {
+    await fs.promises.rm(tmpPath, { force: true });
+    throw storageError(`檔案不可超過 ${formatBytes(maxBytes)}`, 'FILE_TOO_LARGE', 413);
+  }
+  return { path: tmpPath, size, sha256: hash.digest('hex'), head };
+};
+
+const stageBuffer = (buffer) => {
+  if (buffer.length > ATTACHMENT_MAX_BYTES) {
+    throw storageError(`檔案不可超過 ${formatBytes(ATTACHMENT_MAX_BYTES)}`, 'FILE_TOO_LARGE', 413);
+  }
+  return { buffer, size: buffer.length, sha256: sha256(buffer), head: buffer.subarray(0, FILE_SNIFF_BYTES) };
+};
+
+const unsupportedFileType = () =>
+  storageError('不支援的檔案類型（可上傳 JPEG、PNG、GIF、WebP、PDF、ZIP 與 Office 文件）', 'UNSUPPORTED_FILE_TYPE', 415);
+
+const discardStaged = (staged) => staged && staged.path
+  ? fs.promises.rm(staged.path, { force: true }).catch(() => {})
+  : Promise.resolve();
+
+/**
+ * 存入檔案（交易內使用），回傳 stored_files 資料列
+ * 先鎖定 SHA-256 對應的資料列：已經存過就直接沿用，不再上傳
+ */
+const storeStagedFile = async (client, staged, filename) => {
+  const mimeType = sniffMimeType(staged.head, filename);
+  if (!mimeType) throw unsupportedFileType();
+
+  const locked = await client.query(
+    `INSERT INTO stored_files (sha256, size, mime_type) VALUES ($1, $2, $3)
+     ON CONFLICT (sha256) DO UPDATE SET sha256 = EXCLUDED.sha256
+     RETURNING *`,
+    [staged.sha256, staged.size, mimeType]
+  );
+  if (locked.rows[0].storage_key) return locked.rows[0];
+
+  const storage = getFileStorage();
+  const key = fileStorageKey(staged.sha256);
+  await storage.put(key, staged.path || staged.buffer, { size: staged.size, mimeType, sha256: staged.sha256 });
+  const result = await client.query(
+    `UPDATE stored_files SET storage_driver = $2, storage_key = $3, mime_type = $4, pending_content = NULL
+     WHERE sha256 = $1 RETURNING *`,
+    [staged.sha256, storage.name, key, mimeType]
+  );
+  return result.rows[0];
+};
+
+/**
+ * 沒有附件使用時刪除檔案（交易內使用，只由 purgeOrphanedFiles 呼叫）
+ * 儲存空間的檔案在 commit 前刪除：同時上傳相同內容的請求會等這裡的鎖，之後重新上傳
+ * 因此必須是交易的最後一步，之後不能再有會回滾的寫入（否則資料列回來了，檔案卻已經刪掉）
+ */
+const releaseStoredFile = async (client, hash) => {
+  const file = await client.query('SELECT * FROM stored_files WHERE sha256 = $1 FOR UPDATE', [hash]);
+  if (!file.rows[0]) return false;
+  const used = await client.query('SELECT 1 FROM lead_attachments WHERE file_sha256 = $1 LIMIT 1', [hash]);
+  if (used.rows.length > 0) return false;
+
+  await client.query('DELETE FROM stored_files WHERE sha256 = $1', [hash]);
+  if (file.rows[0].storage_key) {
+    await createFileStorage(file.rows[0].storage_driver).delete(file.rows[0].storage_key);
+  }
+  return true;
+};
+
+/**
+ * 把遷移時從資料庫解碼出來的舊附件（pending_content）寫入儲存空間
+ * 啟動與 npm run migrate 後執行，每批 10 個檔案
+ */
+const flushPendingFiles = async () => {
+  let moved = 0;
+  for (;;) {
+    const batch = await withTransaction(async (client) => {
+      const result = await client.query(
+        `SELECT sha256, mime_type, pending_content FROM stored_files
+         WHERE pending_content IS NOT NULL
+         ORDER BY created_at LIMIT 10
+         FOR UPDATE SKIP LOCKED`
+      );
+      const storage = getFileStorage();
+      for (const row of result.rows) {
+        const content = row.pending_content;
+        const mimeType = sniffMimeType(content.subarray(0, FILE_SNIFF_BYTES)) || row.mime_type;
+        const key = fileStorageKey(row.sha256);
+        await storage.put(key, content, { size: content.length, mimeType, sha256: row.sha256 });
+        await client.query(
+          `UPDATE stored_files SET storage_driver = $2, storage_key = $3, mime_type = $4, pending_content = NULL
+           WHERE sha256 = $1`,
+          [row.sha256, storage.name, key, mimeType]
+        );
+      }
+      return result.rows.length;
+    });
+    moved += batch;
+    if (batch < 10) break;
+  }
+  if (moved > 0) {
+    console.log(`📦 已將 ${moved} 個舊附件寫入檔案儲存（${STORAGE_DRIVER}）`);
+  }
+  return moved;
+};
+
+// 檔案和附件在同一個交易寫入，保留一段時間再清除，避免刪到還在上傳中的檔案
+const ORPHANED_FILE_GRACE_HOURS = 24;
+
+/**
+ * 刪除沒有任何附件使用的檔案（刪除附件或永久刪除案件時只刪附件，檔案會留下）
+ * 每個檔案各自一個交易，由背景工作 files.cleanup 執行，回傳刪除的數量
+ */
+const purgeOrphanedFiles = async () => {
+  let deleted = 0;
+  for (;;) {
+    const result = await pool.query(
+      `SELECT sha256 FROM stored_files f
+       WHERE f.created_at < NOW() - ($1 || ' hours')::interval
+         AND NOT EXISTS (SELECT 1 FROM lead_attachments a WHERE a.file_sha256 = f.sha256)
+       ORDER BY f.created_at LIMIT 100`,
+      [String(ORPHANED_FILE_GRACE_HOURS)]
+    );
+    for (const row of result.rows) {
+      if (await withTransaction(client => releaseStoredFile(client, row.sha256))) deleted++;
+    }
+    if (result.rows.length < 100) break;
+  }
+  if (deleted > 0) {
+    console.log(`📦 已刪除 ${deleted} 個沒有附件使用的檔案`);
+  }
+  return deleted;
+};
+
+// 下載連結簽章：到期時間取整到 TTL，同一段時間內的連結相同，瀏覽器可以快取
+const signFileUrl = (attachmentId, now = Date.now()) => {
+  const ttl = ATTACHMENT_URL_TTL_SECONDS;
+  const expires = (Math.floor(now / 1000 / ttl) + 2) * ttl;
+  const signature = crypto.createHmac('sha256', JWT_SECRET).update(`file:${attachmentId}:${expires}`).digest('base64url');
+  return `${FILE_PUBLIC_BASE_URL}/files/${encodeURIComponent(attachmentId)}?expires=${expires}&signature=${signature}`;
+};
+
+const verifyFileSignature = (attachmentId, expires, signature) => {
+  if (!/^\d+$/.test(String(expires || '')) || parseInt(expires) * 1000 < Date.now()) return false;
+  const expected = crypto.createHmac('sha256', JWT_SECRET).update(`file:${attachmentId}:${expires}`).digest('base64url');
+  return safeEqual(expected, signature || '');
+};
+
+// 下載檔案：支援 If-None-Match（檔名就是 SHA-256，內容不會變）
+const sendStoredFile = async (req, res, attachment) => {
+  if (!attachment.file_sha256) {
+    return res.redirect(attachment.url);
+  }
+  const etag = `"${attachment.file_sha256}"`;
+  res.set({
+    ETag: etag,
+    'Cache-Control': 'private, max-age=86400, immutable',
+    'X-Content-Type-Options': 'nosniff'
+  });
+  if (req.headers['if-none-match'] === etag) {
+    return res.status(304).end();
+  }
+  const stream = await createFileStorage(attachment.storage_driver).get(attachment.storage_key);
+  const disposition = INLINE_MIME_TYPES.has(attachment.mime_type) ? 'inline' : 'attachment';
+  res.set({
+    'Content-Type': attachment.mime_type,
+    'Content-Length': attachment.size,
+    'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`
+  });
+  await pipeline(stream, res);
+};
+
+/**
+ * 公開下載連結（GET /api/leads/:id 的附件 data / download_url），用簽章代替登入
+ * 不在 /api 底下，不經過 authenticate
+ */
+app.get('/files/:attachmentId', async (req, res) => {
+  try {
+    if (!verifyFileSignature(req.params.attachmentId, req.query.expires, req.query.signature)) {
+      return res.status(403).json({ error: '下載連結無效或已過期', code: 'INVALID_FILE_SIGNATURE' });
+    }
+    const attachment = await findAttachment(pool, null, req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ error: '附件不存在' });
+    }
+    await sendStoredFile(req, res, attachment);
+  } catch (error) {
+    if (res.headersSent) return res.destroy(error);
+    console.error('下載附件失敗:', error);
+    res.status(error.status || 500).json({ error: '下載附件失敗', details: error.message });
+  }
+});
+
+// ==================== 案件附件 ====================
+
+const sendStorageError = (res, error) => res.status(error.status).json({ error: error.message, code: error.code });
+
+const formatAttachment = (row) => ({
+  id: row.id,
+  lead_id: row.lead_id,
+  filename: row.filename,
+  mime_type: row.mime_type || null,
+  size: row.size !== null && row.size !== undefined ? Number(row.size) : null,
+  sha256: row.file_sha256 || null,
+  url: row.url || null,
+  download_url: row.url || signFileUrl(row.id),
+  uploaded_by: row.uploaded_by || null,
+  uploaded_by_name: row.uploaded_by_name || null,
+  created_at: row.created_at ? new Date(row.created_at).toISOString() : null
+});
+
+// 審計紀錄不保存會過期的下載連結
+const attachmentAuditSnapshot = (row) => {
+  const { download_url: _downloadUrl, ...snapshot } = formatAttachment(row);
+  return snapshot;
+};
+
+// 附件連同檔案資訊；leadKey 為 null 時不限定案件（簽章下載用）
+const findAttachment = async (db, leadKey, attachmentId, { forUpdate = false } = {}) => {
+  const result = await db.query(
+    `SELECT a.*, f.mime_type, f.size, f.storage_driver, f.storage_key
+     FROM lead_attachments a
+     JOIN leads l ON l.id = a.lead_id
+     LEFT JOIN stored_files f ON f.sha256 = a.file_sha256
+     WHERE a.id = $1 AND l.deleted_at IS NULL AND ($2::text IS NULL OR l.id = $2 OR l.case_code = $2)
+     ${forUpdate ? 'FOR UPDATE OF a' : ''}`,
+    [attachmentId, leadKey]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * 新增附件中繼資料（交易內使用），file 為 storeStagedFile 回傳的 stored_files 資料列，網址附件則提供 url
+ * id 已存在時不做任何事並回傳 null
+ */
+const insertAttachment = async (client, req, leadId, { id, filename, file = null, url = null, createdAt, author } = {}) => {
+  const who = author || req.auth;
+  const result = await client.query(
+    `INSERT INTO lead_attachments (id, lead_id, file_sha256, url, filename, uploaded_by, uploaded_by_name, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8::timestamptz, NOW()))
+     ON CONFLICT (id) DO NOTHING
+     RETURNING *`,
+    [
+      id || `att_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      leadId,
+      file ? file.sha256 : null,
+      url,
+      filename,
+      who.uid || null,
+      who.name || null,
+      createdAt || null
+    ]
+  );
+  if (result.rows.length === 0) return null;
+  const row = { ...result.rows[0], mime_type: file ? file.mime_type : null, size: file ? file.size : null };
+  await recordAudit(client, req, {
+    action: 'ATTACHMENT_ADD',
+    entityType: 'attachment',
+    entityId: row.id,
+    leadId,
+    after: attachmentAuditSnapshot(row)
+  });
+  return row;
+};
+
+// 舊格式的附件內容：網址、data URL（data:image/png;base64,...）或 base64
+const parseAttachmentData = (data) => {
+  const value = typeof data === 'string' ? data.trim() : '';
+  if (!value) {
+    throw storageError('附件內容不可為空', 'INVALID_ATTACHMENT');
+  }
+  if (/^https?:\/\//i.test(value)) {
+    if (value.length > 2000) throw storageError('附件網址過長', 'INVALID_ATTACHMENT');
+    return { url: value };
+  }
+  const match = value.match(/^data:[^;,]*;base64,([\s\S]*)$/);
+  const base64 = match ? match[1] : value;
+  if (!/^[A-Za-z0-9+/=_\s-]+$/.test(base64)) {
+    throw storageError('附件必須是網址、data URL 或 base64', 'INVALID_ATTACHMENT');
+  }
+  return { buffer: Buffer.from(base64, 'base64') };
+};
+
+// 檢查舊格式的附件能否儲存（不寫入），回傳 { url } 或 { size, mime_type }；不能儲存時丟出 storageError
+const inspectAttachmentData = (data, filename) => {
+  const parsed = parseAttachmentData(data);
+  if (parsed.url) return { url: parsed.url };
+  const staged = stageBuffer(parsed.buffer);
+  const mimeType = sniffMimeType(staged.head, filename || '');
+  if (!mimeType) throw unsupportedFileType();
+  return { size: staged.size, mime_type: mimeType };
+};
+
+// 儲存一個舊格式的附件（/api/ai/attachment 與 contracts 陣列）
+const saveAttachmentData = async (client, req, leadId, { id, filename, data, createdAt, author }) => {
+  const parsed = parseAttachmentData(data);
+  if (parsed.url) {
+    return insertAttachment(client, req, leadId, { id, filename: filename || 'link', url: parsed.url, createdAt, author });
+  }
+  const staged = stageBuffer(parsed.buffer);
+  const name = filename || `attachment_${Date.now()}`;
+  const file = await storeStagedFile(client, staged, name);
+  return insertAttachment(client, req, leadId, { id, filename: name, file, createdAt, author });
+};
+
+/**
+ * 案件資料中的 contracts 陣列寫入附件
+ * 和 progress_updates 一樣只新增 id 尚未存在的項目；指向本服務下載連結的項目是既有附件，一律略過
+ * 陣列中沒有的既有附件不會被刪除（舊畫面送回的陣列可能少了別人剛上傳的附件），刪除請用 DELETE /api/leads/:id/attachments/:attachmentId
+ */
+const syncAttachments = async (client, req, leadId, items, { keepAuthor = false } = {}) => {
+  const inserted = [];
+  for (const item of items || []) {
+    if (typeof item.data === 'string' && /\/files\/[^?]+\?expires=\d+&signature=/.test(item.data)) continue;
+    if (item.id) {
+      const existing = await client.query('SELECT 1 FROM lead_attachments WHERE id = $1', [String(item.id)]);
+      if (existing.rows.length > 0) continue;
+    }
+    const createdAt = item.uploaded_at && !isNaN(new Date(item.uploaded_at).getTime()) ? item.uploaded_at : null;
+    const row = await saveAttachmentData(client, req, leadId, {
+      id: item.id ? String(item.id) : null,
+      filename: item.filename ? String(item.filename).slice(0, 255) : null,
+      data: item.data,
+      createdAt,
+      author: keepAuthor ? { uid: null, name: item.uploaded_by } : null
+    });
+    if (row) inserted.push(row);
+  }
+  return inserted;
+};
+
+// 解析 multipart/form-data，每個檔案各自寫到暫存檔；任何一個檔案失敗時刪除全部暫存檔
+const receiveMultipartFiles = (req) => new Promise((resolve, reject) => {
+  let parser;
+  try {
+    parser = Busboy({
+      headers: req.headers,
+      defParamCharset: 'utf8',
+      limits: { files: ATTACHMENT_MAX_FILES, fileSize: ATTACHMENT_MAX_BYTES + 1 }
+    });
+  } catch (err) {
+    return reject(storageError(`multipart 格式不正確：${err.message}`, 'INVALID_UPLOAD'));
+  }
+
+  const uploads = [];
+  let failure = null;
+  const finish = async () => {
+    const results = await Promise.all(uploads);
+    const failed = results.find(result => result.error);
+    if (failure || failed) {
+      await Promise.all(results.map(discardStaged));
+      return reject(failure || failed.error);
+    }
+    resolve(results);
+  };
+
+  parser.on('file', (field, stream, info) => {
+    uploads.push(stageUpload(stream).then(
+      staged => ({ ...staged, filename: info.filename || field }),
+      error => ({ error })
+    ));
+  });
+  parser.on('filesLimit', () => {
+    failure = storageError(`一次最多上傳 ${ATTACHMENT_MAX_FILES} 個檔案`, 'TOO_MANY_FILES');
+  });
+  parser.on('error', (err) => {
+    failure = storageError(`multipart 解析失敗：${err.message}`, 'INVALID_UPLOAD');
+    req.unpipe(parser);
+    finish();
+  });
+  parser.on('close', finish);
+  req.pipe(parser);
+});
+
+// 案件的附件清單（不含檔案內容）
+app.get('/api/leads/:id/attachments', requirePermission('leads:read'), async (req, res) => {
+  try {
+    const lead = await findActiveLead(pool, req.params.id);
+    if (!lead) {
+      return res.status(404).json({ error: '案件不存在' });
+    }
+    const result = await pool.query(
+      `SELECT a.*, f.mime_type, f.size FROM lead_attachments a
+       LEFT JOIN stored_files f ON f.sha256 = a.file_sha256
+       WHERE a.lead_id = $1 ORDER BY a.created_at, a.id`,
+      [lead.id]
+    );
+    res.json({
+      lead_id: lead.id,
+      case_code: lead.case_code || null,
+      count: result.rows.length,
+      attachments: result.rows.map(formatAttachment)
+    });
+  } catch (error) {
+    console.error('獲取附件失敗:', error);
+    res.status(500).json({ error: '獲取附件失敗', details: error.message });
+  }
+});
+
+/**
+ * 上傳附件
+ * POST /api/leads/:id/attachments
+ *
+ * - multipart/form-data：可以一次上傳多個檔案（欄位名稱不限）
+ * - 其他 Content-Type：請求內容就是檔案，檔名用 ?filename= 指定
+ * 檔案類型依內容判斷，大小上限 ATTACHMENT_MAX_BYTES
+ */
+app.post('/api/leads/:id/attachments', requirePermission('leads:update'), async (req, res) => {
+  let staged = [];
+  try {
+    const lead = await findActiveLead(pool, req.params.id);
+    if (!lead) {
+      return res.status(404).json({ error: '案件不存在' });
+    }
+
+    if (req.is('multipart/form-data')) {
+      staged = await receiveMultipartFiles(req);
+    } else {
+      if (parseInt(req.headers['content-length'] || '0') > ATTACHMENT_MAX_BYTES) {
+        return sendStorageError(res, storageError(`檔案不可超過 ${formatBytes(ATTACHMENT_MAX_BYTES)}`, 'FILE_TOO_LARGE', 413));
+      }
+      const file = await stageUpload(req);
+      staged = [{ ...file, filename: String(req.query.filename || 'upload').slice(0, 255) }];
+    }
+    if (staged.length === 0 || staged.some(file => file.size === 0)) {
+      return sendStorageError(res, storageError('沒有收到檔案內容', 'EMPTY_UPLOAD'));
+    }
+
+    const rows = await withTransaction(async (client) => {
+      const current = await findActiveLead(client, lead.id);
+      if (!current) return null;
+      const inserted = [];
+      for (const file of staged) {
+        const stored = await storeStagedFile(client, file, file.filename);
+        inserted.push(await insertAttachment(client, req, lead.id, { filename: file.filename, file: stored }));
+      }
+      await touchLead(client, lead.id);
+      return inserted;
+    });
+
+    if (!rows) {
+      return res.status(404).json({ error: '案件不存在' });
+    }
+    console.log(`📎 上傳附件: ${lead.case_code || lead.id} - ${rows.map(row => row.filename).join(', ')}`);
+    res.status(201).json({ success: true, attachments: rows.map(formatAttachment) });
+  } catch (error) {
+    if (error.status) {
+      return sendStorageError(res, error);
+    }
+    console.error('上傳附件失敗:', error);
+    res.status(500).json({ error: '上傳附件失敗', details: error.message });
+  } finally {
+    await Promise.all(staged.map(discardStaged));
+  }
+});
+
+// 下載附件（需要登入；<img src> 請用清單裡的 download_url）
+app.get('/api/leads/:id/attachments/:attachmentId', requirePermission('leads:read'), async (req, res) => {
+  try {
+    const attachment = await findAttachment(pool, req.params.id, req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ error: '附件不存在' });
+    }
+    await sendStoredFile(req, res, attachment);
+  } catch (error) {
+    if (res.headersSent) return res.destroy(error);
+    console.error('下載附件失敗:', error);
+    res.status(error.status || 500).json({ error: '下載附件失敗', details: error.message });
+  }
+});
+
+// 刪除附件；沒有其他附件使用的檔案留給背景工作 files.cleanup 從儲存空間刪除
+app.delete('/api/leads/:id/attachments/:attachmentId', requirePermission('leads:update'), async (req, res) => {
+  try {
+    const attachment = await withTransaction(async (client) => {
+      const row = await findAttachment(client, req.params.id, req.params.attachmentId, { forUpdate: true });
+      if (!row) return null;
+      await client.query('DELETE FROM lead_attachments WHERE id = $1', [row.id]);
+      await recordAudit(client, req, {
+        action: 'ATTACHMENT_DELETE',
+        entityType: 'attachment',
+        entityId: row.id,
+        leadId: row.lead_id,
+        before: attachmentAuditSnapshot(row)
+      });
+      await touchLead(client, row.lead_id);
+      return row;
+    });
+
+    if (!attachment) {
+      return res.status(404).json({ error: '附件不存在' });
+    }
+    res.json({ success: true, id: attachment.id });
+  } catch (error) {
+    console.error('刪除附件失敗:', error);
+    res.status(500).json({ error: '刪除附件失敗', details: error.message });
+  }
+});
+
+// 獲取單一案件（完整資料），:id 可以是案件 ID 或 case_code
+app.get('/api/leads/:id', requirePermission('leads:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query(
+      `SELECT ${LEAD_ALL_COLUMNS_SQL} FROM leads
+       WHERE (id = $1 OR case_code = $1) AND deleted_at IS NULL
+       ORDER BY (id = $1) DESC LIMIT 1`,
+      [id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: '案件不存在' });
+    }
+    // 內容含個資和有期限的下載連結，不讓瀏覽器快取（避免 If-None-Match 拿到過期的連結）
+    res.set({ ETag: leadETag(result.rows[0].version), 'Cache-Control': 'no-store' });
+    res.json(formatLead(result.rows[0]));
+  } catch (error) {
+    console.error('獲取案件失敗:', error);
+    res.status(500).json({ error: '獲取案件失敗', details: error.message });
+  }
+});
+
+// 創建案件
+app.post('/api/leads', requirePermission('leads:create'), async (req, res) => {
+  try {
+    const { values: lead, errors } = validateLead(req.body, { required: ['need', 'created_by_name'] });
+    if (!hasErrors(errors)) Object.assign(errors, await validateLeadStates(pool, lead), await validateLeadTags(pool, req, lead));
+    if (hasErrors(errors)) {
+      return sendValidationError(res, errors);
+    }
+    const now = new Date().toISOString();
+    const outcome = await withTransaction(async (client) => {
+      const duplicates = await findDuplicateLeads(client, lead, { excludeId: lead.id });
+      if (duplicates.length > 0 && isStrictDuplicateCheck(req)) return { duplicates };
+
+      const caseCode = lead.case_code || await allocateCaseCode(client, { platform: lead.platform || 'FB' });
+
+      const result = await client.query(`
+        INSERT INTO leads (
+          id, case_code, platform, platform_id, need, budget_text, posted_at,
+          phone, email, location, estimated_duration, contact_method, note, internal_remarks, remarks_author,
+          status, decision, priority, created_by, created_by_name,
+          created_at, updated_at, change_history, contact_status,
+          budget_min, budget_max, budget_currency, budget_confidence
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28)
+        RETURNING *
+      `, [
+        lead.id || `lead_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        caseCode,
+        lead.platform || 'FB',
+        lead.platform_id || '',
+        lead.need,
+        lead.budget_text || null,
+        lead.posted_at || null,
+        lead.phone || null,
+        lead.email || null,
+        lead.location || null,
+        lead.estimated_duration || null,
+        lead.contact_method || null,
+        lead.note || null,
+        lead.internal_remarks || null,
+        lead.remarks_author || null,
+        lead.status || '待篩選',
+        lead.decision || 'pending',
+        lead.priority || 3,
+        lead.created_by || null,
+        lead.created_by_name,
+        lead.created_at || now,
+        lead.updated_at || now,
+        lead.change_history ? JSON.stringify(lead.change_history) : null,
+        lead.contact_status || '未回覆', // 添加 contact_status
+        ...budgetColumnParams(lead.budget_text)
+      ]);
+      await recordLeadAudit(client, req, 'CREATE', result.rows[0].id, null, result.rows[0]);
+      await syncLeadChildren(client, req, result.rows[0].id, lead);
+      return { row: result.rows[0], duplicates };
+    });
+    
+    if (!outcome.row) {
+      return sendDuplicateConflict(res, outcome.duplicates);
+    }
+    const { row, duplicates } = outcome;
+    res.set('ETag', leadETag(row.version));
+    res.json({ id: row.id, case_code: row.case_code, version: row.version, duplicates });
+  } catch (error) {
+    const lead = req.body || {};
+    if (isCaseCodeConflict(error)) {
+      return sendCaseCodeConflict(res, lead.case_code);
+    }
+    if (isValidationError(error)) {
+      return sendValidationError(res, error.fields);
+    }
+    if (error.status) {
+      return sendStorageError(res, error);
+    }
+    console.error('❌ 創建案件失敗:', error);
+    console.error('錯誤詳情:', {
+      message: error.message,
+      code: error.code,
+      detail: error.detail,
+      constraint: error.constraint,
+      table: error.table,
+      column: error.column,
+      stack: error.stack
+    });
+    console.error('接收到的資料:', {
+      id: lead.id,
+      case_code: lead.case_code,
+      platform: lead.platform,
+      platform_id: lead.platform_id,
+      need: typeof lead.need === 'string' ? lead.need.substring(0, 50) + '...' : null,
+      has_progress_updates: !!lead.progress_updates,
+      has_change_history: !!lead.change_history,
+      has_cost_records: !!lead.cost_records,
+      has_profit_records: !!lead.profit_records,
+      has_contracts: !!lead.contracts
+    });
+    res.status(500).json({ 
+      error: '創建案件失敗',
+      details: error.message,
+      code: error.code,
+      hint: error.constraint ? `資料庫約束錯誤: ${error.constraint}` : '請檢查資料庫連接和表結構'
+    });
+  }
+});
+
+// 更新案件
+app.put('/api/leads/:id', requirePermission('leads:update'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { expected_version: expectedVersionInput, ...updates } = req.body || {};
+    
+    console.log(`📥 更新案件: ${id}`, Object.keys(updates));
+    
+    // 依 LEAD_SCHEMA 驗證（唯讀欄位如 id、created_at、version 會被忽略）
+    const { values: validUpdates, errors } = validateLead(updates, { partial: true });
+    if (!hasErrors(errors)) Object.assign(errors, await validateLeadTags(pool, req, validUpdates));
+    const expected = parseExpectedVersion(req, expectedVersionInput);
+    if (hasErrors(errors) || expected.errors) {
+      return sendValidationError(res, { ...errors, ...expected.errors });
+    }
+    
+    // 欄位層級權限（status / decision 需要知道案件負責人）
+    if (Object.keys(validUpdates).some(key => LEAD_FIELD_RULES[key])) {
+      const current = await pool.query('SELECT assigned_to, status, decision FROM leads WHERE id = $1', [id]);
+      const deniedFields = getDeniedLeadFields(req.auth, current.rows[0], validUpdates);
+      if (deniedFields.length > 0) {
+        return sendForbidden(res, req.auth, { fields: deniedFields });
+      }
+    }
+    
+    if (Object.keys(validUpdates).length === 0) {
+      return res.status(400).json({ error: '沒有要更新的欄位' });
+    }
+    
+    const outcome = await withTransaction(async (client) => {
+      const before = await findLeadForUpdate(client, { lead_id: id });
+      if (!before) return { notFound: true };
+      if (expected.version !== null && before.version !== expected.version) {
+        const current = await client.query(`SELECT ${LEAD_ALL_COLUMNS_SQL} FROM leads WHERE id = $1`, [id]);
+        return { conflict: current.rows[0] };
+      }
+      // status / decision 的轉換，effects 會加進 validUpdates
+      const transition = await applyLeadTransitions(client, req, before, validUpdates);
+      if (transition.errors || transition.rejected) return transition;
+      
+      const { fields: updateFields, params: values, nextIndex: paramIndex } = buildLeadSetClause(validUpdates);
+      
+      // 注意：不手動設定 updated_at，讓資料庫觸發器自動處理
+      // 資料庫有 BEFORE UPDATE 觸發器會自動更新 updated_at
+      // 只送 progress_updates / cost_records / profit_records 時仍然要更新一次，讓 updated_at 反映新資料
+      if (updateFields.length === 0) {
+        updateFields.push('updated_at = NOW()');
+      }
+      
+      // 添加 WHERE 條件的 ID
+      values.push(id);
+      
+      const query = `UPDATE leads SET ${updateFields.join(', ')} WHERE id = $${paramIndex} RETURNING *`;
+      
+      console.log(`📝 執行 SQL:`, query.substring(0, 100) + '...');
+      console.log(`📊 參數數量: ${values.length - 1} 個欄位 + 1 個 ID`);
+      
+      const result = await client.query(query, values);
+      await recordLeadAudit(client, req, 'UPDATE', id, before, result.rows[0]);
+      // 進度、成本、收入只新增尚未存在的項目
+      await syncLeadChildren(client, req, id, validUpdates, { partial: true });
+      const ledger = await client.query(
+        `SELECT ${leadColumnSql('cost_records')}, ${leadColumnSql('profit_records')} FROM leads WHERE id = $1`,
+        [id]
+      );
+      return { row: { ...result.rows[0], ...ledger.rows[0] } };
+    });
+    
+    if (outcome.notFound) {
+      return res.status(404).json({ error: '案件不存在' });
+    }
+    if (outcome.conflict) {
+      return sendVersionConflict(res, expected.version, outcome.conflict);
+    }
+    if (outcome.errors) {
+      return sendValidationError(res, outcome.errors);
+    }
+    if (outcome.rejected) {
+      return sendTransitionRejected(res, outcome.rejected);
+    }
+    const updatedRow = outcome.row;
+    
+    console.log(`✅ 案件更新成功: ${id}`);
+    
+    // 返回更新後的完整數據，特別是 cost_records 和 profit_records
+    
+    // 解析 JSONB 欄位
+    let cost_records = [];
+    try {
+      if (updatedRow.cost_records) {
+        cost_records = typeof updatedRow.cost_records === 'string'
+          ? JSON.parse(updatedRow.cost_records)
+          : updatedRow.cost_records;
+        if (!Array.isArray(cost_records)) cost_records = [];
+      }
+    } catch (e) {
+      console.warn('解析 cost_records 失敗:', e);
+    }
+    
+    let profit_records = [];
+    try {
+      if (updatedRow.profit_records) {
+        profit_records = typeof updatedRow.profit_records === 'string'
+          ? JSON.parse(updatedRow.profit_records)
+          : updatedRow.profit_records;
+        if (!Array.isArray(profit_records)) profit_records = [];
+      }
+    } catch (e) {
+      console.warn('解析 profit_records 失敗:', e);
+    }
+    
+    // 返回更新後的數據，包括 cost_records 和 profit_records
+    res.set('ETag', leadETag(updatedRow.version));
+    res.json({ 
+      success: true, 
+      id: updatedRow.id,
+      version: updatedRow.version,
+      cost_records: cost_records,
+      profit_records: profit_records,
+      status: updatedRow.status
+    });
+  } catch (error) {
+    if (isCaseCodeConflict(error)) {
+      return sendCaseCodeConflict(res, req.body.case_code);
+    }
+    if (isValidationError(error)) {
+      return sendValidationError(res, error.fields);
+    }
+    if (error.status) {
+      return sendStorageError(res, error);
+    }
+    console.error('❌ 更新案件失敗:', error);
+    console.error('錯誤詳情:', error.message);
+    console.error('錯誤堆疊:', error.stack);
+    res.status(500).json({ 
+      error: '更新案件失敗', 
+      details: error.message,
+      hint: '請檢查資料庫欄位名稱和資料類型是否正確'
+    });
+  }
+});
+
+// 刪除案件（移到垃圾桶，可從 /api/leads/trash 還原）
+app.delete('/api/leads/:id', requirePermission('leads:delete'), async (req, res) => {
+  try {
+    await withTransaction(async (client) => {
+      const lead = await findLeadForUpdate(client, { lead_id: req.params.id });
+      if (lead) await trashLead(client, req, lead);
+    });
+    res.json({ success: true, trashed: true });
+  } catch (error) {
+    console.error('刪除案件失敗:', error);
+    res.status(500).json({ error: '刪除案件失敗' });
+  }
+});
+
+// ==================== 案件待辦 ====================
+
+// 「今天」「逾期」依這個時區計算；只給日期（due_date）時預設 TASK_DEFAULT_DUE_TIME
+const TASK_TIMEZONE = process.env.TASK_TIMEZONE || 'Asia/Taipei';
+const TASK_DEFAULT_DUE_TIME = '09:00';
+const TASK_STATUSES = ['open', 'done', 'cancelled'];
+// 客戶已回覆：「直到回覆」的重複待辦停止（migrations/013_lead_tasks.sql 的觸發器使用同一份清單）
+const TASK_REPLIED_CONTACT_STATUSES = ['已回覆', '已聯繫'];
+const TASK_DUE_FILTERS = ['overdue', 'today', 'upcoming'];
+const TASK_PAGE_MAX = 200;
+
+const TASK_SCHEMA = {
+  title: { type: 'string', maxLength: 200 },
+  note: { type: 'text', maxLength: 2000 },
+  due_at: { type: 'date' },
+  assigned_to: { type: 'string', maxLength: 100 }
+};
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * 驗證待辦資料
+ * - 期限用 due_at（ISO 時間），或 due_date（YYYY-MM-DD）加上可選的 due_time（HH:MM，TASK_TIMEZONE 的當地時間）
+ * - recurrence：{ every_days, until_replied, until } 或 null（不重複）
+ * options.partial: 修改模式，title、期限可省略
+ * 回傳 { values, errors }，當地日期時間放在 values.due_local，寫入時由資料庫換算
+ */
+const validateTask = (input, { partial = false } = {}) => {
+  const values = {};
+  const errors = {};
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { values, errors: { _: '待辦資料必須是物件' } };
+  }
+
+  for (const [key, rule] of Object.entries(TASK_SCHEMA)) {
+    if (input[key] === undefined) continue;
+    const { value, error } = coerceLeadField(rule, input[key]);
+    if (error) {
+      errors[key] = error;
+    } else {
+      values[key] = value;
+    }
+  }
+  if (!errors.title && (partial ? values.title === null : !values.title)) {
+    errors.title = '必填欄位';
+  }
+
+  if (input.due_date !== undefined || input.due_time !== undefined) {
+    if (input.due_at !== undefined) {
+      errors.due_at = 'due_at 與 due_date 擇一';
+    } else if (typeof input.due_date !== 'string' || !DATE_ONLY_PATTERN.test(input.due_date) || isNaN(new Date(input.due_date).getTime())) {
+      errors.due_date = '必須是 YYYY-MM-DD';
+    } else if (input.due_time !== undefined && (typeof input.due_time !== 'string' || !TIME_PATTERN.test(input.due_time))) {
+      errors.due_time = '必須是 HH:MM';
+    } else {
+      values.due_local = { date: input.due_date, time: input.due_time || TASK_DEFAULT_DUE_TIME };
+    }
+  } else if (!errors.due_at && (partial ? values.due_at === null : !values.due_at)) {
+    errors.due_at = partial ? '不可清空' : '請提供 due_at 或 due_date';
+  }
+
+  if (input.recurrence !== undefined) {
+    const recurrence = input.recurrence;
+    if (recurrence === null) {
+      values.recurrence = null;
+    } else if (typeof recurrence !== 'object' || Array.isArray(recurrence)) {
+      errors.recurrence = '必須是物件或 null';
+    } else {
+      const days = coerceLeadField({ type: 'integer', min: 1, max: 365 }, recurrence.every_days);
+      const until = recurrence.until === undefined || recurrence.until === null
+        ? { value: null }
+        : coerceLeadField({ type: 'date' }, recurrence.until);
+      if (recurrence.every_days === undefined || days.error) {
+        errors.recurrence = `every_days ${days.error || '必填'}`;
+      } else if (recurrence.until_replied !== undefined && typeof recurrence.until_replied !== 'boolean') {
+        errors.recurrence = 'until_replied 必須是 true 或 false';
+      } else if (until.error) {
+        errors.recurrence = `until ${until.error}`;
+      } else {
+        values.recurrence = { every_days: days.value, until_replied: recurrence.until_replied === true, until: until.value };
+      }
+    }
+  }
+
+  return { values, errors };
+};
+
+// 指派對象：使用者 ID、"me"（目前登入者）或 null（不指派），回傳 { assigned_to, assigned_to_name } 或 { error }
+const resolveAssignee = async (db, auth, value) => {
+  if (value === null) return { assigned_to: null, assigned_to_name: null };
+  if (value === 'me') return { assigned_to: auth.uid, assigned_to_name: auth.name || null };
+  const result = await db.query('SELECT display_name, email, is_active FROM users WHERE id = $1', [value]);
+  const user = result.rows[0];
+  if (!user || user.is_active === false) return { error: '使用者不存在或已停用' };
+  return { assigned_to: value, assigned_to_name: user.display_name || user.email || null };
+};
+
+const formatTask = (row) => ({
+  id: row.id,
+  lead_id: row.lead_id,
+  title: row.title,
+  note: row.note || null,
+  due_at: new Date(row.due_at).toISOString(),
+  overdue: row.status === 'open' && new Date(row.due_at) < new Date(),
+  assigned_to: row.assigned_to || null,
+  assigned_to_name: row.assigned_to_name || null,
+  status: row.status,
+  recurrence: row.recurrence_days
+    ? {
+        every_days: row.recurrence_days,
+        until_replied: row.recurrence_until_replied,
+        until: row.recurrence_end_at ? new Date(row.recurrence_end_at).toISOString() : null
+      }
+    : null,
+  previous_task_id: row.previous_task_id || null,
+  closed_at: row.closed_at ? new Date(row.closed_at).toISOString() : null,
+  closed_by_name: row.closed_by_name || null,
+  close_reason: row.close_reason || null,
+  close_note: row.close_note || null,
+  progress_update_id: row.progress_update_id || null,
+  created_by_name: row.created_by_name || null,
+  created_at: row.created_at ? new Date(row.created_at).toISOString() : null,
+  updated_at: row.updated_at ? new Date(row.updated_at).toISOString() : null,
+  // 待辦清單會附上案件摘要
+  lead: row.lead_need === undefined ? undefined : {
+    case_code: row.lead_case_code || null,
+    need: row.lead_need ? row.lead_need.substring(0, 100) : '',
+    platform_id: row.lead_platform_id || '',
+    contact_status: row.lead_contact_status || '未回覆'
+  }
+});
+
+const recordTaskAudit = (client, req, action, before, after) => {
+  const row = after || before;
+  return recordAudit(client, req, {
+    action,
+    entityType: 'task',
+    entityId: row.id,
+    leadId: row.lead_id,
+    before: before && formatTask(before),
+    after: after && formatTask(after)
+  });
+};
+
+// 期限的 SQL 參數：due_at 或 due_local（當地日期時間，依 TASK_TIMEZONE 換算）
+const taskDueParams = (values) => values.due_local
+  ? [null, values.due_local.date, values.due_local.time]
+  : [values.due_at || null, null, null];
+
+const TASK_DUE_SQL = (index) =>
+  `COALESCE($${index}::timestamptz, ($${index + 1}::date + $${index + 2}::time) AT TIME ZONE '${TASK_TIMEZONE.replace(/'/g, "''")}')`;
+
+/**
+ * 新增待辦（交易內使用，values 為 validateTask 的結果，指派對象已由 resolveAssignee 換算）
+ * options.author: 建立者（AI 助理），options.previousTaskId: 重複待辦的上一次
+ */
+const insertTask = async (client, req, leadId, values, { author, previousTaskId = null } = {}) => {
+  const who = author || req.auth;
+  const recurrence = values.recurrence || null;
+  const result = await client.query(
+    `INSERT INTO lead_tasks (
+       id, lead_id, title, note, due_at, assigned_to, assigned_to_name,
+       recurrence_days, recurrence_until_replied, recurrence_end_at, previous_task_id, created_by, created_by_name
+     ) VALUES ($1, $2, $3, $4, ${TASK_DUE_SQL(5)}, $8, $9, $10, $11, $12, $13, $14, $15)
+     RETURNING *`,
+    [
+      `task_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      leadId,
+      values.title,
+      values.note || null,
+      ...taskDueParams(values),
+      values.assigned_to || null,
+      values.assigned_to_name || null,
+      recurrence ? recurrence.every_days : null,
+      recurrence ? recurrence.until_replied : false,
+      recurrence ? recurrence.until : null,
+      previousTaskId,
+      who.uid || null,
+      who.name || null
+    ]
+  );
+  await recordTaskAudit(client, req, 'TASK_CREATE', null, result.rows[0]);
+  return result.rows[0];
+};
+
+// 鎖定案件底下的一筆待辦，:id 可以是案件 ID 或 case_code（垃圾桶內的案件視為不存在）
+const findTaskForUpdate = async (client, leadKey, taskId) => {
+  const result = await client.query(
+    `SELECT t.*, l.contact_status AS lead_contact_status FROM lead_tasks t
+     JOIN leads l ON l.id = t.lead_id
+     WHERE t.id = $2 AND (l.id = $1 OR l.case_code = $1) AND l.deleted_at IS NULL
+     FOR UPDATE OF t`,
+    [leadKey, taskId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * 重複待辦的下一次：上一次的期限加上 every_days，已經過去就再往後推（保留原本的時間）
+ * 客戶已回覆（until_replied）或超過 until 時不再建立，回傳 null
+ */
+const scheduleNextTask = async (client, req, task) => {
+  if (!task.recurrence_days) return null;
+  if (task.recurrence_until_replied && TASK_REPLIED_CONTACT_STATUSES.includes(task.lead_contact_status)) return null;
+
+  const interval = task.recurrence_days * 24 * 60 * 60 * 1000;
+  let due = new Date(task.due_at).getTime() + interval;
+  while (due <= Date.now()) due += interval;
+  if (task.recurrence_end_at && due > new Date(task.recurrence_end_at).getTime()) return null;
+
+  return insertTask(client, req, task.lead_id, {
+    title: task.title,
+    note: task.note,
+    due_at: new Date(due),
+    assigned_to: task.assigned_to,
+    assigned_to_name: task.assigned_to_name,
+    recurrence: { every_days: task.recurrence_days, until_replied: task.recurrence_until_replied, until: task.recurrence_end_at }
+  }, { author: { uid: task.created_by, name: task.created_by_name }, previousTaskId: task.id });
+};
+
+/**
+ * 完成待辦（交易內使用）：寫入一則進度更新，重複的待辦建立下一次
+ * 回傳 { task, progress, next }
+ */
+const completeTask = async (client, req, task, { note = null, author } = {}) => {
+  const content = `✅ 完成待辦：${task.title}${note ? `\n${note}` : ''}`;
+  const progress = await insertProgressUpdate(client, req, task.lead_id, { content, attachments: [] }, { author });
+  const who = author || req.auth;
+  const result = await client.query(
+    `UPDATE lead_tasks SET status = 'done', closed_at = NOW(), closed_by = $1, closed_by_name = $2,
+       close_reason = 'completed', close_note = $3, progress_update_id = $4
+     WHERE id = $5 RETURNING *`,
+    [who.uid || null, who.name || null, note, progress.id, task.id]
+  );
+  await recordTaskAudit(client, req, 'TASK_COMPLETE', task, result.rows[0]);
+  const next = await scheduleNextTask(client, req, task);
+  await touchLead(client, task.lead_id);
+  return { task: result.rows[0], progress, next };
+};
+
+// 建立超過這麼多天仍「未回覆」的案件，由背景工作 leads.flag_unreplied 建立追蹤待辦
+const LEAD_UNREPLIED_DAYS = parseInt(process.env.LEAD_UNREPLIED_DAYS || '3');
+const LEAD_UNREPLIED_BATCH = 200;
+
+/**
+ * 替卡在「未回覆」的案件建立追蹤待辦（指派給案件負責人，期限為現在）
+ * 已有未完成的待辦、或 days 天內建立過待辦的案件略過，避免每天重複提醒
+ * 回傳 { days, flagged: [case_code, ...] }
+ */
+const flagUnrepliedLeads = (req, { days = LEAD_UNREPLIED_DAYS } = {}) => withTransaction(async (client) => {
+  const result = await client.query(
+    `SELECT l.id, l.case_code, l.assigned_to, l.assigned_to_name FROM leads l
+     WHERE l.deleted_at IS NULL AND COALESCE(l.contact_status, '未回覆') = '未回覆'
+       AND l.created_at < NOW() - ($1 || ' days')::interval
+       AND NOT EXISTS (
+         SELECT 1 FROM lead_tasks t
+         WHERE t.lead_id = l.id AND (t.status = 'open' OR t.created_at > NOW() - ($1 || ' days')::interval)
+       )
+     ORDER BY l.created_at
+     LIMIT $2`,
+    [String(days), LEAD_UNREPLIED_BATCH]
+  );
+  for (const lead of result.rows) {
+    await insertTask(client, req, lead.id, {
+      title: '追蹤未回覆的客戶',
+      note: `建立超過 ${days} 天仍未回覆`,
+      due_at: new Date().toISOString(),
+      assigned_to: lead.assigned_to || null,
+      assigned_to_name: lead.assigned_to_name || null
+    });
+  }
+  return { days, flagged: result.rows.map(lead => lead.case_code || lead.id) };
+});
+
+/**
+ * 查詢待辦（不含垃圾桶內案件的待辦），依期限由近到遠
+ * - assigned_to：使用者 ID 或 me，逗號分隔多個
+ * - status：預設 open
+ * - due：overdue（已過期限）、today（今天到期，尚未過期）、upcoming（明天以後），逗號分隔多個
+ * 回傳 { errors } 或 { rows }
+ */
+const queryTasks = async (query, auth) => {
+  const conditions = ['l.deleted_at IS NULL'];
+  const params = [];
+  const errors = {};
+  const list = (value) => String(value).split(',').map(v => v.trim()).filter(Boolean);
+
+  if (query.assigned_to) {
+    params.push(list(query.assigned_to).map(uid => uid === 'me' ? auth.uid : uid));
+    conditions.push(`t.assigned_to = ANY($${params.length})`);
+  }
+  if (query.lead_id) {
+    params.push(list(query.lead_id));
+    conditions.push(`(l.id = ANY($${params.length}) OR l.case_code = ANY($${params.length}))`);
+  }
+
+  const statuses = query.status ? list(query.status) : ['open'];
+  if (statuses.some(status => !TASK_STATUSES.includes(status))) {
+    errors.status = `必須是以下其中之一：${TASK_STATUSES.join('、')}`;
+  } else {
+    params.push(statuses);
+    conditions.push(`t.status = ANY($${params.length})`);
+  }
+
+  if (query.due) {
+    const dues = list(query.due);
+    if (dues.some(due => !TASK_DUE_FILTERS.includes(due))) {
+      errors.due = `必須是以下其中之一：${TASK_DUE_FILTERS.join('、')}`;
+    } else {
+      // 明天 00:00（TASK_TIMEZONE）；只查 overdue 時不需要時區參數
+      if (dues.some(due => due !== 'overdue')) params.push(TASK_TIMEZONE);
+      const tomorrow = `((date_trunc('day', NOW() AT TIME ZONE $${params.length}) + INTERVAL '1 day') AT TIME ZONE $${params.length})`;
+      const ranges = {
+        overdue: 't.due_at < NOW()',
+        today: `(t.due_at >= NOW() AND t.due_at < ${tomorrow})`,
+        upcoming: `t.due_at >= ${tomorrow}`
+      };
+      conditions.push(`(${dues.map(due => ranges[due]).join(' OR ')})`);
+    }
+  }
+
+  const limit = query.limit === undefined ? 100 : parseInt(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > TASK_PAGE_MAX) {
+    errors.limit = `必須是 1 到 ${TASK_PAGE_MAX} 的整數`;
+  }
+  if (hasErrors(errors)) return { errors };
+
+  params.push(limit);
+  const result = await pool.query(
+    `SELECT t.*, l.case_code AS lead_case_code, l.need AS lead_need, l.platform_id AS lead_platform_id,
+            l.contact_status AS lead_contact_status
+     FROM lead_tasks t
+     JOIN leads l ON l.id = t.lead_id
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY t.due_at, t.id
+     LIMIT $${params.length}`,
+    params
+  );
+  return { rows: result.rows };
+};
+
+const sendTaskList = async (req, res) => {
+  try {
+    const { rows, errors } = await queryTasks(req.query, req.auth);
+    if (errors) {
+      return sendValidationError(res, errors);
+    }
+    res.json({ timezone: TASK_TIMEZONE, count: rows.length, tasks: rows.map(formatTask) });
+  } catch (error) {
+    console.error('獲取待辦失敗:', error);
+    res.status(500).json({ error: '獲取待辦失敗', details: error.message });
+  }
+};
+
+/**
+ * 待辦清單
+ * GET /api/tasks?assigned_to=me&due=overdue,today&status=open&lead_id=aijob-023&limit=100
+ */
+app.get('/api/tasks', requirePermission('leads:read'), sendTaskList);
+app.get('/api/ai/tasks', requirePermission('leads:read'), sendTaskList);
+
+// 我的待辦：逾期與今天到期的待辦，加上之後的數量
+app.get('/api/tasks/my', requirePermission('leads:read'), async (req, res) => {
+  try {
+    const [overdue, today, upcoming] = await Promise.all(TASK_DUE_FILTERS.map(due =>
+      queryTasks({ assigned_to: 'me', due, limit: TASK_PAGE_MAX }, req.auth)
+    ));
+    res.json({
+      timezone: TASK_TIMEZONE,
+      counts: { overdue: overdue.rows.length, today: today.rows.length, upcoming: upcoming.rows.length },
+      overdue: overdue.rows.map(formatTask),
+      today: today.rows.map(formatTask)
+    });
+  } catch (error) {
+    console.error('獲取我的待辦失敗:', error);
+    res.status(500).json({ error: '獲取我的待辦失敗', details: error.message });
+  }
+});
+
+// 案件的待辦（含已完成與已取消，依期限排序）
+app.get('/api/leads/:id/tasks', requirePermission('leads:read'), async (req, res) => {
+  try {
+    const lead = await findActiveLead(pool, req.params.id);
+    if (!lead) {
+      return res.status(404).json({ error: '案件不存在' });
+    }
+    const result = await pool.query('SELECT * FROM lead_tasks WHERE lead_id = $1 ORDER BY due_at, id', [lead.id]);
+    res.json({
+      lead_id: lead.id,
+      case_code: lead.case_code || null,
+      count: result.rows.length,
+      tasks: result.rows.map(formatTask)
+    });
+  } catch (error) {
+    console.error('獲取案件待辦失敗:', error);
+    res.status(500).json({ error: '獲取案件待辦失敗', details: error.message });
+  }
+});
+
+// 新增待辦，未指定 assigned_to 時指派給自己
+app.post('/api/leads/:id/tasks', requirePermission('leads:update'), async (req, res) => {
+  try {
+    const { values, errors } = validateTask(req.body);
+    if (!hasErrors(errors)) {
+      const assignee = await resolveAssignee(pool, req.auth, values.assigned_to === undefined ? 'me' : values.assigned_to);
+      if (assignee.error) errors.assigned_to = assignee.error;
+      Object.assign(values, assignee);
+    }
+    if (hasErrors(errors)) {
+      return sendValidationError(res, errors);
+    }
+
+    const task = await withTransaction(async (client) => {
+      const lead = await findActiveLead(client, req.params.id);
+      if (!lead) return null;
+      return insertTask(client, req, lead.id, values);
+    });
+
+    if (!task) {
+      return res.status(404).json({ error: '案件不存在' });
+    }
+    res.status(201).json({ success: true, task: formatTask(task) });
+  } catch (error) {
+    console.error('新增待辦失敗:', error);
+    res.status(500).json({ error: '新增待辦失敗', details: error.message });
+  }
+});
+
+/**
+ * 修改待辦（標題、備註、期限、負責人、重複規則）
+ * status 可改為 cancelled（取消）或把已取消的待辦改回 open；完成請用 /complete
+ */
+app.put('/api/leads/:id/tasks/:taskId', requirePermission('leads:update'), async (req, res) => {
+  try {
+    const { status, ...input } = req.body || {};
+    const { values, errors } = validateTask(input, { partial: true });
+    if (status !== undefined && !['open', 'cancelled'].includes(status)) {
+      errors.status = '只能改為 open 或 cancelled（完成請用 /complete）';
+    }
+    if (!hasErrors(errors) && values.assigned_to !== undefined) {
+      const assignee = await resolveAssignee(pool, req.auth, values.assigned_to);
+      if (assignee.error) errors.assigned_to = assignee.error;
+      Object.assign(values, assignee);
+    }
+    if (hasErrors(errors)) {
+      return sendValidationError(res, errors);
+    }
+    if (Object.keys(values).length === 0 && status === undefined) {
+      return res.status(400).json({ error: '沒有要更新的欄位' });
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      const before = await findTaskForUpdate(client, req.params.id, req.params.taskId);
+      if (!before) return { notFound: true };
+      if (before.status === 'done') return { closed: before };
+
+      const fields = ['title', 'note', 'assigned_to', 'assigned_to_name'].filter(field => values[field] !== undefined);
+      const params = fields.map(field => values[field]);
+      const sets = fields.map((field, i) => `${field} = $${i + 1}`);
+      if (values.due_at !== undefined || values.due_local) {
+        sets.push(`due_at = ${TASK_DUE_SQL(params.length + 1)}`);
+        params.push(...taskDueParams(values));
+      }
+      if (values.recurrence !== undefined) {
+        const recurrence = values.recurrence || {};
+        sets.push(`recurrence_days = $${params.length + 1}`, `recurrence_until_replied = $${params.length + 2}`, `recurrence_end_at = $${params.length + 3}`);
+        params.push(recurrence.every_days || null, recurrence.until_replied === true, recurrence.until || null);
+      }
+      if (status === 'cancelled' && before.status === 'open') {
+        sets.push(`status = 'cancelled'`, 'closed_at = NOW()', `closed_by = $${params.length + 1}`, `closed_by_name = $${params.length + 2}`, `close_reason = 'cancelled'`);
+        params.push(req.auth.uid, req.auth.name || null);
+      } else if (status === 'open' && before.status === 'cancelled') {
+        sets.push(`status = 'open'`, 'closed_at = NULL', 'closed_by = NULL', 'closed_by_name = NULL', 'close_reason = NULL');
+      }
+      if (sets.length === 0) return { row: before };
+
+      params.push(before.id);
+      const result = await client.query(`UPDATE lead_tasks SET ${sets.join(', ')} WHERE id = $${params.length} RETURNING *`, params);
+      await recordTaskAudit(client, req, 'TASK_UPDATE', before, result.rows[0]);
+      return { row: result.rows[0] };
+    });
+
+    if (outcome.notFound) {
+      return res.status(404).json({ error: '待辦不存在' });
+    }
+    if (outcome.closed) {
+      return res.status(409).json({ error: '待辦已完成，不能修改', code: 'TASK_CLOSED', task: formatTask(outcome.closed) });
+    }
+    res.json({ success: true, task: formatTask(outcome.row) });
+  } catch (error) {
+    console.error('修改待辦失敗:', error);
+    res.status(500).json({ error: '修改待辦失敗', details: error.message });
+  }
+});
+
+/**
+ * 完成待辦
+ * POST /api/leads/:id/tasks/:taskId/complete  { "note": "已回電，客戶下週回覆"（可選） }
+ *
+ * 自動新增一則進度更新；重複的待辦會建立下一次（回傳 next_task）
+ */
+app.post('/api/leads/:id/tasks/:taskId/complete', requirePermission('leads:update'), async (req, res) => {
+  try {
+    const { value: note, error } = coerceLeadField(TASK_SCHEMA.note, (req.body || {}).note ?? '');
+    if (error) {
+      return sendValidationError(res, { note: error });
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      const task = await findTaskForUpdate(client, req.params.id, req.params.taskId);
+      if (!task) return { notFound: true };
+      if (task.status !== 'open') return { closed: task };
+      return completeTask(client, req, task, { note });
+    });
+
+    if (outcome.notFound) {
+      return res.status(404).json({ error: '待辦不存在' });
+    }
+    if (outcome.closed) {
+      return res.status(409).json({ error: '待辦已完成或已取消', code: 'TASK_CLOSED', task: formatTask(outcome.closed) });
+    }
+    res.json({
+      success: true,
+      task: formatTask(outcome.task),
+      progress: formatProgressUpdate(outcome.progress),
+      next_task: outcome.next ? formatTask(outcome.next) : null
+    });
+  } catch (error) {
+    console.error('完成待辦失敗:', error);
+    res.status(500).json({ error: '完成待辦失敗', details: error.message });
+  }
+});
+
+// ==================== 標籤 ====================
+
+// 案件帶了不存在的標籤時：true 自動建立（預設顏色），false 回傳 400
+const TAG_AUTO_CREATE = process.env.TAG_AUTO_CREATE === 'true';
+const TAG_DEFAULT_COLOR = '#9E9E9E';
+const TAG_COLOR_PATTERN = /^#[0-9A-Fa-f]{6}$/;
+const TAG_BULK_MAX_LEADS = 500;
+
+const TAG_SCHEMA = {
+  name: { type: 'string', maxLength: 30 },
+  color: { type: 'string', maxLength: 7 },
+  category: { type: 'string', maxLength: 30 },
+  description: { type: 'text', maxLength: 200 }
+};
+
+/**
+ * 驗證標籤目錄的資料（POST /api/tags、PUT /api/tags/:id）
+ * options.partial: 修改模式，name 可省略但不可清空
+ */
+const validateTag = (input, { partial = false } = {}) => {
+  const values = {};
+  const errors = {};
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { values, errors: { _: '標籤資料必須是物件' } };
+  }
+
+  for (const [key, rule] of Object.entries(TAG_SCHEMA)) {
+    if (input[key] === undefined) continue;
+    const { value, error } = coerceLeadField(rule, input[key]);
+    if (error) {
+      errors[key] = error;
+    } else {
+      values[key] = value;
+    }
+  }
+  if (!errors.color && values.color && !TAG_COLOR_PATTERN.test(values.color)) {
+    errors.color = '必須是 #RRGGBB 格式';
+  }
+  if (!errors.color && values.color === null) {
+    errors.color = '不可清空';
+  }
+  if (!errors.name && (partial ? values.name === null : !values.name)) {
+    errors.name = '必填欄位';
+  }
+
+  return { values, errors };
+};
+
+// 案件的 tags 陣列每一筆：標籤名稱、ID，或前端送回來的 { id, name, ... }
+const tagInputName = (item) => {
+  const raw = item && typeof item === 'object' ? item.name || item.id : item;
+  return typeof raw === 'string' || typeof raw === 'number' ? String(raw).trim() : '';
+};
+
+const validateTagItem = (item) => {
+  const name = tagInputName(item);
+  if (!name) return { _: '必須是標籤名稱' };
+  if ([...name].length > TAG_SCHEMA.name.maxLength) return { _: `長度不可超過 ${TAG_SCHEMA.name.maxLength} 個字` };
+  return {};
+};
+
+// 不重複的標籤名稱（不分大小寫）
+const uniqueTagNames = (items) => {
+  const seen = new Set();
+  return (items || []).map(tagInputName).filter(name => {
+    if (!name || seen.has(name.toLowerCase())) return false;
+    seen.add(name.toLowerCase());
+    return true;
+  });
+};
+
+const formatTag = (row) => ({
+  id: row.id,
+  name: row.name,
+  color: row.color,
+  category: row.category || null,
+  description: row.description || null,
+  lead_count: row.lead_count === undefined ? undefined : parseInt(row.lead_count),
+  created_by_name: row.created_by_name || null,
+  created_at: row.created_at ? new Date(row.created_at).toISOString() : null,
+  updated_at: row.updated_at ? new Date(row.updated_at).toISOString() : null
+});
+
+const isTagNameConflict = (err) => err && err.code === '23505' && err.constraint === 'idx_tags_name';
+
+const sendTagNameConflict = (res, name) => res.status(409).json({
+  error: `標籤「${name}」已存在`,
+  code: 'TAG_EXISTS'
+});
+
+// options.skipExisting: 名稱已存在（例如同時自動建立同一個標籤）時不報錯，回傳既有的標籤
+const insertTag = async (client, req, values, { skipExisting = false } = {}) => {
+  const result = await client.query(
+    `INSERT INTO tags (id, name, color, category, description, created_by, created_by_name)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ${skipExisting ? 'ON CONFLICT ((lower(name))) DO NOTHING' : ''}
+     RETURNING *`,
+    [
+      `tag_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      values.name,
+      values.color || TAG_DEFAULT_COLOR,
+      values.category || null,
+      values.description || null,
+      req.auth.uid,
+      req.auth.name || null
+    ]
+  );
+  if (result.rows.length === 0) {
+    const existing = await client.query('SELECT * FROM tags WHERE lower(name) = lower($1)', [values.name]);
+    return existing.rows[0];
+  }
+  await recordAudit(client, req, { action: 'TAG_CREATE', entityType: 'tag', entityId: result.rows[0].id, after: formatTag(result.rows[0]) });
+  return result.rows[0];
+};
+
+/**
+ * 標籤名稱（或 ID）轉成標籤資料列，名稱不分大小寫
+ * options.create: 自動建立不存在的標籤（交易內使用）
+ * 回傳 { tags, unknown }
+ */
+const resolveTags = async (db, req, names, { create = false } = {}) => {
+  if (names.length === 0) return { tags: [], unknown: [] };
+  const result = await db.query(
+    'SELECT * FROM tags WHERE lower(name) = ANY($1) OR id = ANY($2)',
+    [names.map(name => name.toLowerCase()), names]
+  );
+  const tags = [];
+  const unknown = [];
+  for (const name of names) {
+    let tag = result.rows.find(row => row.id === name || row.name.toLowerCase() === name.toLowerCase());
+    if (!tag && create) tag = await insertTag(db, req, { name }, { skipExisting: true });
+    if (tag) {
+      if (!tags.includes(tag)) tags.push(tag);
+    } else {
+      unknown.push(name);
+    }
+  }
+  return { tags, unknown };
+};
+
+// 新增、修改案件前檢查 tags（TAG_AUTO_CREATE=true 時不檢查），回傳 errors 物件
+const validateLeadTags = async (db, req, values) => {
+  if (TAG_AUTO_CREATE || !Array.isArray(values.tags)) return {};
+  const { unknown } = await resolveTags(db, req, uniqueTagNames(values.tags));
+  return unknown.length > 0 ? { tags: `未知的標籤：${unknown.join('、')}（請先在標籤目錄建立）` } : {};
+};
+
+const findLeadTags = async (client, leadId) => {
+  const result = await client.query(
+    `SELECT t.* FROM lead_tags lt JOIN tags t ON t.id = lt.tag_id WHERE lt.lead_id = $1 ORDER BY t.name`,
+    [leadId]
+  );
+  return result.rows;
+};
+
+/**
+ * 設定案件的標籤（交易內使用）
+ * - options.add / options.remove：加上或移除部分標籤（批次操作）
+ * - 沒有 add / remove 時 items 為完整的標籤清單，不在清單內的標籤會被移除；items 為 undefined 時不做任何事
+ * 有變更時寫入 LEAD_TAGS_UPDATE 審計紀錄，回傳 { before, after }（標籤名稱）或 null
+ */
+const syncLeadTags = async (client, req, leadId, items, { add, remove } = {}) => {
+  if (items === undefined && !add && !remove) return null;
+
+  const current = await findLeadTags(client, leadId);
+  let next;
+  if (items !== undefined) {
+    const { tags, unknown } = await resolveTags(client, req, uniqueTagNames(items), { create: TAG_AUTO_CREATE });
+    if (unknown.length > 0) throw validationError({ tags: `未知的標籤：${unknown.join('、')}（請先在標籤目錄建立）` });
+    next = tags;
+  } else {
+    const added = (await resolveTags(client, req, uniqueTagNames(add), { create: TAG_AUTO_CREATE })).tags;
+    const removedIds = new Set((await resolveTags(client, req, uniqueTagNames(remove))).tags.map(tag => tag.id));
+    next = [...current, ...added.filter(tag => !current.some(row => row.id === tag.id))]
+      .filter(tag => !removedIds.has(tag.id));
+  }
+
+  const nextIds = next.map(tag => tag.id);
+  const removed = await client.query(
+    'DELETE FROM lead_tags WHERE lead_id = $1 AND NOT (tag_id = ANY($2))',
+    [leadId, nextIds]
+  );
+  const inserted = await client.query(
+    `INSERT INTO lead_tags (lead_id, tag_id, created_by)
+     SELECT $1, tag_id, $3 FROM unnest($2::text[]) AS tag_id
+     ON CONFLICT (lead_id, tag_id) DO NOTHING`,
+    [leadId, nextIds, req.auth.uid]
+  );
+  if (removed.rowCount === 0 && inserted.rowCount === 0) return null;
+
+  const change = {
+    before: current.map(tag => tag.name).sort(),
+    after: next.map(tag => tag.name).sort()
+  };
+  await recordLeadAudit(client, req, 'LEAD_TAGS_UPDATE', leadId, { tags: change.before }, { tags: change.after });
+  return change;
+};
+
+// 標籤目錄（含使用中的案件數，不含垃圾桶）
+const sendTagCatalog = async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT t.*, COUNT(l.id) AS lead_count
+       FROM tags t
+       LEFT JOIN lead_tags lt ON lt.tag_id = t.id
+       LEFT JOIN leads l ON l.id = lt.lead_id AND l.deleted_at IS NULL
+       GROUP BY t.id
+       ORDER BY t.category NULLS LAST, lower(t.name)`
+    );
+    res.json({ auto_create: TAG_AUTO_CREATE, tags: result.rows.map(formatTag) });
+  } catch (error) {
+    console.error('獲取標籤失敗:', error);
+    res.status(500).json({ error: '獲取標籤失敗', details: error.message });
+  }
+};
+
+app.get('/api/tags', requirePermission('leads:read'), sendTagCatalog);
+app.get('/api/ai/tags', requirePermission('leads:read'), sendTagCatalog);
+
+app.post('/api/tags', requirePermission('tags:manage'), async (req, res) => {
+  const { values, errors } = validateTag(req.body);
+  if (hasErrors(errors)) {
+    return sendValidationError(res, errors);
+  }
+  try {
+    const row = await withTransaction(client => insertTag(client, req, values));
+    res.status(201).json(formatTag(row));
+  } catch (error) {
+    if (isTagNameConflict(error)) {
+      return sendTagNameConflict(res, values.name);
+    }
+    console.error('建立標籤失敗:', error);
+    res.status(500).json({ error: '建立標籤失敗', details: error.message });
+  }
+});
+
+// 修改名稱、顏色、分類（案件上的標籤跟著改變）
+app.put('/api/tags/:id', requirePermission('tags:manage'), async (req, res) => {
+  const { values, errors } = validateTag(req.body, { partial: true });
+  if (hasErrors(errors)) {
+    return sendValidationError(res, errors);
+  }
+  if (Object.keys(values).length === 0) {
+    return res.status(400).json({ error: '沒有要更新的欄位' });
+  }
+  try {
+    const row = await withTransaction(async (client) => {
+      const existing = await client.query('SELECT * FROM tags WHERE id = $1 FOR UPDATE', [req.params.id]);
+      if (existing.rows.length === 0) return null;
+      const fields = Object.keys(values);
+      const result = await client.query(
+        `UPDATE tags SET ${fields.map((field, i) => `${field} = $${i + 2}`).join(', ')} WHERE id = $1 RETURNING *`,
+        [req.params.id, ...fields.map(field => values[field])]
+      );
+      await recordAudit(client, req, {
+        action: 'TAG_UPDATE',
+        entityType: 'tag',
+        entityId: req.params.id,
+        before: formatTag(existing.rows[0]),
+        after: formatTag(result.rows[0])
+      });
+      return result.rows[0];
+    });
+    if (!row) {
+      return res.status(404).json({ error: '標籤不存在' });
+    }
+    res.json(formatTag(row));
+  } catch (error) {
+    if (isTagNameConflict(error)) {
+      return sendTagNameConflict(res, values.name);
+    }
+    console.error('更新標籤失敗:', error);
+    res.status(500).json({ error: '更新標籤失敗', details: error.message });
+  }
+});
+
+// 刪除標籤，同時從所有案件移除
+app.delete('/api/tags/:id', requirePermission('tags:manage'), async (req, res) => {
+  try {
+    const outcome = await withTransaction(async (client) => {
+      const existing = await client.query('SELECT * FROM tags WHERE id = $1 FOR UPDATE', [req.params.id]);
+      if (existing.rows.length === 0) return null;
+      const assigned = await client.query('DELETE FROM lead_tags WHERE tag_id = $1 RETURNING lead_id', [req.params.id]);
+      await client.query('DELETE FROM tags WHERE id = $1', [req.params.id]);
+      await recordAudit(client, req, {
+        action: 'TAG_DELETE',
+        entityType: 'tag',
+        entityId: req.params.id,
+        before: { ...formatTag(existing.rows[0]), lead_ids: assigned.rows.map(row => row.lead_id) }
+      });
+      return { removedFrom: assigned.rowCount };
+    });
+    if (!outcome) {
+      return res.status(404).json({ error: '標籤不存在' });
+    }
+    res.json({ success: true, removed_from_leads: outcome.removedFrom });
+  } catch (error) {
+    console.error('刪除標籤失敗:', error);
+    res.status(500).json({ error: '刪除標籤失敗', details: error.message });
+  }
+});
+
+/**
+ * 批次加上、移除標籤
+ * POST /api/tags/bulk
+ * { "lead_ids": ["aijob-001", "lead_xxx"], "add": ["診所", "chatbot"], "remove": ["電商"] }
+ *
+ * lead_ids 可以是 ID 或 case_code；不存在的標籤在 remove 中會被忽略
+ * 全部在同一個交易內完成，有變更的案件 version 加一
+ */
+app.post('/api/tags/bulk', requirePermission('leads:update'), async (req, res) => {
+  try {
+    const { lead_ids: leadKeys, add, remove } = req.body || {};
+    const errors = {};
+    if (!Array.isArray(leadKeys) || leadKeys.length === 0 || leadKeys.some(key => typeof key !== 'string' || key.trim() === '')) {
+      errors.lead_ids = '必須是非空的案件 ID 陣列';
+    } else if (leadKeys.length > TAG_BULK_MAX_LEADS) {
+      errors.lead_ids = `一次最多 ${TAG_BULK_MAX_LEADS} 筆`;
+    }
+    for (const [key, items] of Object.entries({ add, remove })) {
+      if (items === undefined) continue;
+      const { error } = coerceLeadField(LEAD_SCHEMA.tags, items);
+      if (error) errors[key] = error;
+    }
+    if (!errors.add && !errors.remove && uniqueTagNames(add).length === 0 && uniqueTagNames(remove).length === 0) {
+      errors.add = '請提供 add 或 remove';
+    }
+    if (!hasErrors(errors)) {
+      const tagErrors = await validateLeadTags(pool, req, { tags: add });
+      if (tagErrors.tags) errors.add = tagErrors.tags;
+    }
+    if (hasErrors(errors)) {
+      return sendValidationError(res, errors);
+    }
+
+    const keys = Array.from(new Set(leadKeys.map(key => key.trim())));
+    const outcome = await withTransaction(async (client) => {
+      // 依 ID 順序鎖定，避免和其他批次操作互相等待
+      const locked = await client.query(
+        `SELECT id, case_code FROM leads
+         WHERE (id = ANY($1) OR case_code = ANY($1)) AND deleted_at IS NULL
+         ORDER BY id FOR UPDATE`,
+        [keys]
+      );
+      const notFound = keys.filter(key => !locked.rows.some(row => row.id === key || row.case_code === key));
+      const leads = [];
+      for (const lead of locked.rows) {
+        const change = await syncLeadTags(client, req, lead.id, undefined, { add: add || [], remove: remove || [] });
+        if (change) await touchLead(client, lead.id);
+        leads.push({
+          id: lead.id,
+          case_code: lead.case_code || null,
+          changed: !!change,
+          tags: change ? change.after : (await findLeadTags(client, lead.id)).map(tag => tag.name)
+        });
+      }
+      return { leads, notFound };
+    });
+
+    console.log(`🏷️ 批次標籤：${outcome.leads.filter(lead => lead.changed).length}/${outcome.leads.length} 筆案件有變更`);
+    res.json({
+      updated: outcome.leads.filter(lead => lead.changed).length,
+      not_found: outcome.notFound,
+      leads: outcome.leads
+    });
+  } catch (error) {
+    if (isValidationError(error)) {
+      return sendValidationError(res, error.fields);
+    }
+    console.error('批次標籤失敗:', error);
+    res.status(500).json({ error: '批次標籤失敗', details: error.message });
+  }
+});
+
+// ==================== 批次操作 ====================
+
+const BULK_MAX_LEADS = 500;
+
+/**
+ * 批次操作：operation -> values 可用的欄位與需要的權限
+ * - set：任何可寫入的 leads 欄位（case_code 不可批次設定）
+ * - assign：assigned_to 為使用者 ID、"me" 或 null（取消指派），assigned_to_name 自動帶入
+ * - status：status / decision 依狀態流程檢查，可一併提供轉換必填的欄位
+ */
+const BULK_OPERATIONS = {
+  set: { permission: 'leads:update' },
+  assign: { permission: 'leads:update', fields: ['assigned_to'] },
+  priority: { permission: 'leads:update', fields: ['priority'] },
+  status: { permission: 'leads:update', fields: ['status', 'decision', 'reject_reason', 'review_note'] },
+  delete: { permission: 'leads:delete', fields: [] }
+};
+
+// filter 可用的條件，同 GET /api/leads 的查詢參數
+const BULK_FILTER_PARAMS = [
+  ...LEAD_FILTER_FIELDS,
+  ...Object.keys(LEAD_DATE_FILTERS),
+  'budget_from', 'budget_to', 'tags', 'tags_all'
+];
+
+const isBulkSettableField = (field) =>
+  !!LEAD_SCHEMA[field] && LEAD_SCHEMA[field].column !== false && !LEAD_SCHEMA[field].readOnly && field !== 'case_code';
+
+/**
+ * 驗證批次操作的請求，回傳 { errors } 或 { operation, values, leadKeys, filter, preview, atomic, expectedCount }
+ * filter 轉成 buildLeadFilters 的 { conditions, params }
+ */
+const validateBulkRequest = async (body, auth) => {
+  const errors = {};
+  const { operation, values: input = {}, lead_ids: leadIds, filter, preview, atomic, expected_count: expectedCount } = body;
+
+  const spec = BULK_OPERATIONS[operation];
+  if (!spec) {
+    errors.operation = `必須是以下其中之一：${Object.keys(BULK_OPERATIONS).join('、')}`;
+  }
+
+  // 選取案件：lead_ids 與 filter 擇一
+  let leadKeys = null;
+  let filters = null;
+  if ((leadIds === undefined) === (filter === undefined)) {
+    errors.lead_ids = '請提供 lead_ids 或 filter 其中一個';
+  } else if (leadIds !== undefined) {
+    if (!Array.isArray(leadIds) || leadIds.length === 0 || leadIds.some(key => typeof key !== 'string' || key.trim() === '')) {
+      errors.lead_ids = '必須是非空的案件 ID 陣列';
+    } else if (leadIds.length > BULK_MAX_LEADS) {
+      errors.lead_ids = `一次最多 ${BULK_MAX_LEADS} 筆`;
+    } else {
+      leadKeys = Array.from(new Set(leadIds.map(key => key.trim())));
+    }
+  } else if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    errors.filter = '必須是物件，例如 { "status": "待匯入", "platform": "PRO360" }';
+  } else {
+    const unknown = Object.keys(filter).filter(key => !BULK_FILTER_PARAMS.includes(key));
+    const query = Object.fromEntries(Object.entries(filter).map(([key, value]) => [key, Array.isArray(value) ? value.join(',') : value]));
+    filters = buildLeadFilters(query, auth);
+    for (const key of unknown) errors[`filter.${key}`] = '不允許的條件';
+    for (const [key, message] of Object.entries(filters.errors)) errors[`filter.${key}`] = message;
+    // 第一個條件是排除垃圾桶，沒有其他條件代表會選到全部案件
+    if (!hasErrors(errors) && filters.conditions.length < 2) {
+      errors.filter = '至少需要一個篩選條件';
+    }
+  }
+
+  let values = {};
+  if (spec && spec.fields && spec.fields.length === 0) {
+    if (input && Object.keys(input).length > 0) errors.values = '此操作不需要 values';
+  } else if (spec) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      errors.values = '必須是物件';
+    } else {
+      const allowed = Object.keys(input).filter(key => spec.fields ? spec.fields.includes(key) : isBulkSettableField(key));
+      for (const key of Object.keys(input).filter(key => !allowed.includes(key))) {
+        errors[`values.${key}`] = LEAD_SCHEMA[key] ? `${operation} 操作不能修改這個欄位` : '不允許的欄位';
+      }
+      const result = validateLead(pickFields(input, allowed), { partial: true });
+      for (const [key, message] of Object.entries(result.errors)) errors[`values.${key}`] = message;
+      values = result.values;
+    }
+
+    const required = { assign: ['assigned_to'], priority: ['priority'] }[operation] || [];
+    for (const key of required) {
+      if (!errors[`values.${key}`] && values[key] === undefined) errors[`values.${key}`] = '必填欄位';
+    }
+    if (operation === 'priority' && values.priority === null) {
+      errors['values.priority'] = '不可清空';
+    }
+    if (operation === 'status' && values.status === undefined && values.decision === undefined) {
+      errors['values.status'] = '請提供 status 或 decision';
+    }
+    if (!hasErrors(errors) && Object.keys(values).length === 0) {
+      errors.values = '沒有要更新的欄位';
+    }
+  }
+
+  // 指派：帶入負責人名稱，不存在或已停用的使用者不能指派
+  if (!hasErrors(errors) && operation === 'assign') {
+    const assignee = await resolveAssignee(pool, auth, values.assigned_to);
+    if (assignee.error) errors['values.assigned_to'] = assignee.error;
+    Object.assign(values, assignee);
+  }
+
+  if (expectedCount !== undefined && (!Number.isInteger(expectedCount) || expectedCount < 0)) {
+    errors.expected_count = '必須是非負整數';
+  }
+
+  if (hasErrors(errors)) return { errors };
+  return {
+    operation,
+    values,
+    leadKeys,
+    filters,
+    preview: preview === true || preview === 'true',
+    atomic: atomic === true || atomic === 'true',
+    expectedCount: expectedCount === undefined ? null : expectedCount
+  };
+};
+
+/**
+ * 對一筆已鎖定的案件執行批次操作（交易內使用）
+ * 驗證失敗不寫入，回傳 { result: 'failed', code, error, ... }；成功回傳 updated / deleted / unchanged
+ */
+const applyBulkOperation = async (client, req, lead, { operation, values }, workflow) => {
+  if (operation === 'delete') {
+    await trashLead(client, req, lead);
+    return { result: 'deleted' };
+  }
+
+  const deniedFields = getDeniedLeadFields(req.auth, lead, values);
+  if (deniedFields.length > 0) {
+    return { result: 'failed', code: 'FORBIDDEN', error: '權限不足', fields: deniedFields };
+  }
+
+  const updates = { ...values };
+  const transition = workflow ? checkLeadTransitions(workflow, lead, updates, req.auth) : {};
+  if (transition.rejected) {
+    const { field, from, to, allowed } = transition.rejected;
+    return { result: 'failed', code: 'INVALID_TRANSITION', error: `不允許把 ${field} 從「${from}」改為「${to}」`, allowed };
+  }
+  if (transition.errors) {
+    return { result: 'failed', code: 'VALIDATION_ERROR', error: '資料驗證失敗', fields: transition.errors };
+  }
+  Object.assign(updates, transition.effects);
+
+  if (!diffAuditSnapshots(pickFields(lead, Object.keys(updates)), updates)) {
+    return { result: 'unchanged' };
+  }
+
+  const { fields, params, nextIndex } = buildLeadSetClause(updates);
+  params.push(lead.id);
+  const updated = await client.query(`UPDATE leads SET ${fields.join(', ')} WHERE id = $${nextIndex} RETURNING *`, params);
+  await recordLeadAudit(client, req, 'UPDATE', lead.id, lead, updated.rows[0]);
+  return { result: 'updated', changes: diffAuditSnapshots(lead, updated.rows[0]) };
+};
+
+/**
+ * 批次修改或刪除案件
+ * POST /api/leads/bulk
+ *
+ * {
+ *   "lead_ids": ["aijob-001", "lead_xxx"] 或 "filter": { "status": "待匯入", "platform": "PRO360" },
+ *   "operation": "set" | "assign" | "priority" | "status" | "delete",
+ *   "values": { "priority": 1 },
+ *   "preview": true（可選，只回報結果不寫入）,
+ *   "atomic": true（可選，任何一筆失敗就全部不寫入）,
+ *   "expected_count": 30（可選，選到的案件數不同時回傳 409，避免預覽後資料有變動）
+ * }
+ *
+ * 全部在同一個交易內完成，每筆案件個別檢查欄位權限與狀態轉換，失敗的案件不寫入並列在結果中
+ */
+app.post('/api/leads/bulk', requirePermission('leads:update'), async (req, res) => {
+  try {
+    const request = await validateBulkRequest(req.body || {}, req.auth);
+    if (request.errors) {
+      return sendValidationError(res, request.errors);
+    }
+    const { permission } = BULK_OPERATIONS[request.operation];
+    if (!hasPermission(req.auth, permission)) {
+      return sendForbidden(res, req.auth, { permission });
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      // 依 ID 順序鎖定，避免和其他批次操作互相等待
+      let locked;
+      if (request.leadKeys) {
+        locked = await client.query(
+          `SELECT * FROM leads
+           WHERE (id = ANY($1) OR case_code = ANY($1)) AND deleted_at IS NULL
+           ORDER BY id FOR UPDATE`,
+          [request.leadKeys]
+        );
+      } else {
+        const { conditions, params } = request.filters;
+        const where = conditions.join(' AND ');
+        const count = await client.query(`SELECT COUNT(*) FROM leads WHERE ${where}`, params);
+        const matched = parseInt(count.rows[0].count);
+        if (matched > BULK_MAX_LEADS) return { tooMany: matched };
+        locked = await client.query(`SELECT * FROM leads WHERE ${where} ORDER BY id FOR UPDATE`, params);
+      }
+      if (request.expectedCount !== null && locked.rows.length !== request.expectedCount) {
+        return { countMismatch: locked.rows.length };
+      }
+
+      const notFound = request.leadKeys
+        ? request.leadKeys.filter(key => !locked.rows.some(row => row.id === key || row.case_code === key))
+        : [];
+      const workflow = WORKFLOW_FIELDS.some(field => request.values[field] !== undefined) ? await loadLeadWorkflow(client) : null;
+
+      // 預覽或 atomic 有失敗時回滾到這裡，只保留結果報告
+      await client.query('SAVEPOINT bulk_operation');
+      const results = [];
+      for (const lead of locked.rows) {
+        const result = await applyBulkOperation(client, req, lead, request, workflow);
+        results.push({ id: lead.id, case_code: lead.case_code || null, ...result });
+      }
+      const failed = results.filter(item => item.result === 'failed').length;
+      const committed = !request.preview && !(request.atomic && failed > 0);
+      if (!committed) await client.query('ROLLBACK TO SAVEPOINT bulk_operation');
+      return { results, notFound, failed, committed };
+    });
+
+    if (outcome.tooMany) {
+      return res.status(400).json({
+        error: `符合條件的案件有 ${outcome.tooMany} 筆，超過一次 ${BULK_MAX_LEADS} 筆的上限，請縮小篩選條件`,
+        code: 'BULK_TOO_MANY',
+        matched: outcome.tooMany
+      });
+    }
+    if (outcome.countMismatch !== undefined) {
+      return res.status(409).json({
+        error: '選到的案件數和 expected_count 不同，請重新預覽',
+        code: 'BULK_COUNT_MISMATCH',
+        expected_count: request.expectedCount,
+        matched: outcome.countMismatch
+      });
+    }
+
+    const count = (result) => outcome.results.filter(item => item.result === result).length;
+    const report = {
+      operation: request.operation,
+      preview: request.preview,
+      committed: outcome.committed,
+      matched: outcome.results.length,
+      affected: count('updated') + count('deleted'),
+      unchanged: count('unchanged'),
+      failed: outcome.failed,
+      not_found: outcome.notFound,
+      results: outcome.results
+    };
+    if (outcome.committed) {
+      console.log(`📦 批次操作 ${request.operation}：${report.affected}/${report.matched} 筆案件`);
+    }
+    if (request.atomic && outcome.failed > 0 && !request.preview) {
+      return res.status(409).json({ error: `${outcome.failed} 筆案件操作失敗，全部未寫入`, code: 'BULK_ITEM_FAILED', ...report });
+    }
+    res.json(report);
+  } catch (error) {
+    console.error('批次操作失敗:', error);
+    res.status(500).json({ error: '批次操作失敗', details: error.message });
+  }
+});
+
+// ==================== 重複案件 ====================
+
+// AI 匯入沒提供時填的預設值，視同空白：不拿來比對，合併時可以被補上
+const LEAD_PLACEHOLDER_VALUES = { platform_id: '未知', budget_text: '待確認' };
+const isBlankLeadValue = (field, value) => !value || LEAD_PLACEHOLDER_VALUES[field] === value;
+const DUPLICATE_NEED_SIMILARITY = parseFloat(process.env.DUPLICATE_NEED_SIMILARITY || '0.6');
+const DUPLICATE_CANDIDATE_LIMIT = 10;
+
+/**
+ * 找出疑似重複的案件（不含垃圾桶）
+ * 比對：電話（只比數字）、Email（不分大小寫）、同平台同客戶 ID、需求文字相似度
+ * 需求相似度只計算全文搜尋命中的前 50 筆，避免每次建立案件都掃過全部資料
+ */
+const findDuplicateLeads = async (db, lead, { excludeId = null } = {}) => {
+  const platformId = isBlankLeadValue('platform_id', lead.platform_id) ? null : lead.platform_id;
+  const result = await db.query(
+    `WITH similar_needs AS (
+       SELECT lead_id FROM lead_search_index
+       WHERE $5::text IS NOT NULL AND search_vector @@ search_query($5, false)
+       ORDER BY ts_rank(search_vector, search_query($5, false)) DESC
+       LIMIT 50
+     )
+     SELECT * FROM (
+       SELECT l.id, l.case_code, l.need, l.platform, l.platform_id, l.status, l.assigned_to_name, l.created_at,
+         COALESCE(normalize_phone(l.phone) = normalize_phone($1), false) AS phone_match,
+         COALESCE(normalize_email(l.email) = normalize_email($2), false) AS email_match,
+         COALESCE(l.platform = $3 AND lower(btrim(l.platform_id)) = lower(btrim($4)), false) AS platform_match,
+         CASE WHEN l.id IN (SELECT lead_id FROM similar_needs) THEN text_similarity(l.need, $5) ELSE 0 END AS need_similarity
+       FROM leads l
+       WHERE l.deleted_at IS NULL AND l.id IS DISTINCT FROM $6
+         AND (normalize_phone(l.phone) = normalize_phone($1)
+           OR normalize_email(l.email) = normalize_email($2)
+           OR (l.platform = $3 AND lower(btrim(l.platform_id)) = lower(btrim($4)))
+           OR l.id IN (SELECT lead_id FROM similar_needs))
+     ) candidates
+     WHERE phone_match OR email_match OR platform_match OR need_similarity >= $7
+     ORDER BY (phone_match::int + email_match::int + platform_match::int) DESC, need_similarity DESC, created_at DESC
+     LIMIT ${DUPLICATE_CANDIDATE_LIMIT}`,
+    [lead.phone || null, lead.email || null, lead.platform || null, platformId, lead.need || null, excludeId, DUPLICATE_NEED_SIMILARITY]
+  );
+  return result.rows.map(row => ({
+    id: row.id,
+    case_code: row.case_code || null,
+    need: row.need || '',
+    platform: row.platform,
+    platform_id: row.platform_id || '',
+    status: row.status,
+    assigned_to_name: row.assigned_to_name || null,
+    created_at: row.created_at ? new Date(row.created_at).toISOString() : null,
+    matches: [
+      row.phone_match && 'phone',
+      row.email_match && 'email',
+      row.platform_match && 'platform_id',
+      row.need_similarity >= DUPLICATE_NEED_SIMILARITY && 'need'
+    ].filter(Boolean),
+    need_similarity: Math.round(row.need_similarity * 100) / 100
+  }));
+};
+
+// ?strict=true：有疑似重複就不建立，回傳 409；預設只在回應中附上 duplicates 提醒
+const isStrictDuplicateCheck = (req) => req.query.strict === 'true';
+
+const sendDuplicateConflict = (res, duplicates) => res.status(409).json({
+  error: '疑似重複案件，未建立',
+  code: 'DUPLICATE_LEAD',
+  hint: '確認不是同一位客戶後，去掉 strict=true 重新送出',
+  duplicates
+});
+
+// 合併時保留案件沒有值的欄位，從被併入的案件補上
+const MERGE_FILL_FIELDS = ['phone', 'email', 'location', 'budget_text', 'estimated_duration', 'contact_method', 'platform_id'];
+
+// 疑似重複的案件
+app.get('/api/leads/:id/duplicates', requirePermission('leads:read'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT * FROM leads
+       WHERE (id = $1 OR case_code = $1) AND deleted_at IS NULL
+       ORDER BY (id = $1) DESC LIMIT 1`,
+      [req.params.id]
+    );
+    const lead = result.rows[0];
+    if (!lead) {
+      return res.status(404).json({ error: '案件不存在' });
+    }
+    const duplicates = await findDuplicateLeads(pool, lead, { excludeId: lead.id });
+    res.json({ lead_id: lead.id, case_code: lead.case_code, count: duplicates.length, duplicates });
+  } catch (error) {
+    console.error('查詢重複案件失敗:', error);
+    res.status(500).json({ error: '查詢重複案件失敗', details: error.message });
+  }
+});
+
+/**
+ * 合併案件：把 source 併入 :id
+ * POST /api/leads/:id/merge  { "source_id": "另一個案件的 ID 或 case_code" }
+ *
+ * - 進度、帳務分錄、附件、待辦、狀態歷程全部移到保留的案件（狀態歷程記下 merged_from，停留時間各自計算）
+ * - links、標籤取聯集；保留案件空白的聯絡資料從 source 補上，其他欄位以保留案件為準
+ * - source 移到垃圾桶並記錄 merged_into，之後不能從垃圾桶還原
+ * 可帶 If-Match / expected_version 檢查保留案件的版本
+ */
+app.post('/api/leads/:id/merge', requirePermission('leads:merge'), async (req, res) => {
+  try {
+    const { source_id: sourceKey, expected_version } = req.body || {};
+    const expected = parseExpectedVersion(req, expected_version);
+    const errors = { ...expected.errors };
+    if (typeof sourceKey !== 'string' || sourceKey.trim() === '') {
+      errors.source_id = '必填欄位';
+    }
+    if (hasErrors(errors)) {
+      return sendValidationError(res, errors);
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      const target = await findActiveLead(client, req.params.id);
+      const source = await findActiveLead(client, sourceKey.trim());
+      if (!target) return { notFound: '案件不存在' };
+      if (!source) return { notFound: '要併入的案件不存在' };
+      if (target.id === source.id) return { sameLead: true };
+
+      // 依 ID 順序鎖定，避免兩個方向的合併互相等待
+      const locked = await client.query(
+        'SELECT * FROM leads WHERE id = ANY($1) AND deleted_at IS NULL ORDER BY id FOR UPDATE',
+        [[target.id, source.id]]
+      );
+      const before = locked.rows.find(row => row.id === target.id);
+      const sourceRow = locked.rows.find(row => row.id === source.id);
+      if (!before || !sourceRow) return { notFound: '案件不存在' };
+      if (expected.version !== null && before.version !== expected.version) {
+        const current = await client.query(`SELECT ${LEAD_ALL_COLUMNS_SQL} FROM leads WHERE id = $1`, [before.id]);
+        return { conflict: current.rows[0] };
+      }
+
+      const moved = {};
+      for (const [key, table] of [['progress_updates', 'lead_progress_updates'], ['ledger_entries', 'lead_ledger_entries'], ['attachments', 'lead_attachments'], ['tasks', 'lead_tasks']]) {
+        const result = await client.query(`UPDATE ${table} SET lead_id = $1 WHERE lead_id = $2`, [before.id, sourceRow.id]);
+        moved[key] = result.rowCount;
+      }
+      const history = await client.query(
+        'UPDATE lead_status_history SET lead_id = $1, merged_from = COALESCE(merged_from, $2) WHERE lead_id = $2',
+        [before.id, sourceRow.id]
+      );
+      moved.status_history = history.rowCount;
+      // 標籤取聯集；source 在垃圾桶內保留原本的標籤，還原後不會遺失
+      const tags = await client.query(
+        `INSERT INTO lead_tags (lead_id, tag_id, created_by)
+         SELECT $1, tag_id, $3 FROM lead_tags WHERE lead_id = $2
+         ON CONFLICT (lead_id, tag_id) DO NOTHING`,
+        [before.id, sourceRow.id, req.auth.uid]
+      );
+      moved.tags = tags.rowCount;
+
+      const updates = {};
+      for (const field of MERGE_FILL_FIELDS) {
+        if (isBlankLeadValue(field, before[field]) && !isBlankLeadValue(field, sourceRow[field])) {
+          updates[field] = sourceRow[field];
         }
-      } catch (e) {
-        console.warn('解析 profit_records 失敗:', e);
       }
+      const seenLinks = new Set();
+      updates.links = [...parseJsonArray(before.links, 'links'), ...parseJsonArray(sourceRow.links, 'links')]
+        .filter(link => {
+          const key = JSON.stringify(link);
+          if (seenLinks.has(key)) return false;
+          seenLinks.add(key);
+          return true;
+        });
+
+      const { fields, params, nextIndex } = buildLeadSetClause(updates);
+      params.push(before.id);
+      const updated = await client.query(
+        `UPDATE leads SET ${fields.join(', ')} WHERE id = $${nextIndex} RETURNING *`,
+        params
+      );
+      await recordLeadAudit(client, req, 'MERGE', before.id, before, { ...updated.rows[0], merged_from: sourceRow.id });
+
+      await trashLead(client, req, sourceRow, { mergedInto: before.id });
+
+      const merged = await client.query(`SELECT ${LEAD_ALL_COLUMNS_SQL} FROM leads WHERE id = $1`, [before.id]);
+      return { lead: merged.rows[0], source: sourceRow, moved };
+    });
+
+    if (outcome.notFound) {
+      return res.status(404).json({ error: outcome.notFound });
+    }
+    if (outcome.sameLead) {
+      return sendValidationError(res, { source_id: '不能和自己合併' });
+    }
+    if (outcome.conflict) {
+      return sendVersionConflict(res, expected.version, outcome.conflict);
+    }
+
+    console.log(`🔗 合併案件: ${outcome.source.case_code || outcome.source.id} → ${outcome.lead.case_code || outcome.lead.id}`);
+
+    res.set('ETag', leadETag(outcome.lead.version));
+    res.json({
+      success: true,
+      merged_from: { id: outcome.source.id, case_code: outcome.source.case_code || null },
+      moved: outcome.moved,
+      lead: formatLead(outcome.lead)
+    });
+  } catch (error) {
+    console.error('合併案件失敗:', error);
+    res.status(500).json({ error: '合併案件失敗', details: error.message });
+  }
+});
+
+// ==================== 審計日誌 API ====================
+
+// 篩選參數 -> 欄位（可用逗號分隔多個值）
+const AUDIT_FILTER_FIELDS = {
+  lead_id: 'lead_id',
+  leadId: 'lead_id', // 舊的參數名稱
+  actor: 'actor_uid',
+  actor_type: 'actor_type',
+  action: 'action',
+  entity_type: 'entity_type',
+  entity_id: 'entity_id'
+};
+
+const AUDIT_DATE_FILTERS = {
+  from: '>=',
+  to: '<='
+};
+
+const AUDIT_SORT_EXPR = "COALESCE(created_at, 'epoch'::timestamptz)";
+const AUDIT_PAGE_DEFAULT = 100;
+const AUDIT_PAGE_MAX = 500;
+
+// 解析 JSONB 欄位（舊資料可能是字串），失敗時回傳 null
+const parseAuditSnapshot = (value) => {
+  if (!value) return null;
+  try {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  } catch (e) {
+    console.warn('解析審計日誌 JSON 失敗:', e);
+    return null;
+  }
+};
+
+const formatAuditLog = (row) => ({
+  id: row.id,
+  lead_id: row.lead_id,
+  entity_type: row.entity_type || null,
+  entity_id: row.entity_id || null,
+  actor_uid: row.actor_uid,
+  actor_name: row.actor_name,
+  actor_type: row.actor_type || null,
+  action: row.action,
+  before: parseAuditSnapshot(row.before),
+  after: parseAuditSnapshot(row.after),
+  ip: row.ip || null,
+  created_at: row.created_at ? new Date(row.created_at).toISOString() : null
+});
+
+/**
+ * 獲取審計日誌
+ * GET /api/audit-logs
+ *
+ * 查詢參數：
+ * - lead_id（舊參數 leadId）、actor、actor_type、action、entity_type、entity_id: 篩選（可用逗號分隔多個值，actor=me 代表目前登入者）
+ * - from, to: 日期區間
+ * - limit: 每頁筆數（預設 100，最多 500），cursor: 上一頁回傳的 next_cursor
+ * 依時間由新到舊排序
+ *
+ * 帶 limit 或 cursor 時回傳 { total, count, limit, next_cursor, logs }；
+ * 都沒帶時和舊版一樣回傳最新 500 筆的陣列
+ */
+app.get('/api/audit-logs', requirePermission('audit:read'), async (req, res) => {
+  try {
+    const conditions = [];
+    const params = [];
+    const errors = {};
+
+    for (const [param, column] of Object.entries(AUDIT_FILTER_FIELDS)) {
+      if (!req.query[param]) continue;
+      const values = String(req.query[param]).split(',').map(v => v.trim()).filter(Boolean)
+        .map(v => (param === 'actor' && v === 'me' ? req.auth.uid : v));
+      if (values.length === 0) continue;
+      params.push(values);
+      conditions.push(`${column} = ANY($${params.length})`);
+    }
+
+    for (const [param, operator] of Object.entries(AUDIT_DATE_FILTERS)) {
+      if (!req.query[param]) continue;
+      const date = new Date(req.query[param]);
+      if (isNaN(date.getTime())) {
+        errors[param] = '日期格式不正確';
+        continue;
+      }
+      params.push(date);
+      conditions.push(`created_at ${operator} $${params.length}`);
+    }
+
+    const paginated = req.query.limit !== undefined || req.query.cursor !== undefined;
+    const limit = req.query.limit === undefined ? (paginated ? AUDIT_PAGE_DEFAULT : AUDIT_PAGE_MAX) : parseInt(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > AUDIT_PAGE_MAX) {
+      errors.limit = `必須是 1 到 ${AUDIT_PAGE_MAX} 的整數`;
+    }
+
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeCursor(req.query.cursor);
+      if (!cursor || cursor.value === undefined || !cursor.id) {
+        errors.cursor = '游標無效';
+      }
+    }
+
+    if (hasErrors(errors)) {
+      return sendValidationError(res, errors);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const countResult = await pool.query(`SELECT COUNT(*) FROM audit_logs ${where}`, params);
+
+    const pageConditions = [...conditions];
+    const pageParams = [...params];
+    if (cursor) {
+      pageParams.push(cursor.value, cursor.id);
+      pageConditions.push(`(${AUDIT_SORT_EXPR}, id) < ($${pageParams.length - 1}::timestamptz, $${pageParams.length})`);
+    }
+    const pageWhere = pageConditions.length > 0 ? `WHERE ${pageConditions.join(' AND ')}` : '';
+
+    // 多取一筆判斷是否還有下一頁
+    pageParams.push(limit + 1);
+    const result = await pool.query(
+      `SELECT *, (${AUDIT_SORT_EXPR})::text AS _cursor_value
+       FROM audit_logs ${pageWhere}
+       ORDER BY ${AUDIT_SORT_EXPR} DESC, id DESC
+       LIMIT $${pageParams.length}`,
+      pageParams
+    );
+
+    const rows = result.rows.slice(0, limit);
+    const last = rows[rows.length - 1];
+    const nextCursor = result.rows.length > limit && last
+      ? encodeCursor({ value: last._cursor_value, id: last.id })
+      : null;
+
+    console.log(`📥 獲取審計日誌: 共 ${countResult.rows[0].count} 筆，本頁 ${rows.length} 筆`);
+
+    if (!paginated) {
+      return res.json(rows.map(formatAuditLog));
+    }
+    res.json({
+      total: parseInt(countResult.rows[0].count),
+      count: rows.length,
+      limit,
+      next_cursor: nextCursor,
+      logs: rows.map(formatAuditLog)
+    });
+  } catch (error) {
+    console.error('❌ 獲取審計日誌失敗:', error);
+    console.error('錯誤詳情:', error.message);
+    console.error('錯誤堆疊:', error.stack);
+    res.status(500).json({ 
+      error: '獲取審計日誌失敗', 
+      details: error.message,
+      hint: '請檢查資料庫連接和 audit_logs 表結構'
+    });
+  }
+});
+
+// 根路徑 - API 資訊
+app.get('/', (req, res) => {
+  res.json({
+    name: 'AI案件管理系統 API',
+    version: '1.0.0',
+    status: 'running',
+    endpoints: {
+      health: '/health',
+      auth: {
+        me: 'GET /api/auth/me - 目前登入者（需 Authorization: Bearer <token>）',
+        permissions: 'GET /api/auth/permissions - 角色權限矩陣',
+        login: 'POST /api/auth/login',
+        logout: 'POST /api/auth/logout',
+        changePassword: 'PUT /api/auth/password',
+        resetPassword: 'POST /api/auth/password-reset'
+      },
+      admin: {
+        listApiKeys: 'GET /api/admin/api-keys',
+        createApiKey: 'POST /api/admin/api-keys',
+        revokeApiKey: 'DELETE /api/admin/api-keys/:id',
+        createPasswordReset: 'POST /api/admin/users/:uid/password-reset',
+        loginAttempts: 'GET /api/admin/login-attempts',
+        caseCodes: 'GET /api/admin/case-codes',
+        backfillCaseCodes: 'POST /api/admin/case-codes/backfill',
+        backfillBudgets: 'POST /api/admin/budgets/backfill',
+        migrations: 'GET /api/admin/migrations',
+        jobs: 'GET /api/admin/jobs - 背景工作（排程、下次執行、最近一次結果）',
+        updateJob: 'PUT /api/admin/jobs/:name（schedule、enabled、重試設定）',
+        runJob: 'POST /api/admin/jobs/:name/run - 手動執行',
+        jobRuns: 'GET /api/admin/job-runs?job=...&status=failed',
+        jobRun: 'GET /api/admin/job-runs/:id',
+        retryJobRun: 'POST /api/admin/job-runs/:id/retry',
+        cancelJobRun: 'POST /api/admin/job-runs/:id/cancel',
+        importFailures: 'GET /api/admin/import-failures?status=pending - AI 批次匯入失敗的項目',
+        updateLeadWorkflow: 'PUT /api/lead-workflow/:field（status 或 decision）'
+      },
+      users: {
+        getAll: 'GET /api/users',
+        getOne: 'GET /api/users/:uid'
+      },
+      leads: {
+        getAll: 'GET /api/leads?status=待篩選&sort=created_at&order=desc&limit=50&cursor=...&fields=...',
+        getOne: 'GET /api/leads/:id（id 或 case_code）',
+        search: 'GET /api/leads/search?q=關鍵字',
+        atRisk: 'GET /api/leads/at-risk - 即將逾時與已逾時的案件（依 SLA 到期時間排序）',
+        slaReport: 'GET /api/leads/sla-report - 各狀態停留時間、第一次聯繫與決定花的時間',
+        statusHistory: 'GET /api/leads/:id/status-history - 狀態變更歷程與停留時間',
+        workflow: 'GET /api/lead-workflow - 狀態流程（可用的 status / decision 與轉換）',
+        create: 'POST /api/leads',
+        update: 'PUT /api/leads/:id',
+        delete: 'DELETE /api/leads/:id（移到垃圾桶）',
+        bulk: 'POST /api/leads/bulk - 批次修改、指派、改優先度、改狀態或刪除（支援 preview）',
+        trash: 'GET /api/leads/trash',
+        restore: 'POST /api/leads/trash/:id/restore',
+        purge: 'DELETE /api/leads/trash/:id（永久刪除）',
+        progress: 'GET /api/leads/:id/progress',
+        addProgress: 'POST /api/leads/:id/progress',
+        updateProgress: 'PUT /api/leads/:id/progress/:progressId',
+        deleteProgress: 'DELETE /api/leads/:id/progress/:progressId',
+        ledger: 'GET /api/leads/:id/ledger',
+        addLedgerEntry: 'POST /api/leads/:id/ledger',
+        voidLedgerEntry: 'POST /api/leads/:id/ledger/:entryId/void',
+        ledgerSummary: 'GET /api/ledger/summary?group_by=lead|category|month',
+        duplicates: 'GET /api/leads/:id/duplicates',
+        merge: 'POST /api/leads/:id/merge',
+        attachments: 'GET /api/leads/:id/attachments',
+        uploadAttachment: 'POST /api/leads/:id/attachments（multipart/form-data）',
+        downloadAttachment: 'GET /api/leads/:id/attachments/:attachmentId',
+        deleteAttachment: 'DELETE /api/leads/:id/attachments/:attachmentId'
+      },
+      tasks: {
+        my: 'GET /api/tasks/my - 我的待辦（逾期、今天）',
+        getAll: 'GET /api/tasks?assigned_to=me&due=overdue,today&status=open',
+        byLead: 'GET /api/leads/:id/tasks',
+        create: 'POST /api/leads/:id/tasks',
+        update: 'PUT /api/leads/:id/tasks/:taskId（status=cancelled 取消）',
+        complete: 'POST /api/leads/:id/tasks/:taskId/complete（自動新增進度更新）'
+      },
+      tags: {
+        getAll: 'GET /api/tags - 標籤目錄（含使用中的案件數）',
+        create: 'POST /api/tags',
+        update: 'PUT /api/tags/:id',
+        delete: 'DELETE /api/tags/:id（同時從所有案件移除）',
+        bulk: 'POST /api/tags/bulk - 批次加上、移除標籤',
+        filter: 'GET /api/leads?tags=診所,電商（任一）&tags_all=診所,急件（全部）'
+      },
+      auditLogs: {
+        getAll: 'GET /api/audit-logs',
+        getByLead: 'GET /api/audit-logs?leadId=xxx'
+      },
+      ai: {
+        import: 'POST /api/ai/import - AI 助理匯入案件',
+        query: 'GET /api/ai/leads - AI 助理查詢案件（sla=at_risk,breached 找快逾時的案件）',
+        search: 'GET /api/ai/search?q=關鍵字 - AI 助理搜尋案件',
+        leadWorkflow: 'GET /api/ai/lead-workflow - 狀態流程（可用的 status / decision 與轉換）',
+        tags: 'GET /api/ai/tags - 標籤目錄',
+        update: 'PUT /api/ai/update - AI 助理修改案件',
+        delete: 'DELETE /api/ai/delete - AI 助理刪除案件（移到垃圾桶）',
+        progress: 'POST /api/ai/progress - AI 助理新增進度更新',
+        task: 'POST /api/ai/task - AI 助理新增待辦（提醒）',
+        tasks: 'GET /api/ai/tasks?assigned_to=...&due=overdue,today - 待辦清單',
+        cost: 'POST /api/ai/cost - AI 助理匯入成本',
+        profit: 'POST /api/ai/profit - AI 助理匯入利潤',
+        attachment: 'POST /api/ai/attachment - AI 助理上傳附件',
+        workflow: 'POST /api/ai/workflow - AI 助理一次建立案件、成本、進度與附件（單一交易，支援 dry_run）'
+      }
+    },
+    database: {
+      host: process.env.DB_HOST || process.env.POSTGRES_HOST || '未設置',
+      database: process.env.DB_NAME || process.env.POSTGRES_DATABASE || '未設置',
+      connected: '檢查 /health 端點'
+    }
+  });
+});
+
+// ==================== 冪等鍵（AI 寫入重試） ====================
+
+// 同一個鍵在這段時間內重送都回傳第一次的結果
+const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24');
+// 處理中超過這個時間仍未完成（例如服務中途重啟）視為中斷，重試時重新處理
+const IDEMPOTENCY_STALE_SECONDS = 300;
+
+// 鍵只在同一把 API 金鑰（或同一個使用者）內有效
+const idempotencyScope = (auth) =>
+  auth.type === 'api_key' ? `api_key:${auth.apiKeyId}` : `${auth.type}:${auth.uid}`;
+
+// 重送時一併還原的回應標頭
+const IDEMPOTENCY_REPLAY_HEADERS = ['ETag'];
+
+const idempotencyFingerprint = (req) =>
+  sha256(JSON.stringify([req.method, req.originalUrl, req.body === undefined ? null : req.body]));
+
+/**
+ * Idempotency-Key 中間件（/api/ai/* 的寫入端點）
+ * - 第一次收到：記錄鍵後執行，回應完成時一併保存
+ * - 重送（同鍵同內容）：直接回傳保存的回應，加上 Idempotent-Replayed: true
+ * - 同鍵不同內容：422；前一次還在處理：409
+ * 5xx 回應在還沒有交易 commit 時不保存，重送會重新執行；
+ * 已經寫入資料後才失敗（例如組回應時出錯）則保存，重送不會再寫一次。沒帶標頭時照舊處理
+ */
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+  if (!/^[\x21-\x7e]{1,255}$/.test(key)) {
+    return sendValidationError(res, { 'Idempotency-Key': '必須是 1 到 255 個英數字或符號' });
+  }
+
+  const scope = idempotencyScope(req.auth);
+  const requestHash = idempotencyFingerprint(req);
+  try {
+    // 過期的鍵、或同內容但已中斷的請求直接覆蓋
+    const claimed = await pool.query(
+      `INSERT INTO idempotency_keys (scope, idempotency_key, request_hash, method, path)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (scope, idempotency_key) DO UPDATE SET
+         request_hash = EXCLUDED.request_hash,
+         method = EXCLUDED.method,
+         path = EXCLUDED.path,
+         status_code = NULL,
+         response_body = NULL,
+         response_headers = NULL,
+         created_at = NOW(),
+         completed_at = NULL
+       WHERE idempotency_keys.created_at < NOW() - ($6 || ' hours')::interval
+          OR (idempotency_keys.completed_at IS NULL
+              AND idempotency_keys.request_hash = EXCLUDED.request_hash
+              AND idempotency_keys.created_at < NOW() - ($7 || ' seconds')::interval)
+       RETURNING scope`,
+      [scope, key, requestHash, req.method, req.originalUrl, String(IDEMPOTENCY_KEY_TTL_HOURS), String(IDEMPOTENCY_STALE_SECONDS)]
+    );
+
+    if (claimed.rows.length === 0) {
+      const existing = await pool.query(
+        'SELECT * FROM idempotency_keys WHERE scope = $1 AND idempotency_key = $2',
+        [scope, key]
+      );
+      const previous = existing.rows[0];
+      if (previous && previous.request_hash !== requestHash) {
+        return res.status(422).json({
+          error: '這個 Idempotency-Key 已用於內容不同的請求',
+          code: 'IDEMPOTENCY_KEY_REUSED',
+          original_request: `${previous.method} ${previous.path}`
+        });
+      }
+      if (!previous || previous.completed_at === null) {
+        res.set('Retry-After', '1');
+        return res.status(409).json({
+          error: '相同 Idempotency-Key 的請求仍在處理中，請稍後重試',
+          code: 'IDEMPOTENCY_KEY_IN_PROGRESS'
+        });
+      }
+      res.set({ ...(previous.response_headers || {}), 'Idempotent-Replayed': 'true' });
+      return res.status(previous.status_code).json(previous.response_body);
+    }
+  } catch (error) {
+    console.error('❌ 冪等鍵處理失敗:', error);
+    return res.status(500).json({ error: '冪等鍵處理失敗', details: error.message });
+  }
+
+  // 保存完成後才送出回應，重試一定看得到結果
+  const context = { committed: false };
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    res.json = sendJson;
+    const headers = {};
+    for (const name of IDEMPOTENCY_REPLAY_HEADERS) {
+      if (res.get(name) !== undefined) headers[name] = res.get(name);
+    }
+    const save = res.statusCode >= 500 && !context.committed
+      ? pool.query('DELETE FROM idempotency_keys WHERE scope = $1 AND idempotency_key = $2', [scope, key])
+      : pool.query(
+        `UPDATE idempotency_keys SET status_code = $3, response_body = $4, response_headers = $5, completed_at = NOW()
+         WHERE scope = $1 AND idempotency_key = $2`,
+        [scope, key, res.statusCode, JSON.stringify(body === undefined ? null : body), headers]
+      );
+    save
+      .catch(err => console.error('❌ 保存冪等鍵回應失敗:', err.message))
+      .finally(() => sendJson(body));
+    return res;
+  };
+  requestContext.run(context, next);
+};
+
+const purgeExpiredIdempotencyKeys = async () => {
+  const result = await pool.query(
+    `DELETE FROM idempotency_keys WHERE created_at < NOW() - ($1 || ' hours')::interval`,
+    [String(IDEMPOTENCY_KEY_TTL_HOURS)]
+  );
+  return result.rowCount;
+};
+
+// ==================== 背景工作 ====================
+
+// 排程依這個時區解讀（預設同待辦）；JOB_WORKER=false 的實例只提供 API，不執行背景工作
+const JOB_TIMEZONE = process.env.JOB_TIMEZONE || TASK_TIMEZONE;
+const JOB_WORKER_ENABLED = process.env.JOB_WORKER !== 'false';
+const JOB_POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS || '30000');
+// 已結束的執行紀錄保留天數（背景工作 jobs.cleanup 清除）
+const JOB_RUN_RETENTION_DAYS = parseInt(process.env.JOB_RUN_RETENTION_DAYS || '30');
+// AI 批次匯入失敗的項目最多重跑幾次（背景工作 imports.retry），之後標記 failed
+const IMPORT_RETRY_MAX_ATTEMPTS = parseInt(process.env.IMPORT_RETRY_MAX_ATTEMPTS || '5');
+const JOB_RUN_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+const JOB_RUN_PAGE_MAX = 200;
+
+// 每個行程一個 ID，執行中的紀錄（locked_by）看得出是哪個實例在跑
+const JOB_WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+// 背景工作的操作者（寫入審計紀錄用）
+const JOB_ACTOR = { type: 'system', uid: 'system', name: '背景工作' };
+
+const CRON_FIELDS = [
+  { name: '分', min: 0, max: 59 },
+  { name: '時', min: 0, max: 23 },
+  { name: '日', min: 1, max: 31 },
+  { name: '月', min: 1, max: 12 },
+  { name: '星期', min: 0, max: 7 }
+];
+
+const CRON_ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+// 解析 cron 的一個欄位：*、5、1-5、*/15、1-5/2，逗號分隔多個；格式錯誤回傳 null
+const parseCronField = (text, { min, max }) => {
+  const values = new Set();
+  for (const item of text.split(',')) {
+    const match = item.match(/^(?:(\*)|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) return null;
+    const start = match[1] ? min : parseInt(match[2]);
+    const end = match[1] ? max : match[3] !== undefined ? parseInt(match[3]) : match[4] ? max : start;
+    const step = match[4] ? parseInt(match[4]) : 1;
+    if (start < min || end > max || start > end || step < 1) return null;
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+  return values;
+};
+
+/**
+ * 解析 cron 五欄位（分 時 日 月 星期）或 @hourly、@daily、@weekly、@monthly
+ * 星期 0 和 7 都是星期日；日和星期都有限定時，符合其中一個就執行（同 crontab）
+ * 回傳 { cron } 或 { error }
+ */
+const parseCron = (expression) => {
+  if (typeof expression !== 'string') return { error: '排程必須是 cron 字串' };
+  const text = CRON_ALIASES[expression.trim()] || expression.trim();
+  const parts = text.split(/\s+/);
+  if (parts.length !== 5) return { error: '排程必須是五個欄位：分 時 日 月 星期' };
+
+  const sets = [];
+  for (let i = 0; i < parts.length; i++) {
+    const values = parseCronField(parts[i], CRON_FIELDS[i]);
+    if (!values) return { error: `排程的「${CRON_FIELDS[i].name}」欄位格式錯誤：${parts[i]}` };
+    sets.push(values);
+  }
+  const [minutes, hours, days, months, weekdays] = sets;
+  if (weekdays.delete(7)) weekdays.add(0);
+  return {
+    cron: { minutes, hours, days, months, weekdays, anyDay: parts[2].startsWith('*'), anyWeekday: parts[4].startsWith('*') }
+  };
+};
+
+const jobTimeFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: JOB_TIMEZONE,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: 'numeric',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: 'numeric'
+});
+
+// JOB_TIMEZONE 的當地時間（到分鐘），用 UTC 欄位表示：只能用 getUTC* / setUTC* 讀寫
+const toJobWallClock = (date) => {
+  const parts = Object.fromEntries(jobTimeFormat.formatToParts(date).map(part => [part.type, parseInt(part.value)]));
+  return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute));
+};
+
+// 當地時間換回實際時間：先用當地時間本身估時差，再用估出來的時間校正（日光節約時間）
+const fromJobWallClock = (wall) => {
+  const offsetAt = (time) => toJobWallClock(new Date(time)).getTime() - Math.floor(time / 60000) * 60000;
+  const guess = wall.getTime() - offsetAt(wall.getTime());
+  const time = wall.getTime() - offsetAt(guess);
+  if (toJobWallClock(new Date(time)).getTime() === wall.getTime()) return new Date(time);
+  // 日光節約時間跳過的時刻（例如 02:30 不存在）順延到跳過之後
+  return new Date(Math.max(time, guess));
+};
+
+// 晚於 after 的下一次執行時間；五年內都不會執行（例如 2 月 30 日）時回傳 null
+const nextCronTime = (cron, after = new Date()) => {
+  const wall = toJobWallClock(after);
+  wall.setUTCMinutes(wall.getUTCMinutes() + 1);
+  const limit = wall.getTime() + 5 * 366 * 86400 * 1000;
+
+  while (wall.getTime() < limit) {
+    const dayMatches = cron.anyDay || cron.anyWeekday
+      ? cron.days.has(wall.getUTCDate()) && cron.weekdays.has(wall.getUTCDay())
+      : cron.days.has(wall.getUTCDate()) || cron.weekdays.has(wall.getUTCDay());
+    if (!cron.months.has(wall.getUTCMonth() + 1)) {
+      wall.setUTCMonth(wall.getUTCMonth() + 1, 1);
+      wall.setUTCHours(0, 0);
+    } else if (!dayMatches) {
+      wall.setUTCDate(wall.getUTCDate() + 1);
+      wall.setUTCHours(0, 0);
+    } else if (!cron.hours.has(wall.getUTCHours())) {
+      wall.setUTCHours(wall.getUTCHours() + 1, 0);
+    } else if (!cron.minutes.has(wall.getUTCMinutes())) {
+      wall.setUTCMinutes(wall.getUTCMinutes() + 1);
+    } else {
+      const next = fromJobWallClock(wall);
+      if (next > after) return next;
+      wall.setUTCMinutes(wall.getUTCMinutes() + 1);
+    }
+  }
+  return null;
+};
+
+/**
+ * 背景工作定義：name -> { description, schedule, handler, validatePayload, maxAttempts, backoffSeconds, leaseSeconds }
+ * - handler({ payload, run, req }) 回傳的物件存進 job_runs.result，丟錯視為失敗並依 backoff 重試；req.auth 為 JOB_ACTOR
+ * - validatePayload(payload) 回傳錯誤訊息或 null，手動執行時檢查
+ * - schedule 等設定是第一次建立時的預設值，之後以資料庫（管理員修改過的）為準
+ */
+const JOB_DEFINITIONS = {};
+
+const defineJob = (name, definition) => {
+  JOB_DEFINITIONS[name] = { schedule: null, maxAttempts: 3, backoffSeconds: 60, leaseSeconds: 300, ...definition };
+};
+
+defineJob('trash.purge', {
+  description: '永久刪除超過保留天數（LEAD_TRASH_RETENTION_DAYS）的垃圾桶案件',
+  schedule: '0 * * * *',
+  handler: async () => LEAD_TRASH_RETENTION_DAYS > 0
+    ? { purged: await purgeExpiredTrash(), retention_days: LEAD_TRASH_RETENTION_DAYS }
+    : { skipped: '已關閉自動清除（LEAD_TRASH_RETENTION_DAYS=0）' }
+});
+
+defineJob('idempotency.cleanup', {
+  description: '刪除過期的冪等鍵',
+  schedule: '30 * * * *',
+  handler: async () => ({ deleted: await purgeExpiredIdempotencyKeys() })
+});
+
+defineJob('files.cleanup', {
+  description: '刪除沒有任何附件使用的檔案（刪除附件、案件永久刪除後留下的檔案）',
+  schedule: '15 3 * * *',
+  handler: async () => ({ deleted: await purgeOrphanedFiles() })
+});
+
+defineJob('leads.flag_unreplied', {
+  description: `替建立超過 ${LEAD_UNREPLIED_DAYS} 天仍「未回覆」的案件建立追蹤待辦（payload { "days": 7 } 可改天數）`,
+  schedule: '0 9 * * *',
+  validatePayload: (payload) => payload.days === undefined || (Number.isInteger(payload.days) && payload.days >= 1 && payload.days <= 365)
+    ? null
+    : 'days 必須是 1 到 365 的整數',
+  handler: ({ payload, req }) => flagUnrepliedLeads(req, payload.days === undefined ? {} : { days: payload.days })
+});
+
+defineJob('budgets.backfill', {
+  description: '解析還沒解析的預算（payload { "all": true } 重新解析全部案件）',
+  handler: async ({ payload }) => ({ updated: await backfillLeadBudgets({ all: payload.all === true }) })
+});
+
+defineJob('stats.recompute', {
+  description: '依狀態歷程重新計算案件的狀態開始時間、第一次聯繫與第一次決定的時間（SLA 統計用）',
+  schedule: '30 5 * * 0',
+  handler: () => recomputeLeadStatusTimes()
+});
+
+defineJob('imports.retry', {
+  description: `重跑 AI 批次匯入失敗的項目（累計嘗試 ${IMPORT_RETRY_MAX_ATTEMPTS} 次仍失敗就不再重跑；payload { "ids": [...] } 只重跑指定的項目，包含已標記 failed 的）`,
+  schedule: '*/30 * * * *',
+  validatePayload: (payload) => payload.ids === undefined || (Array.isArray(payload.ids) && payload.ids.length > 0 && payload.ids.every(id => typeof id === 'string'))
+    ? null
+    : 'ids 必須是非空的字串陣列',
+  handler: ({ payload, req }) => retryImportFailures(req, payload.ids === undefined ? {} : { ids: payload.ids })
+});
+
+defineJob('jobs.cleanup', {
+  description: `刪除超過 ${JOB_RUN_RETENTION_DAYS} 天的背景工作執行紀錄`,
+  schedule: '45 4 * * *',
+  handler: async () => {
+    const result = await pool.query(
+      `DELETE FROM job_runs
+       WHERE status IN ('succeeded', 'failed', 'cancelled') AND created_at < NOW() - ($1 || ' days')::interval`,
+      [String(JOB_RUN_RETENTION_DAYS)]
+    );
+    return { deleted: result.rowCount };
+  }
+});
+
+// row 可以是資料列，或 to_jsonb 轉出來的物件（時間為字串）
+const formatJobRun = (row) => ({
+  id: row.id,
+  job_name: row.job_name,
+  status: row.status,
+  payload: row.payload || {},
+  attempt: row.attempt,
+  max_attempts: row.max_attempts,
+  run_at: toIsoString(row.run_at),
+  scheduled_for: toIsoString(row.scheduled_for),
+  started_at: toIsoString(row.started_at),
+  finished_at: toIsoString(row.finished_at),
+  duration_ms: row.started_at && row.finished_at
+    ? new Date(row.finished_at).getTime() - new Date(row.started_at).getTime()
+    : null,
+  locked_by: row.locked_by || null,
+  locked_until: toIsoString(row.locked_until),
+  result: row.result === undefined ? null : row.result,
+  error: row.error || null,
+  retry_of: row.retry_of || null,
+  triggered_by: row.triggered_by || null,
+  triggered_by_name: row.triggered_by_name || null,
+  created_at: toIsoString(row.created_at)
+});
+
+const formatJob = (row) => ({
+  name: row.name,
+  description: JOB_DEFINITIONS[row.name] ? JOB_DEFINITIONS[row.name].description : null,
+  // 目前版本的程式沒有這個工作（例如已移除），不會被執行
+  registered: !!JOB_DEFINITIONS[row.name],
+  schedule: row.schedule,
+  enabled: row.enabled,
+  max_attempts: row.max_attempts,
+  backoff_seconds: row.backoff_seconds,
+  lease_seconds: row.lease_seconds,
+  next_run_at: row.enabled && row.schedule ? toIsoString(row.next_run_at) : null,
+  queued: row.queued_count === undefined ? undefined : row.queued_count,
+  last_run: row.last_run ? formatJobRun(row.last_run) : row.last_run,
+  updated_by: row.updated_by || null,
+  updated_by_name: row.updated_by_name || null,
+  updated_at: toIsoString(row.updated_at)
+});
+
+const JOB_SETTINGS_RULES = {
+  max_attempts: { min: 1, max: 20 },
+  backoff_seconds: { min: 1, max: 86400 },
+  lease_seconds: { min: 30, max: 86400 }
+};
+
+/**
+ * 驗證管理員修改的工作設定：schedule（cron 或 null 只能手動執行）、enabled、max_attempts、backoff_seconds、lease_seconds
+ * 回傳 { values, errors }
+ */
+const validateJobSettings = (input) => {
+  const values = {};
+  const errors = {};
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { values, errors: { _: '工作設定必須是物件' } };
+  }
+
+  if (input.schedule !== undefined) {
+    if (input.schedule === null || input.schedule === '') {
+      values.schedule = null;
+    } else {
+      const { cron, error } = parseCron(input.schedule);
+      if (error) errors.schedule = error;
+      else if (!nextCronTime(cron)) errors.schedule = '這個排程不會執行';
+      else values.schedule = input.schedule.trim();
+    }
+  }
+  if (input.enabled !== undefined) {
+    if (typeof input.enabled !== 'boolean') errors.enabled = '必須是 true 或 false';
+    else values.enabled = input.enabled;
+  }
+  for (const [field, { min, max }] of Object.entries(JOB_SETTINGS_RULES)) {
+    if (input[field] === undefined) continue;
+    if (!Number.isInteger(input[field]) || input[field] < min || input[field] > max) {
+      errors[field] = `必須是 ${min} 到 ${max} 的整數`;
+    } else {
+      values[field] = input[field];
+    }
+  }
+  return { values, errors };
+};
+
+const jobNextRunAt = (schedule) => schedule ? nextCronTime(parseCron(schedule).cron) : null;
+
+const newJobRunId = () => `jobrun_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+// 新增一筆手動執行（交易內使用），觸發者為 req.auth
+const insertJobRun = async (client, req, job, payload, { retryOf = null } = {}) => {
+  const result = await client.query(
+    `INSERT INTO job_runs (id, job_name, payload, max_attempts, retry_of, triggered_by, triggered_by_name)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [newJobRunId(), job.name, JSON.stringify(payload), job.max_attempts, retryOf, req.auth.uid, req.auth.name || null]
+  );
+  await recordAudit(client, req, {
+    action: 'JOB_TRIGGER',
+    entityType: 'job_run',
+    entityId: result.rows[0].id,
+    after: formatJobRun(result.rows[0])
+  });
+  return result.rows[0];
+};
+
+// 補上程式內新增的工作，已經存在的工作保留管理員的設定（多個實例同時啟動也不會衝突）
+const syncJobDefinitions = async () => {
+  for (const [name, job] of Object.entries(JOB_DEFINITIONS)) {
+    await pool.query(
+      `INSERT INTO jobs (name, schedule, max_attempts, backoff_seconds, lease_seconds, next_run_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (name) DO NOTHING`,
+      [name, job.schedule, job.maxAttempts, job.backoffSeconds, job.leaseSeconds, jobNextRunAt(job.schedule)]
+    );
+  }
+};
+
+/**
+ * 排程到期的工作排入佇列，並把 next_run_at 推到下一次
+ * 工作列以 FOR UPDATE SKIP LOCKED 鎖住，(job_name, scheduled_for) 唯一索引再擋一次：多個實例只會排入一筆
+ * 停機期間錯過的排程只補跑一次
+ */
+const enqueueScheduledJobRuns = () => withTransaction(async (client) => {
+  const due = await client.query(
+    `SELECT * FROM jobs
+     WHERE enabled AND schedule IS NOT NULL AND next_run_at <= NOW() AND name = ANY($1)
+     FOR UPDATE SKIP LOCKED`,
+    [Object.keys(JOB_DEFINITIONS)]
+  );
+  for (const job of due.rows) {
+    await client.query(
+      `INSERT INTO job_runs (id, job_name, max_attempts, run_at, scheduled_for, triggered_by, triggered_by_name)
+       VALUES ($1, $2, $3, $4, $4, $5, $6)
+       ON CONFLICT DO NOTHING`,
+      [newJobRunId(), job.name, job.max_attempts, job.next_run_at, JOB_ACTOR.uid, '排程']
+    );
+    await client.query('UPDATE jobs SET next_run_at = $2 WHERE name = $1', [job.name, jobNextRunAt(job.schedule)]);
+  }
+  return due.rows.length;
+});
+
+// 失敗後：還有次數就排回佇列，第 n 次失敗等 backoff_seconds * 2^(n-1) 秒；次數用完標記為 failed（r 為 job_runs、j 為 jobs）
+const JOB_RETRY_SET_SQL = `
+  status = CASE WHEN r.attempt >= r.max_attempts THEN 'failed' ELSE 'queued' END,
+  run_at = CASE WHEN r.attempt >= r.max_attempts THEN r.run_at
+                ELSE NOW() + make_interval(secs => j.backoff_seconds * power(2, r.attempt - 1)) END,
+  finished_at = CASE WHEN r.attempt >= r.max_attempts THEN NOW() END,
+  locked_by = NULL,
+  locked_until = NULL`;
+
+// 租約過期的執行（實例當機或重啟）視為一次失敗
+const reapExpiredJobRuns = async () => {
+  const result = await pool.query(
+    `UPDATE job_runs r SET ${JOB_RETRY_SET_SQL}, error = '執行中斷：' || r.locked_by || ' 超過租約沒有回應'
+     FROM jobs j
+     WHERE j.name = r.job_name AND r.status = 'running' AND r.locked_until < NOW()
+     RETURNING r.id, r.job_name, r.status`
+  );
+  for (const row of result.rows) {
+    console.warn(`⚠️ 背景工作 ${row.job_name} 執行中斷（${row.id}），${row.status === 'queued' ? '稍後重試' : '已達重試上限'}`);
+  }
+  return result.rowCount;
+};
+
+/**
+ * 領取一筆可以執行的工作：FOR UPDATE SKIP LOCKED 讓每筆只會被一個實例領走
+ * 同一個工作已經有執行中的紀錄時略過，idx_job_runs_one_running 唯一索引保證同時只有一筆執行中
+ * 回傳領到的執行（含工作的 lease_seconds），沒有時回傳 null
+ */
+const claimJobRun = async () => {
+  try {
+    const result = await pool.query(
+      `UPDATE job_runs r
+       SET status = 'running', attempt = r.attempt + 1, started_at = NOW(), finished_at = NULL,
+           locked_by = $2, locked_until = NOW() + make_interval(secs => j.lease_seconds)
+       FROM jobs j
+       WHERE j.name = r.job_name AND r.status = 'queued' AND r.id = (
+         SELECT q.id FROM job_runs q
+         WHERE q.status = 'queued' AND q.run_at <= NOW() AND q.job_name = ANY($1)
+           AND NOT EXISTS (SELECT 1 FROM job_runs x WHERE x.job_name = q.job_name AND x.status = 'running')
+         ORDER BY q.run_at
+         LIMIT 1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING r.*, j.lease_seconds`,
+      [Object.keys(JOB_DEFINITIONS), JOB_WORKER_ID]
+    );
+    return result.rows[0] || null;
+  } catch (err) {
+    // 另一個實例剛好同時領走同一個工作的另一筆執行，下一輪再試
+    if (err.code === '23505') return null;
+    throw err;
+  }
+};
+
+// 執行領到的工作，執行期間每隔租約的三分之一延長一次；結束時只更新自己還持有的紀錄
+const executeJobRun = async (run) => {
+  const job = JOB_DEFINITIONS[run.job_name];
+  const owned = [run.id, JOB_WORKER_ID, run.attempt];
+  const heartbeat = setInterval(() => {
+    pool.query(
+      `UPDATE job_runs SET locked_until = NOW() + make_interval(secs => $4)
+       WHERE id = $1 AND locked_by = $2 AND attempt = $3 AND status = 'running'`,
+      [...owned, run.lease_seconds]
+    ).catch(err => console.error('❌ 延長背景工作租約失敗:', err.message));
+  }, run.lease_seconds * 1000 / 3);
+  heartbeat.unref();
+
+  const started = Date.now();
+  try {
+    const result = await job.handler({ payload: run.payload || {}, run, req: { auth: JOB_ACTOR, ip: null } });
+    await pool.query(
+      `UPDATE job_runs SET status = 'succeeded', finished_at = NOW(), result = $4, error = NULL,
+         locked_by = NULL, locked_until = NULL
+       WHERE id = $1 AND locked_by = $2 AND attempt = $3 AND status = 'running'`,
+      [...owned, result === undefined ? null : JSON.stringify(result)]
+    );
+    console.log(`⚙️ 背景工作 ${run.job_name} 完成（${Date.now() - started} ms）`);
+  } catch (err) {
+    const failed = await pool.query(
+      `UPDATE job_runs r SET ${JOB_RETRY_SET_SQL}, error = $4
+       FROM jobs j
+       WHERE j.name = r.job_name AND r.id = $1 AND r.locked_by = $2 AND r.attempt = $3 AND r.status = 'running'
+       RETURNING r.status, r.run_at`,
+      [...owned, err.message]
+    );
+    const row = failed.rows[0];
+    const retry = row && row.status === 'queued' ? `，${row.run_at.toISOString()} 重試` : '';
+    console.error(`❌ 背景工作 ${run.job_name} 第 ${run.attempt} 次執行失敗${retry}:`, err.message);
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+let jobTick = null;
+let jobTickAgain = false;
 
-      // 處理合約文件
-      let contracts = [];
+// 一輪：處理中斷的執行、排入到期的排程、做完所有可以執行的工作；同一個行程不會同時跑兩輪
+const runJobTick = () => {
+  if (jobTick) {
+    jobTickAgain = true;
+    return jobTick;
+  }
+  jobTick = (async () => {
+    do {
+      jobTickAgain = false;
       try {
-        if (row.contracts) {
-          contracts = typeof row.contracts === 'string'
-            ? JSON.parse(row.contracts)
-            : row.contracts;
-          if (!Array.isArray(contracts)) contracts = [];
+        await reapExpiredJobRuns();
+        await enqueueScheduledJobRuns();
+        for (let run = await claimJobRun(); run; run = await claimJobRun()) {
+          await executeJobRun(run);
         }
-      } catch (e) {
-        console.warn('解析 contracts 失敗:', e);
+      } catch (err) {
+        console.error('❌ 背景工作排程失敗:', err.message);
       }
+    } while (jobTickAgain);
+  })().finally(() => {
+    jobTick = null;
+  });
+  return jobTick;
+};
 
-      return {
-        id: row.id,
-        case_code: row.case_code || null,
-        platform: row.platform,
-        platform_id: row.platform_id || '',
-        need: row.need || '',
-        budget_text: row.budget_text || null,
-        posted_at: row.posted_at ? new Date(row.posted_at).toISOString() : null,
-        phone: row.phone || null,
-        email: row.email || null,
-        location: row.location || null,
-        estimated_duration: row.estimated_duration || null,
-        contact_method: row.contact_method || null,
-        note: row.note || null,
-        internal_remarks: row.internal_remarks || null,
-        remarks_author: row.remarks_author || null,
-        status: row.status || '待篩選',
-        decision: row.decision || 'pending',
-        decision_by: row.decision_by || null,
-        reject_reason: row.reject_reason || null,
-        review_note: row.review_note || null,
-        assigned_to: row.assigned_to || null,
-        assigned_to_name: row.assigned_to_name || null,
-        priority: row.priority || 3,
-        created_by: row.created_by || null,
-        created_by_name: row.created_by_name || '',
-        created_at: row.created_at ? new Date(row.created_at).toISOString() : new Date().toISOString(),
-        updated_at: row.updated_at ? new Date(row.updated_at).toISOString() : new Date().toISOString(),
-        last_action_by: row.last_action_by || null,
-        progress_updates: progress_updates,
-        change_history: change_history,
-        cost_records: cost_records, // 新增
-        profit_records: profit_records, // 新增
-        contracts: contracts, // 新增
-        links: row.links ? (typeof row.links === 'string' ? JSON.parse(row.links) : row.links) : [], // 從資料庫讀取
-        contact_status: row.contact_status || '未回覆' // 從資料庫讀取
-      };
+// 手動執行後馬上處理，不等下一次輪詢
+const wakeJobWorker = () => {
+  if (JOB_WORKER_ENABLED) setImmediate(runJobTick);
+};
+
+// 啟動時（遷移完成後）補上工作定義並開始輪詢
+const startJobWorker = async () => {
+  try {
+    await syncJobDefinitions();
+  } catch (err) {
+    console.error('❌ 背景工作初始化失敗:', err.message);
+    return;
+  }
+  if (!JOB_WORKER_ENABLED) {
+    console.log('⏭️ 此實例不執行背景工作（JOB_WORKER=false）');
+    return;
+  }
+  console.log(`⚙️ 背景工作已啟動（${JOB_WORKER_ID}，每 ${JOB_POLL_INTERVAL_MS / 1000} 秒檢查一次）`);
+  runJobTick();
+  setInterval(runJobTick, JOB_POLL_INTERVAL_MS).unref();
+};
+
+/**
+ * 背景工作列表：設定、下次執行時間、排隊中的數量與最近一次執行
+ * GET /api/admin/jobs
+ */
+app.get('/api/admin/jobs', requirePermission('jobs:manage'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT j.*, to_jsonb(last_run) AS last_run,
+              (SELECT COUNT(*)::int FROM job_runs q WHERE q.job_name = j.name AND q.status = 'queued') AS queued_count
+       FROM jobs j
+       LEFT JOIN LATERAL (
+         SELECT * FROM job_runs r WHERE r.job_name = j.name ORDER BY r.created_at DESC LIMIT 1
+       ) last_run ON true
+       ORDER BY j.name`
+    );
+    res.json({
+      timezone: JOB_TIMEZONE,
+      worker: JOB_WORKER_ENABLED ? JOB_WORKER_ID : null,
+      jobs: result.rows.map(formatJob)
     });
-    res.json(leads);
   } catch (error) {
-    console.error('獲取案件失敗:', error);
-    console.error('錯誤詳情:', error.message, error.stack);
-    res.status(500).json({ 
-      error: '獲取案件失敗',
-      details: error.message,
-      hint: '請檢查資料庫連接和表結構'
-    });
+    console.error('獲取背景工作失敗:', error);
+    res.status(500).json({ error: '獲取背景工作失敗', details: error.message });
   }
 });
 
-// 創建案件
-app.post('/api/leads', async (req, res) => {
+/**
+ * 修改背景工作設定
+ * PUT /api/admin/jobs/:name
+ * { "schedule": "0 9 * * 1-5", "enabled": true, "max_attempts": 3, "backoff_seconds": 60, "lease_seconds": 300 }
+ * schedule 為 null 代表只能手動執行；修改後重新計算下次執行時間
+ */
+app.put('/api/admin/jobs/:name', requirePermission('jobs:manage'), async (req, res) => {
+  const { values, errors } = validateJobSettings(req.body);
+  if (hasErrors(errors)) {
+    return sendValidationError(res, errors);
+  }
+  if (Object.keys(values).length === 0) {
+    return res.status(400).json({ error: '沒有要更新的欄位' });
+  }
   try {
-    const lead = req.body;
-    const now = new Date().toISOString();
-    
-    // 確保必填欄位不為空
-    if (!lead.need || lead.need.trim() === '') {
-      return res.status(400).json({ error: '客戶原始需求不能為空' });
-    }
-    if (!lead.created_by_name || lead.created_by_name.trim() === '') {
-      return res.status(400).json({ error: '創建者名稱不能為空' });
-    }
-
-    const result = await pool.query(`
-      INSERT INTO leads (
-        id, case_code, platform, platform_id, need, budget_text, posted_at,
-        phone, email, location, estimated_duration, contact_method, note, internal_remarks, remarks_author,
-        status, decision, priority, created_by, created_by_name,
-        created_at, updated_at, progress_updates, change_history, contact_status,
-        cost_records, profit_records, contracts
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28)
-      RETURNING *
-    `, [
-      lead.id,
-      lead.case_code || null,
-      lead.platform || 'FB',
-      lead.platform_id || '',
-      lead.need.trim(), // 確保去除前後空格
-      lead.budget_text || null,
-      lead.posted_at ? new Date(lead.posted_at) : null,
-      (lead.phone && lead.phone.trim()) || null,
-      (lead.email && lead.email.trim()) || null,
-      (lead.location && lead.location.trim()) || null,
-      (lead.estimated_duration && lead.estimated_duration.trim()) || null,
-      (lead.contact_method && lead.contact_method.trim()) || null,
-      lead.note || null,
-      lead.internal_remarks || null,
-      lead.remarks_author || null,
-      lead.status || '待篩選',
-      lead.decision || 'pending',
-      lead.priority || 3,
-      lead.created_by || null,
-      lead.created_by_name.trim(), // 確保去除前後空格
-      lead.created_at ? new Date(lead.created_at) : now,
-      lead.updated_at ? new Date(lead.updated_at) : now,
-      lead.progress_updates ? JSON.stringify(lead.progress_updates) : null,
-      lead.change_history ? JSON.stringify(lead.change_history) : null,
-      lead.contact_status || '未回覆', // 添加 contact_status
-      lead.cost_records ? JSON.stringify(lead.cost_records) : null, // 添加 cost_records
-      lead.profit_records ? JSON.stringify(lead.profit_records) : null, // 添加 profit_records
-      lead.contracts ? JSON.stringify(lead.contracts) : null // 添加 contracts
-    ]);
-    
-    res.json({ id: result.rows[0].id });
-  } catch (error) {
-    console.error('❌ 創建案件失敗:', error);
-    console.error('錯誤詳情:', {
-      message: error.message,
-      code: error.code,
-      detail: error.detail,
-      constraint: error.constraint,
-      table: error.table,
-      column: error.column,
-      stack: error.stack
-    });
-    console.error('接收到的資料:', {
-      id: lead.id,
-      case_code: lead.case_code,
-      platform: lead.platform,
-      platform_id: lead.platform_id,
-      need: lead.need ? lead.need.substring(0, 50) + '...' : null,
-      has_progress_updates: !!lead.progress_updates,
-      has_change_history: !!lead.change_history,
-      has_cost_records: !!lead.cost_records,
-      has_profit_records: !!lead.profit_records,
-      has_contracts: !!lead.contracts
-    });
-    res.status(500).json({ 
-      error: '創建案件失敗',
-      details: error.message,
-      code: error.code,
-      hint: error.constraint ? `資料庫約束錯誤: ${error.constraint}` : '請檢查資料庫連接和表結構'
+    const row = await withTransaction(async (client) => {
+      const existing = await client.query('SELECT * FROM jobs WHERE name = $1 FOR UPDATE', [req.params.name]);
+      if (existing.rows.length === 0) return null;
+      const schedule = values.schedule === undefined ? existing.rows[0].schedule : values.schedule;
+      const fields = Object.keys(values);
+      const result = await client.query(
+        `UPDATE jobs SET ${fields.map((field, i) => `${field} = $${i + 5}`).join(', ')},
+           next_run_at = $2, updated_by = $3, updated_by_name = $4, updated_at = NOW()
+         WHERE name = $1 RETURNING *`,
+        [req.params.name, jobNextRunAt(schedule), req.auth.uid, req.auth.name || null, ...fields.map(field => values[field])]
+      );
+      await recordAudit(client, req, {
+        action: 'JOB_UPDATE',
+        entityType: 'job',
+        entityId: req.params.name,
+        before: formatJob(existing.rows[0]),
+        after: formatJob(result.rows[0])
+      });
+      return result.rows[0];
     });
+    if (!row) {
+      return res.status(404).json({ error: '背景工作不存在' });
+    }
+    res.json(formatJob(row));
+  } catch (error) {
+    console.error('更新背景工作失敗:', error);
+    res.status(500).json({ error: '更新背景工作失敗', details: error.message });
   }
 });
 
-// 更新案件
-app.put('/api/leads/:id', async (req, res) => {
+/**
+ * 手動執行背景工作（停用的工作也可以手動執行）
+ * POST /api/admin/jobs/:name/run
+ * { "payload": { ... } }（可選，依工作而定）
+ * 排入佇列後立即回傳 202，用 GET /api/admin/job-runs/:id 查看結果
+ */
+app.post('/api/admin/jobs/:name/run', requirePermission('jobs:manage'), async (req, res) => {
+  const definition = JOB_DEFINITIONS[req.params.name];
+  const payload = req.body.payload === undefined ? {} : req.body.payload;
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return sendValidationError(res, { payload: '必須是物件' });
+  }
+  const payloadError = definition && definition.validatePayload ? definition.validatePayload(payload) : null;
+  if (payloadError) {
+    return sendValidationError(res, { payload: payloadError });
+  }
   try {
-    const { id } = req.params;
-    const updates = req.body;
-    const now = new Date().toISOString();
-    
-    console.log(`📥 更新案件: ${id}`, Object.keys(updates));
-    
-    const updateFields = [];
-    const values = [];
-    let paramIndex = 1;
-    
-    // 欄位名稱映射（前端 camelCase -> 資料庫 snake_case）
-    const fieldMapping = {
-      case_code: 'case_code',
-      platform_id: 'platform_id',
-      budget_text: 'budget_text',
-      posted_at: 'posted_at',
-      phone: 'phone',
-      email: 'email',
-      location: 'location',
-      estimated_duration: 'estimated_duration',
-      contact_method: 'contact_method',
-      internal_remarks: 'internal_remarks',
-      remarks_author: 'remarks_author',
-      decision_by: 'decision_by',
-      reject_reason: 'reject_reason',
-      review_note: 'review_note',
-      assigned_to: 'assigned_to',
-      assigned_to_name: 'assigned_to_name',
-      created_by: 'created_by',
-      created_by_name: 'created_by_name',
-      last_action_by: 'last_action_by',
-      contact_status: 'contact_status'
-    };
-    
-    // 處理每個更新欄位
-    for (const key in updates) {
-      // 跳過這些欄位，不允許更新或會手動處理
-      if (key === 'id' || 
-          key === 'created_at' || 
-          key === 'created_by' || 
-          key === 'created_by_name' ||
-          key === 'updated_at') {  // 跳過 updated_at，我們會手動設定
-        continue;
-      }
-      
-      let dbFieldName = fieldMapping[key] || key;
-      let value = updates[key];
-      
-      // 特殊處理 JSONB 欄位
-      if (key === 'progress_updates' || key === 'change_history' || key === 'links' || 
-          key === 'cost_records' || key === 'profit_records' || key === 'contracts') {
-        updateFields.push(`${dbFieldName} = $${paramIndex}`);
-        
-        // 確保值是有效的 JSON 陣列
-        if (value === null || value === undefined) {
-          values.push(null);
-        } else if (Array.isArray(value)) {
-          values.push(JSON.stringify(value));
-          console.log(`📊 更新 ${key}: ${value.length} 筆記錄`);
-        } else if (typeof value === 'string') {
-          // 如果已經是字符串，嘗試解析驗證
-          try {
-            const parsed = JSON.parse(value);
-            if (Array.isArray(parsed)) {
-              values.push(value);
-              console.log(`📊 更新 ${key}: ${parsed.length} 筆記錄（字符串格式）`);
-            } else {
-              console.warn(`⚠️ ${key} 不是陣列格式，設為 null`);
-              values.push(null);
-            }
-          } catch (e) {
-            console.warn(`⚠️ ${key} JSON 解析失敗，設為 null:`, e);
-            values.push(null);
-          }
-        } else {
-          console.warn(`⚠️ ${key} 格式不正確，設為 null`);
-          values.push(null);
-        }
-        
-        paramIndex++;
-        continue;
-      }
-      
-      // 特殊處理日期欄位（posted_at）
-      if (key === 'posted_at') {
-        updateFields.push(`${dbFieldName} = $${paramIndex}`);
-        values.push(value ? new Date(value) : null);
-        paramIndex++;
-        continue;
-      }
-      
-      // 一般欄位：對於字符串欄位，如果為空字符串則轉為 null
-      updateFields.push(`${dbFieldName} = $${paramIndex}`);
-      if (value === undefined || value === null) {
-        values.push(null);
-      } else if (typeof value === 'string') {
-        // 字符串欄位：trim 後如果為空則設為 null
-        const trimmed = value.trim();
-        values.push(trimmed === '' ? null : trimmed);
-      } else {
-        values.push(value);
-      }
-      paramIndex++;
+    const outcome = await withTransaction(async (client) => {
+      const job = await client.query('SELECT * FROM jobs WHERE name = $1', [req.params.name]);
+      if (job.rows.length === 0) return { notFound: true };
+      if (!definition) return { notRegistered: true };
+      return { run: await insertJobRun(client, req, job.rows[0], payload) };
+    });
+    if (outcome.notFound) {
+      return res.status(404).json({ error: '背景工作不存在' });
     }
-    
-    if (updateFields.length === 0) {
-      return res.status(400).json({ error: '沒有要更新的欄位' });
+    if (outcome.notRegistered) {
+      return res.status(409).json({ error: '目前版本沒有這個背景工作，無法執行', code: 'JOB_NOT_REGISTERED' });
     }
-    
-    // 注意：不手動設定 updated_at，讓資料庫觸發器自動處理
-    // 資料庫有 BEFORE UPDATE 觸發器會自動更新 updated_at
-    
-    // 添加 WHERE 條件的 ID
-    values.push(id);
-    
-    const query = `UPDATE leads SET ${updateFields.join(', ')} WHERE id = $${paramIndex} RETURNING *`;
-    
-    console.log(`📝 執行 SQL:`, query.substring(0, 100) + '...');
-    console.log(`📊 參數數量: ${values.length - 1} 個欄位 + 1 個 ID`);
-    
-    const result = await pool.query(query, values);
-    
+    wakeJobWorker();
+    res.status(202).json({ message: '已排入背景工作', run: formatJobRun(outcome.run) });
+  } catch (error) {
+    console.error('手動執行背景工作失敗:', error);
+    res.status(500).json({ error: '手動執行背景工作失敗', details: error.message });
+  }
+});
+
+/**
+ * 背景工作執行紀錄，依建立時間由新到舊
+ * GET /api/admin/job-runs?job=files.cleanup&status=failed&limit=50
+ */
+app.get('/api/admin/job-runs', requirePermission('jobs:manage'), async (req, res) => {
+  const conditions = [];
+  const params = [];
+  const errors = {};
+  const list = (value) => String(value).split(',').map(v => v.trim()).filter(Boolean);
+
+  if (req.query.job) {
+    params.push(list(req.query.job));
+    conditions.push(`job_name = ANY($${params.length})`);
+  }
+  if (req.query.status) {
+    const statuses = list(req.query.status);
+    if (statuses.some(status => !JOB_RUN_STATUSES.includes(status))) {
+      errors.status = `必須是以下其中之一：${JOB_RUN_STATUSES.join('、')}`;
+    }
+    params.push(statuses);
+    conditions.push(`status = ANY($${params.length})`);
+  }
+  const limit = req.query.limit === undefined ? 50 : parseInt(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > JOB_RUN_PAGE_MAX) {
+    errors.limit = `必須是 1 到 ${JOB_RUN_PAGE_MAX} 的整數`;
+  }
+  if (hasErrors(errors)) {
+    return sendValidationError(res, errors);
+  }
+
+  try {
+    params.push(limit);
+    const result = await pool.query(
+      `SELECT * FROM job_runs
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $${params.length}`,
+      params
+    );
+    res.json({ count: result.rows.length, runs: result.rows.map(formatJobRun) });
+  } catch (error) {
+    console.error('獲取背景工作執行紀錄失敗:', error);
+    res.status(500).json({ error: '獲取背景工作執行紀錄失敗', details: error.message });
+  }
+});
+
+app.get('/api/admin/job-runs/:id', requirePermission('jobs:manage'), async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM job_runs WHERE id = $1', [req.params.id]);
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: '案件不存在' });
+      return res.status(404).json({ error: '執行紀錄不存在' });
     }
-    
-    console.log(`✅ 案件更新成功: ${id}`);
-    
-    // 返回更新後的完整數據，特別是 cost_records 和 profit_records
-    const updatedRow = result.rows[0];
-    
-    // 解析 JSONB 欄位
-    let cost_records = [];
-    try {
-      if (updatedRow.cost_records) {
-        cost_records = typeof updatedRow.cost_records === 'string'
-          ? JSON.parse(updatedRow.cost_records)
-          : updatedRow.cost_records;
-        if (!Array.isArray(cost_records)) cost_records = [];
-      }
-    } catch (e) {
-      console.warn('解析 cost_records 失敗:', e);
+    res.json(formatJobRun(result.rows[0]));
+  } catch (error) {
+    console.error('獲取背景工作執行紀錄失敗:', error);
+    res.status(500).json({ error: '獲取背景工作執行紀錄失敗', details: error.message });
+  }
+});
+
+/**
+ * 重新執行失敗或已取消的紀錄：用同樣的 payload 排入一筆新的執行（retry_of 指向原本的紀錄）
+ * POST /api/admin/job-runs/:id/retry
+ */
+app.post('/api/admin/job-runs/:id/retry', requirePermission('jobs:manage'), async (req, res) => {
+  try {
+    const outcome = await withTransaction(async (client) => {
+      const existing = await client.query(
+        `SELECT r.*, to_jsonb(j) AS job FROM job_runs r JOIN jobs j ON j.name = r.job_name WHERE r.id = $1`,
+        [req.params.id]
+      );
+      const run = existing.rows[0];
+      if (!run) return { notFound: true };
+      if (!['failed', 'cancelled'].includes(run.status)) return { conflict: run.status };
+      if (!JOB_DEFINITIONS[run.job_name]) return { notRegistered: true };
+      return { run: await insertJobRun(client, req, run.job, run.payload, { retryOf: run.id }) };
+    });
+    if (outcome.notFound) {
+      return res.status(404).json({ error: '執行紀錄不存在' });
     }
-    
-    let profit_records = [];
-    try {
-      if (updatedRow.profit_records) {
-        profit_records = typeof updatedRow.profit_records === 'string'
-          ? JSON.parse(updatedRow.profit_records)
-          : updatedRow.profit_records;
-        if (!Array.isArray(profit_records)) profit_records = [];
-      }
-    } catch (e) {
-      console.warn('解析 profit_records 失敗:', e);
+    if (outcome.conflict) {
+      return res.status(409).json({
+        error: '只能重新執行失敗或已取消的紀錄',
+        code: 'JOB_RUN_NOT_FAILED',
+        status: outcome.conflict
+      });
     }
-    
-    // 返回更新後的數據，包括 cost_records 和 profit_records
-    res.json({ 
-      success: true, 
-      id: updatedRow.id,
-      cost_records: cost_records,
-      profit_records: profit_records,
-      status: updatedRow.status
-    });
+    if (outcome.notRegistered) {
+      return res.status(409).json({ error: '目前版本沒有這個背景工作，無法執行', code: 'JOB_NOT_REGISTERED' });
+    }
+    wakeJobWorker();
+    res.status(202).json({ message: '已排入背景工作', run: formatJobRun(outcome.run) });
   } catch (error) {
-    console.error('❌ 更新案件失敗:', error);
-    console.error('錯誤詳情:', error.message);
-    console.error('錯誤堆疊:', error.stack);
-    res.status(500).json({ 
-      error: '更新案件失敗', 
-      details: error.message,
-      hint: '請檢查資料庫欄位名稱和資料類型是否正確'
-    });
+    console.error('重新執行背景工作失敗:', error);
+    res.status(500).json({ error: '重新執行背景工作失敗', details: error.message });
   }
 });
 
-// 刪除案件
-app.delete('/api/leads/:id', async (req, res) => {
+/**
+ * 取消排隊中（含等待重試）的執行，執行中的紀錄不能取消
+ * POST /api/admin/job-runs/:id/cancel
+ */
+app.post('/api/admin/job-runs/:id/cancel', requirePermission('jobs:manage'), async (req, res) => {
   try {
-    await pool.query('DELETE FROM leads WHERE id = $1', [req.params.id]);
-    res.json({ success: true });
+    const outcome = await withTransaction(async (client) => {
+      const existing = await client.query('SELECT * FROM job_runs WHERE id = $1 FOR UPDATE', [req.params.id]);
+      const run = existing.rows[0];
+      if (!run) return { notFound: true };
+      if (run.status !== 'queued') return { conflict: run.status };
+      const result = await client.query(
+        `UPDATE job_runs SET status = 'cancelled', finished_at = NOW() WHERE id = $1 RETURNING *`,
+        [run.id]
+      );
+      await recordAudit(client, req, {
+        action: 'JOB_RUN_CANCEL',
+        entityType: 'job_run',
+        entityId: run.id,
+        before: formatJobRun(run),
+        after: formatJobRun(result.rows[0])
+      });
+      return { run: result.rows[0] };
+    });
+    if (outcome.notFound) {
+      return res.status(404).json({ error: '執行紀錄不存在' });
+    }
+    if (outcome.conflict) {
+      return res.status(409).json({
+        error: '只能取消排隊中的執行',
+        code: 'JOB_RUN_NOT_QUEUED',
+        status: outcome.conflict
+      });
+    }
+    res.json(formatJobRun(outcome.run));
   } catch (error) {
-    console.error('刪除案件失敗:', error);
-    res.status(500).json({ error: '刪除案件失敗' });
+    console.error('取消背景工作失敗:', error);
+    res.status(500).json({ error: '取消背景工作失敗', details: error.message });
   }
 });
 
-// ==================== 審計日誌 API ====================
+// ==================== AI 助理專用 API ====================
+
+const AI_ASSISTANT_AUTHOR = { uid: 'ai-assistant', name: 'AI 助理 (YuQi)' };
+
+// AI 助理建立案件（交易內使用）：自動配發案件編號，沒提供的欄位填入預設值
+const insertAiLead = async (client, req, lead) => {
+  const id = `lead_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const now = new Date().toISOString();
+  const case_code = await allocateCaseCode(client, { platform: lead.platform || '其他' });
+
+  const result = await client.query(
+    `INSERT INTO leads (
+      id, case_code, contact_status, platform, platform_id, need, budget_text,
+      posted_at, note, links, phone, email, location,
+      status, decision, priority,
+      created_by, created_by_name, created_at, updated_at,
+      budget_min, budget_max, budget_currency, budget_confidence
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24)
+    RETURNING *`,
+    [
+      id,
+      case_code,
+      lead.contact_status || '未回覆',
+      lead.platform || '其他',
+      lead.platform_id || '未知',
+      lead.need,
+      lead.budget_text || '待確認',
+      lead.posted_at || now,
+      lead.note || '',
+      JSON.stringify(lead.links || []),
+      lead.phone || null,
+      lead.email || null,
+      lead.location || null,
+      lead.status || '待匯入',
+      lead.decision || 'pending',
+      lead.priority || 3,
+      AI_ASSISTANT_AUTHOR.uid,
+      AI_ASSISTANT_AUTHOR.name,
+      now,
+      now,
+      ...budgetColumnParams(lead.budget_text || '待確認')
+    ]
+  );
+  await recordLeadAudit(client, req, 'CREATE', id, null, result.rows[0]);
+  await syncLeadTags(client, req, id, lead.tags);
+  return result.rows[0];
+};
+
+/**
+ * 匯入一筆 AI 案件：驗證、檢查疑似重複、建立
+ * 回傳 { row, duplicates }；strict 且有疑似重複時不建立，沒有 row；驗證失敗丟 validationError
+ */
+const importAiLead = async (req, input, { strict = false } = {}) => {
+  const { values: lead, errors } = validateLead(input, { required: ['need'] });
+  if (!hasErrors(errors)) Object.assign(errors, await validateLeadStates(pool, lead), await validateLeadTags(pool, req, lead));
+  if (hasErrors(errors)) throw validationError(errors);
+
+  return withTransaction(async (client) => {
+    const duplicates = await findDuplicateLeads(client, lead);
+    if (duplicates.length > 0 && strict) return { duplicates };
+    return { row: await insertAiLead(client, req, lead), duplicates };
+  });
+};
 
-// 獲取審計日誌
-app.get('/api/audit-logs', async (req, res) => {
+const IMPORT_FAILURE_STATUSES = ['pending', 'succeeded', 'failed'];
+const IMPORT_RETRY_BATCH = 100;
+
+// 保存匯入失敗的項目，回傳 ID；保存本身失敗（例如資料庫斷線）只記錄 log，回傳 null，不影響其他項目
+const recordImportFailure = async (req, input, err) => {
+  const id = `impf_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   try {
-    const leadId = req.query.leadId;
-    let query = 'SELECT * FROM audit_logs';
-    let params = [];
-    
-    if (leadId) {
-      query += ' WHERE lead_id = $1';
-      params.push(leadId);
-    }
-    
-    query += ' ORDER BY created_at DESC LIMIT 500';
-    
-    console.log(`📥 獲取審計日誌: ${leadId ? `leadId=${leadId}` : '全部'}`);
-    
-    const result = await pool.query(query, params);
-    
-    const logs = result.rows.map(row => {
-      // 安全地解析 JSONB 欄位
-      let before = null;
-      let after = null;
-      
-      try {
-        // 如果已經是對象，直接使用；如果是字符串，則解析
-        if (row.before) {
-          before = typeof row.before === 'string' ? JSON.parse(row.before) : row.before;
-        }
-        if (row.after) {
-          after = typeof row.after === 'string' ? JSON.parse(row.after) : row.after;
-        }
-      } catch (parseError) {
-        console.warn('解析審計日誌 JSON 失敗:', parseError);
-        // 如果解析失敗，保持為 null
-      }
-      
-      return {
-        id: row.id,
-        lead_id: row.lead_id,
-        actor_uid: row.actor_uid,
-        actor_name: row.actor_name,
-        action: row.action,
-        before: before,
-        after: after,
-        created_at: row.created_at ? new Date(row.created_at).toISOString() : null
-      };
-    });
-    
-    console.log(`✅ 獲取審計日誌成功: ${logs.length} 筆`);
-    res.json(logs);
+    await pool.query(
+      `INSERT INTO import_failures (id, payload, error, code, fields, created_by, created_by_name)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        id,
+        JSON.stringify(input),
+        err.message,
+        err.code || null,
+        isValidationError(err) ? JSON.stringify(err.fields) : null,
+        req.auth.uid,
+        req.auth.name || null
+      ]
+    );
+    return id;
   } catch (error) {
-    console.error('❌ 獲取審計日誌失敗:', error);
-    console.error('錯誤詳情:', error.message);
-    console.error('錯誤堆疊:', error.stack);
-    res.status(500).json({ 
-      error: '獲取審計日誌失敗', 
-      details: error.message,
-      hint: '請檢查資料庫連接和 audit_logs 表結構'
-    });
+    console.error('❌ 保存匯入失敗項目失敗:', error.message);
+    return null;
   }
-});
+};
 
-// 根路徑 - API 資訊
-app.get('/', (req, res) => {
-  res.json({
-    name: 'AI案件管理系統 API',
-    version: '1.0.0',
-    status: 'running',
-    endpoints: {
-      health: '/health',
-      users: {
-        getAll: 'GET /api/users',
-        getOne: 'GET /api/users/:uid'
-      },
-      leads: {
-        getAll: 'GET /api/leads',
-        create: 'POST /api/leads',
-        update: 'PUT /api/leads/:id',
-        delete: 'DELETE /api/leads/:id'
-      },
-      auditLogs: {
-        getAll: 'GET /api/audit-logs',
-        getByLead: 'GET /api/audit-logs?leadId=xxx'
-      },
-      ai: {
-        import: 'POST /api/ai/import - AI 助理匯入案件',
-        query: 'GET /api/ai/leads - AI 助理查詢案件',
-        update: 'PUT /api/ai/update - AI 助理修改案件',
-        delete: 'DELETE /api/ai/delete - AI 助理刪除案件',
-        progress: 'POST /api/ai/progress - AI 助理新增進度更新',
-        cost: 'POST /api/ai/cost - AI 助理匯入成本',
-        profit: 'POST /api/ai/profit - AI 助理匯入利潤',
-        attachment: 'POST /api/ai/attachment - AI 助理上傳附件'
-      }
-    },
-    database: {
-      host: process.env.DB_HOST || process.env.POSTGRES_HOST || '未設置',
-      database: process.env.DB_NAME || process.env.POSTGRES_DATABASE || '未設置',
-      connected: '檢查 /health 端點'
+/**
+ * 重跑匯入失敗的項目（背景工作 imports.retry），每次最多 IMPORT_RETRY_BATCH 筆，最舊的先跑
+ * - 沒有 ids：重跑 pending 的項目；累計嘗試 IMPORT_RETRY_MAX_ATTEMPTS 次仍失敗標記 failed
+ * - ids：只重跑指定的項目（pending 或 failed），管理員補好標籤、狀態後手動重跑用
+ * 重跑一律檢查疑似重複（同 strict=true）：原本的項目可能已經用其他方式重新送過，有疑似重複就標記 failed、不建立
+ * 回傳 { retried, succeeded: [case_code, ...], failed, pending }
+ */
+const retryImportFailures = async (req, { ids } = {}) => {
+  const failures = await pool.query(
+    `SELECT * FROM import_failures
+     WHERE ${ids ? `id = ANY($2) AND status IN ('pending', 'failed')` : `status = 'pending'`}
+     ORDER BY created_at, id
+     LIMIT $1`,
+    ids ? [IMPORT_RETRY_BATCH, ids] : [IMPORT_RETRY_BATCH]
+  );
+
+  const summary = { retried: failures.rows.length, succeeded: [], failed: 0, pending: 0 };
+  for (const failure of failures.rows) {
+    const attempts = failure.attempts + 1;
+    let update;
+    let caseCode = null;
+    try {
+      const { row, duplicates } = await importAiLead(req, failure.payload, { strict: true });
+      caseCode = row && row.case_code;
+      update = row
+        ? { status: 'succeeded', lead_id: row.id, error: failure.error, code: failure.code, fields: failure.fields }
+        : {
+          status: 'failed',
+          lead_id: null,
+          error: `疑似重複案件，未建立（${duplicates.map(duplicate => duplicate.case_code || duplicate.id).join('、')}）`,
+          code: 'DUPLICATE_LEAD',
+          fields: null
+        };
+    } catch (err) {
+      update = {
+        status: attempts >= IMPORT_RETRY_MAX_ATTEMPTS ? 'failed' : 'pending',
+        lead_id: null,
+        error: err.message,
+        code: err.code || null,
+        fields: isValidationError(err) ? err.fields : null
+      };
     }
-  });
-});
 
-// ==================== AI 助理專用 API ====================
+    await pool.query(
+      `UPDATE import_failures
+       SET status = $2, lead_id = $3, error = $4, code = $5, fields = $6, attempts = $7, last_attempt_at = NOW(),
+           resolved_at = CASE WHEN $2 = 'pending' THEN NULL ELSE NOW() END
+       WHERE id = $1`,
+      [failure.id, update.status, update.lead_id, update.error, update.code, update.fields && JSON.stringify(update.fields), attempts]
+    );
+    if (update.status === 'succeeded') summary.succeeded.push(caseCode || update.lead_id);
+    else summary[update.status] += 1;
+  }
+  return summary;
+};
 
 /**
  * AI 助理匯入案件端點
@@ -915,15 +7986,19 @@ app.get('/', (req, res) => {
  *   "email": "Email（可選）",
  *   "location": "地點（可選）",
  *   "note": "備註（可選）",
- *   "links": ["相關連結"]（可選）
+ *   "links": ["相關連結"]（可選）,
+ *   "tags": ["診所", "chatbot"]（可選，不存在的標籤依 TAG_AUTO_CREATE 自動建立或拒絕）
  * }
  * 
  * 或批量：
  * {
  *   "leads": [{ ... }, { ... }]
  * }
+ *
+ * 失敗的項目保存在 import_failures（errors[].failure_id），由背景工作 imports.retry 重跑；
+ * strict=true 擋下的疑似重複不算失敗，不會保存
  */
-app.post('/api/ai/import', async (req, res) => {
+app.post('/api/ai/import', requirePermission('leads:create'), idempotent, async (req, res) => {
   try {
     const { leads, ...singleLead } = req.body;
     
@@ -947,61 +8022,39 @@ app.post('/api/ai/import', async (req, res) => {
       errors: []
     };
 
-    for (const lead of leadsToImport) {
+    for (const input of leadsToImport) {
+      const need = typeof input.need === 'string' ? input.need.substring(0, 50) : null;
       try {
-        const id = `lead_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        const now = new Date().toISOString();
-        
-        // 自動生成案件編號
-        const countResult = await pool.query('SELECT COUNT(*) FROM leads');
-        const count = parseInt(countResult.rows[0].count) + 1;
-        const case_code = `aijob-${String(count).padStart(3, '0')}`;
-
-        const result = await pool.query(
-          `INSERT INTO leads (
-            id, case_code, contact_status, platform, platform_id, need, budget_text,
-            posted_at, note, links, phone, email, location,
-            status, decision, priority,
-            created_by, created_by_name, created_at, updated_at
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
-          RETURNING *`,
-          [
-            id,
-            case_code,
-            lead.contact_status || '未回覆',
-            lead.platform || '其他',
-            lead.platform_id || '未知',
-            lead.need,
-            lead.budget_text || '待確認',
-            lead.posted_at || now,
-            lead.note || '',
-            JSON.stringify(lead.links || []),
-            lead.phone || null,
-            lead.email || null,
-            lead.location || null,
-            lead.status || '待匯入',
-            lead.decision || 'pending',
-            lead.priority || 3,
-            'ai-assistant',
-            'AI 助理 (YuQi)',
-            now,
-            now
-          ]
-        );
+        const { row, duplicates } = await importAiLead(req, input, { strict: isStrictDuplicateCheck(req) });
+
+        if (!row) {
+          results.errors.push({
+            need,
+            error: '疑似重複案件，未建立',
+            code: 'DUPLICATE_LEAD',
+            duplicates
+          });
+          continue;
+        }
 
         results.success.push({
-          id: result.rows[0].id,
-          case_code: result.rows[0].case_code,
-          need: result.rows[0].need
+          id: row.id,
+          case_code: row.case_code,
+          need: row.need,
+          duplicates
         });
 
-        console.log(`✅ AI 助理匯入案件: ${case_code} - ${lead.need.substring(0, 30)}...`);
+        console.log(`✅ AI 助理匯入案件: ${row.case_code} - ${row.need.substring(0, 30)}...`);
 
       } catch (err) {
-        console.error(`❌ AI 助理匯入失敗:`, err.message);
+        if (!isValidationError(err)) console.error(`❌ AI 助理匯入失敗:`, err.message);
+        // 保存下來由背景工作 imports.retry 重跑
+        const failureId = await recordImportFailure(req, input, err);
         results.errors.push({
-          need: lead.need?.substring(0, 50),
-          error: err.message
+          need,
+          error: err.message,
+          ...(isValidationError(err) ? { fields: err.fields } : {}),
+          failure_id: failureId
         });
       }
     }
@@ -1022,41 +8075,104 @@ app.post('/api/ai/import', async (req, res) => {
   }
 });
 
+const formatImportFailure = (row) => ({
+  id: row.id,
+  status: row.status,
+  error: row.error,
+  code: row.code || null,
+  fields: row.fields || null,
+  attempts: row.attempts,
+  lead_id: row.lead_id || null,
+  payload: row.payload,
+  created_by: row.created_by || null,
+  created_by_name: row.created_by_name || null,
+  created_at: toIsoString(row.created_at),
+  last_attempt_at: toIsoString(row.last_attempt_at),
+  resolved_at: toIsoString(row.resolved_at)
+});
+
+/**
+ * AI 批次匯入失敗的項目（管理員），依時間由新到舊
+ * GET /api/admin/import-failures?status=pending&limit=50
+ * 由背景工作 imports.retry 重跑；指定項目重跑用 POST /api/admin/jobs/imports.retry/run，payload { "ids": [...] }
+ */
+app.get('/api/admin/import-failures', requirePermission('jobs:manage'), async (req, res) => {
+  const conditions = [];
+  const params = [];
+  const errors = {};
+
+  if (req.query.status) {
+    const statuses = String(req.query.status).split(',').map(v => v.trim()).filter(Boolean);
+    if (statuses.some(status => !IMPORT_FAILURE_STATUSES.includes(status))) {
+      errors.status = `必須是以下其中之一：${IMPORT_FAILURE_STATUSES.join('、')}`;
+    }
+    params.push(statuses);
+    conditions.push(`status = ANY($${params.length})`);
+  }
+  const limit = req.query.limit === undefined ? 50 : parseInt(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > JOB_RUN_PAGE_MAX) {
+    errors.limit = `必須是 1 到 ${JOB_RUN_PAGE_MAX} 的整數`;
+  }
+  if (hasErrors(errors)) {
+    return sendValidationError(res, errors);
+  }
+
+  try {
+    params.push(limit);
+    const result = await pool.query(
+      `SELECT * FROM import_failures
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $${params.length}`,
+      params
+    );
+    res.json({ count: result.rows.length, failures: result.rows.map(formatImportFailure) });
+  } catch (error) {
+    console.error('獲取匯入失敗項目失敗:', error);
+    res.status(500).json({ error: '獲取匯入失敗項目失敗', details: error.message });
+  }
+});
+
 /**
  * AI 助理查詢案件端點
  * GET /api/ai/leads
  * 
- * 查詢參數：
- * - status: 案件狀態
- * - limit: 筆數限制（預設 20）
+ * 查詢參數（與 GET /api/leads 相同）：
+ * - status, decision, contact_status, platform, assigned_to, priority, created_by: 篩選
+ * - created_from, created_to, updated_from, updated_to: 日期區間
+ * - budget_from, budget_to: 預算區間，budget_currency, budget_confidence: 篩選
+ * - sla: SLA 狀態（ok、at_risk、breached、none），例如 sla=at_risk,breached 找快要來不及回覆的案件
+ * - sort, order: 排序（可用 budget_min、budget_max、sla_due_at）
+ * - limit: 筆數限制（預設 20），cursor: 下一頁游標
  */
-app.get('/api/ai/leads', async (req, res) => {
+app.get('/api/ai/leads', requirePermission('leads:read'), async (req, res) => {
   try {
-    const { status, limit = 20 } = req.query;
-    
-    let query = 'SELECT id, case_code, need, platform, platform_id, budget_text, status, contact_status, created_at FROM leads';
-    const params = [];
-    
-    if (status) {
-      query += ' WHERE status = $1';
-      params.push(status);
+    const page = await queryLeads(req.query, {
+      columns: ['id', 'case_code', 'need', 'platform', 'platform_id', 'budget_text', 'budget_min', 'budget_max', 'budget_currency', 'status', 'contact_status', 'sla', 'created_at'],
+      defaultLimit: 20,
+      auth: req.auth
+    });
+    if (page.errors) {
+      return sendValidationError(res, page.errors);
     }
     
-    query += ` ORDER BY created_at DESC LIMIT ${parseInt(limit)}`;
-    
-    const result = await pool.query(query, params);
-    
     res.json({
-      count: result.rows.length,
-      leads: result.rows.map(row => ({
+      total: page.total,
+      count: page.rows.length,
+      next_cursor: page.next_cursor,
+      leads: page.rows.map(row => ({
         id: row.id,
         case_code: row.case_code,
         need: row.need,
         platform: row.platform,
         platform_id: row.platform_id,
         budget: row.budget_text,
+        budget_min: row.budget_min === null ? null : Number(row.budget_min),
+        budget_max: row.budget_max === null ? null : Number(row.budget_max),
+        budget_currency: row.budget_currency,
         status: row.status,
         contact_status: row.contact_status,
+        sla: formatLeadSla(row.sla),
         created_at: row.created_at
       }))
     });
@@ -1067,6 +8183,25 @@ app.get('/api/ai/leads', async (req, res) => {
   }
 });
 
+/**
+ * AI 助理搜尋案件端點
+ * GET /api/ai/search?q=診所 AI 導入
+ * 
+ * 參數同 GET /api/leads/search
+ */
+app.get('/api/ai/search', requirePermission('leads:read'), async (req, res) => {
+  try {
+    const search = await searchLeads(req.query, { auth: req.auth, defaultLimit: 10 });
+    if (search.errors) {
+      return sendValidationError(res, search.errors);
+    }
+    res.json({ query: req.query.q, ...search, count: search.results.length });
+  } catch (error) {
+    console.error('❌ AI 搜尋失敗:', error);
+    res.status(500).json({ error: '搜尋失敗', details: error.message });
+  }
+});
+
 /**
  * AI 助理修改案件端點
  * PUT /api/ai/update
@@ -1078,13 +8213,15 @@ app.get('/api/ai/leads', async (req, res) => {
  *     "status": "已接洽",
  *     "note": "新備註",
  *     "budget_text": "5萬",
+ *     "tags": ["診所", "急件"]（完整取代原本的標籤）,
  *     ... 任何要更新的欄位
- *   }
+ *   },
+ *   "expected_version": 3（可選，也可以用 If-Match 標頭；版本不符回傳 409）
  * }
  */
-app.put('/api/ai/update', async (req, res) => {
+app.put('/api/ai/update', requirePermission('leads:update'), idempotent, async (req, res) => {
   try {
-    const { lead_id, case_code, updates } = req.body;
+    const { lead_id, case_code, updates, expected_version } = req.body;
     
     if (!lead_id && !case_code) {
       return res.status(400).json({ 
@@ -1100,72 +8237,83 @@ app.put('/api/ai/update', async (req, res) => {
       return res.status(400).json({ error: '請提供要更新的欄位 (updates)' });
     }
 
-    // 找到案件
-    let leadResult;
-    if (lead_id) {
-      leadResult = await pool.query('SELECT * FROM leads WHERE id = $1', [lead_id]);
-    } else if (case_code) {
-      leadResult = await pool.query('SELECT * FROM leads WHERE case_code = $1', [case_code]);
+    const { values: validUpdates, errors } = validateLead(updates, { partial: true });
+    if (!hasErrors(errors)) Object.assign(errors, await validateLeadTags(pool, req, validUpdates));
+    const expected = parseExpectedVersion(req, expected_version);
+    if (hasErrors(errors) || expected.errors) {
+      return sendValidationError(res, { ...errors, ...expected.errors });
     }
 
-    if (!leadResult || leadResult.rows.length === 0) {
-      return res.status(404).json({ error: '案件不存在' });
-    }
+    const outcome = await withTransaction(async (client) => {
+      // 找到案件
+      const lead = await findLeadForUpdate(client, { lead_id, case_code });
+      if (!lead) return { notFound: true };
+      if (expected.version !== null && lead.version !== expected.version) {
+        const current = await client.query(`SELECT ${LEAD_ALL_COLUMNS_SQL} FROM leads WHERE id = $1`, [lead.id]);
+        return { conflict: current.rows[0] };
+      }
 
-    const lead = leadResult.rows[0];
-    const leadId = lead.id;
+      const deniedFields = getDeniedLeadFields(req.auth, lead, validUpdates);
+      if (deniedFields.length > 0) return { deniedFields };
 
-    // 建構更新語句
-    const updateFields = [];
-    const values = [];
-    let paramIndex = 1;
+      const transition = await applyLeadTransitions(client, req, lead, validUpdates);
+      if (transition.errors || transition.rejected) return transition;
 
-    // 欄位映射（前端欄位 -> 資料庫欄位）
-    const fieldMapping = {
-      contact_status: 'contact_status',
-      platform: 'platform',
-      platform_id: 'platform_id',
-      need: 'need',
-      budget_text: 'budget_text',
-      note: 'note',
-      phone: 'phone',
-      email: 'email',
-      location: 'location',
-      status: 'status',
-      decision: 'decision',
-      priority: 'priority',
-      assigned_to: 'assigned_to',
-      internal_remarks: 'internal_remarks',
-      estimated_duration: 'estimated_duration',
-      contact_method: 'contact_method'
-    };
+      // 建構更新語句
+      const { fields: updateFields, params: values, nextIndex } = buildLeadSetClause(validUpdates);
+      let paramIndex = nextIndex;
 
-    for (const [key, value] of Object.entries(updates)) {
-      const dbField = fieldMapping[key] || key;
-      updateFields.push(`${dbField} = $${paramIndex++}`);
-      values.push(value);
-    }
+      // 加上 updated_at
+      const now = new Date().toISOString();
+      updateFields.push(`updated_at = $${paramIndex++}`);
+      values.push(now);
 
-    // 加上 updated_at
-    const now = new Date().toISOString();
-    updateFields.push(`updated_at = $${paramIndex++}`);
-    values.push(now);
+      // 加上 lead_id
+      values.push(lead.id);
 
-    // 加上 lead_id
-    values.push(leadId);
+      const query = `UPDATE leads SET ${updateFields.join(', ')} WHERE id = $${paramIndex} RETURNING *`;
+      const result = await client.query(query, values);
+      await recordLeadAudit(client, req, 'UPDATE', lead.id, lead, result.rows[0]);
+      await syncLeadChildren(client, req, lead.id, validUpdates, { partial: true });
+      return { row: result.rows[0] };
+    });
 
-    const query = `UPDATE leads SET ${updateFields.join(', ')} WHERE id = $${paramIndex} RETURNING *`;
-    const result = await pool.query(query, values);
+    if (outcome.notFound) {
+      return res.status(404).json({ error: '案件不存在' });
+    }
+    if (outcome.deniedFields) {
+      return sendForbidden(res, req.auth, { fields: outcome.deniedFields });
+    }
+    if (outcome.conflict) {
+      return sendVersionConflict(res, expected.version, outcome.conflict);
+    }
+    if (outcome.errors) {
+      return sendValidationError(res, outcome.errors);
+    }
+    if (outcome.rejected) {
+      return sendTransitionRejected(res, outcome.rejected);
+    }
 
-    console.log(`✅ AI 助理修改案件: ${case_code || leadId}`);
+    console.log(`✅ AI 助理修改案件: ${case_code || outcome.row.id}`);
 
+    res.set('ETag', leadETag(outcome.row.version));
     res.json({
       message: '案件更新成功',
-      case_code: result.rows[0].case_code,
-      updated_fields: Object.keys(updates)
+      case_code: outcome.row.case_code,
+      version: outcome.row.version,
+      updated_fields: Object.keys(validUpdates)
     });
 
   } catch (error) {
+    if (isCaseCodeConflict(error)) {
+      return sendCaseCodeConflict(res, req.body.updates && req.body.updates.case_code);
+    }
+    if (isValidationError(error)) {
+      return sendValidationError(res, error.fields);
+    }
+    if (error.status) {
+      return sendStorageError(res, error);
+    }
     console.error('❌ AI 修改案件端點錯誤:', error);
     res.status(500).json({ 
       error: 'AI 修改案件失敗',
@@ -1183,7 +8331,7 @@ app.put('/api/ai/update', async (req, res) => {
  *   "case_code": "aijob-001" 或 "lead_id": "xxx"
  * }
  */
-app.delete('/api/ai/delete', async (req, res) => {
+app.delete('/api/ai/delete', requirePermission('leads:delete'), idempotent, async (req, res) => {
   try {
     const { lead_id, case_code } = req.body;
     
@@ -1194,30 +8342,27 @@ app.delete('/api/ai/delete', async (req, res) => {
       });
     }
 
-    // 找到案件
-    let leadResult;
-    if (lead_id) {
-      leadResult = await pool.query('SELECT id, case_code FROM leads WHERE id = $1', [lead_id]);
-    } else if (case_code) {
-      leadResult = await pool.query('SELECT id, case_code FROM leads WHERE case_code = $1', [case_code]);
-    }
+    const lead = await withTransaction(async (client) => {
+      // 找到案件
+      const existing = await findLeadForUpdate(client, { lead_id, case_code });
+      if (!existing) return null;
 
-    if (!leadResult || leadResult.rows.length === 0) {
+      // 移到垃圾桶（保留 case_code，可由管理員還原）
+      return trashLead(client, req, existing);
+    });
+
+    if (!lead) {
       return res.status(404).json({ error: '案件不存在' });
     }
 
-    const lead = leadResult.rows[0];
-    const leadId = lead.id;
     const deletedCaseCode = lead.case_code;
 
-    // 刪除案件
-    await pool.query('DELETE FROM leads WHERE id = $1', [leadId]);
-
     console.log(`✅ AI 助理刪除案件: ${deletedCaseCode}`);
 
     res.json({
-      message: '案件刪除成功',
-      deleted_case_code: deletedCaseCode
+      message: '案件已移到垃圾桶',
+      deleted_case_code: deletedCaseCode,
+      trashed: true
     });
 
   } catch (error) {
@@ -1240,7 +8385,7 @@ app.delete('/api/ai/delete', async (req, res) => {
  *   "attachments": ["base64或URL"]（可選）
  * }
  */
-app.post('/api/ai/progress', async (req, res) => {
+app.post('/api/ai/progress', requirePermission('leads:update'), idempotent, async (req, res) => {
   try {
     const { lead_id, case_code, content, attachments } = req.body;
     
@@ -1258,51 +8403,28 @@ app.post('/api/ai/progress', async (req, res) => {
       return res.status(400).json({ error: '請提供進度內容 (content)' });
     }
 
-    // 找到案件
-    let leadResult;
-    if (lead_id) {
-      leadResult = await pool.query('SELECT id, progress_updates FROM leads WHERE id = $1', [lead_id]);
-    } else if (case_code) {
-      leadResult = await pool.query('SELECT id, progress_updates FROM leads WHERE case_code = $1', [case_code]);
+    const { values, errors } = validateProgressUpdate({ content, attachments });
+    if (hasErrors(errors)) {
+      return sendValidationError(res, errors);
     }
 
-    if (!leadResult || leadResult.rows.length === 0) {
-      return res.status(404).json({ error: '案件不存在' });
-    }
+    const newProgress = await withTransaction(async (client) => {
+      // 找到案件
+      const lead = await findLeadForUpdate(client, { lead_id, case_code });
+      if (!lead) return null;
 
-    const lead = leadResult.rows[0];
-    const leadId = lead.id;
+      const row = await insertProgressUpdate(client, req, lead.id, values, {
+        author: AI_ASSISTANT_AUTHOR
+      });
+      await touchLead(client, lead.id);
+      return formatProgressUpdate(row);
+    });
 
-    // 讀取現有進度更新
-    let existingProgress = [];
-    if (lead.progress_updates) {
-      existingProgress = typeof lead.progress_updates === 'string'
-        ? JSON.parse(lead.progress_updates)
-        : lead.progress_updates;
-      if (!Array.isArray(existingProgress)) existingProgress = [];
+    if (!newProgress) {
+      return res.status(404).json({ error: '案件不存在' });
     }
 
-    // 新增進度更新
-    const now = new Date().toISOString();
-    const newProgress = {
-      id: `progress_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      lead_id: leadId,
-      content: content,
-      author_uid: 'ai-assistant',
-      author_name: 'AI 助理 (YuQi)',
-      created_at: now,
-      attachments: attachments || []
-    };
-
-    existingProgress.push(newProgress);
-
-    // 更新資料庫
-    await pool.query(
-      'UPDATE leads SET progress_updates = $1, updated_at = $2 WHERE id = $3',
-      [JSON.stringify(existingProgress), now, leadId]
-    );
-
-    console.log(`✅ AI 助理新增進度更新: ${case_code || leadId}`);
+    console.log(`✅ AI 助理新增進度更新: ${case_code || newProgress.lead_id}`);
 
     res.json({
       message: '成功新增進度更新',
@@ -1318,6 +8440,76 @@ app.post('/api/ai/progress', async (req, res) => {
   }
 });
 
+/**
+ * AI 助理新增待辦端點
+ * POST /api/ai/task
+ *
+ * 請求格式：
+ * {
+ *   "case_code": "aijob-023" 或 "lead_id": "xxx",
+ *   "title": "寄報價給客戶",
+ *   "due_date": "2026-10-23", "due_time": "10:00"（可選，預設 09:00）或 "due_at": "2026-10-23T02:00:00Z",
+ *   "assigned_to": "使用者 ID"（可選，預設為案件負責人）,
+ *   "note": "備註"（可選）,
+ *   "recurrence": { "every_days": 3, "until_replied": true }（可選）
+ * }
+ */
+app.post('/api/ai/task', requirePermission('leads:update'), idempotent, async (req, res) => {
+  try {
+    const { lead_id, case_code, ...input } = req.body || {};
+
+    if (!lead_id && !case_code) {
+      return res.status(400).json({
+        error: '請提供 lead_id 或 case_code',
+        example: {
+          case_code: 'aijob-023',
+          title: '寄報價給客戶',
+          due_date: '2026-10-23',
+          recurrence: { every_days: 3, until_replied: true }
+        }
+      });
+    }
+
+    const { values, errors } = validateTask(input);
+    if (!hasErrors(errors) && values.assigned_to !== undefined) {
+      const assignee = await resolveAssignee(pool, req.auth, values.assigned_to);
+      if (assignee.error) errors.assigned_to = assignee.error;
+      Object.assign(values, assignee);
+    }
+    if (hasErrors(errors)) {
+      return sendValidationError(res, errors);
+    }
+
+    const task = await withTransaction(async (client) => {
+      const lead = await findLeadForUpdate(client, { lead_id, case_code });
+      if (!lead) return null;
+      if (values.assigned_to === undefined) {
+        values.assigned_to = lead.assigned_to || null;
+        values.assigned_to_name = lead.assigned_to_name || null;
+      }
+      return insertTask(client, req, lead.id, values, { author: AI_ASSISTANT_AUTHOR });
+    });
+
+    if (!task) {
+      return res.status(404).json({ error: '案件不存在' });
+    }
+
+    console.log(`✅ AI 助理新增待辦: ${case_code || task.lead_id} - ${task.title}`);
+
+    res.status(201).json({
+      message: '成功新增待辦',
+      task: formatTask(task)
+    });
+
+  } catch (error) {
+    console.error('❌ AI 新增待辦端點錯誤:', error);
+    res.status(500).json({
+      error: 'AI 新增待辦失敗',
+      details: error.message
+    });
+  }
+});
+
 /**
  * AI 助理上傳附件端點
  * POST /api/ai/attachment
@@ -1334,7 +8526,7 @@ app.post('/api/ai/progress', async (req, res) => {
  *   "attachments": [{ "case_code": "...", "image": "..." }, ...]
  * }
  */
-app.post('/api/ai/attachment', async (req, res) => {
+app.post('/api/ai/attachment', requirePermission('leads:update'), idempotent, async (req, res) => {
   try {
     const { attachments, ...singleAttachment } = req.body;
     
@@ -1358,15 +8550,22 @@ app.post('/api/ai/attachment', async (req, res) => {
 
     for (const attachment of attachmentsToImport) {
       try {
-        // 找到案件
-        let leadResult;
-        if (attachment.lead_id) {
-          leadResult = await pool.query('SELECT id, contracts FROM leads WHERE id = $1', [attachment.lead_id]);
-        } else if (attachment.case_code) {
-          leadResult = await pool.query('SELECT id, contracts FROM leads WHERE case_code = $1', [attachment.case_code]);
-        }
+        const saved = await withTransaction(async (client) => {
+          // 找到案件
+          const lead = await findLeadForUpdate(client, attachment);
+          if (!lead) return null;
+
+          // 附件內容寫入檔案儲存，中繼資料存在 lead_attachments
+          const row = await saveAttachmentData(client, req, lead.id, {
+            filename: attachment.filename || `screenshot_${Date.now()}.jpg`,
+            data: attachment.image, // base64 或 URL
+            author: AI_ASSISTANT_AUTHOR
+          });
+          await touchLead(client, lead.id);
+          return { leadId: lead.id, newAttachment: row };
+        });
 
-        if (!leadResult || leadResult.rows.length === 0) {
+        if (!saved) {
           results.errors.push({
             identifier: attachment.lead_id || attachment.case_code,
             error: '案件不存在'
@@ -1374,36 +8573,7 @@ app.post('/api/ai/attachment', async (req, res) => {
           continue;
         }
 
-        const lead = leadResult.rows[0];
-        const leadId = lead.id;
-
-        // 讀取現有附件（使用 contracts 欄位存儲）
-        let existingAttachments = [];
-        if (lead.contracts) {
-          existingAttachments = typeof lead.contracts === 'string'
-            ? JSON.parse(lead.contracts)
-            : lead.contracts;
-          if (!Array.isArray(existingAttachments)) existingAttachments = [];
-        }
-
-        // 新增附件
-        const now = new Date().toISOString();
-        const newAttachment = {
-          id: `att_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-          filename: attachment.filename || `screenshot_${Date.now()}.jpg`,
-          data: attachment.image, // base64 或 URL
-          uploaded_by: 'AI 助理 (YuQi)',
-          uploaded_at: now
-        };
-
-        existingAttachments.push(newAttachment);
-
-        // 更新資料庫
-        await pool.query(
-          'UPDATE leads SET contracts = $1, updated_at = $2 WHERE id = $3',
-          [JSON.stringify(existingAttachments), now, leadId]
-        );
-
+        const { leadId, newAttachment } = saved;
         results.success.push({
           lead_id: leadId,
           case_code: attachment.case_code,
@@ -1417,7 +8587,8 @@ app.post('/api/ai/attachment', async (req, res) => {
         console.error(`❌ AI 助理上傳附件失敗:`, err.message);
         results.errors.push({
           identifier: attachment.lead_id || attachment.case_code,
-          error: err.message
+          error: err.message,
+          ...(err.status ? { code: err.code } : {})
         });
       }
     }
@@ -1447,7 +8618,9 @@ app.post('/api/ai/attachment', async (req, res) => {
  *   "lead_id": "案件ID" 或 "case_code": "aijob-001",
  *   "item_name": "成本名目",
  *   "amount": 1000,
- *   "note": "備註（可選）"
+ *   "note": "備註（可選）",
+ *   "category": "外包（可選）",
+ *   "incurred_on": "2026-10-01（可選，預設今天）"
  * }
  * 
  * 或批量：
@@ -1455,7 +8628,7 @@ app.post('/api/ai/attachment', async (req, res) => {
  *   "costs": [{ "lead_id": "...", "item_name": "...", "amount": ... }, ...]
  * }
  */
-app.post('/api/ai/cost', async (req, res) => {
+app.post('/api/ai/cost', requirePermission('finance:append'), idempotent, async (req, res) => {
   try {
     const { costs, ...singleCost } = req.body;
     
@@ -1480,16 +8653,31 @@ app.post('/api/ai/cost', async (req, res) => {
     };
 
     for (const cost of costsToImport) {
+      const { values, errors } = validateLedgerEntry(cost, { entryType: 'cost' });
+      if (hasErrors(errors)) {
+        results.errors.push({
+          identifier: cost.lead_id || cost.case_code,
+          error: '資料驗證失敗',
+          fields: errors
+        });
+        continue;
+      }
+
       try {
-        // 找到案件（支援 lead_id 或 case_code）
-        let leadResult;
-        if (cost.lead_id) {
-          leadResult = await pool.query('SELECT id, cost_records FROM leads WHERE id = $1', [cost.lead_id]);
-        } else if (cost.case_code) {
-          leadResult = await pool.query('SELECT id, cost_records FROM leads WHERE case_code = $1', [cost.case_code]);
-        }
+        const newCost = await withTransaction(async (client) => {
+          // 找到案件（支援 lead_id 或 case_code）
+          const lead = await findLeadForUpdate(client, cost);
+          if (!lead) return null;
+
+          // 新增成本分錄
+          const row = await insertLedgerEntry(client, req, lead.id, values, {
+            author: AI_ASSISTANT_AUTHOR
+          });
+          await touchLead(client, lead.id);
+          return formatLedgerEntry(row);
+        });
 
-        if (!leadResult || leadResult.rows.length === 0) {
+        if (!newCost) {
           results.errors.push({
             identifier: cost.lead_id || cost.case_code,
             error: '案件不存在'
@@ -1497,39 +8685,7 @@ app.post('/api/ai/cost', async (req, res) => {
           continue;
         }
 
-        const lead = leadResult.rows[0];
-        const leadId = lead.id;
-
-        // 讀取現有成本記錄
-        let existingCosts = [];
-        if (lead.cost_records) {
-          existingCosts = typeof lead.cost_records === 'string'
-            ? JSON.parse(lead.cost_records)
-            : lead.cost_records;
-          if (!Array.isArray(existingCosts)) existingCosts = [];
-        }
-
-        // 新增成本記錄
-        const now = new Date().toISOString();
-        const newCost = {
-          id: `cost_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-          lead_id: leadId,
-          item_name: cost.item_name,
-          amount: parseFloat(cost.amount) || 0,
-          author_uid: 'ai-assistant',
-          author_name: 'AI 助理 (YuQi)',
-          created_at: now,
-          note: cost.note || null
-        };
-
-        existingCosts.push(newCost);
-
-        // 更新資料庫
-        await pool.query(
-          'UPDATE leads SET cost_records = $1, updated_at = $2 WHERE id = $3',
-          [JSON.stringify(existingCosts), now, leadId]
-        );
-
+        const leadId = newCost.lead_id;
         results.success.push({
           lead_id: leadId,
           case_code: cost.case_code,
@@ -1568,9 +8724,10 @@ app.post('/api/ai/cost', async (req, res) => {
  * AI 助理匯入利潤端點
  * POST /api/ai/profit
  * 
- * 請求格式同成本，欄位：lead_id/case_code, item_name, amount, note
+ * 請求格式同成本，欄位：lead_id/case_code, item_name, amount, note, category, incurred_on
+ * 寫入帳務明細的收入（income）分錄
  */
-app.post('/api/ai/profit', async (req, res) => {
+app.post('/api/ai/profit', requirePermission('finance:append'), idempotent, async (req, res) => {
   try {
     const { profits, ...singleProfit } = req.body;
     
@@ -1594,15 +8751,29 @@ app.post('/api/ai/profit', async (req, res) => {
     };
 
     for (const profit of profitsToImport) {
+      const { values, errors } = validateLedgerEntry(profit, { entryType: 'income' });
+      if (hasErrors(errors)) {
+        results.errors.push({
+          identifier: profit.lead_id || profit.case_code,
+          error: '資料驗證失敗',
+          fields: errors
+        });
+        continue;
+      }
+
       try {
-        let leadResult;
-        if (profit.lead_id) {
-          leadResult = await pool.query('SELECT id, profit_records FROM leads WHERE id = $1', [profit.lead_id]);
-        } else if (profit.case_code) {
-          leadResult = await pool.query('SELECT id, profit_records FROM leads WHERE case_code = $1', [profit.case_code]);
-        }
+        const newProfit = await withTransaction(async (client) => {
+          const lead = await findLeadForUpdate(client, profit);
+          if (!lead) return null;
+
+          const row = await insertLedgerEntry(client, req, lead.id, values, {
+            author: AI_ASSISTANT_AUTHOR
+          });
+          await touchLead(client, lead.id);
+          return formatLedgerEntry(row);
+        });
 
-        if (!leadResult || leadResult.rows.length === 0) {
+        if (!newProfit) {
           results.errors.push({
             identifier: profit.lead_id || profit.case_code,
             error: '案件不存在'
@@ -1610,36 +8781,7 @@ app.post('/api/ai/profit', async (req, res) => {
           continue;
         }
 
-        const lead = leadResult.rows[0];
-        const leadId = lead.id;
-
-        let existingProfits = [];
-        if (lead.profit_records) {
-          existingProfits = typeof lead.profit_records === 'string'
-            ? JSON.parse(lead.profit_records)
-            : lead.profit_records;
-          if (!Array.isArray(existingProfits)) existingProfits = [];
-        }
-
-        const now = new Date().toISOString();
-        const newProfit = {
-          id: `profit_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-          lead_id: leadId,
-          item_name: profit.item_name,
-          amount: parseFloat(profit.amount) || 0,
-          author_uid: 'ai-assistant',
-          author_name: 'AI 助理 (YuQi)',
-          created_at: now,
-          note: profit.note || null
-        };
-
-        existingProfits.push(newProfit);
-
-        await pool.query(
-          'UPDATE leads SET profit_records = $1, updated_at = $2 WHERE id = $3',
-          [JSON.stringify(existingProfits), now, leadId]
-        );
-
+        const leadId = newProfit.lead_id;
         results.success.push({
           lead_id: leadId,
           case_code: profit.case_code,
@@ -1674,8 +8816,159 @@ app.post('/api/ai/profit', async (req, res) => {
   }
 });
 
+/**
+ * AI 助理一次建立完整案件（單一交易）
+ * POST /api/ai/workflow
+ *
+ * 請求格式：
+ * {
+ *   "lead": { "need": "...", "platform": "PRO360", "tags": ["診所"], ... }（欄位同 /api/ai/import）,
+ *   "costs": [{ "item_name": "Pro360 索取個資成本", "amount": 322 }]（可選，欄位同 /api/ai/cost）,
+ *   "progress": [{ "content": "客戶備註..." }]（可選）,
+ *   "attachments": [{ "image": "base64 字串或 URL", "filename": "screenshot.jpg" }]（可選）,
+ *   "dry_run": true（可選，只驗證不寫入）
+ * }
+ *
+ * 任何一步失敗都整個回滾，不會留下只建立一半的案件
+ */
+app.post('/api/ai/workflow', requirePermission('leads:create'), idempotent, async (req, res) => {
+  try {
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    const { lead: leadInput, costs, progress, attachments, dry_run } = body;
+
+    if (!leadInput) {
+      return res.status(400).json({
+        error: '請提供案件資料 (lead)',
+        example: {
+          lead: { need: '案件需求描述', platform: 'PRO360', platform_id: '客戶名稱' },
+          costs: [{ item_name: 'Pro360 索取個資成本', amount: 322 }],
+          progress: [{ content: '客戶備註' }],
+          attachments: [{ image: 'base64字串或URL', filename: 'screenshot.jpg' }]
+        }
+      });
+    }
+
+    // 先驗證全部資料，有任何錯誤就不寫入
+    const errors = {};
+    const { values: lead, errors: leadErrors } = validateLead(leadInput, { required: ['need'] });
+    if (!hasErrors(leadErrors)) Object.assign(leadErrors, await validateLeadStates(pool, lead), await validateLeadTags(pool, req, lead));
+    for (const [key, message] of Object.entries(leadErrors)) errors[`lead.${key}`] = message;
+    for (const key of Object.keys(lead)) {
+      // 標籤由 insertAiLead 一併寫入
+      if (LEAD_SCHEMA[key].column === false && key !== 'tags') errors[`lead.${key}`] = '請改用 costs、progress 或 attachments';
+    }
+
+    const itemRules = {
+      costs: { type: 'array', validateItem: (item) => validateLedgerEntry(item, { entryType: 'cost' }).errors },
+      progress: { type: 'array', validateItem: (item) => validateProgressUpdate(item).errors },
+      attachments: {
+        type: 'array',
+        validateItem: (item) => {
+          if (!item || typeof item !== 'object' || Array.isArray(item)) return { _: '附件資料必須是物件' };
+          if (typeof item.image !== 'string' || item.image.trim() === '') return { image: '必填欄位' };
+          return {};
+        }
+      }
+    };
+    const items = {};
+    for (const [key, rule] of Object.entries(itemRules)) {
+      const { value, error } = coerceLeadField(rule, body[key]);
+      if (error) errors[key] = error;
+      items[key] = value || [];
+    }
+
+    // 附件先解碼並檢查大小與類型，dry_run 也能知道會不會失敗
+    const attachmentPreview = [];
+    if (!errors.attachments) {
+      items.attachments.forEach((item, index) => {
+        const filename = item.filename ? String(item.filename).slice(0, 255) : `screenshot_${Date.now()}_${index + 1}.jpg`;
+        try {
+          attachmentPreview.push({ filename, ...inspectAttachmentData(item.image, filename) });
+        } catch (err) {
+          if (!err.status) throw err;
+          errors.attachments = errors.attachments || `第 ${index + 1} 筆：${err.message}`;
+        }
+      });
+    }
+
+    if (hasErrors(errors)) {
+      return sendValidationError(res, errors);
+    }
+    if (items.costs.length > 0 && !hasPermission(req.auth, 'finance:append')) {
+      return sendForbidden(res, req.auth, { permission: 'finance:append' });
+    }
+
+    const costValues = items.costs.map(item => validateLedgerEntry(item, { entryType: 'cost' }).values);
+    const progressValues = items.progress.map(item => validateProgressUpdate(item).values);
+
+    const duplicates = await findDuplicateLeads(pool, lead);
+    if (duplicates.length > 0 && isStrictDuplicateCheck(req)) {
+      return sendDuplicateConflict(res, duplicates);
+    }
+
+    if (dry_run === true || dry_run === 'true') {
+      return res.json({
+        dry_run: true,
+        valid: true,
+        duplicates,
+        lead,
+        costs: costValues,
+        progress: progressValues,
+        attachments: attachmentPreview
+      });
+    }
+
+    // 附件最後寫入：寫入檔案儲存的動作無法回滾，前面的步驟失敗時就不會留下檔案
+    const created = await withTransaction(async (client) => {
+      const row = await insertAiLead(client, req, lead);
+      const costRows = [];
+      for (const values of costValues) {
+        costRows.push(await insertLedgerEntry(client, req, row.id, values, { author: AI_ASSISTANT_AUTHOR }));
+      }
+      const progressRows = [];
+      for (const values of progressValues) {
+        progressRows.push(await insertProgressUpdate(client, req, row.id, values, { author: AI_ASSISTANT_AUTHOR }));
+      }
+      const attachmentRows = [];
+      for (const [index, item] of items.attachments.entries()) {
+        attachmentRows.push(await saveAttachmentData(client, req, row.id, {
+          filename: attachmentPreview[index].filename,
+          data: item.image,
+          author: AI_ASSISTANT_AUTHOR
+        }));
+      }
+      return { row, costRows, progressRows, attachmentRows };
+    });
+
+    console.log(`✅ AI 助理建立案件: ${created.row.case_code}（成本 ${created.costRows.length}、進度 ${created.progressRows.length}、附件 ${created.attachmentRows.length}）`);
+
+    res.status(201).json({
+      message: '案件建立完成',
+      lead_id: created.row.id,
+      case_code: created.row.case_code,
+      version: created.row.version,
+      cost_ids: created.costRows.map(row => row.id),
+      progress_ids: created.progressRows.map(row => row.id),
+      attachment_ids: created.attachmentRows.map(row => row.id),
+      duplicates
+    });
+  } catch (error) {
+    if (isValidationError(error)) {
+      return sendValidationError(res, error.fields);
+    }
+    if (error.status) {
+      return sendStorageError(res, error);
+    }
+    console.error('❌ AI 工作流程失敗（已全部回滾）:', error);
+    res.status(500).json({
+      error: 'AI 工作流程失敗，所有資料都已回滾',
+      details: error.message
+    });
+  }
+});
+
 // 自動遷移端點 - 從前端接收 localStorage 資料並自動插入
-app.post('/api/migrate', async (req, res) => {
+app.post('/api/migrate', requirePermission('system:migrate'), async (req, res) => {
   try {
     const { users, leads, auditLogs } = req.body;
     
@@ -1695,28 +8988,40 @@ app.post('/api/migrate', async (req, res) => {
       for (const user of userList) {
         try {
           // 使用 ON CONFLICT DO UPDATE 來更新現有用戶的資料（包括頭貼和狀態）
-          await pool.query(
-            `INSERT INTO users (id, email, display_name, role, avatar, status, created_at, is_active, is_online)
-             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-             ON CONFLICT (id) DO UPDATE SET
-               email = EXCLUDED.email,
-               display_name = EXCLUDED.display_name,
-               role = EXCLUDED.role,
-               avatar = COALESCE(EXCLUDED.avatar, users.avatar),  -- 如果新值為空，保留舊值
-               status = COALESCE(EXCLUDED.status, users.status),  -- 如果新值為空，保留舊值
-               is_active = COALESCE(EXCLUDED.is_active, users.is_active, true)`,
-            [
-              user.uid || user.id,
-              user.email || '',
-              user.displayName || user.display_name || '',
-              user.role || 'REVIEWER',
-              user.avatar || null,
-              user.status || null,
-              user.createdAt || user.created_at || new Date().toISOString(),
-              user.isActive !== false, // is_active
-              false // is_online，遷移時設為離線
-            ]
-          );
+          await withTransaction(async (client) => {
+            const existing = await client.query('SELECT * FROM users WHERE id = $1 FOR UPDATE', [user.uid || user.id]);
+            const result = await client.query(
+              `INSERT INTO users (id, email, display_name, role, avatar, status, created_at, is_active, is_online)
+               VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+               ON CONFLICT (id) DO UPDATE SET
+                 email = EXCLUDED.email,
+                 display_name = EXCLUDED.display_name,
+                 role = EXCLUDED.role,
+                 avatar = COALESCE(EXCLUDED.avatar, users.avatar),  -- 如果新值為空，保留舊值
+                 status = COALESCE(EXCLUDED.status, users.status),  -- 如果新值為空，保留舊值
+                 is_active = COALESCE(EXCLUDED.is_active, users.is_active, true)
+               RETURNING *`,
+              [
+                user.uid || user.id,
+                user.email || '',
+                user.displayName || user.display_name || '',
+                user.role || 'REVIEWER',
+                user.avatar || null,
+                user.status || null,
+                user.createdAt || user.created_at || new Date().toISOString(),
+                user.isActive !== false, // is_active
+                false // is_online，遷移時設為離線
+              ]
+            );
+            const before = existing.rows[0] || null;
+            await recordAudit(client, req, {
+              action: before ? 'USER_UPDATE' : 'USER_CREATE',
+              entityType: 'user',
+              entityId: result.rows[0].id,
+              before,
+              after: result.rows[0]
+            });
+          });
           results.users.inserted++;
         } catch (err) {
           results.users.errors.push({ user: user.uid || user.id, error: err.message });
@@ -1726,55 +9031,72 @@ app.post('/api/migrate', async (req, res) => {
 
     // 遷移案件
     if (leads && Array.isArray(leads) && leads.length > 0) {
-      for (const lead of leads) {
+      for (const input of leads) {
+        const { values: lead, errors } = validateLead(input, { required: ['id'] });
+        if (!hasErrors(errors)) Object.assign(errors, await validateLeadStates(pool, lead, { initialOnly: false }), await validateLeadTags(pool, req, lead));
+        if (hasErrors(errors)) {
+          results.leads.errors.push({ lead: input && input.id, error: '資料驗證失敗', fields: errors });
+          continue;
+        }
+
         try {
-          await pool.query(
-            `INSERT INTO leads (
-              id, case_code, platform, platform_id, need, budget_text, posted_at,
-              phone, email, location, estimated_duration, contact_method, note, internal_remarks, remarks_author,
-              status, decision, decision_by, reject_reason, review_note,
-              assigned_to, assigned_to_name, priority, created_by, created_by_name,
-              created_at, updated_at, last_action_by, progress_updates, change_history
-            ) VALUES (
-              $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15,
-              $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, $29, $30
-            ) ON CONFLICT (id) DO NOTHING`,
-            [
-              lead.id,
-              lead.case_code || null,
-              lead.platform || 'FB',
-              lead.platform_id || null,
-              lead.need || '',
-              lead.budget_text || null,
-              lead.posted_at ? new Date(lead.posted_at) : null,
-              lead.phone || null,
-              lead.email || null,
-              lead.location || null,
-              lead.estimated_duration || null,
-              lead.contact_method || null,
-              lead.note || null,
-              lead.internal_remarks || null,
-              lead.remarks_author || null,
-              lead.status || '待篩選',
-              lead.decision || 'pending',
-              lead.decision_by || null,
-              lead.reject_reason || null,
-              lead.review_note || null,
-              lead.assigned_to || null,
-              lead.assigned_to_name || null,
-              lead.priority || 3,
-              lead.created_by || null,
-              lead.created_by_name || '',
-              lead.created_at ? new Date(lead.created_at) : new Date(),
-              lead.updated_at ? new Date(lead.updated_at) : new Date(),
-              lead.last_action_by || null,
-              lead.progress_updates ? JSON.stringify(lead.progress_updates) : null,
-              lead.change_history ? JSON.stringify(lead.change_history) : null
-            ]
-          );
+          await withTransaction(async (client) => {
+            const result = await client.query(
+              `INSERT INTO leads (
+                id, case_code, platform, platform_id, need, budget_text, posted_at,
+                phone, email, location, estimated_duration, contact_method, note, internal_remarks, remarks_author,
+                status, decision, decision_by, reject_reason, review_note,
+                assigned_to, assigned_to_name, priority, created_by, created_by_name,
+                created_at, updated_at, last_action_by, change_history,
+                budget_min, budget_max, budget_currency, budget_confidence
+              ) VALUES (
+                $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15,
+                $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, $29,
+                $30, $31, $32, $33
+              ) ON CONFLICT (id) DO NOTHING
+              RETURNING *`,
+              [
+                lead.id,
+                lead.case_code || null,
+                lead.platform || 'FB',
+                lead.platform_id || null,
+                lead.need || '',
+                lead.budget_text || null,
+                lead.posted_at || null,
+                lead.phone || null,
+                lead.email || null,
+                lead.location || null,
+                lead.estimated_duration || null,
+                lead.contact_method || null,
+                lead.note || null,
+                lead.internal_remarks || null,
+                lead.remarks_author || null,
+                lead.status || '待篩選',
+                lead.decision || 'pending',
+                lead.decision_by || null,
+                lead.reject_reason || null,
+                lead.review_note || null,
+                lead.assigned_to || null,
+                lead.assigned_to_name || null,
+                lead.priority || 3,
+                lead.created_by || null,
+                lead.created_by_name || '',
+                lead.created_at || new Date(),
+                lead.updated_at || new Date(),
+                lead.last_action_by || null,
+                lead.change_history ? JSON.stringify(lead.change_history) : null,
+                ...budgetColumnParams(lead.budget_text)
+              ]
+            );
+            // 已存在的案件不會覆寫，也不記錄
+            if (result.rows.length > 0) {
+              await recordLeadAudit(client, req, 'IMPORT', lead.id, null, result.rows[0]);
+              await syncLeadChildren(client, req, lead.id, lead, { keepAuthor: true });
+            }
+          });
           results.leads.inserted++;
         } catch (err) {
-          results.leads.errors.push({ lead: lead.id, error: err.message });
+          results.leads.errors.push({ lead: lead.id, error: err.message, ...(isValidationError(err) ? { fields: err.fields } : {}) });
         }
       }
     }
@@ -1784,12 +9106,13 @@ app.post('/api/migrate', async (req, res) => {
       for (const log of auditLogs) {
         try {
           await pool.query(
-            `INSERT INTO audit_logs (id, lead_id, actor_uid, actor_name, action, before, after, created_at)
-             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            `INSERT INTO audit_logs (id, lead_id, entity_type, entity_id, actor_uid, actor_name, action, before, after, created_at)
+             VALUES ($1, $2, $3, $2, $4, $5, $6, $7, $8, $9)
              ON CONFLICT (id) DO NOTHING`,
             [
               log.id,
               log.lead_id || null,
+              log.lead_id ? 'lead' : null,
               log.actor_uid || null,
               log.actor_name || '',
               log.action || '',
@@ -1826,8 +9149,30 @@ app.post('/api/migrate', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/migrations
+ * 資料庫遷移狀態（只查詢，不會套用）
+ * state: applied 已套用 / pending 待套用 / modified 已套用但檔案被改過 / missing 有紀錄但找不到檔案
+ */
+app.get('/api/admin/migrations', requirePermission('system:migrate'), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const migrations = await getMigrationStatus(client);
+    res.json({
+      current: migrations.filter(m => m.state !== 'pending').reduce((max, m) => Math.max(max, m.version), 0),
+      pending: migrations.filter(m => m.state === 'pending').length,
+      migrations: summarizeMigrations(migrations)
+    });
+  } catch (error) {
+    console.error('獲取遷移狀態失敗:', error);
+    res.status(500).json({ error: '獲取遷移狀態失敗', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
 // 診斷端點 - 檢查資料庫狀態
-app.get('/api/diagnose', async (req, res) => {
+app.get('/api/diagnose', requirePermission('system:diagnose'), async (req, res) => {
   const diagnostics = {
     database: {
       connected: false,
@@ -1903,11 +9248,28 @@ app.get('/api/diagnose', async (req, res) => {
         `);
         diagnostics.onlineStatus.onlineUsersCount = parseInt(onlineCheck.rows[0].count);
       } else {
-        diagnostics.onlineStatus.error = '缺少 is_online 或 last_seen 字段，請執行資料庫遷移腳本';
+        diagnostics.onlineStatus.error = '缺少 is_online 或 last_seen 字段，請執行 npm run migrate up';
       }
     } catch (err) {
       diagnostics.onlineStatus.error = err.message;
     }
+
+    // 資料庫遷移狀態
+    try {
+      const client = await pool.connect();
+      try {
+        const migrations = await getMigrationStatus(client);
+        diagnostics.migrations = {
+          pending: migrations.filter(m => m.state === 'pending').map(m => `${m.version}_${m.name}`),
+          modified: migrations.filter(m => m.state === 'modified').map(m => `${m.version}_${m.name}`),
+          missing: migrations.filter(m => m.state === 'missing').map(m => `${m.version}_${m.name}`)
+        };
+      } finally {
+        client.release();
+      }
+    } catch (err) {
+      diagnostics.migrations = { error: err.message };
+    }
   } catch (error) {
     diagnostics.database.connected = false;
     diagnostics.database.error = error.message;
@@ -1952,10 +9314,20 @@ app.get('/health', async (req, res) => {
   }
 });
 
-// 啟動伺服器
-app.listen(port, () => {
-  console.log(`🚀 後端 API 服務運行在 http://localhost:${port}`);
-  console.log(`📊 資料庫: ${process.env.DB_NAME || process.env.POSTGRES_DATABASE || '未設置'}`);
-  console.log(`📡 API 文檔: http://localhost:${port}/`);
-  console.log(`❤️  健康檢查: http://localhost:${port}/health`);
-});
+// 啟動伺服器（遷移命令列模式執行完就結束）
+if (IS_MIGRATION_CLI) {
+  runMigrationCli(process.argv.slice(3))
+    .then(() => pool.end())
+    .catch(async (err) => {
+      console.error('❌ 資料庫遷移失敗:', err.message);
+      await pool.end();
+      process.exitCode = 1;
+    });
+} else {
+  app.listen(port, () => {
+    console.log(`🚀 後端 API 服務運行在 http://localhost:${port}`);
+    console.log(`📊 資料庫: ${process.env.DB_NAME || process.env.POSTGRES_DATABASE || '未設置'}`);
+    console.log(`📡 API 文檔: http://localhost:${port}/`);
+    console.log(`❤️  健康檢查: http://localhost:${port}/health`);
+  });
+}